@@ -0,0 +1,528 @@
+/**
+ * Agent Runtime
+ *
+ * Executes agent_configs that are defined by `conditions` + `actions` rather
+ * than a workflow template (agents linked to a workflow_template_id are run by
+ * the workflow executor instead).
+ *
+ * An agent runs when:
+ *   - trigger_type 'event' and trigger_config.events contains the event type
+ *   - trigger_type 'schedule' and the scheduler emitted schedule.tick for it
+ *   - trigger_type 'chained' and its upstream agent finished (see
+ *     runChainedAgents in workflow-executor.js)
+ *   - run_agent is called (any trigger type)
+ * and all of its `conditions` pass against the event context.
+ *
+ * Action types (strings support {{ }} templates, see templates.js):
+ *   { type: 'update_field', target: 'contact.score', operation: 'set' | 'increment' | 'decrement', value: 10 }
+ *   { type: 'create_task', task_type: 'call', priority: 3, reason_template: 'Follow up on {{interaction.subject}}', due_in_days: 1 }
+ *   { type: 'send_notification', channel: 'slack', template: 'New hot lead: {{contact.first_name}}' }
+ *   { type: 'run_prompt', prompt: 'Suggest next steps for {{contact.first_name}}', output_field: 'contact.notes' }
+ *
+ * Limits: allowed_tools (empty = all), max_executions_per_hour, timeout_seconds.
+ * Every run is recorded in agent_runs with actions_taken and tokens_used.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { supabase, DEFAULT_TEAM_ID } from './supabase.js';
+import { executeTool } from './tools.js';
+import { evaluateConditions } from './conditions.js';
+import { renderTemplate, resolveMapping } from './templates.js';
+import { MIN_SCORE, MAX_SCORE } from './scoring.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const anthropic = ANTHROPIC_API_KEY ? new Anthropic({ apiKey: ANTHROPIC_API_KEY }) : null;
+
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const DEFAULT_MAX_PER_HOUR = 100;
+
+// Entity types that can be loaded into an agent's context, by table
+const ENTITY_TABLES = {
+  contact: 'contacts',
+  company: 'companies',
+  deal: 'deals',
+  interaction: 'interactions',
+  signal: 'signals',
+  task: 'tasks',
+};
+
+// Tool an agent must be allowed to use to write a field on each entity
+const FIELD_TOOLS = {
+  contact: 'update_contact',
+  company: 'upsert_company',
+  deal: 'update_deal',
+};
+
+export const SUPPORTED_ACTIONS = ['update_field', 'create_task', 'send_notification', 'run_prompt'];
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Agents that should run for an event
+ */
+async function findAgentsForEvent(event) {
+  // The scheduler targets one agent directly
+  if (event.event_type === 'schedule.tick' && event.entity_type === 'agent_config') {
+    const { data } = await supabase
+      .from('agent_configs')
+      .select('*')
+      .eq('id', event.entity_id)
+      .eq('is_enabled', true)
+      .is('workflow_template_id', null);
+    return data || [];
+  }
+
+  const { data, error } = await supabase
+    .from('agent_configs')
+    .select('*')
+    .eq('trigger_type', 'event')
+    .eq('is_enabled', true)
+    .is('workflow_template_id', null)
+    .contains('trigger_config', { events: [event.event_type] })
+    .order('priority', { ascending: true });
+
+  if (error) {
+    console.error(`[Agent] Failed to load agents for ${event.event_type}: ${error.message}`);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Run every action-based agent listening for this event
+ */
+export async function runAgentsForEvent(event) {
+  const agents = await findAgentsForEvent(event);
+  const results = [];
+
+  // On a retry of the event, agents that already ran for it aren't run again
+  const alreadyRun = new Set();
+  if (event.id && agents.length > 0) {
+    const { data: previousRuns } = await supabase
+      .from('agent_runs')
+      .select('agent_config_id')
+      .eq('trigger_event->>id', event.id);
+    for (const run of previousRuns || []) alreadyRun.add(run.agent_config_id);
+  }
+
+  for (const agent of agents) {
+    if (alreadyRun.has(agent.id)) {
+      results.push({ agent: agent.name, agent_id: agent.id, status: 'skipped', reason: 'Already ran for this event' });
+      continue;
+    }
+
+    // One broken agent mustn't fail the event (and re-run its workflows)
+    try {
+      results.push(await runAgent(agent, event));
+    } catch (e) {
+      console.error(`[Agent] ${agent.name}: ${e.message}`);
+      results.push({ agent: agent.name, agent_id: agent.id, status: 'failed', error: e.message });
+    }
+  }
+
+  return results;
+}
+
+// ============================================================================
+// CONTEXT
+// ============================================================================
+
+async function loadRow(entityType, id) {
+  const table = ENTITY_TABLES[entityType];
+  if (!table || !id) return null;
+
+  const { data } = await supabase.from(table).select('*').eq('id', id).single();
+  return data || null;
+}
+
+/**
+ * Context for conditions and templates: the event plus the entity it is about
+ * (and that entity's contact / company)
+ */
+async function buildAgentContext(event) {
+  const context = {
+    event: {
+      id: event.id,
+      type: event.event_type,
+      entity_type: event.entity_type,
+      entity_id: event.entity_id,
+      payload: event.payload || {},
+    },
+  };
+
+  // Chained runs see the upstream run's result as {{upstream.output...}}
+  if (event.payload?.upstream) {
+    context.upstream = event.payload.upstream;
+  }
+
+  const entity = await loadRow(event.entity_type, event.entity_id);
+  if (entity) {
+    context[event.entity_type] = entity;
+    if (entity.contact_id && !context.contact) context.contact = await loadRow('contact', entity.contact_id);
+    if (entity.company_id && !context.company) context.company = await loadRow('company', entity.company_id);
+  }
+
+  if (context.contact?.company_id && !context.company) {
+    context.company = await loadRow('company', context.contact.company_id);
+  }
+
+  return context;
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Run one agent against an event
+ *
+ * @param {Object} agent - agent_configs row
+ * @param {Object} event - { id, event_type, entity_type, entity_id, payload }
+ * @returns {Object} { agent, status, run_id, actions_taken, tokens_used, error }
+ */
+export async function runAgent(agent, event) {
+  const context = await buildAgentContext(event);
+
+  let conditionsMet;
+  try {
+    conditionsMet = evaluateConditions(agent.conditions, context);
+  } catch (e) {
+    return await recordRun(agent, event, { status: 'failed', error: `Invalid conditions: ${e.message}` });
+  }
+
+  if (!conditionsMet) {
+    console.log(`[Agent] ${agent.name}: conditions not met for ${event.event_type}`);
+    return { agent: agent.name, agent_id: agent.id, status: 'skipped', reason: 'Conditions not met' };
+  }
+
+  // Rate limit - cancelled runs don't count against it
+  const maxPerHour = agent.max_executions_per_hour ?? DEFAULT_MAX_PER_HOUR;
+  const { count } = await supabase
+    .from('agent_runs')
+    .select('id', { count: 'exact', head: true })
+    .eq('agent_config_id', agent.id)
+    .neq('status', 'cancelled')
+    .gte('created_at', new Date(Date.now() - 3600000).toISOString());
+
+  if ((count || 0) >= maxPerHour) {
+    console.log(`[Agent] ${agent.name}: rate limited (${maxPerHour}/hour)`);
+    return await recordRun(agent, event, {
+      status: 'cancelled',
+      error: `Rate limit reached: max_executions_per_hour is ${maxPerHour}`,
+    });
+  }
+
+  const startedAt = Date.now();
+  const { data: run, error } = await supabase
+    .from('agent_runs')
+    .insert({
+      agent_config_id: agent.id,
+      team_id: agent.team_id || DEFAULT_TEAM_ID,
+      status: 'running',
+      trigger_event: event,
+      started_at: new Date(startedAt).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create agent run: ${error.message}`);
+  }
+
+  console.log(`[Agent] ${agent.name}: running ${(agent.actions || []).length} action(s) for ${event.event_type}`);
+
+  // The timeout aborts the signal; actions check it before every write
+  const controller = new AbortController();
+  const state = { actions_taken: [], tokens_used: 0, entities: new Set(), signal: controller.signal };
+  const timeoutSeconds = agent.timeout_seconds || DEFAULT_TIMEOUT_SECONDS;
+  let timer;
+
+  let failure = null;
+  try {
+    await Promise.race([
+      runActions(agent, context, state),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`Timed out after ${timeoutSeconds}s`));
+        }, timeoutSeconds * 1000);
+      }),
+    ]);
+  } catch (e) {
+    failure = e.message;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return await recordRun(agent, event, {
+    runId: run.id,
+    status: failure ? 'failed' : 'completed',
+    error: failure,
+    actions_taken: state.actions_taken,
+    tokens_used: state.tokens_used,
+    entities_affected: state.entities.size,
+    duration_ms: Date.now() - startedAt,
+  });
+}
+
+/**
+ * Perform an agent's actions in order - the first failure stops the rest
+ */
+async function runActions(agent, context, state) {
+  for (const [index, action] of (agent.actions || []).entries()) {
+    if (state.signal.aborted) return;
+
+    const entry = { index, type: action.type };
+    try {
+      const { skipped, ...details } = await performAction(agent, action, context, state);
+      Object.assign(entry, { status: skipped ? 'skipped' : 'completed' }, details);
+      state.actions_taken.push(entry);
+    } catch (e) {
+      state.actions_taken.push({ ...entry, status: 'failed', error: e.message });
+      throw new Error(`Action ${index + 1} (${action.type}) failed: ${e.message}`);
+    }
+  }
+}
+
+function assertToolAllowed(agent, tool) {
+  const allowed = agent.allowed_tools || [];
+  if (allowed.length > 0 && !allowed.includes(tool)) {
+    throw new Error(`Tool '${tool}' is not in this agent's allowed_tools`);
+  }
+}
+
+// Stop before writing anything once the run has timed out
+function assertNotAborted(state) {
+  if (state.signal.aborted) throw new Error('Run timed out - action not performed');
+}
+
+async function performAction(agent, action, context, state) {
+  assertNotAborted(state);
+
+  switch (action.type) {
+    case 'update_field':
+      return await updateField(agent, action.target, action, context, state);
+
+    case 'create_task': {
+      assertToolAllowed(agent, 'create_task');
+      const contactId = action.contact_id ? resolveMapping(action.contact_id, context) : context.contact?.id;
+      const dueDate = action.due_in_days !== undefined
+        ? new Date(Date.now() + action.due_in_days * 86400000).toISOString().split('T')[0]
+        : undefined;
+
+      assertNotAborted(state);
+      const result = await executeTool('create_task', {
+        contact_id: contactId,
+        type: action.task_type || 'follow_up',
+        priority: action.priority,
+        reason: renderTemplate(action.reason_template || action.reason || `Created by ${agent.name}`, context),
+        due_date: dueDate,
+      });
+
+      state.entities.add(`task:${result.task.id}`);
+      return { task_id: result.task.id };
+    }
+
+    case 'send_notification': {
+      assertToolAllowed(agent, 'send_notification');
+      const message = renderTemplate(action.template || action.message || '', context);
+
+      assertNotAborted(state);
+      await executeTool('send_notification', {
+        channel: action.channel || 'slack',
+        template: message,
+        data: { agent: agent.name, event_type: context.event.type, entity_type: context.event.entity_type, entity_id: context.event.entity_id },
+      });
+
+      return { channel: action.channel || 'slack', message };
+    }
+
+    case 'run_prompt': {
+      if (!anthropic) throw new Error('Anthropic API key not configured');
+
+      const prompt = renderTemplate(action.prompt, context);
+      const response = await anthropic.messages.create({
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: action.max_tokens || 1000,
+        messages: [{ role: 'user', content: prompt }],
+      }, { signal: state.signal });
+
+      const output = response.content[0]?.text || '';
+      state.tokens_used += (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0);
+
+      if (action.output_field) {
+        await updateField(agent, action.output_field, { operation: 'set', value: output }, context, state);
+      }
+      if (action.output_variable) {
+        context[action.output_variable] = output;
+      }
+
+      return { output: output.length > 500 ? output.slice(0, 500) + '...' : output, output_field: action.output_field };
+    }
+
+    default:
+      // Seeded system agents describe capabilities as actions too; don't fail on them
+      return { skipped: true, reason: `Unsupported action type (supported: ${SUPPORTED_ACTIONS.join(', ')})` };
+  }
+}
+
+/**
+ * update_field - write "<entity>.<field>" on the entity in context
+ */
+async function updateField(agent, target, action, context, state) {
+  const [entityType, field] = String(target || '').split('.');
+  const entity = context[entityType];
+
+  if (!field || !ENTITY_TABLES[entityType]) {
+    throw new Error(`Invalid target '${target}' (use e.g. contact.score)`);
+  }
+  if (!entity?.id) {
+    throw new Error(`No ${entityType} in context for ${target}`);
+  }
+
+  assertToolAllowed(agent, field === 'score' ? 'update_score' : (FIELD_TOOLS[entityType] || `update_${entityType}`));
+
+  const value = resolveMapping(action.value, context);
+  const operation = action.operation || 'set';
+  let next;
+
+  if (operation === 'increment' || operation === 'decrement') {
+    const delta = Number(value);
+    if (Number.isNaN(delta)) throw new Error(`${operation} needs a numeric value`);
+    next = (Number(entity[field]) || 0) + (operation === 'increment' ? delta : -delta);
+  } else if (operation === 'set') {
+    next = value;
+  } else {
+    throw new Error(`Unknown operation '${operation}' (use set, increment or decrement)`);
+  }
+
+  if (field === 'score') {
+    // Same scale as the scoring engine
+    if (Number.isNaN(Number(next))) throw new Error(`Score must be a number, got '${next}'`);
+    next = Math.max(MIN_SCORE, Math.min(MAX_SCORE, Math.round(Number(next))));
+  }
+
+  assertNotAborted(state);
+
+  if (field === 'score' && (entityType === 'contact' || entityType === 'company')) {
+    // Through update_score so the change lands in score_history (and can emit score.changed)
+    await executeTool('update_score', {
+      entity_type: entityType,
+      entity_id: entity.id,
+      score: next,
+      reason: `Agent ${agent.name}: ${operation} ${value}`,
+      source: 'agent',
+    });
+  } else {
+    const { error } = await supabase
+      .from(ENTITY_TABLES[entityType])
+      .update({ [field]: next })
+      .eq('id', entity.id);
+
+    if (error) throw new Error(error.message);
+  }
+
+  const previous = entity[field];
+  entity[field] = next; // Later actions see the new value
+  state.entities.add(`${entityType}:${entity.id}`);
+
+  return { target, previous, value: next };
+}
+
+// ============================================================================
+// RUN RECORDS
+// ============================================================================
+
+/**
+ * Write the agent_runs row (insert or finish) and the agent's counters
+ */
+async function recordRun(agent, event, { runId = null, status, error = null, actions_taken = [], tokens_used = 0, entities_affected = 0, duration_ms = 0 }) {
+  const fields = {
+    status,
+    actions_taken,
+    tokens_used,
+    entities_affected,
+    duration_ms,
+    error_message: error,
+    completed_at: new Date().toISOString(),
+  };
+
+  let id = runId;
+  if (runId) {
+    await supabase.from('agent_runs').update(fields).eq('id', runId);
+  } else {
+    const { data } = await supabase
+      .from('agent_runs')
+      .insert({
+        ...fields,
+        agent_config_id: agent.id,
+        team_id: agent.team_id || DEFAULT_TEAM_ID,
+        trigger_event: event,
+        started_at: fields.completed_at,
+      })
+      .select()
+      .single();
+    id = data?.id || null;
+  }
+
+  if (status !== 'cancelled') {
+    await supabase
+      .from('agent_configs')
+      .update({
+        last_run_at: new Date().toISOString(),
+        run_count: (agent.run_count || 0) + 1,
+        error_count: (agent.error_count || 0) + (status === 'failed' ? 1 : 0),
+      })
+      .eq('id', agent.id);
+  }
+
+  if (status === 'failed') {
+    console.error(`[Agent] ${agent.name}: failed - ${error}`);
+  } else {
+    console.log(`[Agent] ${agent.name}: ${status}`);
+  }
+
+  return { agent: agent.name, agent_id: agent.id, run_id: id, status, actions_taken, tokens_used, error };
+}
+
+// ============================================================================
+// MANUAL RUNS
+// ============================================================================
+
+/**
+ * Run an agent on demand (run_agent tool) against an entity
+ */
+export async function runAgentManually({ agent_id, agent_name, entity_type, entity_id, payload = {} }) {
+  let query = supabase.from('agent_configs').select('*');
+  query = agent_id ? query.eq('id', agent_id) : query.ilike('name', `%${agent_name}%`);
+
+  const { data: agent, error } = await query.limit(1).single();
+  if (error || !agent) {
+    throw new Error(`Agent not found: ${agent_id || agent_name}`);
+  }
+
+  if (agent.workflow_template_id) {
+    throw new Error(`${agent.name} runs a workflow - use trigger_workflow instead`);
+  }
+
+  return await runAgent(agent, {
+    event_type: 'agent.manual_run',
+    entity_type,
+    entity_id,
+    payload: { ...payload, source: 'manual' },
+  });
+}
+
+export default {
+  SUPPORTED_ACTIONS,
+  runAgentsForEvent,
+  runAgent,
+  runAgentManually,
+};
@@ -10,7 +10,13 @@
 import { intakeAgent } from './intake-agent.js';
 import { sdrAgent } from './sdr-agent.js';
 import { contactAgent, contactAgentExisting } from './contact-agent.js';
+import { scoringAgent, scoringAgentInteraction, scoringAgentSignal } from './scoring-agent.js';
+import { wentDarkAgent } from './went-dark-agent.js';
 import { supabase, DEFAULT_TEAM_ID } from '../supabase.js';
+import { validateConditions } from '../conditions.js';
+import { validateExpression } from '../expression.js';
+import { validateTemplate } from '../templates.js';
+import { parseCron, validateTimezone } from '../scheduler.js';
 
 // ============================================================================
 // AGENT REGISTRY
@@ -21,6 +27,10 @@ export const agents = {
   sdr_agent_v2: sdrAgent,
   contact_agent: contactAgent,
   contact_agent_existing: contactAgentExisting,
+  scoring_agent: scoringAgent,
+  scoring_agent_interaction: scoringAgentInteraction,
+  scoring_agent_signal: scoringAgentSignal,
+  went_dark_agent: wentDarkAgent,
 };
 
 // ============================================================================
@@ -54,6 +64,11 @@ export async function syncAgents(agentSlugs = null) {
  * Sync a single agent to the database
  */
 async function syncAgent(agent) {
+  const problems = validateAgent(agent);
+  if (problems.length > 0) {
+    throw new Error(`Invalid agent definition:\n  - ${problems.join('\n  - ')}`);
+  }
+
   // Upsert workflow template
   const { data: template, error: templateError } = await supabase
     .from('workflow_templates')
@@ -63,6 +78,7 @@ async function syncAgent(agent) {
       description: agent.description,
       category: agent.category,
       trigger_event: agent.trigger_event,
+      schedule: agent.schedule || null,
       is_system: true,
       is_active: true,
       version: agent.version,
@@ -109,6 +125,168 @@ async function syncAgent(agent) {
   };
 }
 
+/**
+ * Check an agent's run_conditions, condition expressions and templates before syncing
+ *
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateAgent(agent) {
+  const problems = [];
+
+  if (agent.schedule) {
+    try {
+      parseCron(agent.schedule.cron);
+      validateTimezone(agent.schedule.timezone || 'UTC');
+    } catch (e) {
+      problems.push(`schedule: ${e.message}`);
+    }
+  }
+
+  for (const step of agent.steps) {
+    problems.push(...validateStep(step, `step ${step.step_order} (${step.name})`));
+  }
+
+  return problems;
+}
+
+const PARALLEL_MEMBER_TYPES = ['tool_call', 'ai_prompt'];
+
+// Wait steps pause the whole run, so they can't be nested in a group or loop
+const WAIT_STEP_TYPES = ['wait', 'wait_for_event'];
+
+const DURATION_PATTERN = /^\s*\d+(?:\.\d+)?\s*[smhdw]\s*$/i;
+
+function isValidDuration(value) {
+  return typeof value === 'number'
+    ? value >= 0
+    : typeof value === 'string' && (DURATION_PATTERN.test(value) || value.includes('{{'));
+}
+
+function validateStep(step, label) {
+  const problems = [];
+
+  if (step.run_conditions) {
+    problems.push(...validateConditions(step.run_conditions, `${label} run_conditions`));
+  }
+
+  const config = step.action_config || {};
+  const expressions = step.action_type === 'condition_check'
+    ? [config.condition]
+    : step.action_type === 'branch'
+      ? (config.branches || []).map(b => b.condition)
+      : [];
+
+  for (const expr of expressions) {
+    const problem = validateExpression(expr);
+    if (problem) problems.push(`${label} condition: ${problem}`);
+  }
+
+  for (const problem of validateTemplate([config.input_mapping, config.prompt_template])) {
+    problems.push(`${label} template: ${problem}`);
+  }
+
+  if (step.action_type === 'parallel') {
+    const members = config.steps || [];
+    if (members.length === 0) {
+      problems.push(`${label}: parallel step needs action_config.steps`);
+    }
+
+    const waitFor = config.wait_for;
+    if (waitFor !== undefined && waitFor !== 'all'
+      && !(Number.isInteger(waitFor) && waitFor >= 1 && waitFor <= members.length)) {
+      problems.push(`${label}: wait_for must be 'all' or a number from 1 to ${members.length}`);
+    }
+
+    const names = new Set();
+    for (const member of members) {
+      const memberLabel = `${label} > ${member.name}`;
+      if (!member.name || names.has(member.name)) {
+        problems.push(`${memberLabel}: parallel members need unique names`);
+      }
+      names.add(member.name);
+
+      if (!PARALLEL_MEMBER_TYPES.includes(member.action_type)) {
+        problems.push(`${memberLabel}: action_type must be one of ${PARALLEL_MEMBER_TYPES.join(', ')}`);
+      }
+
+      problems.push(...validateStep(member, memberLabel));
+    }
+  }
+
+  if (step.action_type === 'for_each') {
+    if (!config.items) {
+      problems.push(`${label}: for_each needs action_config.items`);
+    } else {
+      for (const problem of validateTemplate(config.items.includes?.('{{') ? config.items : `{{${config.items}}}`)) {
+        problems.push(`${label} items: ${problem}`);
+      }
+    }
+
+    if (!config.steps || config.steps.length === 0) {
+      problems.push(`${label}: for_each needs action_config.steps`);
+    }
+
+    for (const key of ['concurrency', 'max_iterations']) {
+      if (config[key] !== undefined && !(Number.isInteger(config[key]) && config[key] >= 1)) {
+        problems.push(`${label}: ${key} must be a positive integer`);
+      }
+    }
+
+    if (config.item_variable !== undefined && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(config.item_variable)) {
+      problems.push(`${label}: item_variable must be a simple name`);
+    }
+
+    for (const nested of config.steps || []) {
+      if (WAIT_STEP_TYPES.includes(nested.action_type)) {
+        problems.push(`${label} > ${nested.name}: ${nested.action_type} steps can't run inside for_each`);
+      }
+      problems.push(...validateStep(nested, `${label} > ${nested.name}`));
+    }
+  }
+
+  if (step.action_type === 'call_workflow') {
+    if (!config.workflow) {
+      problems.push(`${label}: call_workflow needs action_config.workflow (a workflow slug)`);
+    }
+    if (config.output) {
+      const problem = validateExpression(config.output);
+      if (problem) problems.push(`${label} output: ${problem}`);
+    }
+    if (config.max_depth !== undefined && !(Number.isInteger(config.max_depth) && config.max_depth >= 1)) {
+      problems.push(`${label}: max_depth must be a positive integer`);
+    }
+  }
+
+  if (step.action_type === 'wait') {
+    if (config.duration === undefined && !config.until) {
+      problems.push(`${label}: wait needs action_config.duration or action_config.until`);
+    }
+    if (config.duration !== undefined && !isValidDuration(config.duration)) {
+      problems.push(`${label}: invalid duration '${config.duration}' (use e.g. 30m, 2h, 3d)`);
+    }
+    for (const problem of validateTemplate([config.duration, config.until])) {
+      problems.push(`${label} template: ${problem}`);
+    }
+  }
+
+  if (step.action_type === 'wait_for_event') {
+    if (!config.event_type) {
+      problems.push(`${label}: wait_for_event needs action_config.event_type`);
+    }
+    if (config.timeout !== undefined && (typeof config.timeout !== 'number' && !DURATION_PATTERN.test(config.timeout))) {
+      problems.push(`${label}: invalid timeout '${config.timeout}' (use e.g. 30m, 2h, 3d)`);
+    }
+    if (config.match) {
+      problems.push(...validateConditions(config.match, `${label} match`));
+    }
+    for (const problem of validateTemplate([config.entity_type, config.entity_id])) {
+      problems.push(`${label} template: ${problem}`);
+    }
+  }
+
+  return problems;
+}
+
 /**
  * Get agent by slug (from registry, not database)
  */
@@ -139,6 +317,10 @@ export {
   sdrAgent,
   contactAgent,
   contactAgentExisting,
+  scoringAgent,
+  scoringAgentInteraction,
+  scoringAgentSignal,
+  wentDarkAgent,
 };
 
 export default agents;
@@ -0,0 +1,153 @@
+/**
+ * Scoring Agent
+ *
+ * Evaluator: recalculates lead scores with the deterministic scoring engine
+ * (cli/scoring.js) from the team's ICP and scoring rules. Every score is saved
+ * to score_history with its line-item breakdown (see the explain_score tool).
+ *
+ * Triggers:
+ * - sdr.complete (after enrichment)
+ * - interaction.logged (engagement changed)
+ * - signal.received (signal weights changed)
+ * - daily schedule (rescore contacts not scored in the last day)
+ */
+
+export const scoringAgent = {
+  name: 'Scoring Agent',
+  slug: 'scoring_agent',
+  description: 'Evaluator: recalculates lead scores from ICP and scoring rules with an explainable breakdown',
+  category: 'scoring',
+  trigger_event: 'sdr.complete',
+  schedule: { cron: '0 6 * * *', timezone: 'UTC', catch_up: 'latest' },
+  version: 1,
+
+  steps: [
+    // Step 1: Score the enriched contact
+    {
+      name: 'Score Contact',
+      description: 'Calculate score and breakdown for the contact',
+      step_order: 1,
+      action_type: 'tool_call',
+      action_config: {
+        tool_name: 'score_contact',
+        input_mapping: {
+          contact_id: '{{event.entity_id}}',
+          trigger: '{{event.type}}',
+        },
+      },
+      output_variable: 'score_result',
+      run_conditions: [
+        { field: '{{event.type}}', operator: '!=', value: 'schedule.tick' },
+      ],
+    },
+
+    // Step 2: Scheduled sweep
+    {
+      name: 'Rescore Stale Contacts',
+      description: 'Recalculate scores for contacts not scored in the last day',
+      step_order: 2,
+      action_type: 'tool_call',
+      action_config: {
+        tool_name: 'rescore_contacts',
+        input_mapping: {
+          stale_hours: 24,
+          trigger: 'schedule',
+        },
+      },
+      output_variable: 'rescore_result',
+      run_conditions: [
+        { field: '{{event.type}}', operator: '==', value: 'schedule.tick' },
+      ],
+    },
+  ],
+};
+
+/**
+ * Scoring Agent - Interaction variant
+ * Rescores the contact an interaction was logged against.
+ */
+export const scoringAgentInteraction = {
+  name: 'Scoring Agent (Interaction)',
+  slug: 'scoring_agent_interaction',
+  description: 'Scoring Agent triggered when an interaction is logged, so engagement is reflected in the score',
+  category: 'scoring',
+  trigger_event: 'interaction.logged',
+  version: 1,
+
+  steps: [
+    {
+      name: 'Score Contact',
+      description: 'Calculate score and breakdown for the interaction\'s contact',
+      step_order: 1,
+      action_type: 'tool_call',
+      action_config: {
+        tool_name: 'score_contact',
+        input_mapping: {
+          contact_id: '{{event.payload.contact_id}}',
+          interaction_id: '{{event.entity_id}}',
+          trigger: '{{event.type}}',
+        },
+      },
+      output_variable: 'score_result',
+      run_conditions: [
+        { field: '{{event.payload.contact_id}}', operator: 'is_not_empty' },
+      ],
+    },
+  ],
+};
+
+/**
+ * Scoring Agent - Signal variant
+ * Rescores when a signal is recorded: the signal's contact, or every contact
+ * at the company for company-level signals (e.g. funding news).
+ */
+export const scoringAgentSignal = {
+  name: 'Scoring Agent (Signal)',
+  slug: 'scoring_agent_signal',
+  description: 'Scoring Agent triggered when a signal is recorded, so signal weights are reflected in scores',
+  category: 'scoring',
+  trigger_event: 'signal.received',
+  version: 1,
+
+  steps: [
+    // Step 1: Contact-level signal
+    {
+      name: 'Score Contact',
+      description: 'Recalculate the score of the signal\'s contact',
+      step_order: 1,
+      action_type: 'tool_call',
+      action_config: {
+        tool_name: 'score_contact',
+        input_mapping: {
+          contact_id: '{{event.payload.contact_id}}',
+          trigger: '{{event.type}}',
+        },
+      },
+      output_variable: 'score_result',
+      run_conditions: [
+        { field: '{{event.payload.contact_id}}', operator: 'is_not_empty' },
+      ],
+    },
+
+    // Step 2: Company-level signal
+    {
+      name: 'Rescore Company Contacts',
+      description: 'Recalculate scores for everyone at the signal\'s company',
+      step_order: 2,
+      action_type: 'tool_call',
+      action_config: {
+        tool_name: 'rescore_contacts',
+        input_mapping: {
+          company_id: '{{event.payload.company_id}}',
+          stale_hours: 0,
+          trigger: '{{event.type}}',
+        },
+      },
+      output_variable: 'rescore_result',
+      run_conditions: [
+        { field: '{{event.payload.contact_id}}', operator: 'is_empty' },
+        { field: '{{event.payload.company_id}}', operator: 'is_not_empty' },
+      ],
+    },
+  ],
+};
@@ -12,7 +12,7 @@
  * 3. If no work email yet → derive domain from company → Generect to find/validate email
  *
  * Enrichment Tiers (after initial score):
- * - Deep (7-10): Perplexity deep + LinkedIn + full analysis
+ * - Deep (7-10): Perplexity deep + LinkedIn (in parallel) + full analysis
  * - Light (5-6): Perplexity light
  * - None (0-4): Skip enrichment (save money)
  *
@@ -28,7 +28,7 @@ export const sdrAgent = {
   description: 'Researcher + Scorer: ensures work email via Generect, scores lead, enriches based on tier, routes to Contact Agent',
   category: 'enrichment',
   trigger_event: 'intake.new_contact',
-  version: 4,
+  version: 5,
 
   steps: [
     // =========================================================================
@@ -301,45 +301,56 @@ Enrichment tiers from config or default: 7-10=deep, 5-6=light, 0-4=none`,
     // PHASE 5: Tiered Enrichment (based on score)
     // =========================================================================
 
-    // Step 14: Perplexity Research (both tiers, depth varies)
+    // Step 14: Perplexity + LinkedIn run side by side
     {
-      name: 'Perplexity Research',
-      description: 'Company research (depth based on tier)',
+      name: 'Parallel Enrichment',
+      description: 'Company research and LinkedIn scrape at the same time',
       step_order: 14,
-      action_type: 'tool_call',
+      action_type: 'parallel',
       action_config: {
-        tool_name: 'research_company_perplexity',
-        input_mapping: {
-          company_name: '{{contact.company_name}}',
-          domain: '{{derived_domain.domain}}',
-          depth: '{{initial_score.enrichment_tier}}',
-        },
-      },
-      output_variable: 'perplexity_data',
-      on_error: 'continue',
-      run_conditions: [
-        { field: '{{initial_score.enrichment_tier}}', operator: 'in', value: ['deep', 'light'] },
-      ],
-    },
+        wait_for: 'all',
+        steps: [
+          // Both tiers, depth varies
+          {
+            name: 'Perplexity Research',
+            description: 'Company research (depth based on tier)',
+            action_type: 'tool_call',
+            action_config: {
+              tool_name: 'research_company_perplexity',
+              input_mapping: {
+                company_name: '{{contact.company_name}}',
+                domain: '{{derived_domain.domain}}',
+                depth: '{{initial_score.enrichment_tier}}',
+              },
+            },
+            output_variable: 'perplexity_data',
+            on_error: 'continue',
+          },
 
-    // TIER: DEEP ONLY - LinkedIn
-    {
-      name: 'LinkedIn Scrape',
-      description: 'Get LinkedIn posts and profile data (max 10 posts)',
-      step_order: 15,
-      action_type: 'tool_call',
-      action_config: {
-        tool_name: 'scrape_linkedin_profile',
-        input_mapping: {
-          linkedin_url: '{{contact.linkedin_url}}',
-          limit: 10,
-        },
+          // TIER: DEEP ONLY - LinkedIn
+          {
+            name: 'LinkedIn Scrape',
+            description: 'Get LinkedIn posts and profile data (max 10 posts)',
+            action_type: 'tool_call',
+            action_config: {
+              tool_name: 'scrape_linkedin_profile',
+              input_mapping: {
+                linkedin_url: '{{contact.linkedin_url}}',
+                limit: 10,
+              },
+            },
+            output_variable: 'linkedin_data',
+            on_error: 'continue',
+            run_conditions: [
+              { field: '{{initial_score.enrichment_tier}}', operator: '==', value: 'deep' },
+              { field: '{{contact.linkedin_url}}', operator: 'is_not_empty' },
+            ],
+          },
+        ],
       },
-      output_variable: 'linkedin_data',
       on_error: 'continue',
       run_conditions: [
-        { field: '{{initial_score.enrichment_tier}}', operator: '==', value: 'deep' },
-        { field: '{{contact.linkedin_url}}', operator: 'is_not_empty' },
+        { field: '{{initial_score.enrichment_tier}}', operator: 'in', value: ['deep', 'light'] },
       ],
     },
 
@@ -347,7 +358,7 @@ Enrichment tiers from config or default: 7-10=deep, 5-6=light, 0-4=none`,
     {
       name: 'Store Enrichment Data',
       description: 'Save all enrichment results to contact',
-      step_order: 16,
+      step_order: 15,
       action_type: 'tool_call',
       action_config: {
         tool_name: 'update_contact',
@@ -374,7 +385,7 @@ Enrichment tiers from config or default: 7-10=deep, 5-6=light, 0-4=none`,
     {
       name: 'Deep Analysis',
       description: 'Synthesize all data, generate insights for high-value leads',
-      step_order: 17,
+      step_order: 16,
       action_type: 'ai_prompt',
       action_config: {
         prompt_template: `You are analyzing a high-value lead. Synthesize all available data and provide actionable intelligence.
@@ -415,7 +426,7 @@ Respond with JSON:
     {
       name: 'Store Analysis',
       description: 'Save deep analysis to contact',
-      step_order: 18,
+      step_order: 17,
       action_type: 'tool_call',
       action_config: {
         tool_name: 'update_contact',
@@ -435,7 +446,7 @@ Respond with JSON:
     {
       name: 'Re-Score',
       description: 'Update score based on enrichment findings',
-      step_order: 19,
+      step_order: 18,
       action_type: 'ai_prompt',
       action_config: {
         prompt_template: `Re-evaluate this lead score based on enrichment data.
@@ -467,7 +478,7 @@ Respond with JSON:
     {
       name: 'Update Final Score',
       description: 'Store re-scored value',
-      step_order: 20,
+      step_order: 19,
       action_type: 'tool_call',
       action_config: {
         tool_name: 'update_contact',
@@ -492,7 +503,7 @@ Respond with JSON:
     {
       name: 'Route to Contact Agent',
       description: 'Hand off to Contact Agent for notification/routing',
-      step_order: 21,
+      step_order: 20,
       action_type: 'tool_call',
       action_config: {
         tool_name: 'emit_event',
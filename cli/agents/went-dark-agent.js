@@ -0,0 +1,124 @@
+/**
+ * Went Dark Agent
+ *
+ * Watchdog: finds contacts and open deals that stopped replying (or whose
+ * follow_up_date passed with nothing logged), creates a follow-up task with an
+ * AI-written reason and records a went_dark signal for each.
+ *
+ * Trigger: daily schedule (or emit went_dark.check to run it now)
+ * Window and priorities: team_config 'went_dark' (see cli/went-dark.js)
+ *
+ * Re-runs are safe: each silence episode has a dedupe key, so find_went_dark
+ * leaves out episodes already recorded and contacts with an open task. The
+ * signal is recorded after the task, so an episode is only marked handled
+ * once its task exists.
+ */
+
+export const wentDarkAgent = {
+  name: 'Went Dark Agent',
+  slug: 'went_dark_agent',
+  description: 'Watchdog: flags contacts and open deals with no reply or overdue follow-ups, and creates follow-up tasks',
+  category: 'notification',
+  trigger_event: 'went_dark.check',
+  schedule: { cron: '0 7 * * *', timezone: 'UTC', catch_up: 'latest' },
+  version: 1,
+
+  steps: [
+    // Step 1: Detect
+    {
+      name: 'Find Went Dark',
+      description: 'Find silent contacts/deals and overdue follow-ups not yet handled',
+      step_order: 1,
+      action_type: 'tool_call',
+      action_config: {
+        tool_name: 'find_went_dark',
+        input_mapping: {},
+      },
+      output_variable: 'went_dark',
+    },
+
+    // Step 2: Task + signal per finding. The signal is recorded last: if the
+    // task fails, the episode isn't marked handled and the next run retries it
+    {
+      name: 'Handle Findings',
+      description: 'Create a follow-up task, then record a went_dark signal, for each finding',
+      step_order: 2,
+      action_type: 'for_each',
+      action_config: {
+        items: '{{went_dark.findings}}',
+        item_variable: 'finding',
+        max_iterations: 50,
+        on_item_error: 'continue',
+        steps: [
+          {
+            name: 'Write Task Reason',
+            step_order: 1,
+            action_type: 'ai_prompt',
+            action_config: {
+              prompt_template: `Write a one or two sentence reason for a sales follow-up task. Be specific and actionable; no greeting.
+
+Situation: {{finding.kind == "no_reply" ? "No reply to our outreach" : "Planned follow-up date passed with no activity"}}
+Contact: {{finding.contact_name || "unknown"}}{{finding.contact_title ? ", " + finding.contact_title : ""}}{{finding.company_name ? " at " + finding.company_name : ""}}
+Deal: {{finding.deal_name ? finding.deal_name + " (" + finding.deal_stage + ")" : "none"}}
+Days silent: {{finding.days_silent || finding.days_overdue}}
+Unanswered touches: {{finding.unanswered_touches || 0}}
+Last outreach: {{finding.last_outbound_type || "n/a"}} "{{finding.last_outbound_subject || finding.follow_up_subject || ""}}" on {{finding.last_outbound_at || finding.follow_up_date}}
+Last reply: {{finding.last_reply_at || "never"}}`,
+              output_type: 'text',
+              max_tokens: 150,
+            },
+            output_variable: 'task_reason',
+            on_error: 'continue',
+          },
+          {
+            name: 'Create Follow-up Task',
+            step_order: 2,
+            action_type: 'tool_call',
+            action_config: {
+              tool_name: 'create_task',
+              input_mapping: {
+                contact_id: '{{finding.contact_id}}',
+                company_id: '{{finding.company_id}}',
+                deal_id: '{{finding.deal_id}}',
+                type: 'follow_up',
+                priority: '{{finding.priority}}',
+                reason: '{{task_reason.error ? "Went dark: no response for " + (finding.days_silent || finding.days_overdue) + " days" : task_reason}}',
+                due_date: '{{finding.due_date}}',
+              },
+            },
+            output_variable: 'task',
+          },
+          {
+            name: 'Record Signal',
+            step_order: 3,
+            action_type: 'tool_call',
+            action_config: {
+              tool_name: 'record_signal',
+              input_mapping: {
+                type: 'went_dark',
+                contact_id: '{{finding.contact_id}}',
+                company_id: '{{finding.company_id}}',
+                weight: -1,
+                source: 'went_dark_agent',
+                dedupe_key: '{{finding.dedupe_key}}',
+                data: {
+                  kind: '{{finding.kind}}',
+                  since: '{{finding.since}}',
+                  days_silent: '{{finding.days_silent}}',
+                  follow_up_date: '{{finding.follow_up_date}}',
+                  deal_id: '{{finding.deal_id}}',
+                  task_id: '{{task.task.id}}',
+                },
+              },
+            },
+            output_variable: 'dark_signal',
+          },
+        ],
+      },
+      output_variable: 'handled',
+      run_conditions: [
+        { field: '{{went_dark.findings}}', operator: 'is_not_empty' },
+      ],
+    },
+  ],
+};
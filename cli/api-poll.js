@@ -0,0 +1,283 @@
+/**
+ * API Poll Intake
+ *
+ * Pulls leads from intake sources with source_type 'api_poll': every
+ * poll_interval_minutes the event processor's slow poll fetches new pages of
+ * JSON records from the source's api_endpoint, and each record goes through
+ * the same mapping / validation / insert as a webhook post (cli/intake.js),
+ * so the contact.created trigger runs the Intake Agent.
+ *
+ * Paging (poll_config, see migration 025):
+ * - cursor: ?cursor_param=<cursor>, next cursor read from next_cursor_path
+ * - next URL: follow next_url_path
+ * - pages: ?page_param=1,2,... until a short or empty page; a poll that stops
+ *   at max_pages carries on from the next page, otherwise the next poll
+ *   starts again from page 1
+ * - since: ?since_param=<newest since_field seen> limits each poll to changes
+ * The cursor / page / since reached is saved in poll_state.api, and every record id
+ * (record_id_path, or a hash of the record) in intake_records, so records are
+ * never imported twice even when pages are re-read. Rejected records are
+ * tried again if they come back (e.g. after fixing field_mapping and
+ * resetting the poll state).
+ */
+
+import crypto from 'crypto';
+import { supabase, DEFAULT_TEAM_ID } from './supabase.js';
+import { IntakeError, readPath, ingestPayload } from './intake.js';
+
+const DEFAULT_POLL_MINUTES = 15;
+const DEFAULT_MAX_PAGES = 10;
+const REQUEST_TIMEOUT_MS = 30000;
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+function authenticate(url, credentials = {}) {
+  const headers = { Accept: 'application/json', ...(credentials.headers || {}) };
+
+  if (credentials.bearer_token) {
+    headers.Authorization = `Bearer ${credentials.bearer_token}`;
+  } else if (credentials.api_key && credentials.api_key_param) {
+    url.searchParams.set(credentials.api_key_param, credentials.api_key);
+  } else if (credentials.api_key) {
+    headers[credentials.api_key_header || 'X-Api-Key'] = credentials.api_key;
+  } else if (credentials.username) {
+    headers.Authorization = `Basic ${Buffer.from(`${credentials.username}:${credentials.password || ''}`).toString('base64')}`;
+  }
+
+  return headers;
+}
+
+async function fetchPage(source, url) {
+  const target = new URL(url);
+  const headers = authenticate(target, source.api_credentials || {});
+
+  const response = await fetch(target, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new Error(`GET ${target.pathname} returned ${response.status}: ${text.slice(0, 200)}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`GET ${target.pathname} did not return JSON`);
+  }
+}
+
+function pageUrl(source, config, { cursor, page, since }) {
+  const url = new URL(source.api_endpoint);
+  for (const [key, value] of Object.entries(config.query || {})) url.searchParams.set(key, value);
+
+  if (config.page_size_param && config.page_size) url.searchParams.set(config.page_size_param, config.page_size);
+  if (config.since_param && since) url.searchParams.set(config.since_param, since);
+  if (config.cursor_param && cursor) url.searchParams.set(config.cursor_param, cursor);
+  if (config.page_param) url.searchParams.set(config.page_param, page);
+
+  return url.toString();
+}
+
+function extractRecords(body, config) {
+  if (config.records_path) {
+    const records = readPath(body, config.records_path);
+    if (!Array.isArray(records)) throw new Error(`records_path ${config.records_path} is not an array`);
+    return records;
+  }
+  if (Array.isArray(body)) return body;
+  for (const key of ['data', 'results', 'items', 'records']) {
+    if (Array.isArray(body?.[key])) return body[key];
+  }
+  throw new Error('No record array in response (set poll_config.records_path)');
+}
+
+function recordId(record, config) {
+  const id = readPath(record, config.record_id_path || '$.id');
+  if (id !== undefined && id !== null && id !== '') return String(id);
+  // No id: the record's content identifies it
+  return `sha1:${crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex')}`;
+}
+
+function laterOf(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const [ta, tb] = [Date.parse(a), Date.parse(b)];
+  if (Number.isNaN(ta) || Number.isNaN(tb)) return String(b) > String(a) ? b : a;
+  return tb > ta ? b : a;
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+async function recordResult(source, externalId, result) {
+  await supabase
+    .from('intake_records')
+    .upsert({ team_id: DEFAULT_TEAM_ID, source_id: source.id, external_id: externalId, error: null, ...result },
+      { onConflict: 'source_id,external_id' });
+}
+
+async function importRecords(source, records, config, totals) {
+  const ids = records.map(record => recordId(record, config));
+
+  const { data: seen, error } = await supabase
+    .from('intake_records')
+    .select('external_id')
+    .eq('source_id', source.id)
+    .eq('status', 'imported')
+    .in('external_id', ids);
+
+  if (error) throw new Error(error.message);
+  const known = new Set((seen || []).map(r => r.external_id));
+
+  for (const [index, record] of records.entries()) {
+    const externalId = ids[index];
+    if (config.since_field) totals.since = laterOf(totals.since, readPath(record, config.since_field));
+
+    if (known.has(externalId)) {
+      totals.duplicates++;
+      continue;
+    }
+    known.add(externalId);
+
+    try {
+      const { contact } = await ingestPayload(source, record);
+      await recordResult(source, externalId, { status: 'imported', contact_id: contact.id });
+      totals.imported.push({ external_id: externalId, contact_id: contact.id });
+    } catch (err) {
+      if (!(err instanceof IntakeError)) throw err;
+      await recordResult(source, externalId, { status: 'rejected', error: err.message });
+      totals.rejected.push({ external_id: externalId, error: err.code, message: err.message });
+    }
+  }
+}
+
+/**
+ * Fetch and import new records from one api_poll source
+ *
+ * @returns {{source, pages, fetched, imported: Array, rejected: Array, duplicates: number, state}}
+ */
+export async function pollApiSource(source) {
+  if (!source.api_endpoint) throw new Error(`Intake source ${source.name} has no api_endpoint`);
+
+  const config = source.poll_config || {};
+  const saved = source.poll_state?.api || {};
+  const maxPages = config.max_pages || DEFAULT_MAX_PAGES;
+  const totals = { pages: 0, fetched: 0, imported: [], rejected: [], duplicates: 0, since: saved.since || null };
+
+  // Where the next request starts; saved so the next poll resumes from it
+  let cursor = saved.cursor || null;
+  let nextUrl = saved.next_url || null;
+  let page = saved.page || 1;
+  let failure = null;
+
+  try {
+    while (totals.pages < maxPages) {
+      const url = nextUrl || pageUrl(source, config, { cursor, page, since: saved.since });
+      const body = await fetchPage(source, url);
+      const records = extractRecords(body, config);
+      totals.pages++;
+      totals.fetched += records.length;
+
+      await importRecords(source, records, config, totals);
+
+      if (config.next_cursor_path) {
+        const next = readPath(body, config.next_cursor_path);
+        // Last page: keep its cursor so the next poll re-reads it for new records
+        if (!next || next === cursor || records.length === 0) break;
+        cursor = next;
+      } else if (config.next_url_path) {
+        const next = readPath(body, config.next_url_path);
+        if (!next || records.length === 0) break;
+        nextUrl = new URL(next, source.api_endpoint).toString();
+      } else if (config.page_param) {
+        // Short page: the end of the feed, start over (with the new since) next poll
+        if (records.length === 0 || (config.page_size && records.length < config.page_size)) {
+          page = 1;
+          break;
+        }
+        page++;
+      } else {
+        break;
+      }
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  // since only moves on once the records up to it are in: a failed poll (the
+  // failing record may be older than records already seen) or a page walk
+  // that isn't finished asks again from the old value
+  const since = failure || page > 1 ? saved.since || null : totals.since;
+  const state = { cursor, next_url: nextUrl, page, since };
+  const rejectedNote = totals.rejected.length > 0 ? `${totals.rejected.length} record(s) rejected - see intake_records` : null;
+
+  await supabase
+    .from('intake_sources')
+    .update({
+      poll_state: { ...(source.poll_state || {}), api: state },
+      last_polled_at: new Date().toISOString(),
+      last_error: failure ? failure.message : rejectedNote,
+    })
+    .eq('id', source.id);
+
+  if (failure) throw failure;
+
+  if (totals.imported.length > 0 || totals.rejected.length > 0) {
+    console.log(`[ApiPoll] ${source.name}: ${totals.imported.length} imported, ${totals.rejected.length} rejected, ${totals.duplicates} already seen`);
+  }
+
+  return {
+    source: source.name,
+    pages: totals.pages,
+    fetched: totals.fetched,
+    imported: totals.imported,
+    rejected: totals.rejected,
+    duplicates: totals.duplicates,
+    state,
+  };
+}
+
+/**
+ * Poll every enabled api_poll source whose interval has passed. Each source
+ * is claimed via last_polled_at so processors don't poll the same API at once.
+ */
+export async function pollApiSources(now = Date.now()) {
+  const { data: sources, error } = await supabase
+    .from('intake_sources')
+    .select('*')
+    .eq('source_type', 'api_poll')
+    .eq('is_enabled', true);
+
+  if (error) throw new Error(error.message);
+
+  const results = [];
+  for (const source of sources || []) {
+    if (!source.api_endpoint) continue;
+
+    const interval = (source.poll_interval_minutes || DEFAULT_POLL_MINUTES) * 60000;
+    if (source.last_polled_at && now - new Date(source.last_polled_at).getTime() < interval) continue;
+
+    let claim = supabase
+      .from('intake_sources')
+      .update({ last_polled_at: new Date(now).toISOString() })
+      .eq('id', source.id);
+    claim = source.last_polled_at ? claim.eq('last_polled_at', source.last_polled_at) : claim.is('last_polled_at', null);
+
+    const { data: claimed } = await claim.select('id');
+    if (!claimed?.[0]) continue;
+
+    try {
+      results.push(await pollApiSource(source));
+    } catch (err) {
+      console.error(`[ApiPoll] ${source.name}: ${err.message}`);
+      results.push({ source: source.name, error: err.message });
+    }
+  }
+  return results;
+}
+
+export default {
+  pollApiSource,
+  pollApiSources,
+};
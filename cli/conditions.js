@@ -0,0 +1,270 @@
+/**
+ * Step Conditions
+ *
+ * Typed evaluator for workflow step run_conditions. Field values are read from
+ * context with their original types (booleans stay booleans, numbers stay
+ * numbers), so `{ field: '{{pdl_data.success}}', operator: '==', value: true }`
+ * compares true with true instead of "true" with true.
+ *
+ * Condition shapes:
+ *   { field: '{{contact.email}}', operator: 'is_not_empty' }
+ *   { field: 'initial_score.enrichment_tier', operator: 'in', value: ['deep', 'light'] }
+ *   { any: [ ...conditions ] }      - at least one must pass
+ *   { all: [ ...conditions ] }      - every one must pass
+ * A top-level array is an implicit `all`.
+ *
+ * `field` is a context path or an expression, with or without {{ }}
+ * (see expression.js; {{ }} fields may also use templates.js filters).
+ * `value` may itself be a '{{path}}' reference.
+ */
+
+import { evaluateExpression, validateExpression, looseEquals } from './expression.js';
+import { resolveMapping, validateTemplate } from './templates.js';
+
+// ============================================================================
+// OPERATORS
+// ============================================================================
+// Canonical name -> aliases accepted in agent definitions
+
+const OPERATOR_ALIASES = {
+  equals: ['==', '===', 'eq', 'is'],
+  not_equals: ['!=', '!==', 'neq', 'is_not'],
+  greater_than: ['>', 'gt'],
+  greater_than_or_equal: ['>=', 'gte'],
+  less_than: ['<', 'lt'],
+  less_than_or_equal: ['<=', 'lte'],
+  in: ['one_of'],
+  not_in: ['not in', 'none_of'],
+  contains: [],
+  not_contains: [],
+  starts_with: [],
+  ends_with: [],
+  matches: ['=~', 'regex'],
+  exists: [],
+  not_exists: [],
+  is_empty: [],
+  is_not_empty: [],
+};
+
+const OPERATORS = {};
+for (const [name, aliases] of Object.entries(OPERATOR_ALIASES)) {
+  OPERATORS[name] = name;
+  for (const alias of aliases) OPERATORS[alias] = name;
+}
+
+// Operators that don't take a `value`
+const UNARY_OPERATORS = new Set(['exists', 'not_exists', 'is_empty', 'is_not_empty']);
+
+export const SUPPORTED_OPERATORS = Object.keys(OPERATORS);
+
+// ============================================================================
+// VALUE RESOLUTION
+// ============================================================================
+
+const SINGLE_TEMPLATE = /^\s*\{\{([\s\S]+?)\}\}\s*$/;
+
+/**
+ * Read a field (path, expression or '{{expression}}') from context, keeping its type
+ */
+export function resolveField(field, context) {
+  if (typeof field !== 'string') return field;
+
+  // '{{expr | filter}}' keeps its type; "{{first_name}} {{last_name}}" renders as text
+  if (field.includes('{{')) {
+    return resolveMapping(field, context);
+  }
+
+  return evaluateExpression(field, context);
+}
+
+function resolveValue(value, context) {
+  if (typeof value === 'string' && SINGLE_TEMPLATE.test(value)) {
+    return resolveField(value, context);
+  }
+  return value;
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const literal = /^\/(.+)\/([gimsuy]*)$/.exec(pattern);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+function compareNumbers(a, b, test) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  const x = Number(a);
+  const y = Number(b);
+  if (Number.isNaN(x) || Number.isNaN(y)) return false;
+  return test(x, y);
+}
+
+function applyOperator(operator, actual, expected) {
+  switch (operator) {
+    case 'equals':
+      return looseEquals(actual, expected);
+    case 'not_equals':
+      return !looseEquals(actual, expected);
+    case 'greater_than':
+      return compareNumbers(actual, expected, (a, b) => a > b);
+    case 'greater_than_or_equal':
+      return compareNumbers(actual, expected, (a, b) => a >= b);
+    case 'less_than':
+      return compareNumbers(actual, expected, (a, b) => a < b);
+    case 'less_than_or_equal':
+      return compareNumbers(actual, expected, (a, b) => a <= b);
+    case 'in':
+      return Array.isArray(expected) && expected.some((item) => looseEquals(actual, item));
+    case 'not_in':
+      return !Array.isArray(expected) || !expected.some((item) => looseEquals(actual, item));
+    case 'contains':
+      if (Array.isArray(actual)) return actual.some((item) => looseEquals(item, expected));
+      return actual !== null && actual !== undefined && String(actual).includes(String(expected));
+    case 'not_contains':
+      return !applyOperator('contains', actual, expected);
+    case 'starts_with':
+      return actual !== null && actual !== undefined && String(actual).startsWith(String(expected));
+    case 'ends_with':
+      return actual !== null && actual !== undefined && String(actual).endsWith(String(expected));
+    case 'matches':
+      return actual !== null && actual !== undefined && toRegExp(expected).test(String(actual));
+    case 'exists':
+      return actual !== null && actual !== undefined;
+    case 'not_exists':
+      return actual === null || actual === undefined;
+    case 'is_empty':
+      return isEmpty(actual);
+    case 'is_not_empty':
+      return !isEmpty(actual);
+  }
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Evaluate a single condition or an any/all group
+ */
+export function evaluateCondition(condition, context) {
+  if (Array.isArray(condition)) {
+    return condition.every((c) => evaluateCondition(c, context));
+  }
+
+  if (condition.all) {
+    return condition.all.every((c) => evaluateCondition(c, context));
+  }
+
+  if (condition.any) {
+    return condition.any.some((c) => evaluateCondition(c, context));
+  }
+
+  const operator = OPERATORS[condition.operator];
+  if (!operator) {
+    throw new Error(`Unknown condition operator: ${condition.operator}`);
+  }
+
+  const actual = resolveField(condition.field, context);
+  const expected = resolveValue(condition.value, context);
+
+  return applyOperator(operator, actual, expected);
+}
+
+/**
+ * Evaluate a step's run_conditions (all must pass)
+ */
+export function evaluateConditions(conditions, context) {
+  if (!conditions || conditions.length === 0) return true;
+  return evaluateCondition(conditions, context);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check conditions for unknown operators, missing values and bad syntax
+ *
+ * @param {Array|Object} conditions
+ * @param {string} where - Label used in messages (e.g. "step 4 (Save Email)")
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateConditions(conditions, where = 'conditions') {
+  const errors = [];
+
+  function check(condition, label) {
+    if (Array.isArray(condition)) {
+      condition.forEach((c, i) => check(c, `${label}[${i}]`));
+      return;
+    }
+
+    if (!condition || typeof condition !== 'object') {
+      errors.push(`${label}: condition must be an object`);
+      return;
+    }
+
+    for (const group of ['all', 'any']) {
+      if (group in condition) {
+        if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+          errors.push(`${label}: '${group}' must be a non-empty array`);
+        } else {
+          condition[group].forEach((c, i) => check(c, `${label}.${group}[${i}]`));
+        }
+        return;
+      }
+    }
+
+    const operator = OPERATORS[condition.operator];
+    if (!operator) {
+      errors.push(`${label}: unknown operator '${condition.operator}' (supported: ${SUPPORTED_OPERATORS.join(', ')})`);
+      return;
+    }
+
+    if (condition.field === undefined || condition.field === '') {
+      errors.push(`${label}: missing 'field'`);
+    } else if (typeof condition.field === 'string') {
+      const problems = condition.field.includes('{{')
+        ? validateTemplate(condition.field)
+        : [validateExpression(condition.field)].filter(Boolean);
+
+      for (const problem of problems) {
+        errors.push(`${label}: invalid field '${condition.field}': ${problem}`);
+      }
+    }
+
+    if (!UNARY_OPERATORS.has(operator) && !('value' in condition)) {
+      errors.push(`${label}: operator '${condition.operator}' needs a 'value'`);
+    }
+
+    if ((operator === 'in' || operator === 'not_in') && 'value' in condition
+      && !Array.isArray(condition.value) && !SINGLE_TEMPLATE.test(String(condition.value))) {
+      errors.push(`${label}: operator '${condition.operator}' needs an array 'value'`);
+    }
+
+    if (operator === 'matches' && typeof condition.value === 'string') {
+      try {
+        toRegExp(condition.value);
+      } catch (e) {
+        errors.push(`${label}: invalid regex '${condition.value}': ${e.message}`);
+      }
+    }
+  }
+
+  check(conditions, where);
+  return errors;
+}
+
+export default {
+  SUPPORTED_OPERATORS,
+  resolveField,
+  evaluateCondition,
+  evaluateConditions,
+  validateConditions,
+};
@@ -0,0 +1,261 @@
+/**
+ * Dry-Run Sandbox
+ *
+ * Backs triggerWorkflow(slug, context, { dryRun: true }). Decides which tool
+ * calls may run for real (read-only lookups and pure helpers) and supplies
+ * responses for everything else, so a workflow can be exercised end to end
+ * without paying for enrichment APIs or writing rows.
+ *
+ * A caller fixture also replaces a read-only tool's live call.
+ *
+ * Response lookup order for stubbed tools and AI prompts:
+ *   1. fixtures / aiOutputs passed by the caller (keyed by tool name,
+ *      output_variable or "step_<order>"; a function receives the input)
+ *   2. the output recorded for the same step in the last completed run
+ *   3. built-in fixtures (enrichment APIs) or a generic stub
+ */
+
+import { supabase } from './supabase.js';
+
+// ============================================================================
+// TOOL CLASSIFICATION
+// ============================================================================
+
+// Tools that only read data (or are pure functions) run live in dry-run mode
+export const READ_ONLY_TOOLS = new Set([
+  'search_companies',
+  'search_contacts',
+  'get_company_brief',
+  'get_contact_brief',
+  'get_call_list',
+  'get_pipeline_forecast',
+  'list_open_tasks',
+  'list_pipeline',
+  'get_custom_fields',
+  'list_custom_field_values',
+  'list_agents',
+  'get_agent_details',
+  'get_recent_agent_activity',
+  'get_pending_events',
+  'get_dead_letter_events',
+  'get_contact',
+  'normalize_contact',
+  'classify_email',
+  'extract_domain',
+  'get_product_context',
+  'get_scoring_rules',
+  'get_icp',
+  'get_scoring_rules_config',
+  'explain_score',
+  'get_score_history',
+  'list_signals',
+  'find_went_dark',
+  'list_notifications',
+  'list_notification_rules',
+  'list_sequences',
+  'list_sequence_enrollments',
+  'list_intake_sources',
+  'list_intake_records',
+  'get_config',
+  'list_integrations',
+]);
+
+// ============================================================================
+// BUILT-IN FIXTURES
+// ============================================================================
+// Shaped like the real enrichment-apis.js responses, filled from the input
+
+const ENRICHMENT_FIXTURES = {
+  enrich_person_pdl: (input) => ({
+    success: true,
+    data: {
+      work_email: input.email || null,
+      personal_email: null,
+      linkedin_url: input.linkedin_url || 'https://www.linkedin.com/in/dry-run-profile',
+      title: 'VP of Engineering',
+      company: input.company || 'Example Corp',
+      company_domain: 'example.com',
+      location: 'San Francisco, California, United States',
+      phone: null,
+      industry: 'computer software',
+      skills: [],
+    },
+  }),
+  find_email_hunter: (input) => ({
+    success: true,
+    data: {
+      email: `${(input.first_name || 'test').toLowerCase()}@${input.domain || 'example.com'}`,
+      score: 90,
+      domain: input.domain,
+      first_name: input.first_name,
+      last_name: input.last_name,
+      position: null,
+    },
+  }),
+  verify_email_hunter: (input) => ({
+    success: true,
+    data: { status: 'valid', score: 95, email: input.email, is_disposable: false },
+  }),
+  find_email_generect: (input) => ({
+    success: true,
+    data: {
+      email: `${(input.first_name || 'test').toLowerCase()}.${(input.last_name || 'user').toLowerCase()}@${input.domain || 'example.com'}`,
+      is_valid: true,
+      result_status: 'valid',
+      exists: 'yes',
+      catch_all: false,
+    },
+  }),
+  scrape_linkedin_profile: (input) => ({
+    success: true,
+    data: {
+      name: 'Dry Run Profile',
+      headline: 'VP of Engineering at Example Corp',
+      summary: 'Fixture LinkedIn profile used in dry-run mode.',
+      profile_url: input.linkedin_url,
+      experience: [{ title: 'VP of Engineering', company: 'Example Corp', duration: '3 yrs' }],
+      education: [],
+      skills: [],
+      posts: [],
+    },
+  }),
+  research_company_perplexity: (input) => ({
+    success: true,
+    data: {
+      company_name: input.company_name,
+      domain: input.domain,
+      depth: input.depth || 'light',
+      focus_areas: input.focus_areas || [],
+      results: [{ title: `${input.company_name || 'Company'} overview`, url: 'https://example.com', snippet: 'Fixture research result.' }],
+      result_count: 1,
+    },
+  }),
+};
+
+// ============================================================================
+// SANDBOX
+// ============================================================================
+
+/**
+ * Create a dry-run sandbox for one workflow execution
+ *
+ * @param {Object} workflow - Workflow template with steps
+ * @param {Object} options
+ * @param {Object} options.fixtures - Tool responses keyed by tool name, output_variable or step_<order>
+ * @param {Object} options.aiOutputs - Canned AI outputs keyed by output_variable or step_<order>
+ * @param {boolean} options.useRecorded - Replay outputs from the last completed run (default true)
+ * @param {boolean} options.liveAi - Call the model for ai_prompt steps instead of canned output
+ */
+export async function createDryRun(workflow, { fixtures = {}, aiOutputs = {}, useRecorded = true, liveAi = false } = {}) {
+  const recorded = useRecorded ? await loadRecordedOutputs(workflow) : new Map();
+  const trace = [];
+  const emittedEvents = [];
+
+  function findOverride(source, step, toolName) {
+    const keys = [toolName, step.output_variable, `step_${step.step_order}`].filter(Boolean);
+    const key = keys.find((k) => Object.prototype.hasOwnProperty.call(source, k));
+    return key ? { value: source[key] } : null;
+  }
+
+  return {
+    trace,
+    emittedEvents,
+    liveAi,
+
+    /**
+     * Run the tool for real? Read-only tools do, unless the caller passed a fixture
+     */
+    isLiveTool(step, toolName) {
+      return READ_ONLY_TOOLS.has(toolName) && !findOverride(fixtures, step, toolName);
+    },
+
+    /**
+     * Response for a tool call that must not run for real
+     */
+    async stubTool(step, toolName, input) {
+      const override = findOverride(fixtures, step, toolName);
+      if (override) {
+        const output = typeof override.value === 'function' ? await override.value(input) : override.value;
+        return { output, source: 'fixture' };
+      }
+
+      if (recorded.has(recordKey(step))) {
+        return { output: recorded.get(recordKey(step)), source: 'recorded' };
+      }
+
+      if (ENRICHMENT_FIXTURES[toolName]) {
+        return { output: ENRICHMENT_FIXTURES[toolName](input), source: 'fixture' };
+      }
+
+      return { output: { success: true, dry_run: true, tool: toolName }, source: 'stub' };
+    },
+
+    /**
+     * Canned output for an ai_prompt step
+     */
+    async stubAiPrompt(step, config, prompt) {
+      const override = findOverride(aiOutputs, step, null);
+      if (override) {
+        const output = typeof override.value === 'function' ? await override.value(prompt) : override.value;
+        return { output, source: 'fixture' };
+      }
+
+      if (recorded.has(recordKey(step))) {
+        return { output: recorded.get(recordKey(step)), source: 'recorded' };
+      }
+
+      const output = config.output_type === 'json' ? {} : `[dry run] ${step.name}`;
+      return { output, source: 'stub' };
+    },
+
+    record(entry) {
+      trace.push(entry);
+    },
+
+    recordEvent(event) {
+      emittedEvents.push(event);
+    },
+  };
+}
+
+// Parallel members and loop iterations log under their group's step id, so key by name too
+function recordKey(step) {
+  return `${step.id}:${step.name}`;
+}
+
+/**
+ * Latest completed output per step from previous runs of this workflow
+ */
+async function loadRecordedOutputs(workflow) {
+  const stepIds = (workflow.workflow_steps || []).map((s) => s.id).filter(Boolean);
+  const recorded = new Map();
+  if (stepIds.length === 0) return recorded;
+
+  const { data, error } = await supabase
+    .from('workflow_run_logs')
+    .select('workflow_step_id, step_name, output, executed_at')
+    .in('workflow_step_id', stepIds)
+    .eq('status', 'completed')
+    .not('output', 'is', null)
+    .order('executed_at', { ascending: false })
+    .limit(stepIds.length * 5);
+
+  if (error) {
+    console.log(`[DryRun] Could not load recorded outputs: ${error.message}`);
+    return recorded;
+  }
+
+  for (const log of data || []) {
+    const key = recordKey({ id: log.workflow_step_id, name: log.step_name });
+    if (!recorded.has(key)) {
+      recorded.set(key, log.output);
+    }
+  }
+
+  return recorded;
+}
+
+export default {
+  READ_ONLY_TOOLS,
+  createDryRun,
+};
@@ -0,0 +1,605 @@
+/**
+ * Email Intake
+ *
+ * Turns inbound mail into `email_received` interactions. Messages come from
+ * .eml / mbox files (import_emails) or an IMAP mailbox configured on an
+ * intake source with source_type 'email' (polled by the event processor).
+ *
+ * For each message:
+ * - Skipped if its Message-ID was already logged, or it was sent by us
+ * - Threaded to our earlier email_sent interaction via In-Reply-To/References
+ *   (inherits its contact and deal)
+ * - Matched to a contact by sender email; unknown senders are inserted as
+ *   contacts, so the contact.created trigger runs the normal intake pipeline
+ * - Stored with subject, body (quoted reply text removed) and a detected
+ *   sentiment (positive / neutral / negative, keyword based - no AI call)
+ *
+ * Logging an email_received interaction also stops the contact's active
+ * sequences (migration 022).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { supabase, DEFAULT_TEAM_ID, DEFAULT_USER_ID, escapeLike } from './supabase.js';
+import { fetchNewMessages } from './imap.js';
+import { getSmtpSettings } from './email.js';
+
+const MAX_CONTENT_LENGTH = 20000;
+const DEFAULT_POLL_MINUTES = 5;
+const MAX_MESSAGE_ATTEMPTS = 5;          // Polls a failing IMAP message is retried before it's skipped
+
+// ============================================================================
+// MIME PARSING
+// ============================================================================
+
+function decodeCharset(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.toLowerCase().replace(/^"|"$/g, '')).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < source.length; i++) {
+    const hex = source[i] === '=' && source.slice(i + 1, i + 3);
+    if (hex && /^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * RFC 2047 encoded words: =?UTF-8?B?...?= / =?ISO-8859-1?Q?...?=
+ */
+function decodeHeader(value) {
+  // Raw 8-bit headers are usually UTF-8
+  const text = /[\x80-\xff]/.test(value) ? Buffer.from(value, 'latin1').toString('utf8') : value;
+
+  return text
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, encoding, encoded) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(encoded, 'base64')
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const index = line.indexOf(':');
+    if (index <= 0) continue;
+    const name = line.slice(0, index).trim().toLowerCase();
+    (headers[name] = headers[name] || []).push(line.slice(index + 1).trim());
+  }
+  return headers;
+}
+
+function splitHeaderBody(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) return [raw, ''];
+  return [raw.slice(0, match.index), raw.slice(match.index + match[0].length)];
+}
+
+// "text/plain; charset=utf-8; name=\"a.txt\"" -> { value, params }
+function parseHeaderParams(value = '') {
+  const [first, ...rest] = value.split(';');
+  const params = {};
+  for (const part of rest) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    params[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).trim().replace(/^"|"$/g, '');
+  }
+  return { value: first.trim().toLowerCase(), params };
+}
+
+function decodeBody(body, encoding = '', charset) {
+  const transfer = encoding.toLowerCase();
+  let bytes;
+  if (transfer === 'base64') bytes = Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  else if (transfer === 'quoted-printable') bytes = decodeQuotedPrintable(body);
+  else bytes = Buffer.from(body, 'latin1');
+  return decodeCharset(bytes, charset || 'utf-8');
+}
+
+/**
+ * Walk a MIME entity and collect its text/plain and text/html parts
+ */
+function collectText(headers, body, found = { plain: [], html: [] }) {
+  const type = parseHeaderParams(headers['content-type']?.[0] || 'text/plain');
+  const disposition = parseHeaderParams(headers['content-disposition']?.[0] || '').value;
+
+  if (type.value.startsWith('multipart/') && type.params.boundary) {
+    const boundary = `--${type.params.boundary}`;
+    const parts = body.split(boundary).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) break;
+      const [partHeaders, partBody] = splitHeaderBody(part.replace(/^\r?\n/, ''));
+      collectText(parseHeaders(partHeaders), partBody.replace(/\r?\n$/, ''), found);
+    }
+    return found;
+  }
+
+  if (disposition === 'attachment') return found;
+
+  if (type.value === 'text/plain' || type.value === 'text/html') {
+    const text = decodeBody(body, headers['content-transfer-encoding']?.[0], type.params.charset);
+    found[type.value === 'text/plain' ? 'plain' : 'html'].push(text);
+  }
+  return found;
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Parse "Jane Doe <jane@acme.io>, bob@x.io" into [{name, email}]
+ */
+export function parseAddressList(value = '') {
+  const addresses = [];
+  for (const part of value.match(/(?:"[^"]*"|[^,])+/g) || []) {
+    const match = part.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>/);
+    const email = (match ? match[2] : part).trim().toLowerCase();
+    if (!email.includes('@')) continue;
+    addresses.push({ name: match ? match[1].trim() : '', email });
+  }
+  return addresses;
+}
+
+function messageIds(value = '') {
+  return value.match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Parse one RFC 5322 message (.eml contents)
+ *
+ * @param {Buffer|string} raw
+ * @returns {{message_id, in_reply_to, references, from, to, cc, subject, date, text}}
+ */
+export function parseEmail(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+  const [headerBlock, body] = splitHeaderBody(source);
+  const headers = parseHeaders(headerBlock);
+  const header = (name) => decodeHeader(headers[name]?.[0] || '');
+
+  const { plain, html } = collectText(headers, body);
+  const date = new Date(header('date'));
+
+  return {
+    message_id: messageIds(header('message-id'))[0] || null,
+    in_reply_to: messageIds(header('in-reply-to'))[0] || null,
+    references: messageIds(header('references')),
+    from: parseAddressList(header('from'))[0] || null,
+    to: parseAddressList(header('to')),
+    cc: parseAddressList(header('cc')),
+    subject: header('subject'),
+    date: Number.isNaN(date.getTime()) ? null : date.toISOString(),
+    text: (plain.length > 0 ? plain.join('\n') : htmlToText(html.join('\n'))).replace(/\r\n/g, '\n').trim(),
+  };
+}
+
+/**
+ * Split an mbox file into raw messages ("From " separator lines)
+ */
+export function splitMbox(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+  const messages = [];
+  let current = null;
+
+  for (const line of source.split(/\r?\n/)) {
+    if (/^From \S+/.test(line) && (current === null || current[current.length - 1] === '')) {
+      if (current) messages.push(current.join('\n'));
+      current = [];
+      continue;
+    }
+    if (current) current.push(line.replace(/^>(>*From )/, '$1'));
+  }
+  if (current) messages.push(current.join('\n'));
+
+  return messages.map(message => Buffer.from(message, 'latin1'));
+}
+
+// ============================================================================
+// CONTENT
+// ============================================================================
+
+/**
+ * Drop quoted history ("On ... wrote:", "> ..." lines) and the signature
+ */
+export function stripQuotedReply(text) {
+  const lines = text.split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const twoLines = `${line} ${lines[i + 1] || ''}`;
+    if (/^On\b.+wrote:\s*$/.test(line) || /^On\b.+\bwrote:\s*$/.test(twoLines.trim())) break;
+    if (/^-{2,}\s*Original Message\s*-{2,}/i.test(line)) break;
+    if (/^From:\s.+/.test(line) && kept.length > 0 && kept[kept.length - 1].trim() === '') break;
+    if (line === '-- ') break;
+    if (/^>/.test(line)) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+}
+
+// Phrases checked first; matches are removed so "not interested" doesn't count as "interested"
+const NEGATIVE_PHRASES = [
+  'not interested', 'no thanks', 'no thank you', 'unsubscribe', 'remove me', 'stop emailing',
+  'stop contacting', 'do not contact', "don't contact", 'not a good fit', 'not a fit', 'not the right time',
+  'not at this time', 'please stop', 'we will pass', "we'll pass", 'pass on this', 'no longer',
+  'too expensive', 'not a priority', 'already have a', 'not relevant',
+];
+const POSITIVE_PHRASES = [
+  'interested', 'sounds good', 'sounds great', "let's", 'love to', 'happy to', 'would like', 'keen',
+  'looking forward', 'book a', 'schedule', 'set up a call', 'demo', 'send over', 'count me in', 'excited',
+];
+const WEAK_POSITIVE = ['thanks', 'thank you', 'great', 'yes', 'perfect', 'appreciate'];
+
+/**
+ * Keyword sentiment of a reply: 'positive' | 'neutral' | 'negative'
+ */
+export function detectSentiment(text) {
+  let remaining = ` ${String(text || '').toLowerCase().replace(/[’]/g, "'")} `;
+
+  let negative = 0;
+  for (const phrase of NEGATIVE_PHRASES) {
+    while (remaining.includes(phrase)) {
+      negative++;
+      remaining = remaining.replace(phrase, ' ');
+    }
+  }
+
+  const count = (phrases) => phrases.filter(p => new RegExp(`\\b${p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(remaining)).length;
+  const positive = count(POSITIVE_PHRASES) * 2 + count(WEAK_POSITIVE);
+
+  if (negative > 0 && negative * 2 >= positive) return 'negative';
+  if (positive >= 2) return 'positive';
+  return 'neutral';
+}
+
+function nameFromAddress({ name, email }) {
+  const display = name && !name.includes('@') ? name.replace(/^"|"$/g, '') : '';
+  if (display) {
+    // "Doe, Jane" -> Jane Doe
+    const [last, first] = display.includes(',') ? display.split(',').map(s => s.trim()) : [null, null];
+    const parts = first ? [first, last] : display.split(/\s+/);
+    return { first_name: parts[0], last_name: parts.slice(1).join(' ') || null };
+  }
+
+  const local = email.split('@')[0].split('+')[0];
+  const words = local.split(/[._-]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1));
+  return { first_name: words[0] || local, last_name: words.slice(1).join(' ') || null };
+}
+
+// ============================================================================
+// INGEST
+// ============================================================================
+
+/**
+ * Addresses that are us (team users + the smtp sender) - their mail isn't inbound
+ */
+async function loadOwnAddresses() {
+  const own = new Set();
+
+  const { data: users } = await supabase.from('users').select('email');
+  for (const user of users || []) if (user.email) own.add(user.email.toLowerCase());
+
+  try {
+    const smtp = await getSmtpSettings();
+    const from = parseAddressList(smtp.from || '')[0];
+    if (from) own.add(from.email);
+  } catch {
+    // No smtp integration
+  }
+
+  return own;
+}
+
+async function findContactByEmail(email) {
+  for (const column of ['email', 'work_email']) {
+    const { data } = await supabase
+      .from('contacts')
+      .select('id, company_id, first_name, last_name, status')
+      .ilike(column, escapeLike(email))
+      .limit(1);
+    if (data?.[0]) return data[0];
+  }
+  return null;
+}
+
+async function findThread(message) {
+  const ids = [...new Set([message.in_reply_to, ...message.references].filter(Boolean))];
+  if (ids.length === 0) return null;
+
+  const { data } = await supabase
+    .from('interactions')
+    .select('id, contact_id, company_id, deal_id, subject, created_at')
+    .in('message_id', ids)
+    .eq('type', 'email_sent')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  return data?.[0] || null;
+}
+
+async function createSenderContact(address, message, source) {
+  const { first_name, last_name } = nameFromAddress(address);
+
+  const { data, error } = await supabase
+    .from('contacts')
+    .insert({
+      team_id: DEFAULT_TEAM_ID,
+      owner_id: DEFAULT_USER_ID,
+      first_name,
+      last_name,
+      email: address.email,
+      score: source?.default_score ?? undefined,
+      notes: `Inbound email${source ? ` via ${source.name}` : ''}: "${message.subject || '(no subject)'}"`,
+    })
+    .select('id, company_id, first_name, last_name, status')
+    .single();
+
+  if (error) throw new Error(error.message);
+  console.log(`[EmailIntake] New contact from ${address.email} (intake pipeline will run)`);
+  return data;
+}
+
+/**
+ * Log parsed messages as email_received interactions
+ *
+ * @param {Array} messages - parseEmail() results
+ * @param {object} options - { source: intake_sources row (optional) }
+ * @returns {{logged: Array, created_contacts: Array, duplicates: Array, skipped: Array, errors: Array}}
+ */
+export async function ingestEmails(messages, { source = null } = {}) {
+  const result = { logged: [], created_contacts: [], duplicates: [], skipped: [], errors: [] };
+  const own = await loadOwnAddresses();
+
+  for (const [index, message] of messages.entries()) {
+    const label = { index, message_id: message.message_id, subject: message.subject };
+    try {
+      if (!message.from?.email) {
+        result.skipped.push({ ...label, reason: 'no sender' });
+        continue;
+      }
+      if (own.has(message.from.email)) {
+        result.skipped.push({ ...label, reason: 'sent by us' });
+        continue;
+      }
+
+      if (message.message_id) {
+        const { data: existing } = await supabase
+          .from('interactions')
+          .select('id')
+          .eq('message_id', message.message_id)
+          .limit(1);
+
+        if (existing?.length) {
+          result.duplicates.push({ ...label, interaction_id: existing[0].id });
+          continue;
+        }
+      }
+
+      const thread = await findThread(message);
+
+      let contact = await findContactByEmail(message.from.email);
+      if (!contact && thread?.contact_id) contact = { id: thread.contact_id, company_id: thread.company_id };
+      if (!contact) {
+        contact = await createSenderContact(message.from, message, source);
+        result.created_contacts.push({ contact_id: contact.id, email: message.from.email });
+      }
+
+      const content = stripQuotedReply(message.text) || message.text;
+
+      const { data: interaction, error } = await supabase
+        .from('interactions')
+        .insert({
+          team_id: DEFAULT_TEAM_ID,
+          user_id: DEFAULT_USER_ID,
+          contact_id: contact.id,
+          company_id: contact.company_id || thread?.company_id || null,
+          deal_id: thread?.deal_id || null,
+          type: 'email_received',
+          channel: 'email',
+          direction: 'inbound',
+          subject: message.subject || null,
+          content: content.slice(0, MAX_CONTENT_LENGTH),
+          sentiment: detectSentiment(content),
+          outcome: thread ? 'replied' : null,
+          message_id: message.message_id,
+          reply_to_interaction_id: thread?.id || null,
+          created_at: message.date || undefined,
+        })
+        .select('id, contact_id, sentiment, reply_to_interaction_id')
+        .single();
+
+      if (error) throw new Error(error.message);
+
+      console.log(`[EmailIntake] ${message.from.email}: "${message.subject}" (${interaction.sentiment}${thread ? ', reply' : ''})`);
+      result.logged.push({ ...label, interaction_id: interaction.id, contact_id: contact.id, sentiment: interaction.sentiment, threaded: !!thread });
+    } catch (error) {
+      result.errors.push({ ...label, error: error.message });
+    }
+  }
+
+  if (source && (result.logged.length > 0 || result.created_contacts.length > 0)) {
+    await supabase
+      .from('intake_sources')
+      .update({
+        last_received_at: new Date().toISOString(),
+        total_contacts: (source.total_contacts || 0) + result.created_contacts.length,
+      })
+      .eq('id', source.id);
+  }
+
+  return result;
+}
+
+/**
+ * Parse a .eml file, an mbox file or a directory of them
+ */
+export function readEmailFiles(target) {
+  const stat = fs.statSync(target);
+  const files = stat.isDirectory()
+    ? fs.readdirSync(target).filter(f => /\.(eml|mbox)$/i.test(f)).sort().map(f => path.join(target, f))
+    : [target];
+
+  const messages = [];
+  for (const file of files) {
+    const raw = fs.readFileSync(file);
+    const isMbox = /\.mbox$/i.test(file) || /^From \S+/.test(raw.subarray(0, 200).toString('latin1'));
+    for (const entry of isMbox ? splitMbox(raw) : [raw]) {
+      messages.push({ ...parseEmail(entry), file });
+    }
+  }
+  return { messages, files: files.length };
+}
+
+/**
+ * Import .eml / mbox files
+ */
+export async function importEmailFiles(target, { source = null } = {}) {
+  const { messages, files } = readEmailFiles(target);
+  const result = await ingestEmails(messages, { source });
+  return { files, messages: messages.length, ...result };
+}
+
+// ============================================================================
+// IMAP POLLING
+// ============================================================================
+
+/**
+ * Pull new mail from an email intake source's IMAP mailbox
+ */
+export async function pollEmailSource(source) {
+  const imap = source.api_credentials || {};
+  if (!imap.host) throw new Error(`Intake source ${source.name} has no IMAP settings (api_credentials.host)`);
+
+  const state = source.poll_state?.imap || {};
+  try {
+    const fetched = await fetchNewMessages(imap, { after_uid: state.last_uid, uid_validity: state.uid_validity });
+    const messages = fetched.messages.map(m => parseEmail(m.raw));
+    const result = await ingestEmails(messages, { source });
+
+    // Only move past the UIDs that went through in order: a message that
+    // failed is fetched again next poll (the ones after it dedupe by
+    // Message-ID), until it has failed MAX_MESSAGE_ATTEMPTS times
+    const renumbered = String(fetched.uid_validity) !== String(state.uid_validity);
+    const previousFailures = renumbered ? {} : state.failures || {};
+    const failures = {};
+    let retryIndex = null;
+
+    for (const failed of [...result.errors].sort((a, b) => a.index - b.index)) {
+      const { uid } = fetched.messages[failed.index];
+      const attempts = (previousFailures[uid] || 0) + 1;
+
+      if (attempts >= MAX_MESSAGE_ATTEMPTS) {
+        console.warn(`[EmailIntake] ${source.name}: skipping UID ${uid} after ${attempts} failed attempts: ${failed.error}`);
+        result.skipped.push({ ...failed, uid, reason: `failed ${attempts} times` });
+        continue;
+      }
+
+      failures[uid] = attempts;
+      retryIndex ??= failed.index;
+    }
+
+    let lastUid = fetched.last_uid;
+    if (retryIndex !== null) {
+      lastUid = retryIndex > 0 ? fetched.messages[retryIndex - 1].uid : fetched.since;
+      console.warn(`[EmailIntake] ${source.name}: ${Object.keys(failures).length} message(s) failed - retrying from UID ${lastUid + 1} next poll`);
+    }
+
+    await supabase
+      .from('intake_sources')
+      .update({
+        poll_state: { ...(source.poll_state || {}), imap: { last_uid: lastUid, uid_validity: fetched.uid_validity, failures } },
+        last_polled_at: new Date().toISOString(),
+        last_error: null,
+      })
+      .eq('id', source.id);
+
+    return { source: source.name, fetched: messages.length, ...result };
+  } catch (error) {
+    await supabase
+      .from('intake_sources')
+      .update({ last_polled_at: new Date().toISOString(), last_error: error.message })
+      .eq('id', source.id);
+    throw error;
+  }
+}
+
+/**
+ * Poll every enabled email source with IMAP settings whose interval has
+ * passed. Each source is claimed via last_polled_at so processors don't
+ * poll the same mailbox at once.
+ */
+export async function pollEmailSources(now = Date.now()) {
+  const { data: sources, error } = await supabase
+    .from('intake_sources')
+    .select('*')
+    .eq('source_type', 'email')
+    .eq('is_enabled', true);
+
+  if (error) throw new Error(error.message);
+
+  const results = [];
+  for (const source of sources || []) {
+    if (!source.api_credentials?.host) continue;
+
+    const interval = (source.poll_interval_minutes || DEFAULT_POLL_MINUTES) * 60000;
+    if (source.last_polled_at && now - new Date(source.last_polled_at).getTime() < interval) continue;
+
+    let claim = supabase
+      .from('intake_sources')
+      .update({ last_polled_at: new Date(now).toISOString() })
+      .eq('id', source.id);
+    claim = source.last_polled_at ? claim.eq('last_polled_at', source.last_polled_at) : claim.is('last_polled_at', null);
+
+    const { data: claimed } = await claim.select('id');
+    if (!claimed?.[0]) continue;
+
+    try {
+      results.push(await pollEmailSource(source));
+    } catch (err) {
+      console.error(`[EmailIntake] ${source.name}: ${err.message}`);
+      results.push({ source: source.name, error: err.message });
+    }
+  }
+  return results;
+}
+
+export default {
+  parseEmail,
+  parseAddressList,
+  splitMbox,
+  stripQuotedReply,
+  detectSentiment,
+  ingestEmails,
+  readEmailFiles,
+  importEmailFiles,
+  pollEmailSource,
+  pollEmailSources,
+};
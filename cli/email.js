@@ -0,0 +1,147 @@
+/**
+ * Outbound Email
+ *
+ * Sends mail to contacts through the team's SMTP integration (cli/smtp.js) and
+ * logs every send as an `email_sent` interaction, so the timeline, scoring and
+ * the went-dark detector see it like a hand-logged email.
+ *
+ * - Contacts with status 'do_not_contact' are never emailed
+ * - Subject/body are templates rendered with {contact, company, sender, ...data}
+ * - The Message-ID is kept on the interaction so replies can be threaded
+ *
+ * Used by the send_email tool and by sequences (cli/sequences.js).
+ */
+
+import { supabase, DEFAULT_TEAM_ID, DEFAULT_USER_ID } from './supabase.js';
+import { renderTemplate } from './templates.js';
+import { sendMail } from './smtp.js';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * SMTP settings from the 'smtp' integration (credentials + settings)
+ */
+export async function getSmtpSettings() {
+  let query = supabase
+    .from('integrations')
+    .select('credentials, settings')
+    .eq('name', 'smtp')
+    .eq('is_enabled', true);
+
+  query = DEFAULT_TEAM_ID ? query.eq('team_id', DEFAULT_TEAM_ID) : query.is('team_id', null);
+
+  const { data, error } = await query.single();
+  if (error || !data) {
+    throw new Error('No active smtp integration found. Configure it with set_integration_key (host, port, username, password, from).');
+  }
+
+  return { ...(data.settings || {}), ...(data.credentials || {}) };
+}
+
+async function loadContact(contactId) {
+  const { data, error } = await supabase
+    .from('contacts')
+    .select('id, first_name, last_name, email, work_email, title, status, company_id, companies(name, domain)')
+    .eq('id', contactId)
+    .single();
+
+  if (error || !data) throw new Error(`Contact not found: ${contactId}`);
+  return data;
+}
+
+/**
+ * Template context for a contact: {{contact.first_name}}, {{company.name}}, {{sender.name}}
+ */
+export function emailContext(contact, settings = {}, data = {}) {
+  return {
+    ...data,
+    contact,
+    company: contact.companies || {},
+    sender: { name: settings.from_name || String(settings.from || '').replace(/\s*<.*$/, ''), email: settings.from },
+    data,
+  };
+}
+
+// ============================================================================
+// SEND
+// ============================================================================
+
+/**
+ * Send one email to a contact and log it as an email_sent interaction
+ *
+ * @param {object} params - { contact_id, subject, body, data?, cc?, reply_to?, deal_id?, in_reply_to? }
+ * @returns {{message_id, to, subject, interaction_id}}
+ */
+export async function sendEmail({ contact_id, subject, body, data = {}, cc, reply_to, deal_id, in_reply_to }) {
+  if (!subject || !body) throw new Error('An email needs a subject and a body');
+
+  const contact = await loadContact(contact_id);
+  const name = [contact.first_name, contact.last_name].filter(Boolean).join(' ');
+
+  if (contact.status === 'do_not_contact') {
+    throw new Error(`${name} is marked do_not_contact - not sending`);
+  }
+
+  const to = contact.work_email || contact.email;
+  if (!to) throw new Error(`${name} has no email address`);
+
+  const settings = await getSmtpSettings();
+  const context = emailContext(contact, settings, data);
+  const renderedSubject = renderTemplate(subject, context).trim();
+  const renderedBody = renderTemplate(body, context);
+
+  const headers = {};
+  if (in_reply_to) {
+    headers['In-Reply-To'] = in_reply_to;
+    headers.References = in_reply_to;
+  }
+
+  const result = await sendMail({
+    ...settings,
+    to: name ? { name, address: to } : to,
+    cc,
+    reply_to: reply_to || settings.reply_to,
+    subject: renderedSubject,
+    text: renderedBody,
+    headers,
+  });
+
+  console.log(`[Email] Sent "${renderedSubject}" to ${to}`);
+
+  // The mail is out - a failed log shouldn't make the caller send it again
+  const { data: interaction, error } = await supabase
+    .from('interactions')
+    .insert({
+      team_id: DEFAULT_TEAM_ID,
+      user_id: DEFAULT_USER_ID,
+      contact_id: contact.id,
+      company_id: contact.company_id,
+      deal_id: deal_id || null,
+      type: 'email_sent',
+      channel: 'email',
+      direction: 'outbound',
+      subject: renderedSubject,
+      content: renderedBody,
+      message_id: result.message_id,
+    })
+    .select('id')
+    .single();
+
+  if (error) console.error(`[Email] Sent but failed to log interaction: ${error.message}`);
+
+  return {
+    message_id: result.message_id,
+    to,
+    subject: renderedSubject,
+    body: renderedBody,
+    interaction_id: interaction?.id || null,
+  };
+}
+
+export default {
+  getSmtpSettings,
+  emailContext,
+  sendEmail,
+};
@@ -16,8 +16,13 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
 // Dynamic imports after env is loaded
-const { supabase } = await import('./supabase.js');
-const { processPendingEvents } = await import('./workflow-executor.js');
+const { processPendingEvents, resumeWaitingRuns } = await import('./workflow-executor.js');
+const { WORKER_ID } = await import('./event-queue.js');
+const { runDueSchedules } = await import('./scheduler.js');
+const { retryNotifications } = await import('./notifications.js');
+const { sendDueSequenceEmails } = await import('./sequences.js');
+const { pollEmailSources } = await import('./email-intake.js');
+const { pollApiSources } = await import('./api-poll.js');
 
 // Configuration
 const POLL_INTERVAL_MS = 5000; // Check every 5 seconds
@@ -26,53 +31,89 @@ const BATCH_SIZE = 10;
 let isProcessing = false;
 let eventCount = 0;
 
+/**
+ * Run one monitoring job; a failure is logged and doesn't stop the jobs after it
+ */
+async function runJob(name, job) {
+  try {
+    await job();
+  } catch (err) {
+    console.error(`[Monitor] ${name} failed: ${err.message}`);
+  }
+}
+
+async function processEvents() {
+  // Claims ready events from the shared queue - delayed events stay queued until
+  // available_at, and events leased by the CLI or another monitor are skipped
+  const result = await processPendingEvents(BATCH_SIZE);
+
+  for (const r of result.results) {
+    eventCount++;
+    console.log(`[Monitor] #${eventCount} ${r.event_type} (attempt ${r.attempt})`);
+
+    if (r.success === false) {
+      console.log(`[Monitor] ✗ Failed: ${r.error}`);
+    } else if (r.workflows_run > 0) {
+      console.log(`[Monitor] ✓ ${r.workflows_run} workflow(s) completed`);
+    } else {
+      console.log(`[Monitor] - No matching workflow found`);
+    }
+
+    if (r.runs_resumed > 0) {
+      console.log(`[Monitor] ✓ ${r.runs_resumed} waiting run(s) resumed`);
+    }
+  }
+}
+
 async function pollEvents() {
   if (isProcessing) return;
 
   isProcessing = true;
   try {
-    // Check for events that are ready to process (delay_until has passed)
-    const { data: events, error } = await supabase
-      .from('events')
-      .select('*')
-      .eq('processed', false)
-      .order('created_at', { ascending: true })
-      .limit(BATCH_SIZE);
-
-    if (error) {
-      console.error(`[Monitor] Error fetching events: ${error.message}`);
-      return;
-    }
+    await runJob('Event processing', processEvents);
 
-    if (events && events.length > 0) {
-      // Filter events whose delay has passed
-      const readyEvents = events.filter(e => {
-        if (!e.payload?.delay_until) return true;
-        return new Date(e.payload.delay_until) <= new Date();
-      });
-
-      if (readyEvents.length > 0) {
-        console.log(`\n[Monitor] Processing ${readyEvents.length} event(s)...`);
-
-        for (const event of readyEvents) {
-          eventCount++;
-          console.log(`[Monitor] #${eventCount} ${event.event_type} for ${event.entity_type}:${event.entity_id}`);
-
-          try {
-            const result = await processPendingEvents(1);
-            if (result.results?.[0]?.success) {
-              console.log(`[Monitor] ✓ Workflow completed`);
-            } else if (result.results?.[0]?.error) {
-              console.log(`[Monitor] ✗ Workflow error: ${result.results[0].error}`);
-            } else {
-              console.log(`[Monitor] - No matching workflow found`);
-            }
-          } catch (err) {
-            console.error(`[Monitor] Error processing event: ${err.message}`);
-          }
-        }
+    // Timers that are due and wait_for_event timeouts
+    await runJob('Resuming waiting runs', async () => {
+      const resumed = await resumeWaitingRuns();
+      if (resumed.length > 0) {
+        console.log(`[Monitor] ✓ ${resumed.length} waiting run(s) resumed`);
       }
-    }
+    });
+
+    // Cron-triggered agents and workflows (each due time fires once across monitors)
+    await runJob('Scheduler', async () => {
+      for (const fired of await runDueSchedules()) {
+        console.log(`[Monitor] ⏰ ${fired.schedule} @ ${fired.scheduled_for}: ${fired.status}`);
+      }
+    });
+
+    // Notification deliveries whose retry backoff has passed
+    await runJob('Notification retry', async () => {
+      for (const n of await retryNotifications()) {
+        console.log(`[Monitor] ✉ ${n.channel} notification ${n.id.slice(0, 8)}: ${n.status}`);
+      }
+    });
+
+    // Sequence steps whose delay has passed
+    await runJob('Sequence sending', async () => {
+      for (const e of await sendDueSequenceEmails()) {
+        console.log(`[Monitor] ✉ sequence enrollment ${e.id.slice(0, 8)}: step ${e.current_step} ${e.status}`);
+      }
+    });
+
+    // Email intake mailboxes whose poll interval has passed
+    await runJob('Email intake', async () => {
+      for (const polled of await pollEmailSources()) {
+        console.log(`[Monitor] 📥 ${polled.source}: ${polled.error || `${polled.fetched} new, ${polled.logged.length} logged`}`);
+      }
+    });
+
+    // api_poll intake sources whose poll interval has passed
+    await runJob('API intake polling', async () => {
+      for (const polled of await pollApiSources()) {
+        console.log(`[Monitor] 📥 ${polled.source}: ${polled.error || `${polled.imported.length} imported, ${polled.rejected.length} rejected`}`);
+      }
+    });
   } finally {
     isProcessing = false;
   }
@@ -84,6 +125,7 @@ async function main() {
   console.log('╠════════════════════════════════════════╣');
   console.log(`║ Polling every ${POLL_INTERVAL_MS / 1000}s for new events...    ║`);
   console.log('║ Press Ctrl+C to stop                   ║');
+  console.log(`  Worker: ${WORKER_ID}`);
   console.log('╚════════════════════════════════════════╝\n');
 
   // Initial poll
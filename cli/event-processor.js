@@ -6,13 +6,26 @@
  *
  * Architecture:
  * - Subscribes to INSERT events on the `events` table via WebSocket
- * - Each new event triggers the appropriate workflow
+ * - Each notification drains the durable event queue (event-queue.js), so
+ *   events are claimed with a lease and never run twice across processors
+ * - A slow poll picks up delayed events, due retries and expired leases,
+ *   resumes workflow runs paused on wait / wait_for_event steps, and fires
+ *   cron schedules that are due (scheduler.js), retries failed
+ *   notification deliveries (notifications.js), sends due sequence
+ *   emails (sequences.js), reads email intake mailboxes (email-intake.js)
+ *   and polls api_poll intake sources (api-poll.js)
  * - Multiple agents can register listeners for different event types
  * - Graceful handling of connection drops with auto-reconnect
  */
 
 import { supabase } from './supabase.js';
-import { processEvent } from './workflow-executor.js';
+import { processEvent, processPendingEvents, resumeWaitingRuns } from './workflow-executor.js';
+import { WORKER_ID } from './event-queue.js';
+import { runDueSchedules } from './scheduler.js';
+import { retryNotifications } from './notifications.js';
+import { sendDueSequenceEmails } from './sequences.js';
+import { pollEmailSources } from './email-intake.js';
+import { pollApiSources } from './api-poll.js';
 
 // ============================================================================
 // STATE
@@ -22,8 +35,12 @@ let channel = null;
 let isConnected = false;
 let eventCount = 0;
 let reconnectAttempts = 0;
+let pollTimer = null;
+let polling = false;   // A slow poll is running; the next one waits for it
 const MAX_RECONNECT_ATTEMPTS = 10;
 const RECONNECT_DELAY_MS = 3000;
+const POLL_INTERVAL_MS = 15000; // Delayed events + retries don't produce an INSERT
+const DRAIN_BATCH_SIZE = 50;
 
 // Event type handlers (agents register here)
 const eventHandlers = new Map();
@@ -49,7 +66,9 @@ export async function startEventProcessor() {
   await connect();
 
   // Process any events that were queued while system was down
-  await processBacklog();
+  await poll();
+
+  schedulePoll();
 
   return {
     stop: stopEventProcessor,
@@ -63,6 +82,11 @@ export async function startEventProcessor() {
  * Stop the event processor gracefully
  */
 export async function stopEventProcessor() {
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
   if (channel) {
     console.log('[EventProcessor] Shutting down...');
     await supabase.removeChannel(channel);
@@ -112,6 +136,7 @@ export function unregisterHandler(eventType, handler) {
 export function getStatus() {
   return {
     connected: isConnected,
+    workerId: WORKER_ID,
     eventsProcessed: eventCount,
     registeredEventTypes: Array.from(eventHandlers.keys()),
     pendingQueueSize: pendingQueue.length,
@@ -179,6 +204,9 @@ async function attemptReconnect() {
 
 /**
  * Handle incoming event from Realtime
+ *
+ * The notification is only a wake-up call: the event itself is claimed from the
+ * queue, so a delayed event (available_at in the future) is left for the poll.
  */
 async function handleNewEvent(payload) {
   const event = payload.new;
@@ -187,28 +215,89 @@ async function handleNewEvent(payload) {
     return;
   }
 
-  eventCount++;
+  await drain();
+}
 
-  // Check for delay_until
-  if (event.payload?.delay_until) {
-    const delayUntil = new Date(event.payload.delay_until);
-    const now = new Date();
+/**
+ * Slow poll - drain the queue, wake waiting workflow runs, fire due schedules,
+ * retry failed notifications, send due sequence steps and poll email / API
+ * intake sources
+ */
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    await pollOnce();
+  } finally {
+    polling = false;
+  }
+}
 
-    if (delayUntil > now) {
-      const waitMs = delayUntil - now;
-      console.log(`[EventProcessor] Event ${event.event_type} delayed ${Math.ceil(waitMs / 1000)}s`);
+/**
+ * Next slow poll POLL_INTERVAL_MS after the last one finished, so a slow
+ * poll never overlaps the next
+ */
+function schedulePoll() {
+  pollTimer = setTimeout(async () => {
+    await poll();
+    if (pollTimer) schedulePoll();
+  }, POLL_INTERVAL_MS);
+}
 
-      // Schedule processing after delay
-      setTimeout(() => processEventWithHandlers(event), waitMs);
-      return;
-    }
+async function pollOnce() {
+  await drain();
+
+  try {
+    await resumeWaitingRuns();
+  } catch (error) {
+    console.error('[EventProcessor] Resuming waiting runs failed:', error.message);
+  }
+
+  try {
+    await runDueSchedules();
+  } catch (error) {
+    console.error('[EventProcessor] Scheduler failed:', error.message);
   }
 
-  await processEventWithHandlers(event);
+  try {
+    await retryNotifications();
+  } catch (error) {
+    console.error('[EventProcessor] Notification retry failed:', error.message);
+  }
+
+  try {
+    await sendDueSequenceEmails();
+  } catch (error) {
+    console.error('[EventProcessor] Sequence sending failed:', error.message);
+  }
+
+  try {
+    await pollEmailSources();
+  } catch (error) {
+    console.error('[EventProcessor] Email intake failed:', error.message);
+  }
+
+  try {
+    await pollApiSources();
+  } catch (error) {
+    console.error('[EventProcessor] API intake polling failed:', error.message);
+  }
+}
+
+/**
+ * Drain ready events from the queue through registered handlers + workflows
+ */
+async function drain() {
+  try {
+    const result = await processPendingEvents(DRAIN_BATCH_SIZE, processEventWithHandlers);
+    eventCount += result.processed;
+  } catch (error) {
+    console.error('[EventProcessor] Queue drain failed:', error.message);
+  }
 }
 
 /**
- * Process an event through registered handlers and workflow executor
+ * Process a claimed event through registered handlers and workflow executor
  */
 async function processEventWithHandlers(event) {
   const { event_type, entity_type, entity_id } = event;
@@ -229,41 +318,19 @@ async function processEventWithHandlers(event) {
     }
   }
 
-  // Always run through workflow executor for database-defined workflows
-  try {
-    const result = await processEvent(event);
+  // Always run through workflow executor for database-defined workflows.
+  // Errors propagate so the queue can retry / dead-letter the event.
+  const result = await processEvent(event);
 
-    if (result.workflows_run > 0) {
-      console.log(`[EventProcessor] Completed ${result.workflows_run} workflow(s)`);
-    }
-  } catch (error) {
-    console.error(`[EventProcessor] Workflow error:`, error.message);
+  if (result.workflows_run > 0) {
+    console.log(`[EventProcessor] Completed ${result.workflows_run} workflow(s)`);
   }
-}
 
-/**
- * Process any unprocessed events from before startup
- */
-async function processBacklog() {
-  const { data: events, error } = await supabase
-    .from('events')
-    .select('*')
-    .eq('processed', false)
-    .order('created_at', { ascending: true })
-    .limit(50);
-
-  if (error) {
-    console.error('[EventProcessor] Failed to fetch backlog:', error.message);
-    return;
+  if (result.runs_resumed > 0) {
+    console.log(`[EventProcessor] Resumed ${result.runs_resumed} waiting run(s)`);
   }
 
-  if (events && events.length > 0) {
-    console.log(`[EventProcessor] Processing ${events.length} backlogged event(s)...`);
-
-    for (const event of events) {
-      await processEventWithHandlers(event);
-    }
-  }
+  return result;
 }
 
 // ============================================================================
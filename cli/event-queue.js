@@ -0,0 +1,271 @@
+/**
+ * Event Queue
+ *
+ * Durable work queue on top of the `events` table (see migration 012).
+ * Every consumer - the realtime listener in event-processor.js, the polling
+ * event-monitor.js and processPendingEvents() - drains events through here,
+ * so an event is only ever leased to one worker at a time.
+ *
+ * Lifecycle:
+ *   pending → processing (leased) → completed
+ *                                 → retry (backoff) → processing → ...
+ *                                 → dead_letter (after max_attempts)
+ *
+ * A worker that crashes mid-event simply lets its lease expire; the event then
+ * becomes claimable again and counts as another attempt (or is dead-lettered
+ * if that was the last one). A running handler renews its lease, and an event
+ * is only settled by the claim that holds it (lease_token, migration 027).
+ */
+
+import os from 'os';
+import { supabase } from './supabase.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const LEASE_SECONDS = 600;            // Long enough for a full SDR enrichment run
+const LEASE_RENEW_MS = LEASE_SECONDS * 1000 / 3;
+const RETRY_BASE_DELAY_MS = 30000;    // 30s, 60s, 2m, 4m, ...
+const RETRY_MAX_DELAY_MS = 3600000;   // Cap backoff at 1 hour
+
+// In-process guard so overlapping triggers (realtime + poll) share one drain loop
+let draining = false;
+let drainRequested = false;
+
+// ============================================================================
+// QUEUE PRIMITIVES
+// ============================================================================
+
+/**
+ * Lease ready events to this worker
+ *
+ * @param {Object} params
+ * @param {number} params.limit - Max events to claim (default 10)
+ * @param {string} params.eventId - Claim only this event (if it is ready)
+ */
+export async function claimEvents({ limit = 10, eventId = null } = {}) {
+  const { data, error } = await supabase.rpc('claim_events', {
+    p_worker: WORKER_ID,
+    p_limit: limit,
+    p_lease_seconds: LEASE_SECONDS,
+    p_event_id: eventId,
+  });
+
+  if (error) {
+    throw new Error(`Failed to claim events: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Settle an event only if this claim still holds its lease
+ *
+ * @returns {boolean} false if the lease was lost (another worker reclaimed it)
+ */
+async function settleEvent(event, updates, action) {
+  const { data, error } = await supabase
+    .from('events')
+    .update({ ...updates, locked_by: null, locked_until: null, lease_token: null })
+    .eq('id', event.id)
+    .eq('status', 'processing')
+    .eq('locked_by', WORKER_ID)
+    .eq('lease_token', event.lease_token)
+    .select('id');
+
+  if (error) {
+    console.error(`[Queue] Failed to ${action} event ${event.id}: ${error.message}`);
+    return false;
+  }
+  if (!data || data.length === 0) {
+    console.warn(`[Queue] Lease on event ${event.id} was lost before it could ${action} - another worker owns it now`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Extend a claimed event's lease
+ *
+ * @returns {boolean} false if the lease is no longer held
+ */
+export async function renewLease(event) {
+  const { data, error } = await supabase.rpc('renew_event_lease', {
+    p_event_id: event.id,
+    p_lease_token: event.lease_token,
+    p_lease_seconds: LEASE_SECONDS,
+  });
+
+  if (error) {
+    console.error(`[Queue] Failed to renew lease on event ${event.id}: ${error.message}`);
+    return true;  // Unknown - keep going, the settle check catches a lost lease
+  }
+  return data === true;
+}
+
+/**
+ * Mark a claimed event as done
+ */
+export async function completeEvent(event) {
+  return settleEvent(event, {
+    status: 'completed',
+    processed: true,
+    processed_at: new Date().toISOString(),
+    last_error: null,
+  }, 'complete');
+}
+
+/**
+ * Record a failed attempt - schedule a retry with backoff, or dead-letter it
+ */
+export async function failEvent(event, errorMessage) {
+  const attempts = event.attempts || 1;
+  const maxAttempts = event.max_attempts || 5;
+  const now = new Date();
+
+  let updates;
+  if (attempts >= maxAttempts) {
+    updates = {
+      status: 'dead_letter',
+      dead_lettered_at: now.toISOString(),
+    };
+    console.error(`[Queue] ${event.event_type} (${event.id}) dead-lettered after ${attempts} attempt(s): ${errorMessage}`);
+  } else {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_MS);
+    updates = {
+      status: 'retry',
+      available_at: new Date(now.getTime() + delay).toISOString(),
+    };
+    console.log(`[Queue] ${event.event_type} attempt ${attempts}/${maxAttempts} failed, retrying in ${Math.round(delay / 1000)}s: ${errorMessage}`);
+  }
+
+  return settleEvent(event, { ...updates, last_error: errorMessage }, 'record failure for');
+}
+
+/**
+ * Run a handler for a claimed event and settle it.
+ * The handler fails the attempt by throwing or returning { success: false }.
+ */
+export async function runClaimedEvent(event, handler) {
+  // Keep the lease while the handler runs, however long it takes
+  const renewal = setInterval(async () => {
+    if (!(await renewLease(event))) {
+      console.warn(`[Queue] Lost lease on event ${event.id} while processing`);
+      clearInterval(renewal);
+    }
+  }, LEASE_RENEW_MS);
+
+  try {
+    const result = await handler(event);
+
+    if (result && result.success === false) {
+      await failEvent(event, result.error || 'Event handler reported failure');
+    } else {
+      await completeEvent(event);
+    }
+
+    return result;
+  } catch (error) {
+    await failEvent(event, error.message);
+    return { success: false, error: error.message };
+  } finally {
+    clearInterval(renewal);
+  }
+}
+
+/**
+ * Claim and process ready events until the queue is empty or `limit` is reached
+ *
+ * Events are claimed one at a time: only the running event's lease is renewed,
+ * so an event claimed ahead of time could expire and be run by another worker.
+ *
+ * @param {Function} handler - async (event) => result
+ * @param {Object} options
+ * @param {number} options.limit - Max events to process in this drain (default 50)
+ */
+export async function drainQueue(handler, { limit = 50 } = {}) {
+  if (draining) {
+    // Another drain is running in this process; make it loop once more
+    drainRequested = true;
+    return { processed: 0, results: [], skipped: true };
+  }
+
+  draining = true;
+  const results = [];
+
+  try {
+    do {
+      drainRequested = false;
+
+      while (results.length < limit) {
+        const [event] = await claimEvents({ limit: 1 });
+        if (!event) break;
+
+        const result = await runClaimedEvent(event, handler);
+        results.push({ event_id: event.id, event_type: event.event_type, attempt: event.attempts, ...result });
+      }
+    } while (drainRequested && results.length < limit);
+  } finally {
+    draining = false;
+  }
+
+  return { processed: results.length, results };
+}
+
+// ============================================================================
+// DEAD LETTER MANAGEMENT
+// ============================================================================
+
+/**
+ * List events that exhausted their retries
+ */
+export async function getDeadLetterEvents(limit = 50) {
+  const { data, error } = await supabase
+    .from('events')
+    .select('id, event_type, entity_type, entity_id, payload, attempts, last_error, dead_lettered_at, created_at')
+    .eq('status', 'dead_letter')
+    .order('dead_lettered_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+/**
+ * Put a dead-lettered event back on the queue with a fresh set of attempts
+ */
+export async function requeueEvent(eventId) {
+  const { data, error } = await supabase
+    .from('events')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      available_at: new Date().toISOString(),
+      dead_lettered_at: null,
+      locked_by: null,
+      locked_until: null,
+      lease_token: null,
+    })
+    .eq('id', eventId)
+    .eq('status', 'dead_letter')
+    .select()
+    .single();
+
+  if (error) throw new Error(`Event ${eventId} is not dead-lettered or does not exist`);
+  return data;
+}
+
+export default {
+  WORKER_ID,
+  claimEvents,
+  completeEvent,
+  failEvent,
+  renewLease,
+  runClaimedEvent,
+  drainQueue,
+  getDeadLetterEvents,
+  requeueEvent,
+};
@@ -0,0 +1,541 @@
+/**
+ * Expression Language
+ *
+ * Safe parser/evaluator for workflow conditions (condition_check, branch).
+ * Variables are looked up in the workflow context - never interpolated into
+ * code - so enrichment data can't change what an expression does.
+ *
+ * Grammar (lowest to highest precedence):
+ *   expr     := or ('?' expr ':' expr)?
+ *   or       := and (('||' | '??') and)*
+ *   and      := equality ('&&' equality)*
+ *   equality := compare (('==' | '!=' | '===' | '!==') compare)*
+ *   compare  := additive (('<' | '<=' | '>' | '>=' | 'in' | 'not in') additive)*
+ *   additive := term (('+' | '-') term)*
+ *   term     := unary (('*' | '/' | '%') unary)*
+ *   unary    := ('!' | '-') unary | primary
+ *   primary  := number | string | true | false | null | list | '(' expr ')'
+ *             | '{{' expr '}}' | path | function '(' args ')'
+ *   path     := name ('.' name | '[' expr ']')*
+ *
+ * Examples:
+ *   {{spam_check.is_spam}} == true && {{spam_check.confidence}} > 0.7
+ *   contact.seniority in ['vp', 'c_suite'] || initial_score.score >= 7
+ *   abs(score_result.score - contact.score) >= 10
+ */
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+export class ExpressionError extends Error {
+  constructor(message, expression, position) {
+    const pointer = expression !== undefined && position !== undefined
+      ? `\n  ${expression}\n  ${' '.repeat(position)}^`
+      : '';
+    super(`${message}${position !== undefined ? ` (at position ${position})` : ''}${pointer}`);
+    this.name = 'ExpressionError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+// Only these can be called from an expression. Math.* names are accepted as
+// aliases so existing definitions like "Math.abs(a - b)" keep working.
+
+const FUNCTIONS = {
+  abs: (n) => Math.abs(Number(n)),
+  min: (...args) => Math.min(...args.map(Number)),
+  max: (...args) => Math.max(...args.map(Number)),
+  round: (n, digits = 0) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(Number(n) * factor) / factor;
+  },
+  floor: (n) => Math.floor(Number(n)),
+  ceil: (n) => Math.ceil(Number(n)),
+  len: (value) => (value === null || value === undefined ? 0 : (value.length ?? Object.keys(value).length)),
+  lower: (value) => (value === null || value === undefined ? value : String(value).toLowerCase()),
+  upper: (value) => (value === null || value === undefined ? value : String(value).toUpperCase()),
+  now: () => Date.now(),
+  days_since: (date) => (date ? (Date.now() - new Date(date).getTime()) / 86400000 : null),
+};
+
+for (const name of ['abs', 'min', 'max', 'round', 'floor', 'ceil']) {
+  FUNCTIONS[`Math.${name}`] = FUNCTIONS[name];
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+const KEYWORDS = { true: true, false: false, null: null, undefined: undefined };
+
+const PUNCTUATION = [
+  '===', '!==', '{{', '}}', '==', '!=', '<=', '>=', '&&', '||', '??',
+  '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', ',', '.', '?', ':',
+];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Numbers
+    const numberMatch = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]), pos: i });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    // Strings
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          value += source[j + 1];
+          j += 2;
+        } else {
+          value += source[j++];
+        }
+      }
+      if (j >= source.length) {
+        throw new ExpressionError('Unterminated string', source, i);
+      }
+      tokens.push({ type: 'string', value, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    // Names (variables, keywords, functions)
+    const nameMatch = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+    if (nameMatch) {
+      tokens.push({ type: 'name', value: nameMatch[0], pos: i });
+      i += nameMatch[0].length;
+      continue;
+    }
+
+    const punct = PUNCTUATION.find((p) => source.startsWith(p, i));
+    if (punct) {
+      tokens.push({ type: 'punct', value: punct, pos: i });
+      i += punct.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character '${ch}'`, source, i);
+  }
+
+  tokens.push({ type: 'end', value: null, pos: source.length });
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isPunct = (value) => peek().type === 'punct' && peek().value === value;
+  const isName = (value) => peek().type === 'name' && peek().value === value;
+
+  function fail(message, token = peek()) {
+    throw new ExpressionError(message, source, token.pos);
+  }
+
+  function describe(token) {
+    if (token.type === 'end') return 'end of expression';
+    if (token.type === 'string') return `string "${token.value}"`;
+    return `'${token.value}'`;
+  }
+
+  function expect(value) {
+    if (!isPunct(value)) fail(`Expected '${value}' but found ${describe(peek())}`);
+    return next();
+  }
+
+  function parseExpression() {
+    const condition = parseOr();
+    if (isPunct('?')) {
+      const pos = next().pos;
+      const consequent = parseExpression();
+      expect(':');
+      const alternate = parseExpression();
+      return { type: 'conditional', condition, consequent, alternate, pos };
+    }
+    return condition;
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isPunct('||') || isPunct('??')) {
+      const op = next();
+      left = { type: 'logical', op: op.value, left, right: parseAnd(), pos: op.pos };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseEquality();
+    while (isPunct('&&')) {
+      const op = next();
+      left = { type: 'logical', op: '&&', left, right: parseEquality(), pos: op.pos };
+    }
+    return left;
+  }
+
+  function parseEquality() {
+    let left = parseCompare();
+    while (['==', '!=', '===', '!=='].some(isPunct)) {
+      const op = next();
+      left = { type: 'binary', op: op.value, left, right: parseCompare(), pos: op.pos };
+    }
+    return left;
+  }
+
+  function parseCompare() {
+    let left = parseAdditive();
+    for (;;) {
+      if (['<', '<=', '>', '>='].some(isPunct) || isName('in')) {
+        const op = next();
+        left = { type: 'binary', op: op.value, left, right: parseAdditive(), pos: op.pos };
+      } else if (isName('not') && tokens[index + 1].type === 'name' && tokens[index + 1].value === 'in') {
+        const op = next();
+        next();
+        left = { type: 'binary', op: 'not in', left, right: parseAdditive(), pos: op.pos };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  function parseAdditive() {
+    let left = parseTerm();
+    while (isPunct('+') || isPunct('-')) {
+      const op = next();
+      left = { type: 'binary', op: op.value, left, right: parseTerm(), pos: op.pos };
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseUnary();
+    while (isPunct('*') || isPunct('/') || isPunct('%')) {
+      const op = next();
+      left = { type: 'binary', op: op.value, left, right: parseUnary(), pos: op.pos };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isPunct('!') || isPunct('-')) {
+      const op = next();
+      return { type: 'unary', op: op.value, argument: parseUnary(), pos: op.pos };
+    }
+    if (isName('not')) {
+      const op = next();
+      return { type: 'unary', op: '!', argument: parseUnary(), pos: op.pos };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      next();
+      return { type: 'literal', value: token.value, pos: token.pos };
+    }
+
+    if (isPunct('(')) {
+      next();
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+
+    // {{path}} - template syntax from agent definitions, read as a variable
+    if (isPunct('{{')) {
+      next();
+      const inner = parseExpression();
+      expect('}}');
+      return inner;
+    }
+
+    if (isPunct('[')) {
+      next();
+      const items = [];
+      while (!isPunct(']')) {
+        items.push(parseExpression());
+        if (!isPunct(']')) expect(',');
+      }
+      next();
+      return { type: 'list', items, pos: token.pos };
+    }
+
+    if (token.type === 'name') {
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+        next();
+        return { type: 'literal', value: KEYWORDS[token.value], pos: token.pos };
+      }
+      return parsePath();
+    }
+
+    fail(`Unexpected ${describe(token)}`);
+  }
+
+  function parsePath() {
+    const start = next();
+    const segments = [{ type: 'literal', value: start.value }];
+
+    for (;;) {
+      if (isPunct('.')) {
+        next();
+        const segment = peek();
+        if (segment.type !== 'name' && segment.type !== 'number') {
+          fail(`Expected a property name after '.' but found ${describe(segment)}`);
+        }
+        next();
+        segments.push({ type: 'literal', value: String(segment.value) });
+      } else if (isPunct('[')) {
+        next();
+        segments.push(parseExpression());
+        expect(']');
+      } else {
+        break;
+      }
+    }
+
+    // Function call: abs(x), Math.max(a, b)
+    if (isPunct('(')) {
+      const name = segments.map((s) => s.value).join('.');
+      if (segments.some((s) => s.type !== 'literal') || !FUNCTIONS[name]) {
+        fail(`Unknown function '${name}'`, start);
+      }
+      next();
+      const args = [];
+      while (!isPunct(')')) {
+        args.push(parseExpression());
+        if (!isPunct(')')) expect(',');
+      }
+      next();
+      return { type: 'call', name, args, pos: start.pos };
+    }
+
+    return { type: 'path', segments, pos: start.pos };
+  }
+
+  const ast = parseExpression();
+  if (peek().type !== 'end') {
+    fail(`Unexpected ${describe(peek())}`);
+  }
+  return ast;
+}
+
+// ============================================================================
+// EVALUATOR
+// ============================================================================
+
+/**
+ * Equality that treats null/undefined alike and numeric strings as numbers
+ */
+export function looseEquals(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) === Number(b);
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return String(a) === String(b);
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function compare(op, a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    a = Number(a);
+    b = Number(b);
+    if (Number.isNaN(a) || Number.isNaN(b)) return false;
+  }
+
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+  }
+}
+
+function contains(collection, value) {
+  if (Array.isArray(collection)) return collection.some((item) => looseEquals(item, value));
+  if (typeof collection === 'string') return value !== null && value !== undefined && collection.includes(String(value));
+  if (collection && typeof collection === 'object') return Object.prototype.hasOwnProperty.call(collection, value);
+  return false;
+}
+
+function evaluateNode(node, context, source) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'list':
+      return node.items.map((item) => evaluateNode(item, context, source));
+
+    case 'path': {
+      let value = context;
+      for (const segment of node.segments) {
+        if (value === null || value === undefined) return undefined;
+        const key = evaluateNode(segment, context, source);
+        // Own properties only - no reaching into prototypes (constructor, __proto__)
+        if (!Object.prototype.hasOwnProperty.call(Object(value), key)) {
+          return undefined;
+        }
+        value = value[key];
+      }
+      return value;
+    }
+
+    case 'call': {
+      const args = node.args.map((arg) => evaluateNode(arg, context, source));
+      return FUNCTIONS[node.name](...args);
+    }
+
+    case 'unary': {
+      const value = evaluateNode(node.argument, context, source);
+      return node.op === '!' ? !value : -Number(value);
+    }
+
+    case 'logical': {
+      const left = evaluateNode(node.left, context, source);
+      if (node.op === '||') return left || evaluateNode(node.right, context, source);
+      if (node.op === '??') return left ?? evaluateNode(node.right, context, source);
+      return left && evaluateNode(node.right, context, source);
+    }
+
+    case 'conditional':
+      return evaluateNode(node.condition, context, source)
+        ? evaluateNode(node.consequent, context, source)
+        : evaluateNode(node.alternate, context, source);
+
+    case 'binary': {
+      const left = evaluateNode(node.left, context, source);
+      const right = evaluateNode(node.right, context, source);
+
+      switch (node.op) {
+        case '==':
+        case '===':
+          return looseEquals(left, right);
+        case '!=':
+        case '!==':
+          return !looseEquals(left, right);
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+          return compare(node.op, left, right);
+        case 'in':
+          return contains(right, left);
+        case 'not in':
+          return !contains(right, left);
+        case '+':
+          return typeof left === 'string' || typeof right === 'string'
+            ? `${left ?? ''}${right ?? ''}`
+            : Number(left ?? 0) + Number(right ?? 0);
+        case '-':
+          return Number(left ?? 0) - Number(right ?? 0);
+        case '*':
+          return Number(left ?? 0) * Number(right ?? 0);
+        case '/':
+        case '%': {
+          if (Number(right) === 0) {
+            throw new ExpressionError('Division by zero', source, node.pos);
+          }
+          return node.op === '/' ? Number(left) / Number(right) : Number(left) % Number(right);
+        }
+      }
+    }
+  }
+
+  throw new ExpressionError(`Unsupported expression node: ${node.type}`, source, node.pos);
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+const parseCache = new Map();
+
+/**
+ * Parse an expression (cached), throwing ExpressionError on bad syntax
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ExpressionError('Expression is empty');
+  }
+
+  if (!parseCache.has(source)) {
+    parseCache.set(source, parse(source));
+  }
+  return parseCache.get(source);
+}
+
+/**
+ * Evaluate an expression against the workflow context
+ *
+ * @param {string} source - Expression text
+ * @param {Object} context - Variables (workflow context)
+ * @returns {*} The expression's value
+ */
+export function evaluateExpression(source, context = {}) {
+  return evaluateNode(parseExpression(source), context, source);
+}
+
+/**
+ * Evaluate an expression as a condition (truthy → true)
+ */
+export function evaluateCondition(source, context = {}) {
+  return Boolean(evaluateExpression(source, context));
+}
+
+/**
+ * Check an expression's syntax without evaluating it
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateExpression(source) {
+  try {
+    parseExpression(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+export default {
+  ExpressionError,
+  parseExpression,
+  evaluateExpression,
+  evaluateCondition,
+  validateExpression,
+  looseEquals,
+};
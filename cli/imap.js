@@ -0,0 +1,229 @@
+/**
+ * IMAP Client
+ *
+ * Minimal IMAP reader over node's net/tls - enough to pull new messages from
+ * one mailbox for email intake (cli/email-intake.js) without another
+ * dependency:
+ *
+ *   LOGIN -> SELECT mailbox -> UID SEARCH UID n:* -> UID FETCH BODY.PEEK[] -> LOGOUT
+ *
+ * BODY.PEEK leaves messages unread in the mailbox. Progress is tracked by UID
+ * (plus UIDVALIDITY, which changes if the server renumbers the mailbox).
+ *
+ * Settings (intake source api_credentials):
+ *   { host, port, secure (default true), username, password, mailbox (default INBOX) }
+ */
+
+import net from 'net';
+import tls from 'tls';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_FETCH = 50;
+
+// ============================================================================
+// CONNECTION
+// ============================================================================
+
+/**
+ * Tagged-command IMAP connection. Responses are parsed from raw bytes because
+ * literals ({123}) are counted in bytes.
+ */
+function createConnection(socket, timeoutMs) {
+  let buffer = Buffer.alloc(0);
+  let tagCounter = 0;
+  const responses = [];
+  let waiter = null;
+  let failure = null;
+
+  // One response: its line text (literals replaced by "{n}") and the literal bodies
+  function parseResponse() {
+    let offset = 0;
+    let text = '';
+    const literals = [];
+
+    for (;;) {
+      const end = buffer.indexOf('\r\n', offset);
+      if (end === -1) return null;
+
+      const line = buffer.toString('utf8', offset, end);
+      text += line;
+      offset = end + 2;
+
+      const literal = line.match(/\{(\d+)\}$/);
+      if (!literal) break;
+
+      const size = Number(literal[1]);
+      if (buffer.length < offset + size) return null;
+      literals.push(buffer.subarray(offset, offset + size));
+      offset += size;
+    }
+
+    buffer = buffer.subarray(offset);
+    return { text, literals };
+  }
+
+  function drain() {
+    let response;
+    while ((response = parseResponse())) responses.push(response);
+    if (waiter) waiter();
+  }
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    drain();
+  });
+  socket.setTimeout(timeoutMs, () => {
+    failure = new Error(`IMAP timeout after ${timeoutMs}ms`);
+    socket.destroy();
+    if (waiter) waiter();
+  });
+  socket.on('error', (error) => {
+    failure = failure || error;
+    if (waiter) waiter();
+  });
+  socket.on('close', () => {
+    failure = failure || new Error('IMAP connection closed');
+    if (waiter) waiter();
+  });
+
+  // Wait until a response matches, returning it and everything before it
+  function until(match) {
+    return new Promise((resolve, reject) => {
+      waiter = () => {
+        const index = responses.findIndex(match);
+        if (index !== -1) {
+          waiter = null;
+          resolve(responses.splice(0, index + 1));
+        } else if (failure) {
+          waiter = null;
+          reject(failure);
+        }
+      };
+      waiter();
+    });
+  }
+
+  return {
+    async greeting() {
+      const [greeting] = await until(() => true);
+      if (!/^\* (OK|PREAUTH)/i.test(greeting.text)) throw new Error(`IMAP greeting failed: ${greeting.text}`);
+    },
+
+    /**
+     * Run a command; returns the untagged responses. Throws unless tagged OK.
+     */
+    async command(command) {
+      const tag = `A${++tagCounter}`;
+      socket.write(`${tag} ${command}\r\n`);
+
+      const received = await until(r => r.text.startsWith(`${tag} `));
+      const done = received.pop();
+      if (!new RegExp(`^${tag} OK`, 'i').test(done.text)) {
+        const shown = command.startsWith('LOGIN') ? 'LOGIN' : command.split(' ').slice(0, 2).join(' ');
+        throw new Error(`IMAP ${shown} failed: ${done.text.slice(tag.length + 1)}`);
+      }
+      return received;
+    },
+
+    close() {
+      socket.end();
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+      : net.connect({ host, port });
+
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`IMAP connect to ${host}:${port} timed out`));
+    }, timeoutMs);
+
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      socket.removeAllListeners('error');
+      resolve(socket);
+    });
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`IMAP connect to ${host}:${port} failed: ${error.message}`));
+    });
+  });
+}
+
+function quote(value) {
+  return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+/**
+ * Fetch messages newer than `after_uid` from one mailbox
+ *
+ * @param {object} settings - { host, port, secure, username, password, mailbox, timeout_ms }
+ * @param {object} options - { after_uid, uid_validity (last seen; a change restarts from 0), limit }
+ * @returns {{messages: Array<{uid, raw: Buffer}>, uid_validity, since, last_uid}}
+ */
+export async function fetchNewMessages(settings, { after_uid = 0, uid_validity = null, limit = MAX_FETCH } = {}) {
+  const {
+    host,
+    secure = true,
+    port = secure ? 993 : 143,
+    username,
+    password,
+    mailbox = 'INBOX',
+    timeout_ms: timeoutMs = DEFAULT_TIMEOUT_MS,
+    reject_unauthorized: rejectUnauthorized = true,
+  } = settings;
+
+  if (!host || !username) throw new Error('IMAP host and username are required');
+
+  const conn = createConnection(await connect({ host, port: Number(port), secure, timeoutMs, rejectUnauthorized }), timeoutMs);
+
+  try {
+    await conn.greeting();
+    await conn.command(`LOGIN ${quote(username)} ${quote(password)}`);
+
+    const selected = await conn.command(`SELECT ${quote(mailbox)}`);
+    const validity = selected.map(r => r.text.match(/UIDVALIDITY (\d+)/i)?.[1]).find(Boolean) || null;
+
+    // Mailbox was renumbered: start over (duplicates are skipped by Message-ID)
+    const since = uid_validity && validity && String(uid_validity) !== String(validity) ? 0 : Number(after_uid) || 0;
+
+    const search = await conn.command(`UID SEARCH UID ${since + 1}:*`);
+    const uids = search
+      .filter(r => /^\* SEARCH/i.test(r.text))
+      .flatMap(r => r.text.replace(/^\* SEARCH/i, '').trim().split(/\s+/))
+      .map(Number)
+      .filter(uid => uid > since) // "n:*" always includes the newest message
+      .sort((a, b) => a - b)
+      .slice(0, limit);
+
+    const messages = [];
+    for (const uid of uids) {
+      const fetched = await conn.command(`UID FETCH ${uid} (UID BODY.PEEK[])`);
+      const response = fetched.find(r => /^\* \d+ FETCH/i.test(r.text) && r.literals.length > 0);
+      if (response) messages.push({ uid, raw: response.literals[0] });
+    }
+
+    await conn.command('LOGOUT').catch(() => {});
+
+    return {
+      messages,
+      uid_validity: validity,
+      since,
+      last_uid: uids.length > 0 ? uids[uids.length - 1] : since,
+    };
+  } finally {
+    conn.close();
+  }
+}
+
+export default {
+  fetchNewMessages,
+};
@@ -0,0 +1,786 @@
+/**
+ * File Import
+ *
+ * Bulk-loads companies, contacts or interactions from a CSV / XLSX file
+ * (cli/spreadsheet.js) - the import_file tool and the CLI `import` command:
+ *
+ * 1. Detect the entity type and a column mapping from the headers (or take
+ *    them as given). Columns named custom_fields.<name> - or matching an
+ *    existing custom field - fill custom field values.
+ * 2. Preview: mapped sample rows, row problems and duplicates (emails for
+ *    contacts, domains for companies) against the file and the database.
+ * 3. Import in batches. Duplicates are skipped (or updated with
+ *    on_duplicate: 'update'); a failed batch is retried row by row so one bad
+ *    row doesn't sink the rest. Every run is an `imports` row.
+ * 4. Write a per-row CSV report (status, message, id + the original columns)
+ *    next to the file, so failed rows can be fixed and re-imported.
+ *
+ * Imported contacts/companies only emit contact.created / company.created -
+ * i.e. run the intake pipeline - when run_intake is set (migration 026).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { supabase, DEFAULT_TEAM_ID, DEFAULT_USER_ID, escapeLike } from './supabase.js';
+import { readSpreadsheet } from './spreadsheet.js';
+import { MIN_SCORE, MAX_SCORE } from './scoring.js';
+
+const BATCH_SIZE = 100;
+const LOOKUP_CHUNK = 200;
+const PREVIEW_ROWS = 5;
+
+export const ENTITY_TYPES = ['contacts', 'companies', 'interactions'];
+
+// ============================================================================
+// COLUMN MAPPING
+// ============================================================================
+// Field -> header spellings recognised (compared after normalizeHeader)
+
+const FIELD_ALIASES = {
+  contacts: {
+    first_name: ['first_name', 'first', 'firstname', 'given_name', 'forename'],
+    last_name: ['last_name', 'last', 'lastname', 'surname', 'family_name'],
+    full_name: ['name', 'full_name', 'contact', 'contact_name', 'person'],
+    email: ['email', 'e_mail', 'email_address', 'mail'],
+    work_email: ['work_email', 'business_email', 'company_email'],
+    personal_email: ['personal_email', 'private_email'],
+    phone: ['phone', 'phone_number', 'mobile', 'cell', 'telephone', 'tel'],
+    title: ['title', 'job_title', 'position', 'role', 'job'],
+    role_type: ['role_type', 'buying_role', 'persona'],
+    linkedin_url: ['linkedin', 'linkedin_url', 'linkedin_profile'],
+    notes: ['notes', 'note', 'comments', 'description'],
+    company_name: ['company', 'company_name', 'organization', 'organisation', 'account', 'account_name', 'employer'],
+    company_domain: ['domain', 'company_domain', 'website', 'company_website', 'url'],
+    tags: ['tags', 'tag', 'labels', 'segment'],
+    score: ['score', 'lead_score', 'rating'],
+    status: ['status', 'contact_status'],
+  },
+  companies: {
+    name: ['name', 'company', 'company_name', 'organization', 'organisation', 'account', 'account_name'],
+    domain: ['domain', 'website', 'url', 'company_domain', 'company_website', 'web'],
+    industry: ['industry', 'sector', 'vertical'],
+    employee_count: ['employees', 'employee_count', 'company_size', 'size', 'headcount'],
+    notes: ['notes', 'note', 'comments', 'description'],
+    score: ['score', 'rating'],
+  },
+  interactions: {
+    contact_email: ['email', 'contact_email', 'e_mail', 'email_address', 'contact'],
+    type: ['type', 'activity', 'activity_type', 'interaction_type', 'kind'],
+    channel: ['channel', 'medium'],
+    direction: ['direction', 'inbound_outbound'],
+    subject: ['subject', 'title', 'summary'],
+    content: ['content', 'body', 'notes', 'note', 'description', 'details', 'message'],
+    sentiment: ['sentiment', 'mood'],
+    outcome: ['outcome', 'result', 'disposition'],
+    created_at: ['date', 'created_at', 'timestamp', 'occurred_at', 'activity_date', 'when', 'time'],
+  },
+};
+
+// Entity that owns custom fields for each import type
+const CUSTOM_FIELD_ENTITY = { contacts: 'contact', companies: 'company' };
+
+const INTERACTION_TYPES = ['call', 'email_sent', 'email_received', 'meeting', 'linkedin', 'slack', 'note'];
+const INTERACTION_TYPE_ALIASES = {
+  phone: 'call', phone_call: 'call', call: 'call',
+  email: 'email_sent', email_sent: 'email_sent', sent_email: 'email_sent', outbound_email: 'email_sent',
+  email_received: 'email_received', received_email: 'email_received', inbound_email: 'email_received', reply: 'email_received',
+  meeting: 'meeting', demo: 'meeting', video_call: 'meeting',
+  linkedin: 'linkedin', linkedin_message: 'linkedin', inmail: 'linkedin',
+  slack: 'slack', note: 'note', comment: 'note',
+};
+const CHANNEL_BY_TYPE = { call: 'phone', email_sent: 'email', email_received: 'email', linkedin: 'linkedin', slack: 'slack' };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function customFieldName(header) {
+  const match = String(header).match(/^\s*(?:custom_fields?|custom|cf)\s*[.:]\s*(.+)$/i);
+  return match ? normalizeHeader(match[1]) : null;
+}
+
+/**
+ * Guess what a file holds from its headers
+ */
+export function detectEntityType(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const has = (entity, field) => normalized.some(h => FIELD_ALIASES[entity][field].includes(h));
+
+  if (has('interactions', 'contact_email') && (has('interactions', 'type') || has('interactions', 'content')) && has('interactions', 'created_at')) {
+    return 'interactions';
+  }
+  if (has('contacts', 'email') || has('contacts', 'first_name') || has('contacts', 'last_name')) return 'contacts';
+  if (has('companies', 'name') || has('companies', 'domain')) return 'companies';
+  return null;
+}
+
+/**
+ * Map each header to a field, "custom_fields.<name>" or null (ignored).
+ * Explicit entries in `overrides` win.
+ */
+export function detectMapping(headers, entityType, customFields = [], overrides = {}) {
+  const aliases = FIELD_ALIASES[entityType];
+  const mapping = {};
+  const used = new Set();
+
+  for (const header of headers) {
+    if (header in overrides) {
+      mapping[header] = overrides[header];
+      if (overrides[header]) used.add(overrides[header]);
+    }
+  }
+
+  for (const header of headers) {
+    if (header in mapping) continue;
+
+    const custom = customFieldName(header);
+    if (custom) {
+      mapping[header] = `custom_fields.${custom}`;
+      continue;
+    }
+
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(aliases).find(f => !used.has(f) && aliases[f].includes(normalized));
+    if (field) {
+      mapping[header] = field;
+      used.add(field);
+      continue;
+    }
+
+    const existing = customFields.find(cf =>
+      normalizeHeader(cf.field_name) === normalized || normalizeHeader(cf.field_label || '') === normalized);
+    mapping[header] = existing ? `custom_fields.${existing.field_name}` : null;
+  }
+
+  return mapping;
+}
+
+function validateMapping(mapping, entityType) {
+  const fields = Object.keys(FIELD_ALIASES[entityType]);
+  const errors = [];
+  for (const [header, field] of Object.entries(mapping)) {
+    if (field && !field.startsWith('custom_fields.') && !fields.includes(field)) {
+      errors.push(`${header} -> ${field}: not a ${entityType} field (supported: ${fields.join(', ')}, custom_fields.<name>)`);
+    }
+    if (field?.startsWith('custom_fields.') && !CUSTOM_FIELD_ENTITY[entityType]) {
+      errors.push(`${header} -> ${field}: ${entityType} have no custom fields`);
+    }
+  }
+  return errors;
+}
+
+// ============================================================================
+// ROW CONVERSION
+// ============================================================================
+
+function normalizeDomain(value) {
+  if (!value) return null;
+  return String(value).toLowerCase().trim()
+    .replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0] || null;
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function convertCustomValue(field, value) {
+  switch (field.field_type) {
+    case 'number': {
+      const number = Number(String(value).replace(/[,\s]/g, ''));
+      if (Number.isNaN(number)) throw new Error(`'${value}' is not a number`);
+      return { value_number: number };
+    }
+    case 'boolean':
+      if (/^(true|yes|y|1|x)$/i.test(value)) return { value_boolean: true };
+      if (/^(false|no|n|0)$/i.test(value)) return { value_boolean: false };
+      throw new Error(`'${value}' is not yes/no`);
+    case 'date': {
+      const date = parseDate(value);
+      if (!date) throw new Error(`'${value}' is not a date`);
+      return { value_date: date.slice(0, 10) };
+    }
+    case 'multi_select':
+      return { value_json: String(value).split(/[;,]/).map(v => v.trim()).filter(Boolean) };
+    default:
+      return { value_text: String(value) };
+  }
+}
+
+/**
+ * Round an imported score and check it's on the scoring scale
+ */
+function checkScore(record, values, errors) {
+  record.score = Math.round(Number(record.score));
+  if (Number.isNaN(record.score)) {
+    errors.push(`score '${values.score}' is not a number`);
+  } else if (record.score < MIN_SCORE || record.score > MAX_SCORE) {
+    errors.push(`score '${values.score}' must be between ${MIN_SCORE} and ${MAX_SCORE}`);
+  }
+}
+
+/**
+ * Turn one row into a record for its entity
+ *
+ * @returns {{record: object, custom: object, errors: string[], warnings: string[]}}
+ */
+export function convertRow(row, mapping, entityType) {
+  const values = {};
+  const custom = {};
+  for (const [header, field] of Object.entries(mapping)) {
+    const value = row[header];
+    if (!field || value === undefined || value === '') continue;
+    if (field.startsWith('custom_fields.')) custom[field.slice('custom_fields.'.length)] = value;
+    else values[field] = value;
+  }
+
+  const errors = [];
+  const warnings = [];
+  const record = {};
+
+  if (entityType === 'contacts') {
+    Object.assign(record, values);
+    if (values.full_name?.includes(',')) {
+      // "Last, First"
+      const [last, first] = values.full_name.split(',').map(part => part.trim());
+      record.first_name = record.first_name || first || last;
+      if (!record.last_name && first) record.last_name = last;
+    } else if (values.full_name) {
+      const parts = values.full_name.split(/\s+/);
+      record.first_name = record.first_name || parts[0];
+      if (!record.last_name && parts.length > 1) record.last_name = parts.slice(1).join(' ');
+    }
+    delete record.full_name;
+
+    for (const field of ['email', 'work_email', 'personal_email']) {
+      if (!record[field]) continue;
+      record[field] = record[field].toLowerCase();
+      if (!EMAIL_PATTERN.test(record[field])) errors.push(`${field} '${record[field]}' is not a valid email address`);
+    }
+    if (!record.first_name && record.email) {
+      record.first_name = record.email.split('@')[0];
+      warnings.push('first_name taken from email');
+    }
+    if (!record.first_name) errors.push('first_name (or name / email) is required');
+
+    if (record.company_domain) record.company_domain = normalizeDomain(record.company_domain);
+    if (record.tags) record.tags = record.tags.split(/[;,]/).map(t => t.trim()).filter(Boolean);
+    if (record.score !== undefined) checkScore(record, values, errors);
+    if (record.status) {
+      record.status = normalizeHeader(record.status);
+      if (!['active', 'churned', 'do_not_contact'].includes(record.status)) errors.push(`status '${values.status}' must be active, churned or do_not_contact`);
+    }
+    if (record.role_type) {
+      record.role_type = normalizeHeader(record.role_type);
+      if (!['decision_maker', 'champion', 'influencer', 'blocker', 'user', 'other'].includes(record.role_type)) {
+        warnings.push(`role_type '${values.role_type}' not recognised (left empty)`);
+        delete record.role_type;
+      }
+    }
+  } else if (entityType === 'companies') {
+    Object.assign(record, values);
+    if (record.domain) record.domain = normalizeDomain(record.domain);
+    if (!record.name && record.domain) record.name = record.domain;
+    if (!record.name) errors.push('name (or domain) is required');
+    if (record.employee_count !== undefined) {
+      record.employee_count = parseInt(String(record.employee_count).replace(/[,\s]/g, ''), 10);
+      if (Number.isNaN(record.employee_count)) errors.push(`employees '${values.employee_count}' is not a number`);
+    }
+    if (record.score !== undefined) checkScore(record, values, errors);
+  } else {
+    Object.assign(record, values);
+    record.contact_email = record.contact_email?.toLowerCase();
+    if (!record.contact_email) errors.push('contact email is required to find the contact');
+
+    const type = INTERACTION_TYPE_ALIASES[normalizeHeader(record.type || 'note')];
+    const inbound = /^in/i.test(record.direction || '');
+    record.type = type === 'email_sent' && inbound ? 'email_received' : type;
+    if (!INTERACTION_TYPES.includes(record.type)) errors.push(`type '${values.type}' must be one of ${INTERACTION_TYPES.join(', ')}`);
+
+    record.channel = record.channel ? normalizeHeader(record.channel) : CHANNEL_BY_TYPE[record.type] || null;
+    if (record.channel && !['phone', 'email', 'linkedin', 'slack', 'in_person', 'video'].includes(record.channel)) {
+      warnings.push(`channel '${values.channel}' not recognised (left empty)`);
+      record.channel = null;
+    }
+    if (record.direction) record.direction = inbound ? 'inbound' : 'outbound';
+    if (record.sentiment) {
+      record.sentiment = record.sentiment.toLowerCase();
+      if (!['positive', 'neutral', 'negative'].includes(record.sentiment)) {
+        warnings.push(`sentiment '${values.sentiment}' not recognised (left empty)`);
+        delete record.sentiment;
+      }
+    }
+    if (record.created_at) {
+      const date = parseDate(record.created_at);
+      if (!date) errors.push(`date '${values.created_at}' is not a date`);
+      record.created_at = date;
+    }
+  }
+
+  return { record, custom, errors, warnings };
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+function chunks(items, size) {
+  const result = [];
+  for (let i = 0; i < items.length; i += size) result.push(items.slice(i, i + size));
+  return result;
+}
+
+/**
+ * Contacts by lowercased email or work_email. Emails are matched ignoring
+ * case - create_contact stores them as typed.
+ */
+async function findContactsByEmail(emails, columns) {
+  const contacts = new Map();
+  const unique = [...new Set(emails.filter(Boolean))];
+
+  for (const chunk of chunks(unique, LOOKUP_CHUNK)) {
+    // Quoted array elements, so a comma or brace in a value can't split the list
+    const patterns = chunk.map(email => `"${escapeLike(email).replace(/["\\]/g, '\\$&')}"`);
+    for (const column of ['email', 'work_email']) {
+      const { data, error } = await supabase.from('contacts').select(`${columns}, ${column}`).ilikeAnyOf(column, patterns);
+      if (error) throw new Error(error.message);
+      for (const row of data || []) {
+        const key = row[column].toLowerCase();
+        if (!contacts.has(key)) contacts.set(key, row);
+      }
+    }
+  }
+  return contacts;
+}
+
+/**
+ * Existing records by email (contacts) or domain (companies): key -> id
+ */
+async function findExisting(entityType, keys) {
+  const existing = new Map();
+
+  if (entityType === 'contacts') {
+    for (const [email, row] of await findContactsByEmail(keys, 'id')) existing.set(email, row.id);
+    return existing;
+  }
+
+  const unique = [...new Set(keys.filter(Boolean))];
+  for (const chunk of chunks(unique, LOOKUP_CHUNK)) {
+    if (entityType === 'companies') {
+      const { data, error } = await supabase.from('companies').select('id, domain').in('domain', chunk);
+      if (error) throw new Error(error.message);
+      for (const row of data || []) existing.set(row.domain.toLowerCase(), row.id);
+    }
+  }
+  return existing;
+}
+
+function duplicateKey(entityType, record) {
+  if (entityType === 'contacts') return record.email || record.work_email || null;
+  if (entityType === 'companies') return record.domain || null;
+  return null;
+}
+
+async function loadCustomFields(entityType) {
+  const entity = CUSTOM_FIELD_ENTITY[entityType];
+  if (!entity) return [];
+
+  const { data, error } = await supabase
+    .from('custom_fields')
+    .select('id, field_name, field_label, field_type')
+    .eq('entity_type', entity);
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+// ============================================================================
+// PREVIEW
+// ============================================================================
+
+/**
+ * Read, map and check a file without writing anything
+ */
+async function analyzeFile(file, { entity_type, mapping = {}, sheet } = {}) {
+  if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+
+  const table = readSpreadsheet(file, { sheet });
+  const entityType = entity_type || detectEntityType(table.headers);
+  if (!entityType) {
+    throw new Error(`Can't tell whether ${path.basename(file)} holds contacts, companies or interactions - pass entity_type`);
+  }
+  if (!ENTITY_TYPES.includes(entityType)) throw new Error(`entity_type must be one of ${ENTITY_TYPES.join(', ')}`);
+
+  const customFields = await loadCustomFields(entityType);
+  const columns = detectMapping(table.headers, entityType, customFields, mapping);
+  const mappingErrors = validateMapping(columns, entityType);
+  if (mappingErrors.length > 0) throw new Error(`Invalid mapping: ${mappingErrors.join('; ')}`);
+
+  const rows = table.rows.map((row, index) => ({ row: table.row_numbers[index], values: row, ...convertRow(row, columns, entityType) }));
+
+  // Duplicates: earlier rows of the file, then the database
+  const existing = await findExisting(entityType, rows.map(r => duplicateKey(entityType, r.record)));
+  const seen = new Map();
+  for (const row of rows) {
+    const key = duplicateKey(entityType, row.record);
+    if (!key) continue;
+    if (seen.has(key)) row.duplicate = { of_row: seen.get(key) };
+    else if (existing.has(key)) row.duplicate = { existing_id: existing.get(key) };
+    seen.set(key, seen.get(key) || row.row);
+  }
+
+  const customNames = [...new Set(Object.values(columns).filter(f => f?.startsWith('custom_fields.')).map(f => f.slice(14)))];
+
+  return {
+    table,
+    entityType,
+    columns,
+    rows,
+    customFields,
+    missingCustomFields: customNames.filter(name => !customFields.some(cf => cf.field_name === name)),
+  };
+}
+
+function summarize(analysis, file) {
+  const { table, entityType, columns, rows, missingCustomFields } = analysis;
+  const invalid = rows.filter(r => r.errors.length > 0);
+
+  return {
+    file: path.basename(file),
+    format: table.format,
+    sheet: table.sheet,
+    entity_type: entityType,
+    total_rows: rows.length,
+    mapping: columns,
+    unmapped_columns: Object.keys(columns).filter(h => !columns[h]),
+    missing_custom_fields: missingCustomFields,
+    preview: rows.slice(0, PREVIEW_ROWS).map(r => ({
+      row: r.row,
+      record: r.record,
+      custom_fields: r.custom,
+      errors: r.errors,
+      duplicate: r.duplicate || null,
+    })),
+    invalid_rows: invalid.length,
+    invalid_examples: invalid.slice(0, PREVIEW_ROWS).map(r => ({ row: r.row, errors: r.errors })),
+    duplicates_in_file: rows.filter(r => r.duplicate?.of_row).length,
+    duplicates_existing: rows.filter(r => r.duplicate?.existing_id).length,
+  };
+}
+
+/**
+ * Preview an import: detected mapping, sample rows and what would be skipped
+ */
+export async function previewImport(file, options = {}) {
+  const analysis = await analyzeFile(file, options);
+  const summary = summarize(analysis, file);
+  const importable = summary.total_rows - summary.invalid_rows - summary.duplicates_in_file -
+    (options.on_duplicate === 'update' ? 0 : summary.duplicates_existing);
+  return { ...summary, would_import: Math.max(importable, 0) };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+async function ensureCustomFields(analysis, create) {
+  const byName = new Map(analysis.customFields.map(cf => [cf.field_name, cf]));
+  if (!create) return byName;
+
+  for (const name of analysis.missingCustomFields) {
+    const { data, error } = await supabase
+      .from('custom_fields')
+      .insert({
+        team_id: DEFAULT_TEAM_ID,
+        entity_type: CUSTOM_FIELD_ENTITY[analysis.entityType],
+        field_name: name,
+        field_label: name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+        field_type: 'text',
+        description: 'Created by import_file',
+      })
+      .select('id, field_name, field_label, field_type')
+      .single();
+
+    if (error) throw new Error(`Creating custom field ${name}: ${error.message}`);
+    byName.set(name, data);
+  }
+  return byName;
+}
+
+async function saveCustomValues(row, entityId, customFields) {
+  const values = [];
+  for (const [name, value] of Object.entries(row.custom)) {
+    const field = customFields.get(name);
+    if (!field) {
+      row.warnings.push(`custom field ${name} doesn't exist (value skipped)`);
+      continue;
+    }
+    try {
+      values.push({ custom_field_id: field.id, entity_id: entityId, ...convertCustomValue(field, value) });
+    } catch (error) {
+      row.warnings.push(`custom field ${name}: ${error.message} (value skipped)`);
+    }
+  }
+  if (values.length === 0) return;
+
+  const { error } = await supabase.from('custom_field_values').upsert(values, { onConflict: 'custom_field_id,entity_id' });
+  if (error) row.warnings.push(`custom fields not saved: ${error.message}`);
+}
+
+/**
+ * Find or create the companies named in a batch of contact rows
+ */
+async function resolveCompanies(rows, importId, cache) {
+  for (const row of rows) {
+    const { company_name: name, company_domain: domain } = row.record;
+    delete row.record.company_name;
+    delete row.record.company_domain;
+    if (!name && !domain) continue;
+
+    const key = domain || name.toLowerCase();
+    if (!cache.has(key)) {
+      let companyId = null;
+      if (domain) {
+        const { data } = await supabase.from('companies').select('id').eq('domain', domain).limit(1).single();
+        companyId = data?.id || null;
+      }
+      if (!companyId && name) {
+        const { data } = await supabase.from('companies').select('id').ilike('name', escapeLike(name)).limit(1).single();
+        companyId = data?.id || null;
+      }
+      if (!companyId) {
+        const { data, error } = await supabase
+          .from('companies')
+          .insert({ team_id: DEFAULT_TEAM_ID, owner_id: DEFAULT_USER_ID, name: name || domain, domain, import_id: importId })
+          .select('id')
+          .single();
+        if (error) {
+          row.warnings.push(`company not created: ${error.message}`);
+          continue;
+        }
+        companyId = data.id;
+      }
+      cache.set(key, companyId);
+    }
+    row.record.company_id = cache.get(key);
+  }
+}
+
+/**
+ * Find the contact of each interaction row by email
+ */
+async function resolveInteractionContacts(rows) {
+  const contacts = await findContactsByEmail(rows.map(r => r.record.contact_email), 'id, company_id');
+
+  for (const row of rows) {
+    const contact = contacts.get(row.record.contact_email);
+    delete row.record.contact_email;
+    if (!contact) {
+      row.errors.push('no contact with this email - import contacts first');
+      continue;
+    }
+    row.record.contact_id = contact.id;
+    row.record.company_id = contact.company_id;
+    row.record.user_id = DEFAULT_USER_ID;
+  }
+}
+
+const TABLES = { contacts: 'contacts', companies: 'companies', interactions: 'interactions' };
+
+async function insertBatch(entityType, rows, importId, customFields) {
+  const table = TABLES[entityType];
+  const records = rows.map(r => ({
+    team_id: DEFAULT_TEAM_ID,
+    ...(entityType === 'interactions' ? {} : { owner_id: DEFAULT_USER_ID }),
+    ...r.record,
+    import_id: importId,
+  }));
+
+  const { data, error } = await supabase.from(table).insert(records).select('id');
+
+  if (!error) {
+    for (const [index, row] of rows.entries()) {
+      row.status = 'inserted';
+      row.entity_id = data[index].id;
+    }
+  } else {
+    // Find the bad rows one at a time
+    for (const [index, row] of rows.entries()) {
+      const { data: single, error: rowError } = await supabase.from(table).insert(records[index]).select('id').single();
+      if (rowError) {
+        row.status = 'error';
+        row.errors.push(rowError.message);
+      } else {
+        row.status = 'inserted';
+        row.entity_id = single.id;
+      }
+    }
+  }
+
+  for (const row of rows) {
+    if (row.status === 'inserted' && Object.keys(row.custom).length > 0) await saveCustomValues(row, row.entity_id, customFields);
+  }
+}
+
+async function updateExisting(entityType, row, customFields) {
+  const changes = { ...row.record };
+  // Don't replace a real name with one guessed from the email
+  if (entityType === 'contacts' && row.warnings.includes('first_name taken from email')) delete changes.first_name;
+
+  const { error } = await supabase
+    .from(TABLES[entityType])
+    .update(changes)
+    .eq('id', row.duplicate.existing_id);
+
+  if (error) {
+    row.status = 'error';
+    row.errors.push(error.message);
+    return;
+  }
+  row.status = 'updated';
+  row.entity_id = row.duplicate.existing_id;
+  if (Object.keys(row.custom).length > 0) await saveCustomValues(row, row.entity_id, customFields);
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Per-row report: row, status, message, id, then the original columns
+ */
+function writeReport(file, analysis, reportPath) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/, '');
+  const target = reportPath || path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.import-report-${stamp}.csv`);
+
+  const headers = analysis.table.headers;
+  const lines = [['row', 'status', 'message', 'id', ...headers].map(csvCell).join(',')];
+  for (const row of analysis.rows) {
+    const message = [...row.errors, ...row.warnings].join('; ');
+    lines.push([row.row, row.status, message, row.entity_id || '', ...headers.map(h => row.values[h])].map(csvCell).join(','));
+  }
+
+  fs.writeFileSync(target, `${lines.join('\n')}\n`);
+  return target;
+}
+
+/**
+ * Import a CSV / XLSX file
+ *
+ * @param {string} file
+ * @param {object} options - { entity_type, mapping, sheet, run_intake, on_duplicate ('skip'|'update'),
+ *                             create_missing_fields, report_path }
+ * @returns Counts, the imports row id and the report path
+ */
+export async function runImport(file, {
+  entity_type,
+  mapping = {},
+  sheet,
+  run_intake = false,
+  on_duplicate = 'skip',
+  create_missing_fields = false,
+  report_path,
+} = {}) {
+  if (!['skip', 'update'].includes(on_duplicate)) throw new Error("on_duplicate must be 'skip' or 'update'");
+
+  const analysis = await analyzeFile(file, { entity_type, mapping, sheet });
+  const { entityType, rows } = analysis;
+
+  const { data: importRow, error: importError } = await supabase
+    .from('imports')
+    .insert({
+      team_id: DEFAULT_TEAM_ID,
+      file_name: path.basename(file),
+      entity_type: entityType,
+      mapping: analysis.columns,
+      run_intake: entityType !== 'interactions' && run_intake,
+      on_duplicate,
+      total_rows: rows.length,
+    })
+    .select('id')
+    .single();
+
+  if (importError) throw new Error(importError.message);
+  const importId = importRow.id;
+
+  let failure = null;
+  try {
+    const customFields = await ensureCustomFields(analysis, create_missing_fields);
+    const companies = new Map();
+
+    for (const row of rows) {
+      if (row.errors.length > 0) row.status = 'error';
+      else if (row.duplicate?.of_row) {
+        row.status = 'duplicate';
+        row.warnings.push(`same ${entityType === 'contacts' ? 'email' : 'domain'} as row ${row.duplicate.of_row}`);
+      } else if (row.duplicate?.existing_id && on_duplicate === 'skip') {
+        row.status = 'duplicate';
+        row.entity_id = row.duplicate.existing_id;
+        row.warnings.push(`already exists (${entityType === 'contacts' ? 'email' : 'domain'})`);
+      }
+    }
+
+    const pending = rows.filter(r => !r.status);
+    for (const [index, batch] of chunks(pending, BATCH_SIZE).entries()) {
+      if (entityType === 'contacts') await resolveCompanies(batch, importId, companies);
+      if (entityType === 'interactions') await resolveInteractionContacts(batch);
+
+      for (const row of batch) {
+        if (row.errors.length > 0) row.status = 'error';
+        else if (row.duplicate?.existing_id) await updateExisting(entityType, row, customFields);
+      }
+
+      const toInsert = batch.filter(r => !r.status);
+      if (toInsert.length > 0) await insertBatch(entityType, toInsert, importId, customFields);
+
+      console.log(`[Import] ${path.basename(file)}: batch ${index + 1}/${Math.ceil(pending.length / BATCH_SIZE)} done`);
+    }
+  } catch (error) {
+    failure = error;
+    for (const row of rows) {
+      if (!row.status) {
+        row.status = 'error';
+        row.errors.push(`not imported: ${error.message}`);
+      }
+    }
+  }
+
+  const count = (status) => rows.filter(r => r.status === status).length;
+  const counts = { inserted: count('inserted'), updated: count('updated'), duplicates: count('duplicate'), failed: count('error') };
+  const report = writeReport(file, analysis, report_path);
+
+  await supabase
+    .from('imports')
+    .update({
+      ...counts,
+      status: failure ? 'failed' : 'completed',
+      error: failure?.message || null,
+      report_path: report,
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', importId);
+
+  if (failure) throw new Error(`Import stopped: ${failure.message} (report: ${report})`);
+
+  return {
+    import_id: importId,
+    entity_type: entityType,
+    total_rows: rows.length,
+    ...counts,
+    run_intake: entityType !== 'interactions' && run_intake,
+    report_path: report,
+    errors: rows.filter(r => r.status === 'error').slice(0, 10).map(r => ({ row: r.row, errors: r.errors })),
+  };
+}
+
+export default {
+  ENTITY_TYPES,
+  detectEntityType,
+  detectMapping,
+  convertRow,
+  previewImport,
+  runImport,
+};
@@ -14,6 +14,12 @@ import Anthropic from '@anthropic-ai/sdk';
 const { toolDefinitions, executeTool } = await import('./tools.js');
 const { SYSTEM_PROMPT, GREETING } = await import('./prompts.js');
 const { startEventProcessor, stopEventProcessor, getStatus: getEventStatus } = await import('./event-processor.js');
+const { workflowToolDefinitions, executeWorkflowTool } = await import('./workflow-executor.js');
+const { countUnread } = await import('./notifications.js');
+
+// CRM tools + workflow tools (emit events, trigger/resume workflow runs)
+const allToolDefinitions = [...toolDefinitions, ...workflowToolDefinitions];
+const workflowToolNames = new Set(workflowToolDefinitions.map((tool) => tool.name));
 
 // Verify environment
 if (!process.env.ANTHROPIC_API_KEY) {
@@ -36,7 +42,7 @@ async function chat(userMessage) {
     model: 'claude-sonnet-4-20250514',
     max_tokens: 4096,
     system: SYSTEM_PROMPT,
-    tools: toolDefinitions,
+    tools: allToolDefinitions,
     messages: conversationHistory,
   });
 
@@ -51,7 +57,9 @@ async function chat(userMessage) {
       if (block.type === 'tool_use') {
         console.log('  [Calling ' + block.name + '...]');
         try {
-          const result = await executeTool(block.name, block.input);
+          const result = workflowToolNames.has(block.name)
+            ? await executeWorkflowTool(block.name, block.input)
+            : await executeTool(block.name, block.input);
           toolResults.push({
             type: 'tool_result',
             tool_use_id: block.id,
@@ -75,7 +83,7 @@ async function chat(userMessage) {
       model: 'claude-sonnet-4-20250514',
       max_tokens: 4096,
       system: SYSTEM_PROMPT,
-      tools: toolDefinitions,
+      tools: allToolDefinitions,
       messages: conversationHistory,
     });
   }
@@ -103,6 +111,14 @@ async function main() {
 
   console.log(GREETING);
 
+  // Unread CLI notifications (hot leads etc. that arrived while away)
+  try {
+    const unread = await countUnread();
+    if (unread > 0) console.log(`📥 ${unread} unread notification${unread === 1 ? '' : 's'} - type "inbox" to read`);
+  } catch {
+    // notifications table not migrated yet
+  }
+
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
@@ -116,6 +132,82 @@ async function main() {
     process.exit(0);
   });
 
+  const ask = (question) => new Promise(resolve => rl.question(question, resolve));
+
+  // Preview the file, confirm, then import it
+  const importCommand = async (command) => {
+    const words = (command.match(/"[^"]*"|'[^']*'|\S+/g) || []).slice(1).map(w => w.replace(/^["']|["']$/g, ''));
+    const usage = 'Usage: import <file.csv|file.xlsx> [contacts|companies|interactions] [--intake] [--update] [--sheet name] [--create-fields]';
+    const flags = new Set(['--intake', '--update', '--create-fields']);
+
+    // Positionals: the file, then an optional entity type; --sheet takes a value
+    const positional = [];
+    const options = { run_intake: false, on_duplicate: 'skip', create_missing_fields: false };
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      if (word === '--sheet') {
+        if (!words[i + 1] || words[i + 1].startsWith('--')) {
+          console.log(`--sheet needs a sheet name\n${usage}`);
+          return;
+        }
+        options.sheet = words[++i];
+      } else if (flags.has(word)) {
+        if (word === '--intake') options.run_intake = true;
+        if (word === '--update') options.on_duplicate = 'update';
+        if (word === '--create-fields') options.create_missing_fields = true;
+      } else if (word.startsWith('--')) {
+        console.log(`Unknown option ${word}\n${usage}`);
+        return;
+      } else {
+        positional.push(word);
+      }
+    }
+
+    const [file, entityType, ...extra] = positional;
+    if (!file || extra.length > 0) {
+      console.log(usage);
+      return;
+    }
+    if (entityType && !['contacts', 'companies', 'interactions'].includes(entityType)) {
+      console.log(`Unknown entity type ${entityType}\n${usage}`);
+      return;
+    }
+    options.path = path.resolve(file);
+    options.entity_type = entityType;
+
+    const preview = await executeTool('import_file', { ...options, preview: true });
+    console.log(`\n--- Import preview: ${preview.file}${preview.sheet ? ` [${preview.sheet}]` : ''} ---`);
+    console.log(`${preview.total_rows} ${preview.entity_type} row(s)`);
+    for (const [header, field] of Object.entries(preview.mapping)) {
+      console.log(`  ${header} -> ${field || '(ignored)'}`);
+    }
+    if (preview.missing_custom_fields.length > 0) {
+      console.log(`Unknown custom fields: ${preview.missing_custom_fields.join(', ')}` +
+        (options.create_missing_fields ? ' (will be created)' : ' (skipped - use --create-fields)'));
+    }
+    for (const row of preview.preview) {
+      const problems = [...row.errors, ...(row.duplicate ? ['duplicate'] : [])];
+      console.log(`  row ${row.row}: ${JSON.stringify(row.record)}${problems.length ? `  ⚠ ${problems.join('; ')}` : ''}`);
+    }
+    console.log(`Invalid: ${preview.invalid_rows}, repeated in file: ${preview.duplicates_in_file}, ` +
+      `already exist: ${preview.duplicates_existing} (${options.on_duplicate})`);
+    console.log(`Intake pipeline: ${options.run_intake && preview.entity_type !== 'interactions' ? 'yes' : 'no'}`);
+    console.log('----------------------------------');
+
+    if (preview.would_import === 0) {
+      console.log('Nothing to import');
+      return;
+    }
+    const answer = await ask(`Import ${preview.would_import} row(s)? (y/N) `);
+    if (!/^y(es)?$/i.test(answer.trim())) {
+      console.log('Import cancelled');
+      return;
+    }
+
+    const result = await executeTool('import_file', { ...options, entity_type: preview.entity_type, preview: false });
+    console.log(result.message);
+  };
+
   const prompt = () => {
     rl.question('\n> ', async (input) => {
       const trimmed = input.trim();
@@ -145,6 +237,35 @@ async function main() {
         return;
       }
 
+      // Built-in inbox command (CLI notification channel)
+      if (trimmed.toLowerCase() === 'inbox' || trimmed.toLowerCase() === '/inbox') {
+        try {
+          const { notifications } = await executeTool('list_notifications', { unread_only: true, limit: 50 });
+          console.log('\n--- Inbox ---');
+          if (notifications.length === 0) console.log('No unread notifications');
+          for (const n of notifications.reverse()) {
+            console.log(`[${new Date(n.created_at).toLocaleString()}] ${n.body}`);
+          }
+          console.log('-------------');
+          if (notifications.length > 0) await executeTool('mark_notifications_read', { notification_ids: notifications.map(n => n.id) });
+        } catch (error) {
+          console.error('Error:', error.message);
+        }
+        prompt();
+        return;
+      }
+
+      // Built-in import command: import <file> [contacts|companies|interactions] [--intake] [--update] [--sheet name]
+      if (/^\/?import(\s|$)/i.test(trimmed)) {
+        try {
+          await importCommand(trimmed);
+        } catch (error) {
+          console.error('Error:', error.message);
+        }
+        prompt();
+        return;
+      }
+
       try {
         const response = await chat(trimmed);
         console.log('\n' + response);
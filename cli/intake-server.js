@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Intake Webhook Server
+ *
+ * Serves the webhook_url returned by create_intake_source:
+ *
+ *   POST /api/intake/{slug}    JSON or form-encoded payload -> new contact
+ *   GET  /health
+ *
+ * Usage:
+ *   node intake-server.js                  # Listen on 0.0.0.0:3100
+ *   node intake-server.js --port 8080 --host 127.0.0.1
+ *
+ * Authenticate with the source's webhook_secret (X-Webhook-Secret header,
+ * Authorization: Bearer, ?secret=) or sign the raw body:
+ *   X-Signature-256: sha256=<hex HMAC-SHA256(body, webhook_secret)>
+ *
+ * Responses are JSON: 201 { ok: true, contact_id, ... } or
+ * { ok: false, error: <code>, message, errors: [{ field, rule, message }] }.
+ */
+
+import dotenv from 'dotenv';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Load .env from project root FIRST
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Dynamic imports after env is loaded
+const { IntakeError, findSourceBySlug, verifyRequest, ingestPayload } = await import('./intake.js');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const ROUTE = /^\/api\/intake\/([a-z0-9_-]+)\/?$/i;
+
+// ============================================================================
+// REQUEST HANDLING
+// ============================================================================
+
+/**
+ * Read the request body. Past MAX_BODY_BYTES the rest is discarded (not
+ * reset) so the client still receives the 413, then the connection closes.
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      if (size > MAX_BODY_BYTES) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks.length = 0;
+        reject(new IntakeError(413, 'payload_too_large', `Payload exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(rawBody, contentType = '') {
+  const text = rawBody.toString('utf8');
+  if (/application\/x-www-form-urlencoded/i.test(contentType)) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new IntakeError(400, 'invalid_json', `Body is not valid JSON: ${error.message}`);
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function handleIntake(req, res, slug, query) {
+  const rawBody = await readBody(req);
+  const source = await findSourceBySlug(slug);
+  const auth = verifyRequest(source, { headers: req.headers, query, rawBody });
+  const payload = parseBody(rawBody, req.headers['content-type']);
+
+  const { contact, ignored_fields } = await ingestPayload(source, payload);
+
+  send(res, 201, {
+    ok: true,
+    contact_id: contact.id,
+    source: source.slug,
+    authenticated_by: auth.method,
+    contact: {
+      first_name: contact.first_name,
+      last_name: contact.last_name,
+      email: contact.email,
+      company: contact.companies?.name || null,
+      score: contact.score,
+      tags: contact.tags,
+    },
+    ignored_fields,
+  });
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    send(res, 200, { ok: true });
+    return;
+  }
+
+  const match = url.pathname.match(ROUTE);
+  if (!match) {
+    send(res, 404, { ok: false, error: 'not_found', message: `No route ${req.method} ${url.pathname} (POST /api/intake/{slug})` });
+    return;
+  }
+  if (req.method !== 'POST') {
+    send(res, 405, { ok: false, error: 'method_not_allowed', message: 'Use POST' });
+    return;
+  }
+
+  try {
+    await handleIntake(req, res, match[1], Object.fromEntries(url.searchParams));
+  } catch (error) {
+    if (error instanceof IntakeError) {
+      console.log(`[Intake] ${match[1]}: rejected ${error.status} ${error.code} - ${error.message}`);
+      if (error.status === 413) {
+        // Close once the rejection is written rather than reading the rest of the body
+        res.setHeader('Connection', 'close');
+        res.on('finish', () => req.destroy());
+      }
+      send(res, error.status, { ok: false, error: error.code, message: error.message, errors: error.errors });
+    } else {
+      console.error(`[Intake] ${match[1]}: ${error.message}`);
+      send(res, 500, { ok: false, error: 'internal_error', message: error.message, errors: [] });
+    }
+  }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : null;
+};
+
+const port = Number(option('--port') || process.env.INTAKE_PORT || 3100);
+const host = option('--host') || '0.0.0.0';
+
+http.createServer(handleRequest).listen(port, host, () => {
+  console.log(`[Intake] Listening on http://${host}:${port}/api/intake/{slug}`);
+  console.log('[Intake] Press Ctrl+C to stop');
+});
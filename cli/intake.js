@@ -0,0 +1,461 @@
+/**
+ * Webhook / Form Intake
+ *
+ * Turns a payload posted to /api/intake/{slug} (cli/intake-server.js) into a
+ * contact, following the intake source's configuration:
+ *
+ * 1. Authenticate - the source's webhook_secret as a header / query value, or
+ *    an HMAC-SHA256 signature of the raw body keyed with it
+ * 2. Map - field_mapping rules pick contact fields out of the payload:
+ *      { "email": "$.data.email", "first_name": "$.fields[0].value",
+ *        "company_name": ["$.company.name", "$.org"],          (first non-empty)
+ *        "notes": "Signed up for {{data.plan}}" }               (template)
+ *    With no mapping, top-level payload keys are used as-is.
+ * 3. Validate - required_fields must be present, the email must look like an
+ *    address, and validation_rules (conditions, see conditions.js) must pass
+ * 4. Insert - default_score and default_tags are applied; the contact.created
+ *    trigger then runs the Intake Agent as for any other new contact
+ *
+ * Rejections are returned as IntakeError with a status, a code and per-field
+ * errors so the sender can tell what to fix.
+ */
+
+import crypto from 'crypto';
+import { supabase, DEFAULT_TEAM_ID, DEFAULT_USER_ID, escapeLike } from './supabase.js';
+import { resolveMapping, validateTemplate } from './templates.js';
+import { evaluateCondition, validateConditions } from './conditions.js';
+
+// Contact columns a mapping may fill directly
+const CONTACT_FIELDS = [
+  'first_name', 'last_name', 'email', 'work_email', 'personal_email', 'phone',
+  'title', 'role_type', 'linkedin_url', 'notes',
+];
+// Extra mapped fields handled here: name/full_name (split), company_name,
+// company_domain (find or create the company), tags
+const EXTRA_FIELDS = ['name', 'full_name', 'company_name', 'company_domain', 'tags'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SIGNATURE_HEADERS = ['x-signature-256', 'x-hub-signature-256', 'x-signature', 'typeform-signature'];
+
+export class IntakeError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - Machine-readable reason (unauthorized, validation_failed, ...)
+   * @param {string} message
+   * @param {Array} errors - [{ field, rule, message }]
+   */
+  constructor(status, code, message, errors = []) {
+    super(message);
+    this.name = 'IntakeError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+// ============================================================================
+// JSONPATH
+// ============================================================================
+// Subset: $.a.b, $['a b'], $.items[0], $.items[-1], $.items[*].email,
+// $.answers[?(@.field.ref == 'email')].email
+
+function parsePath(path) {
+  const tokens = [];
+  let i = path.startsWith('$') ? 1 : 0;
+
+  while (i < path.length) {
+    if (path[i] === '.') {
+      const match = path.slice(i + 1).match(/^(\*|[^.[\]]+)/);
+      if (!match) throw new Error(`Invalid JSONPath '${path}' at ${i}`);
+      tokens.push(match[1] === '*' ? { wildcard: true } : { key: match[1] });
+      i += 1 + match[1].length;
+    } else if (path[i] === '[') {
+      const end = path.indexOf(']', path[i + 1] === '?' ? path.indexOf(')', i) : i);
+      if (end === -1) throw new Error(`Invalid JSONPath '${path}': unclosed [`);
+      const inner = path.slice(i + 1, end).trim();
+
+      if (inner === '*') tokens.push({ wildcard: true });
+      else if (/^-?\d+$/.test(inner)) tokens.push({ index: Number(inner) });
+      else if (/^(['"]).*\1$/.test(inner)) tokens.push({ key: inner.slice(1, -1) });
+      else if (inner.startsWith('?(') && inner.endsWith(')')) {
+        const filter = inner.slice(2, -1).match(/^@\.([\w.]+)\s*(==|!=)\s*(?:(['"])(.*)\3|(-?[\d.]+|true|false|null))$/);
+        if (!filter) throw new Error(`Unsupported JSONPath filter '${inner}' (use ?(@.field == 'value'))`);
+        const value = filter[3] ? filter[4] : JSON.parse(filter[5]);
+        tokens.push({ filter: { path: filter[1].split('.'), negate: filter[2] === '!=', value } });
+      } else {
+        throw new Error(`Invalid JSONPath '${path}': [${inner}]`);
+      }
+      i = end + 1;
+    } else {
+      throw new Error(`Invalid JSONPath '${path}' at ${i}`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Read a JSONPath from a payload. Paths with a wildcard or filter return the
+ * first match.
+ */
+export function readPath(payload, path) {
+  let nodes = [payload];
+
+  for (const token of parsePath(path)) {
+    const next = [];
+    for (const node of nodes) {
+      if (node === null || typeof node !== 'object') continue;
+      if (token.key !== undefined) {
+        if (Object.hasOwn(node, token.key)) next.push(node[token.key]);
+      } else if (token.index !== undefined) {
+        if (Array.isArray(node)) {
+          const item = node[token.index < 0 ? node.length + token.index : token.index];
+          if (item !== undefined) next.push(item);
+        }
+      } else if (token.wildcard) {
+        next.push(...Object.values(node));
+      } else if (token.filter) {
+        for (const item of Object.values(node)) {
+          const actual = token.filter.path.reduce(
+            (value, key) => (value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined),
+            item
+          );
+          if ((actual === token.filter.value) !== token.filter.negate) next.push(item);
+        }
+      }
+    }
+    nodes = next;
+  }
+
+  return nodes[0];
+}
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+}
+
+function resolveRule(rule, payload) {
+  if (Array.isArray(rule)) {
+    for (const candidate of rule) {
+      const value = resolveRule(candidate, payload);
+      if (!isEmpty(value)) return value;
+    }
+    return undefined;
+  }
+  if (typeof rule !== 'string') return rule;
+  if (rule.startsWith('$')) return readPath(payload, rule);
+  if (rule.includes('{{')) return resolveMapping(rule, payload);
+  return rule;
+}
+
+/**
+ * Apply a source's field_mapping to a payload
+ *
+ * @returns {{fields: object, ignored: string[]}} Mapped fields, and mapping keys that aren't contact fields
+ */
+export function applyFieldMapping(payload, mapping) {
+  const hasMapping = mapping && Object.keys(mapping).length > 0;
+  const rules = hasMapping ? mapping : payload || {};
+
+  const fields = {};
+  const ignored = [];
+
+  for (const [field, rule] of Object.entries(rules)) {
+    if (!CONTACT_FIELDS.includes(field) && !EXTRA_FIELDS.includes(field)) {
+      ignored.push(field);
+      continue;
+    }
+    let value = hasMapping ? resolveRule(rule, payload) : rule;
+    if (isEmpty(value)) continue;
+    if (typeof value === 'string') value = value.trim();
+    fields[field] = value;
+  }
+
+  // "Jane van Doe" -> first_name Jane, last_name van Doe
+  const fullName = fields.full_name || fields.name;
+  if (fullName && !fields.first_name) {
+    const parts = String(fullName).trim().split(/\s+/);
+    fields.first_name = parts[0];
+    if (!fields.last_name && parts.length > 1) fields.last_name = parts.slice(1).join(' ');
+  }
+  delete fields.full_name;
+  delete fields.name;
+
+  if (fields.email) fields.email = String(fields.email).toLowerCase();
+  if (fields.tags !== undefined) {
+    fields.tags = (Array.isArray(fields.tags) ? fields.tags : String(fields.tags).split(','))
+      .map(tag => String(tag).trim())
+      .filter(Boolean);
+  }
+
+  return { fields, ignored };
+}
+
+/**
+ * Check a source's field_mapping and validation_rules when it's saved
+ *
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateSourceConfig({ field_mapping, required_fields, validation_rules, poll_config }) {
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(field_mapping || {})) {
+    if (!CONTACT_FIELDS.includes(field) && !EXTRA_FIELDS.includes(field)) {
+      errors.push(`field_mapping.${field}: not a contact field (supported: ${[...CONTACT_FIELDS, ...EXTRA_FIELDS].join(', ')})`);
+    }
+    for (const candidate of Array.isArray(rule) ? rule : [rule]) {
+      if (typeof candidate !== 'string') continue;
+      if (candidate.startsWith('$')) {
+        try {
+          parsePath(candidate);
+        } catch (error) {
+          errors.push(`field_mapping.${field}: ${error.message}`);
+        }
+      } else {
+        for (const problem of validateTemplate(candidate)) errors.push(`field_mapping.${field}: ${problem}`);
+      }
+    }
+  }
+
+  if (required_fields !== undefined && required_fields !== null && !Array.isArray(required_fields)) {
+    errors.push('required_fields must be an array of field names');
+  }
+
+  if (validation_rules) {
+    if (!Array.isArray(validation_rules)) {
+      errors.push('validation_rules must be an array of conditions');
+    } else {
+      errors.push(...validateConditions(validation_rules.map(({ message, ...condition }) => condition), 'validation_rules'));
+    }
+  }
+
+  // api_poll paths (api-poll.js)
+  for (const key of ['records_path', 'record_id_path', 'next_cursor_path', 'next_url_path', 'since_field']) {
+    if (!poll_config?.[key]) continue;
+    try {
+      parsePath(poll_config[key]);
+    } catch (error) {
+      errors.push(`poll_config.${key}: ${error.message}`);
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a request against the source's webhook_secret. Accepted:
+ * - X-Webhook-Secret: <secret> / Authorization: Bearer <secret> / ?secret=<secret>
+ * - X-Signature-256 (or X-Hub-Signature-256, X-Signature, Typeform-Signature):
+ *   sha256=<hex or base64 HMAC-SHA256 of the raw body>
+ * Sources without a secret (forms, manual) accept unsigned requests.
+ *
+ * @throws {IntakeError} 401 when neither matches
+ */
+export function verifyRequest(source, { headers = {}, query = {}, rawBody = Buffer.alloc(0) }) {
+  if (!source.webhook_secret) return { method: 'none' };
+
+  const secret = source.webhook_secret;
+  const bearer = (headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  for (const candidate of [headers['x-webhook-secret'], bearer, query.secret]) {
+    if (candidate && safeEqual(candidate, secret)) return { method: 'secret' };
+  }
+
+  const signatureHeader = SIGNATURE_HEADERS.find(name => headers[name]);
+  if (signatureHeader) {
+    const signature = headers[signatureHeader].replace(/^sha256=/i, '').trim();
+    const hmac = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    if (safeEqual(signature, hmac.toString('hex')) || safeEqual(signature, hmac.toString('base64'))) {
+      return { method: 'hmac' };
+    }
+    throw new IntakeError(401, 'invalid_signature', `${signatureHeader} does not match the body signed with this source's secret`);
+  }
+
+  throw new IntakeError(401, 'unauthorized',
+    'Missing credentials: send the source secret as X-Webhook-Secret / Authorization: Bearer, or sign the body (X-Signature-256: sha256=<hmac>)');
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check mapped fields against the source's required_fields and validation_rules
+ *
+ * @returns {Array<{field, rule, message}>} Problems found (empty if valid)
+ */
+export function validateContactFields(fields, source, payload = {}) {
+  const errors = [];
+
+  for (const field of source.required_fields || []) {
+    if (isEmpty(fields[field])) {
+      errors.push({ field, rule: 'required', message: `${field} is required (check field_mapping.${field})` });
+    }
+  }
+
+  if (isEmpty(fields.first_name) && isEmpty(fields.email)) {
+    errors.push({ field: 'first_name', rule: 'required', message: 'A contact needs at least a first_name (or name) or an email' });
+  }
+
+  for (const field of ['email', 'work_email', 'personal_email']) {
+    if (!isEmpty(fields[field]) && !EMAIL_PATTERN.test(String(fields[field]))) {
+      errors.push({ field, rule: 'email_format', message: `${field} '${fields[field]}' is not a valid email address` });
+    }
+  }
+
+  const context = { ...fields, contact: fields, payload };
+  for (const [index, rule] of (source.validation_rules || []).entries()) {
+    const { message, ...condition } = rule;
+    let passed;
+    try {
+      passed = evaluateCondition(condition, context);
+    } catch (error) {
+      passed = false;
+      errors.push({ field: condition.field || null, rule: `validation_rules[${index}]`, message: `Rule failed to evaluate: ${error.message}` });
+      continue;
+    }
+    if (!passed) {
+      errors.push({
+        field: typeof condition.field === 'string' ? condition.field.replace(/^\{\{\s*|\s*\}\}$/g, '') : null,
+        rule: `validation_rules[${index}]`,
+        message: message || `${condition.field} ${condition.operator}${'value' in condition ? ` ${JSON.stringify(condition.value)}` : ''} failed`,
+      });
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// INSERT
+// ============================================================================
+
+async function resolveCompany({ company_name, company_domain }) {
+  const domain = company_domain ? String(company_domain).toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0] : null;
+
+  if (domain) {
+    const { data } = await supabase.from('companies').select('id').eq('domain', domain).limit(1).single();
+    if (data) return data.id;
+  }
+  if (company_name) {
+    const { data } = await supabase.from('companies').select('id').ilike('name', escapeLike(String(company_name))).limit(1).single();
+    if (data) return data.id;
+  }
+
+  const { data, error } = await supabase
+    .from('companies')
+    .insert({ team_id: DEFAULT_TEAM_ID, owner_id: DEFAULT_USER_ID, name: company_name || domain, domain })
+    .select('id')
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data.id;
+}
+
+async function rejectWith(source, error) {
+  await supabase
+    .from('intake_sources')
+    .update({ last_error: `${error.code}: ${error.message}` })
+    .eq('id', source.id);
+  return error;
+}
+
+/**
+ * Map, validate and insert a payload as a contact from this source
+ *
+ * @returns {{contact, ignored_fields: string[]}}
+ * @throws {IntakeError} 422 with per-field errors when the payload is rejected
+ */
+export async function ingestPayload(source, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw await rejectWith(source, new IntakeError(400, 'invalid_payload', 'Payload must be a JSON object'));
+  }
+
+  let mapped;
+  try {
+    mapped = applyFieldMapping(payload, source.field_mapping);
+  } catch (error) {
+    throw await rejectWith(source, new IntakeError(500, 'mapping_error', `field_mapping could not be applied: ${error.message}`));
+  }
+  const { fields, ignored } = mapped;
+
+  const errors = validateContactFields(fields, source, payload);
+  if (errors.length > 0) {
+    throw await rejectWith(source, new IntakeError(422, 'validation_failed', `Payload rejected: ${errors.map(e => e.message).join('; ')}`, errors));
+  }
+
+  // Contacts need a first name - fall back to the email's local part
+  const firstName = fields.first_name || String(fields.email).split('@')[0];
+
+  const companyId = fields.company_name || fields.company_domain ? await resolveCompany(fields) : null;
+
+  const contact = {
+    team_id: DEFAULT_TEAM_ID,
+    owner_id: DEFAULT_USER_ID,
+    company_id: companyId,
+    intake_source_id: source.id,
+    score: source.default_score ?? undefined,
+    tags: [...new Set([...(source.default_tags || []), ...(fields.tags || [])])],
+  };
+  for (const field of CONTACT_FIELDS) {
+    if (fields[field] !== undefined) contact[field] = fields[field];
+  }
+  contact.first_name = firstName;
+
+  const { data, error } = await supabase
+    .from('contacts')
+    .insert(contact)
+    .select('*, companies(name)')
+    .single();
+
+  if (error) {
+    throw await rejectWith(source, new IntakeError(500, 'insert_failed', `Contact could not be saved: ${error.message}`));
+  }
+
+  await supabase.rpc('record_intake_contact', { p_source_id: source.id });
+
+  console.log(`[Intake] ${source.slug}: ${[data.first_name, data.last_name].filter(Boolean).join(' ')} <${data.email || 'no email'}>`);
+  return { contact: data, ignored_fields: ignored };
+}
+
+/**
+ * Look up an enabled webhook/form source by slug
+ *
+ * @throws {IntakeError} 404 / 403
+ */
+export async function findSourceBySlug(slug) {
+  let query = supabase.from('intake_sources').select('*').eq('slug', slug);
+  if (DEFAULT_TEAM_ID) query = query.eq('team_id', DEFAULT_TEAM_ID);
+
+  const { data } = await query.limit(1).single();
+  if (!data) throw new IntakeError(404, 'source_not_found', `No intake source with slug '${slug}'`);
+  if (!data.is_enabled) throw new IntakeError(403, 'source_disabled', `Intake source '${data.name}' is disabled`);
+  if (!['webhook', 'form'].includes(data.source_type)) {
+    throw new IntakeError(400, 'unsupported_source_type', `Intake source '${data.name}' has source_type '${data.source_type}' and doesn't accept posts`);
+  }
+  return data;
+}
+
+export default {
+  IntakeError,
+  readPath,
+  applyFieldMapping,
+  validateSourceConfig,
+  verifyRequest,
+  validateContactFields,
+  ingestPayload,
+  findSourceBySlug,
+};
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Mock Lead API
+ *
+ * A paged JSON lead feed on localhost for testing api_poll intake sources
+ * (cli/api-poll.js) without a real vendor API.
+ *
+ * Usage:
+ *   node mock-lead-api.js                       # 127.0.0.1:3200, 25 leads
+ *   node mock-lead-api.js --port 3300 --count 60 --token secret123
+ *
+ * Endpoints:
+ *   GET  /leads?cursor=&limit=10&updated_since=   cursor paging
+ *        -> { data: [...], meta: { next_cursor } }
+ *   GET  /leads?page=1&limit=10                   numbered pages
+ *   POST /leads  { first_name, last_name, email, company }   add a lead
+ *
+ * Point a source at it:
+ *   create_intake_source "Mock API" api_poll, api_endpoint http://127.0.0.1:3200/leads,
+ *   poll_config { cursor_param: "cursor", next_cursor_path: "$.meta.next_cursor",
+ *                 page_size_param: "limit", page_size: 10,
+ *                 since_param: "updated_since", since_field: "$.updated_at" },
+ *   field_mapping { email: "$.email", name: "$.full_name", company_name: "$.company.name" }
+ */
+
+import http from 'http';
+
+const FIRST_NAMES = ['Ana', 'Ben', 'Chloe', 'Dev', 'Elena', 'Farid', 'Grace', 'Hugo', 'Isla', 'Jonas'];
+const LAST_NAMES = ['Silva', 'Okafor', 'Martin', 'Patel', 'Rossi', 'Haddad', 'Kim', 'Laurent', 'Novak', 'Berg'];
+const COMPANIES = [['Acme', 'acme.io'], ['Globex', 'globex.com'], ['Initech', 'initech.net'], ['Umbrella', 'umbrella.co']];
+
+// ============================================================================
+// DATA
+// ============================================================================
+
+function makeLead(index, fields = {}) {
+  const first = fields.first_name || FIRST_NAMES[index % FIRST_NAMES.length];
+  const last = fields.last_name || LAST_NAMES[Math.floor(index / FIRST_NAMES.length) % LAST_NAMES.length];
+  const [company, domain] = fields.company ? [fields.company, fields.domain || null] : COMPANIES[index % COMPANIES.length];
+
+  return {
+    id: `lead_${String(index + 1).padStart(4, '0')}`,
+    full_name: `${first} ${last}`,
+    email: fields.email || `${first}.${last}${index}@${domain || 'example.com'}`.toLowerCase(),
+    title: fields.title || null,
+    company: { name: company, domain },
+    updated_at: new Date(Date.UTC(2026, 0, 1) + index * 3600000).toISOString(),
+  };
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+function startApi({ port, count, token }) {
+  const leads = Array.from({ length: count }, (_, i) => makeLead(i));
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    console.log(`[MockApi] ${req.method} ${url.pathname}${url.search}`);
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      send(res, 401, { error: 'invalid token' });
+      return;
+    }
+    if (url.pathname !== '/leads') {
+      send(res, 404, { error: 'not found' });
+      return;
+    }
+
+    if (req.method === 'POST') {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        try {
+          const lead = makeLead(leads.length, JSON.parse(body || '{}'));
+          // Newest change time so updated_since polls pick it up
+          lead.updated_at = new Date(Math.max(Date.now(), Date.parse(leads[leads.length - 1]?.updated_at || 0) + 1000)).toISOString();
+          leads.push(lead);
+          send(res, 201, lead);
+        } catch (error) {
+          send(res, 400, { error: error.message });
+        }
+      });
+      return;
+    }
+
+    const limit = Math.min(Number(url.searchParams.get('limit')) || 10, 100);
+    const since = url.searchParams.get('updated_since');
+    const matching = since ? leads.filter(l => l.updated_at > since) : leads;
+
+    if (url.searchParams.has('page')) {
+      const page = Math.max(Number(url.searchParams.get('page')) || 1, 1);
+      send(res, 200, { data: matching.slice((page - 1) * limit, page * limit), meta: { page, total: matching.length } });
+      return;
+    }
+
+    // The cursor is the id of the last lead on the previous page
+    const cursor = url.searchParams.get('cursor');
+    const start = cursor ? matching.findIndex(l => l.id === cursor) + 1 : 0;
+    const data = matching.slice(start, start + limit);
+    send(res, 200, { data, meta: { next_cursor: data.length > 0 ? data[data.length - 1].id : cursor } });
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`[MockApi] ${leads.length} leads on http://127.0.0.1:${port}/leads${token ? ' (Bearer token required)' : ''}`);
+    console.log('[MockApi] Press Ctrl+C to stop');
+  });
+
+  return server;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : null;
+};
+
+startApi({
+  port: Number(option('--port') || 3200),
+  count: Number(option('--count') || 25),
+  token: option('--token'),
+});
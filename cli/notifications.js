@@ -0,0 +1,476 @@
+/**
+ * Notifications
+ *
+ * Delivers alerts (hot_lead, warm_lead, score_changed, ...) through pluggable
+ * channels and records every delivery in the `notifications` table:
+ *
+ * - slack: incoming webhook (integration 'slack' { webhook_url })
+ * - email: SMTP (integration 'smtp' { host, port, secure, username, password, from, default_to })
+ * - cli:   the in-CLI inbox (`inbox` command / list_notifications tool)
+ *
+ * Templates are keyed by the `template` argument (DEFAULT_TEMPLATES, overridden
+ * by team_config 'notifications'.templates); an unknown key is sent as the
+ * message itself, so agents can pass a rendered string.
+ *
+ * Routing: enabled `notification_rules` matching the template (and their
+ * conditions) decide who gets what on which channel; with no matching rule the
+ * alert goes to the requested channel's default target.
+ *
+ * Failed deliveries are retried with backoff per channel by retryNotifications(),
+ * which the event processor calls on its slow poll. A delivery holds a lease
+ * while sending; one left behind by a crashed processor is picked up again once
+ * the lease expires.
+ */
+
+import { supabase, DEFAULT_TEAM_ID } from './supabase.js';
+import { renderTemplate } from './templates.js';
+import { evaluateConditions } from './conditions.js';
+import { sendMail } from './smtp.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const DEFAULT_TEMPLATES = {
+  hot_lead: {
+    subject: 'Hot lead: {{contact_name}}{{company ? " (" + company + ")" : ""}}',
+    body: `🔥 Hot lead: {{contact_name}}{{title ? ", " + title : ""}}{{company ? " at " + company : ""}}
+Score: {{score}}/10
+{{flags ? "Flags: " : ""}}{{flags | join(', ')}}
+{{summary}}`,
+  },
+  warm_lead: {
+    subject: 'Warm lead: {{contact_name}}',
+    body: 'Warm lead: {{contact_name}}{{company ? " at " + company : ""}} (score {{score}}/10) - queued for follow-up',
+  },
+  returning_contact: {
+    subject: 'Returning contact: {{contact_name}}',
+    body: `↩️ {{contact_name}}{{company ? " (" + company + ")" : ""}} is back{{request_type ? " - " + request_type : ""}}
+{{message ? "> " + message : ""}}
+{{analysis.summary}}`,
+  },
+  score_changed: {
+    subject: '{{entity_name || "Lead"}} is now {{band}}',
+    body: '{{entity_name || "Lead"}} crossed the {{threshold}} threshold ({{previous_score}} → {{score}}){{reason ? ": " + reason : ""}}',
+  },
+  went_dark: {
+    subject: '{{contact_name}} went dark',
+    body: '🌑 {{contact_name}}{{company_name ? " at " + company_name : ""}} has been silent for {{days_silent || days_overdue}} days{{deal_name ? " (deal: " + deal_name + ")" : ""}}',
+  },
+};
+
+// Overridden per channel by team_config 'notifications'.retry
+export const DEFAULT_RETRY = {
+  slack: { max_attempts: 3, backoff_seconds: 30 },
+  email: { max_attempts: 3, backoff_seconds: 120 },
+  cli: { max_attempts: 1, backoff_seconds: 0 },
+};
+
+const RETRY_BATCH_SIZE = 20;
+const SENDING_LEASE_SECONDS = 300;
+const MAX_BACKOFF_SECONDS = 3600;
+
+// ============================================================================
+// CHANNELS
+// ============================================================================
+
+async function getIntegration(name) {
+  let query = supabase
+    .from('integrations')
+    .select('credentials, settings')
+    .eq('name', name)
+    .eq('is_enabled', true);
+
+  query = DEFAULT_TEAM_ID ? query.eq('team_id', DEFAULT_TEAM_ID) : query.is('team_id', null);
+
+  const { data, error } = await query.single();
+  if (error || !data) {
+    throw new Error(`No active ${name} integration found. Configure it with set_integration_key.`);
+  }
+
+  return { ...(data.settings || {}), ...(data.credentials || {}) };
+}
+
+async function reportIntegrationError(name, message) {
+  let query = supabase
+    .from('integrations')
+    .update({ last_error: message, updated_at: new Date().toISOString() })
+    .eq('name', name);
+
+  query = DEFAULT_TEAM_ID ? query.eq('team_id', DEFAULT_TEAM_ID) : query.is('team_id', null);
+  await query;
+}
+
+/**
+ * Channel registry: each channel delivers one notification row and returns
+ * details to keep, or throws to trigger a retry
+ */
+const channels = {
+  slack: {
+    integration: 'slack',
+    async deliver(notification) {
+      const settings = await getIntegration('slack');
+      const url = notification.target?.startsWith('https://') ? notification.target : settings.webhook_url;
+      if (!url) throw new Error('Slack integration has no webhook_url');
+
+      const text = notification.subject && notification.body && !notification.body.includes(notification.subject)
+        ? `*${notification.subject}*\n${notification.body}`
+        : notification.body;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text }),
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Slack webhook returned ${response.status}${detail ? `: ${detail}` : ''}`);
+      }
+
+      return { status_code: response.status };
+    },
+  },
+
+  email: {
+    integration: 'smtp',
+    async deliver(notification) {
+      const settings = await getIntegration('smtp');
+      const to = notification.target || settings.default_to;
+      if (!to) throw new Error('No email recipient (set a rule target or smtp default_to)');
+
+      const result = await sendMail({
+        ...settings,
+        to,
+        subject: notification.subject || notification.template,
+        text: notification.body,
+      });
+
+      return { message_id: result.message_id, accepted: result.accepted };
+    },
+  },
+
+  cli: {
+    // Stored rows are the inbox; delivery is just surfacing it
+    async deliver(notification) {
+      console.log(`[Notification] 📥 ${notification.subject || notification.body}`);
+      return { inbox: true };
+    },
+  },
+};
+
+export function listChannels() {
+  return Object.keys(channels);
+}
+
+/**
+ * Add a channel (e.g. teams, sms) - deliver(notification) throws on failure
+ */
+export function registerChannel(name, channel) {
+  if (typeof channel?.deliver !== 'function') {
+    throw new Error(`Channel ${name} needs a deliver(notification) function`);
+  }
+  channels[name] = channel;
+}
+
+// ============================================================================
+// TEMPLATES & ROUTING
+// ============================================================================
+
+/**
+ * Render a template key (or a literal message) against the data
+ */
+export function renderNotification(template, data = {}, templates = {}) {
+  const found = templates[template] || DEFAULT_TEMPLATES[template];
+  const definition = typeof found === 'string' ? { body: found } : found;
+  const context = { ...data, data, template };
+
+  // Lines left empty by missing values are dropped
+  const render = (text) => renderTemplate(text || '', context).split('\n').filter(line => line.trim()).join('\n').trim();
+
+  if (!definition) {
+    let body = String(template || '');
+    try {
+      body = render(body);
+    } catch {
+      // Already-rendered text (e.g. from agent actions) may contain stray braces
+    }
+    return { subject: body.split('\n')[0].slice(0, 120), body };
+  }
+
+  return { subject: render(definition.subject), body: render(definition.body) };
+}
+
+async function getConfig(configKey) {
+  if (DEFAULT_TEAM_ID) {
+    const { data } = await supabase
+      .from('team_config')
+      .select('config_value')
+      .eq('team_id', DEFAULT_TEAM_ID)
+      .eq('config_key', configKey)
+      .single();
+
+    if (data) return data.config_value;
+  }
+
+  const { data } = await supabase
+    .from('team_config')
+    .select('config_value')
+    .is('team_id', null)
+    .eq('config_key', configKey)
+    .single();
+
+  return data?.config_value || null;
+}
+
+/**
+ * Templates and per-channel retry policy from team_config 'notifications'
+ */
+async function loadSettings() {
+  const config = (await getConfig('notifications')) || {};
+
+  const retry = {};
+  for (const name of new Set([...Object.keys(DEFAULT_RETRY), ...Object.keys(config.retry || {})])) {
+    retry[name] = { ...DEFAULT_RETRY.slack, ...DEFAULT_RETRY[name], ...(config.retry?.[name] || {}) };
+  }
+
+  return { templates: config.templates || {}, retry };
+}
+
+/**
+ * Deliveries for one notification: matching routing rules, or the requested
+ * channel's default target when no rule matches
+ */
+export async function routeNotification({ channel, template, data = {}, to = null, user_id = null }) {
+  if (to || user_id) {
+    let target = to;
+    if (!target && user_id && channel === 'email') {
+      const { data: user, error } = await supabase.from('users').select('email').eq('id', user_id).single();
+      if (error || !user?.email) throw new Error(`User ${user_id} not found or has no email address`);
+      target = user.email;
+    }
+    return [{ channel, target, recipient_user_id: user_id, rule_id: null }];
+  }
+
+  const { data: rules, error } = await supabase
+    .from('notification_rules')
+    .select('*, users(email, name)')
+    .eq('is_enabled', true)
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error(error.message);
+
+  const context = { ...data, data, template, channel };
+  const deliveries = [];
+  const seen = new Set();
+
+  for (const rule of rules || []) {
+    if (rule.template && rule.template !== template) continue;
+
+    try {
+      if (!evaluateConditions(rule.conditions || [], context)) continue;
+    } catch (err) {
+      console.error(`[Notification] Rule ${rule.name || rule.id} conditions failed: ${err.message}`);
+      continue;
+    }
+
+    const ruleChannel = rule.channel || channel;
+    const target = rule.target || (ruleChannel === 'email' ? rule.users?.email : null) || null;
+    const key = `${ruleChannel}|${target || rule.user_id || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    deliveries.push({ channel: ruleChannel, target, recipient_user_id: rule.user_id || null, rule_id: rule.id });
+  }
+
+  return deliveries.length > 0
+    ? deliveries
+    : [{ channel, target: null, recipient_user_id: null, rule_id: null }];
+}
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+function leaseUntil() {
+  return new Date(Date.now() + SENDING_LEASE_SECONDS * 1000).toISOString();
+}
+
+function backoffSeconds(policy, attempts) {
+  return Math.min(MAX_BACKOFF_SECONDS, policy.backoff_seconds * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Try one delivery and record the outcome (sent / retry / failed)
+ */
+async function attemptDelivery(notification, retry) {
+  const policy = retry[notification.channel] || DEFAULT_RETRY.slack;
+  const channel = channels[notification.channel];
+  const attempts = (notification.attempts || 0) + 1;
+
+  let updates;
+  try {
+    if (!channel) throw new Error(`Unknown notification channel: ${notification.channel}`);
+    const result = await channel.deliver(notification);
+
+    updates = {
+      status: 'sent',
+      attempts,
+      sent_at: new Date().toISOString(),
+      next_attempt_at: null,
+      last_error: null,
+      delivery: result || {},
+    };
+  } catch (error) {
+    const exhausted = !channel || attempts >= (notification.max_attempts || policy.max_attempts);
+
+    updates = {
+      status: exhausted ? 'failed' : 'retry',
+      attempts,
+      last_error: error.message,
+      next_attempt_at: exhausted ? null : new Date(Date.now() + backoffSeconds(policy, attempts) * 1000).toISOString(),
+    };
+
+    console.error(`[Notification] ${notification.channel} delivery ${exhausted ? 'failed' : `failed (attempt ${attempts}, will retry)`}: ${error.message}`);
+    if (channel?.integration) await reportIntegrationError(channel.integration, error.message);
+  }
+
+  const { data, error } = await supabase
+    .from('notifications')
+    .update({ ...updates, locked_until: null })
+    .eq('id', notification.id)
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Send a notification: render the template, route it, store a row per
+ * delivery and attempt each one now
+ *
+ * @param {object} params - { channel, template, data, to?, user_id? }
+ * @returns {{notifications: Array, sent, retrying, failed}}
+ */
+export async function sendNotification({ channel = 'slack', template, data = {}, to = null, user_id = null }) {
+  if (!template) throw new Error('Notification needs a template');
+
+  const { templates, retry } = await loadSettings();
+  const deliveries = await routeNotification({ channel, template, data, to, user_id });
+  const notifications = [];
+
+  for (const delivery of deliveries) {
+    const { subject, body } = renderNotification(template, data, templates);
+    const policy = retry[delivery.channel] || DEFAULT_RETRY.slack;
+
+    const { data: row, error } = await supabase
+      .from('notifications')
+      .insert({
+        team_id: DEFAULT_TEAM_ID,
+        channel: delivery.channel,
+        template: String(template).slice(0, 200),
+        recipient_user_id: delivery.recipient_user_id,
+        target: delivery.target,
+        rule_id: delivery.rule_id,
+        subject,
+        body,
+        data,
+        status: 'sending',
+        locked_until: leaseUntil(),
+        attempts: 0,
+        max_attempts: policy.max_attempts,
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    notifications.push(await attemptDelivery(row, retry));
+  }
+
+  return {
+    notifications,
+    sent: notifications.filter(n => n.status === 'sent').length,
+    retrying: notifications.filter(n => n.status === 'retry').length,
+    failed: notifications.filter(n => n.status === 'failed').length,
+  };
+}
+
+/**
+ * Retry deliveries whose backoff has passed, and deliveries whose sending
+ * lease expired (the processor died mid-send - that counts as an attempt).
+ * Each row is claimed (-> sending) first so two processors never send the
+ * same alert twice.
+ */
+export async function retryNotifications(limit = RETRY_BATCH_SIZE) {
+  const now = new Date().toISOString();
+  const { data: due, error } = await supabase
+    .from('notifications')
+    .select('*')
+    .or(`and(status.eq.retry,next_attempt_at.lte.${now}),and(status.eq.sending,locked_until.lt.${now}),and(status.eq.sending,locked_until.is.null)`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw new Error(error.message);
+  if (!due || due.length === 0) return [];
+
+  const { retry } = await loadSettings();
+  const results = [];
+
+  for (const notification of due) {
+    const stale = notification.status === 'sending';
+    const attempts = (notification.attempts || 0) + (stale ? 1 : 0);
+    const maxAttempts = notification.max_attempts || (retry[notification.channel] || DEFAULT_RETRY.slack).max_attempts;
+
+    let claim = supabase
+      .from('notifications')
+      .update(stale && attempts >= maxAttempts
+        ? { status: 'failed', attempts, locked_until: null, next_attempt_at: null, last_error: 'Delivery interrupted (sending lease expired)' }
+        : { status: 'sending', attempts, locked_until: leaseUntil() })
+      .eq('id', notification.id)
+      .eq('status', notification.status);
+    claim = stale && notification.locked_until
+      ? claim.eq('locked_until', notification.locked_until)
+      : stale ? claim.is('locked_until', null) : claim;
+
+    const { data: claimed } = await claim.select();
+    if (!claimed?.[0]) continue;
+
+    if (claimed[0].status === 'failed') {
+      console.error(`[Notification] ${notification.channel} delivery ${notification.id} failed: sending lease expired on the last attempt`);
+      results.push(claimed[0]);
+      continue;
+    }
+    if (stale) console.warn(`[Notification] ${notification.channel} delivery ${notification.id} was interrupted mid-send - retrying`);
+    results.push(await attemptDelivery(claimed[0], retry));
+  }
+
+  return results;
+}
+
+/**
+ * Unread CLI inbox count (shown when the CLI starts)
+ */
+export async function countUnread() {
+  const { count, error } = await supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('channel', 'cli')
+    .eq('status', 'sent')
+    .is('read_at', null);
+
+  if (error) throw new Error(error.message);
+  return count || 0;
+}
+
+export default {
+  DEFAULT_TEMPLATES,
+  DEFAULT_RETRY,
+  listChannels,
+  registerChannel,
+  renderNotification,
+  routeNotification,
+  sendNotification,
+  retryNotifications,
+  countUnread,
+};
@@ -0,0 +1,519 @@
+/**
+ * Scheduler
+ *
+ * Fires cron-triggered agents and workflows (see migration 016):
+ *   - agent_configs with trigger_type 'schedule' and
+ *     trigger_config { cron, timezone, mode, event_type, catch_up }
+ *   - workflow_templates with schedule { cron, timezone, catch_up }
+ *
+ * Each due time is claimed by inserting a schedule_runs row keyed on
+ * (source, scheduled_for), so several processors polling at once fire it only
+ * once. Times missed while no processor was running are caught up on the next
+ * poll (bounded by CATCH_UP_WINDOW_MS / MAX_CATCH_UP); catch_up 'latest' fires
+ * only the most recent missed time, 'none' skips them. A schedule seen for the
+ * first time starts from now - there is nothing to catch up on yet.
+ *
+ * What firing does:
+ *   mode 'workflow' - run the workflow directly (default for workflow templates
+ *                     and agents linked to a workflow_template_id)
+ *   mode 'event'    - emit a schedule.tick event (or trigger_config.event_type)
+ *                     for event-triggered workflows to pick up
+ */
+
+import { supabase } from './supabase.js';
+import { WORKER_ID } from './event-queue.js';
+import { emitEvent, executeWorkflow } from './workflow-executor.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_TIMEZONE = 'UTC';
+const CATCH_UP_WINDOW_MS = 7 * 24 * 3600000;   // Don't look back further than a week
+const MAX_CATCH_UP = 24;                        // Most missed runs fired per schedule per poll
+
+// ============================================================================
+// CRON PARSING
+// ============================================================================
+// Standard 5 fields: minute hour day-of-month month day-of-week
+// Supports * , - / plus month/day names and @hourly/@daily/@weekly/@monthly/@yearly
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+
+const cronCache = new Map();
+
+function parseCronValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.offset;
+  }
+
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`invalid ${field.name} '${text}'`);
+  }
+
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step '${stepText}' in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+      if (start > end) throw new Error(`invalid ${field.name} range '${range}'`);
+    } else {
+      start = parseCronValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression into sets of allowed values
+ */
+export function parseCron(expression) {
+  if (cronCache.has(expression)) return cronCache.get(expression);
+
+  const source = CRON_MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron "${expression}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  let fields;
+  try {
+    fields = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  } catch (e) {
+    throw new Error(`Invalid cron "${expression}": ${e.message}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields;
+  if (weekdays.has(7)) weekdays.add(0); // 7 = Sunday too
+
+  const cron = {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Classic cron: when both day fields are restricted, either may match
+    dayOr: parts[2] !== '*' && parts[4] !== '*',
+  };
+
+  cronCache.set(expression, cron);
+  return cron;
+}
+
+// ============================================================================
+// TIMEZONES
+// ============================================================================
+
+const formatterCache = new Map();
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Wall-clock fields of a UTC instant in a timezone
+ */
+function zonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+/**
+ * UTC offset (ms) of a timezone at an instant
+ */
+function offsetAt(instant, timezone) {
+  const p = zonedParts(new Date(instant), timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - instant;
+}
+
+/**
+ * UTC instant of a wall-clock time in a timezone. A time that occurs twice
+ * (clocks going back) resolves to the first occurrence; a time skipped by
+ * clocks going forward resolves to the first valid instant after it.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offsets in force either side of the wall-clock time
+  const offsets = [...new Set([offsetAt(wallClock - 86400000, timezone), offsetAt(wallClock + 86400000, timezone)])];
+  const matches = offsets
+    .map((offset) => wallClock - offset)
+    .filter((utc) => utc + offsetAt(utc, timezone) === wallClock);
+  if (matches.length > 0) return new Date(Math.min(...matches));
+
+  // Skipped: find the first minute whose wall-clock time is past it
+  let lo = wallClock - Math.max(...offsets);
+  let hi = wallClock - Math.min(...offsets);
+  while (hi - lo > 60000) {
+    const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+    if (mid + offsetAt(mid, timezone) >= wallClock) hi = mid;
+    else lo = mid;
+  }
+  return new Date(hi);
+}
+
+/**
+ * Throws a RangeError for unknown IANA timezone names
+ */
+export function validateTimezone(timezone) {
+  getFormatter(timezone);
+}
+
+// ============================================================================
+// DUE TIMES
+// ============================================================================
+
+function dayMatches(cron, t) {
+  const dom = cron.days.has(t.day);
+  const dow = cron.weekdays.has(t.weekday);
+  return cron.dayOr ? dom || dow : dom && dow;
+}
+
+/**
+ * Times a cron expression fires in (after, until], oldest first
+ *
+ * Walks calendar days in the schedule's timezone and resolves each matching
+ * wall-clock time to UTC, so every time fires once per day: a time skipped by
+ * a DST change fires at the first instant after the gap, and a repeated time
+ * fires at its first occurrence only.
+ */
+function* dueTimes(cron, timezone, after, until) {
+  const start = new Date(after).getTime();
+  const end = new Date(until).getTime();
+  const hours = [...cron.hours].sort((a, b) => a - b);
+  const minutes = [...cron.minutes].sort((a, b) => a - b);
+  const first = zonedParts(new Date(start), timezone);
+  let last = -Infinity;
+
+  // Wall-clock days run up to 14h either side of UTC, so stop a day past `until`
+  for (let day = Date.UTC(first.year, first.month - 1, first.day); day <= end + 86400000; day += 86400000) {
+    const d = new Date(day);
+    const date = { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+    if (!cron.months.has(date.month) || !dayMatches(cron, date)) continue;
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const utc = zonedTimeToUtc({ ...date, hour, minute }, timezone).getTime();
+        if (utc <= start || utc <= last) continue; // Collapsed into the previous time by a DST gap
+        if (utc > end) return;
+        last = utc;
+        yield new Date(utc);
+      }
+    }
+  }
+}
+
+/**
+ * Times a cron expression fires in (after, until], oldest first
+ */
+export function getDueTimes(expression, { timezone = DEFAULT_TIMEZONE, after, until = new Date(), limit = MAX_CATCH_UP } = {}) {
+  const cron = parseCron(expression);
+  validateTimezone(timezone);
+  const due = [...dueTimes(cron, timezone, after, until)];
+
+  // Keep the most recent ones when more were missed than we'll fire
+  return due.length > limit ? due.slice(due.length - limit) : due;
+}
+
+/**
+ * Next time a cron expression fires after a date (within a year)
+ */
+export function getNextRun(expression, { timezone = DEFAULT_TIMEZONE, after = new Date() } = {}) {
+  const cron = parseCron(expression);
+  validateTimezone(timezone);
+  const from = new Date(after);
+  const [next] = dueTimes(cron, timezone, from, new Date(from.getTime() + 366 * 24 * 3600000));
+  return next || null;
+}
+
+// ============================================================================
+// SCHEDULE SOURCES
+// ============================================================================
+
+/**
+ * Enabled schedules from agent_configs and workflow_templates
+ */
+export async function loadSchedules() {
+  const schedules = [];
+
+  const { data: agents, error: agentsError } = await supabase
+    .from('agent_configs')
+    .select('id, name, trigger_config, workflow_template_id, created_at')
+    .eq('trigger_type', 'schedule')
+    .eq('is_enabled', true);
+
+  if (agentsError) throw new Error(agentsError.message);
+
+  for (const agent of agents || []) {
+    const config = agent.trigger_config || {};
+    if (!config.cron) continue;
+
+    schedules.push({
+      source_type: 'agent_config',
+      source_id: agent.id,
+      name: agent.name,
+      cron: config.cron,
+      timezone: config.timezone || DEFAULT_TIMEZONE,
+      mode: config.mode || (agent.workflow_template_id ? 'workflow' : 'event'),
+      event_type: config.event_type || 'schedule.tick',
+      catch_up: config.catch_up || 'all',
+      workflow_template_id: agent.workflow_template_id,
+      created_at: agent.created_at,
+    });
+  }
+
+  const { data: templates, error: templatesError } = await supabase
+    .from('workflow_templates')
+    .select('id, name, slug, schedule, created_at')
+    .eq('is_active', true)
+    .not('schedule', 'is', null);
+
+  if (templatesError) throw new Error(templatesError.message);
+
+  for (const template of templates || []) {
+    const config = template.schedule || {};
+    if (!config.cron) continue;
+
+    schedules.push({
+      source_type: 'workflow_template',
+      source_id: template.id,
+      name: template.name,
+      cron: config.cron,
+      timezone: config.timezone || DEFAULT_TIMEZONE,
+      mode: config.mode || 'workflow',
+      event_type: config.event_type || 'schedule.tick',
+      catch_up: config.catch_up || 'all',
+      workflow_template_id: template.id,
+      created_at: template.created_at,
+    });
+  }
+
+  return schedules;
+}
+
+/**
+ * Most recent scheduled_for already claimed for a schedule
+ */
+async function getLastScheduledFor(schedule) {
+  const { data } = await supabase
+    .from('schedule_runs')
+    .select('scheduled_for')
+    .eq('source_type', schedule.source_type)
+    .eq('source_id', schedule.source_id)
+    .order('scheduled_for', { ascending: false })
+    .limit(1);
+
+  return data?.[0]?.scheduled_for || null;
+}
+
+// ============================================================================
+// FIRING
+// ============================================================================
+
+/**
+ * Claim one due time - returns the schedule_runs row, or null if another
+ * processor already claimed it
+ */
+async function claimScheduledRun(schedule, scheduledFor, catchUp) {
+  const { data, error } = await supabase
+    .from('schedule_runs')
+    .upsert({
+      source_type: schedule.source_type,
+      source_id: schedule.source_id,
+      scheduled_for: scheduledFor.toISOString(),
+      status: 'running',
+      worker_id: WORKER_ID,
+      catch_up: catchUp,
+      started_at: new Date().toISOString(),
+    }, { onConflict: 'source_type,source_id,scheduled_for', ignoreDuplicates: true })
+    .select();
+
+  if (error) throw new Error(`Failed to claim schedule run: ${error.message}`);
+  return data?.[0] || null;
+}
+
+async function fireSchedule(schedule, scheduledFor, catchUp) {
+  const claim = await claimScheduledRun(schedule, scheduledFor, catchUp);
+  if (!claim) return null;
+
+  const payload = {
+    schedule: schedule.name,
+    source_type: schedule.source_type,
+    source_id: schedule.source_id,
+    cron: schedule.cron,
+    timezone: schedule.timezone,
+    scheduled_for: scheduledFor.toISOString(),
+    catch_up: catchUp,
+    source: 'scheduler',
+  };
+
+  console.log(`[Scheduler] ${schedule.name}: firing ${payload.scheduled_for}${catchUp ? ' (catch-up)' : ''}`);
+
+  const update = { completed_at: new Date().toISOString() };
+
+  try {
+    if (schedule.mode === 'workflow' && schedule.workflow_template_id) {
+      const { data: workflow, error } = await supabase
+        .from('workflow_templates')
+        .select(`*, workflow_steps(*)`)
+        .eq('id', schedule.workflow_template_id)
+        .single();
+
+      if (error || !workflow) throw new Error(`Workflow template not found for ${schedule.name}`);
+
+      const result = await executeWorkflow(workflow, {
+        event: {
+          type: schedule.event_type,
+          entity_type: schedule.source_type,
+          entity_id: schedule.source_id,
+          payload,
+        },
+        schedule: payload,
+      });
+
+      update.status = result.success ? 'completed' : 'failed';
+      update.workflow_run_id = result.run_id || null;
+      update.error_message = result.error || null;
+    } else {
+      const result = await emitEvent({
+        event_type: schedule.event_type,
+        entity_type: schedule.source_type,
+        entity_id: schedule.source_id,
+        payload,
+        process_immediately: false,
+      });
+
+      update.status = 'completed';
+      update.event_id = result.event?.id || null;
+    }
+  } catch (e) {
+    update.status = 'failed';
+    update.error_message = e.message;
+    console.error(`[Scheduler] ${schedule.name} failed: ${e.message}`);
+  }
+
+  await supabase.from('schedule_runs').update(update).eq('id', claim.id);
+
+  if (schedule.source_type === 'agent_config') {
+    await supabase
+      .from('agent_configs')
+      .update({ last_run_at: new Date().toISOString() })
+      .eq('id', schedule.source_id);
+  }
+
+  return { ...payload, status: update.status, error: update.error_message };
+}
+
+/**
+ * Fire every schedule time that is due, catching up on missed ones
+ *
+ * Safe to call from several processors - each due time is claimed once.
+ */
+export async function runDueSchedules(now = new Date()) {
+  const fired = [];
+  let schedules;
+
+  try {
+    schedules = await loadSchedules();
+  } catch (e) {
+    console.error(`[Scheduler] Failed to load schedules: ${e.message}`);
+    return fired;
+  }
+
+  for (const schedule of schedules) {
+    try {
+      const last = await getLastScheduledFor(schedule);
+      const after = last
+        ? Math.max(new Date(last).getTime(), now.getTime() - CATCH_UP_WINDOW_MS)
+        : now.getTime() - 60000;
+
+      let due = getDueTimes(schedule.cron, { timezone: schedule.timezone, after, until: now });
+
+      if (schedule.catch_up === 'latest') due = due.slice(-1);
+      if (schedule.catch_up === 'none') due = due.filter((t) => now - t < 60000);
+
+      for (const scheduledFor of due) {
+        const result = await fireSchedule(schedule, scheduledFor, now - scheduledFor >= 60000);
+        if (result) fired.push(result);
+      }
+    } catch (e) {
+      console.error(`[Scheduler] ${schedule.name}: ${e.message}`);
+    }
+  }
+
+  return fired;
+}
+
+export default {
+  parseCron,
+  getDueTimes,
+  getNextRun,
+  loadSchedules,
+  runDueSchedules,
+};
@@ -0,0 +1,48 @@
+/**
+ * Scheduler due-time checks (run with `npm test`)
+ *
+ * Pure cron / timezone logic only - nothing here touches the database.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// supabase.js exits without these; the scheduler imports it but these checks never query
+process.env.SUPABASE_URL ||= 'http://localhost';
+process.env.SUPABASE_SERVICE_KEY ||= 'unused';
+const { getDueTimes, getNextRun } = await import('./scheduler.js');
+
+const dueTimes = (expression, after, until, timezone = 'America/New_York') =>
+  getDueTimes(expression, { timezone, after, until, limit: Infinity }).map((d) => d.toISOString());
+
+test('a time skipped by clocks going forward fires once, at the end of the gap', () => {
+  assert.deepEqual(dueTimes('30 2 * * *', '2026-03-06T12:00Z', '2026-03-10T12:00Z'), [
+    '2026-03-07T07:30:00.000Z',
+    '2026-03-08T07:00:00.000Z', // 03:00 EDT - 02:30 doesn't exist that day
+    '2026-03-09T06:30:00.000Z',
+    '2026-03-10T06:30:00.000Z',
+  ]);
+  assert.deepEqual(dueTimes('*/30 2 * * *', '2026-03-08T00:00Z', '2026-03-08T12:00Z'), ['2026-03-08T07:00:00.000Z']);
+});
+
+test('a time repeated by clocks going back fires once, at its first occurrence', () => {
+  assert.deepEqual(dueTimes('30 1 * * *', '2026-10-30T12:00Z', '2026-11-03T12:00Z'), [
+    '2026-10-31T05:30:00.000Z',
+    '2026-11-01T05:30:00.000Z', // 01:30 EDT, not again at 01:30 EST
+    '2026-11-02T06:30:00.000Z',
+    '2026-11-03T06:30:00.000Z',
+  ]);
+});
+
+test('daily runs follow local midnight across a DST change', () => {
+  assert.deepEqual(dueTimes('0 0 * * *', '2026-03-28T12:00Z', '2026-03-31T12:00Z', 'Europe/London'), [
+    '2026-03-29T00:00:00.000Z',
+    '2026-03-29T23:00:00.000Z',
+    '2026-03-30T23:00:00.000Z',
+  ]);
+});
+
+test('getNextRun resolves a skipped time and returns null for a date that never comes', () => {
+  assert.equal(getNextRun('30 2 * * *', { timezone: 'America/New_York', after: '2026-03-08T06:00Z' }).toISOString(), '2026-03-08T07:00:00.000Z');
+  assert.equal(getNextRun('0 0 30 2 *', { after: '2026-01-01T00:00Z' }), null);
+});
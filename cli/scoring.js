@@ -0,0 +1,479 @@
+/**
+ * Scoring Engine
+ *
+ * Deterministic lead scoring driven by the team's `icp` and `scoring_rules`
+ * configs. Every score comes with a line-item breakdown, e.g.
+ *
+ *   base +5, title "CEO" +3, verified work email +2, ideal company size +2
+ *
+ * which is stored in score_history so a score can always be explained later.
+ *
+ * computeScore() is pure; loadScoringFacts() and saveScore() do the reads/writes.
+ */
+
+import { supabase, DEFAULT_TEAM_ID } from './supabase.js';
+
+// ============================================================================
+// DEFAULTS (mirror the seeds in migration 009)
+// ============================================================================
+
+export const DEFAULT_ICP = {
+  title_keywords: {
+    high_value: ['CEO', 'CTO', 'CFO', 'COO', 'Founder', 'Co-Founder', 'President', 'Owner'],
+    medium_value: ['VP', 'Vice President', 'Director', 'Head of'],
+    low_value: ['Manager', 'Lead', 'Senior'],
+  },
+  company_size: {
+    ideal_min: 50,
+    ideal_max: 500,
+    acceptable_min: 10,
+    acceptable_max: 2000,
+  },
+  industries: {
+    preferred: ['Technology', 'Software', 'SaaS', 'FinTech', 'HealthTech'],
+    acceptable: ['Professional Services', 'Consulting', 'E-commerce'],
+    excluded: ['Government', 'Education', 'Non-profit'],
+  },
+  signals: {
+    positive: ['recent_funding', 'hiring', 'expansion', 'new_product'],
+    negative: ['layoffs', 'restructuring', 'competitor_user'],
+  },
+};
+
+export const DEFAULT_SCORING_RULES = {
+  base_score: 5,
+  title_score: { high_value: 3, medium_value: 2, low_value: 1 },
+  email_score: { work_email_verified: 2, work_email_unverified: 1, personal_email: 0 },
+  company_score: { ideal_size: 2, acceptable_size: 1, preferred_industry: 1, excluded_industry: -3 },
+  // Points per interaction type within the window, capped at `max`. Each
+  // interaction's points halve every `half_life_days` (0 = no decay)
+  engagement_score: { meeting: 2, call: 1, email_received: 1, window_days: 90, half_life_days: 30, max: 3 },
+  // Points per signal: its own weight, or +/-1 for unweighted ICP signal types; total capped at +/- `max`
+  signal_score: { positive: 1, negative: -1, window_days: 180, max: 2 },
+  enrichment_thresholds: { deep: 7, light: 5, none: 0 },
+  hot_lead_threshold: 8,
+  warm_lead_threshold: 6,
+};
+
+export const MIN_SCORE = 0;
+export const MAX_SCORE = 10;
+
+const TITLE_TIERS = ['high_value', 'medium_value', 'low_value'];
+
+/**
+ * Overlay a stored config on the defaults, one level deep
+ */
+function withDefaults(defaults, config) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(config || {})) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      && defaults[key] && typeof defaults[key] === 'object'
+      ? { ...defaults[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+// ============================================================================
+// FACT HELPERS
+// ============================================================================
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the highest title tier whose keyword appears as a whole word in the title
+ */
+function matchTitle(title, keywords) {
+  if (!title) return null;
+
+  for (const tier of TITLE_TIERS) {
+    for (const keyword of keywords[tier] || []) {
+      if (new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(title)) {
+        return { tier, keyword };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * companies.employee_count is free text ("51-200", "500+", "1,200") - use the
+ * middle of a range, the floor of an open range, or the number itself
+ */
+export function parseEmployeeCount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const numbers = String(value).replace(/,/g, '').match(/\d+/g);
+  if (!numbers) return null;
+
+  const [low, high] = numbers.map(Number);
+  return high !== undefined ? Math.round((low + high) / 2) : low;
+}
+
+function inList(value, list) {
+  if (!value) return false;
+  const needle = value.toLowerCase();
+  return (list || []).some(item => item.toLowerCase() === needle);
+}
+
+function ageInDays(timestamp, now) {
+  return (now - new Date(timestamp).getTime()) / 86400000;
+}
+
+function withinDays(timestamp, days, now) {
+  return timestamp && ageInDays(timestamp, now) <= days;
+}
+
+/**
+ * Points remaining after exponential decay: halved every halfLifeDays
+ */
+export function decayedPoints(points, ageDays, halfLifeDays) {
+  if (!halfLifeDays || halfLifeDays <= 0 || ageDays <= 0) return points;
+  return points * Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// ============================================================================
+// SCORE COMPUTATION
+// ============================================================================
+
+/**
+ * Score a contact from its facts
+ *
+ * @param {object} facts - { contact, company, interactions, signals, email_is_personal }
+ * @param {object} config - { icp, rules, now }
+ * @returns {{score, raw_score, band, enrichment_tier, breakdown: Array<{factor, label, points}>}}
+ */
+export function computeScore(facts, { icp, rules, now = Date.now() } = {}) {
+  const ICP = withDefaults(DEFAULT_ICP, icp);
+  const RULES = withDefaults(DEFAULT_SCORING_RULES, rules);
+  const { contact = {}, company = null, interactions = [], signals = [] } = facts;
+
+  const breakdown = [];
+  const add = (factor, label, points) => breakdown.push({ factor, label, points });
+
+  add('base', 'Base score', RULES.base_score);
+
+  // Title seniority
+  const title = matchTitle(contact.title, ICP.title_keywords);
+  if (title) {
+    add('title', `Title "${contact.title}" matches ${title.tier.replace('_', ' ')} (${title.keyword})`,
+      RULES.title_score[title.tier] || 0);
+  } else {
+    add('title', contact.title ? `Title "${contact.title}" not in ICP` : 'No title', 0);
+  }
+
+  // Email quality
+  if (contact.work_email) {
+    add('email', contact.email_verified ? 'Verified work email' : 'Unverified work email',
+      contact.email_verified
+        ? RULES.email_score.work_email_verified
+        : RULES.email_score.work_email_unverified);
+  } else if (contact.email && !facts.email_is_personal) {
+    add('email', 'Unverified work email', RULES.email_score.work_email_unverified);
+  } else if (contact.personal_email || contact.email) {
+    add('email', 'Personal email only', RULES.email_score.personal_email);
+  } else {
+    add('email', 'No email', 0);
+  }
+
+  // Company fit
+  if (company) {
+    const size = parseEmployeeCount(company.employee_count);
+    const { ideal_min, ideal_max, acceptable_min, acceptable_max } = ICP.company_size;
+
+    if (size === null) {
+      add('company_size', 'Company size unknown', 0);
+    } else if (size >= ideal_min && size <= ideal_max) {
+      add('company_size', `Ideal company size (${company.employee_count})`, RULES.company_score.ideal_size);
+    } else if (size >= acceptable_min && size <= acceptable_max) {
+      add('company_size', `Acceptable company size (${company.employee_count})`, RULES.company_score.acceptable_size);
+    } else {
+      add('company_size', `Company size outside ICP (${company.employee_count})`, 0);
+    }
+
+    if (inList(company.industry, ICP.industries.preferred)) {
+      add('industry', `Preferred industry (${company.industry})`, RULES.company_score.preferred_industry);
+    } else if (inList(company.industry, ICP.industries.excluded)) {
+      add('industry', `Excluded industry (${company.industry})`, RULES.company_score.excluded_industry);
+    }
+  } else {
+    add('company_size', 'No company', 0);
+  }
+
+  // Engagement: recent interactions, decayed by age, capped
+  const engagement = RULES.engagement_score;
+  const counted = {};
+  let engagementPoints = 0;
+  for (const interaction of interactions) {
+    const points = engagement[interaction.type];
+    if (!points || !withinDays(interaction.created_at, engagement.window_days, now)) continue;
+    counted[interaction.type] = (counted[interaction.type] || 0) + 1;
+    engagementPoints += decayedPoints(points, ageInDays(interaction.created_at, now), engagement.half_life_days);
+  }
+  engagementPoints = round1(Math.min(engagementPoints, engagement.max));
+  if (engagementPoints > 0) {
+    const summary = Object.entries(counted).map(([type, n]) => `${n} ${type}`).join(', ');
+    const decay = engagement.half_life_days > 0 ? `, ${engagement.half_life_days}d half-life` : '';
+    add('engagement', `Engagement in last ${engagement.window_days}d (${summary}${decay})`, engagementPoints);
+  }
+
+  // Buying signals: the signal's own weight, or its ICP list for unweighted rows
+  const signalRules = RULES.signal_score;
+  const seen = [];
+  let signalPoints = 0;
+  for (const signal of signals) {
+    if (!withinDays(signal.created_at, signalRules.window_days, now)) continue;
+
+    let points = 0;
+    if (signal.weight) points = Math.sign(signal.weight) * Math.min(Math.abs(signal.weight), signalRules.max);
+    else if (inList(signal.type, ICP.signals.positive)) points = signalRules.positive;
+    else if (inList(signal.type, ICP.signals.negative)) points = signalRules.negative;
+    if (!points) continue;
+
+    seen.push(signal.type);
+    signalPoints += points;
+  }
+  if (seen.length > 0) {
+    add('signals', `Signals: ${[...new Set(seen)].join(', ')}`,
+      clamp(signalPoints, -signalRules.max, signalRules.max));
+  }
+
+  const rawScore = round1(breakdown.reduce((sum, item) => sum + (Number(item.points) || 0), 0));
+  const score = clamp(Math.round(rawScore), MIN_SCORE, MAX_SCORE);
+
+  // Keep the line items summing to the final score
+  if (score !== rawScore) {
+    const capped = rawScore < MIN_SCORE || rawScore > MAX_SCORE;
+    add(capped ? 'cap' : 'rounding',
+      capped ? `Capped to ${MIN_SCORE}-${MAX_SCORE} range (raw ${rawScore})` : `Rounded (raw ${rawScore})`,
+      round1(score - rawScore));
+  }
+
+  return {
+    score,
+    raw_score: rawScore,
+    band: scoreBand(score, RULES),
+    enrichment_tier: enrichmentTier(score, RULES),
+    breakdown,
+  };
+}
+
+/**
+ * hot / warm / cold from the configured thresholds
+ */
+export function scoreBand(score, rules = DEFAULT_SCORING_RULES) {
+  if (score >= rules.hot_lead_threshold) return 'hot';
+  if (score >= rules.warm_lead_threshold) return 'warm';
+  return 'cold';
+}
+
+/**
+ * The highest hot/warm threshold a score change crossed, or null
+ *
+ * @returns {{threshold: 'hot'|'warm', value: number, direction: 'up'|'down'}|null}
+ */
+export function thresholdCrossed(previous, score, rules = DEFAULT_SCORING_RULES) {
+  const from = Number(previous) || 0;
+  const to = Number(score) || 0;
+  if (from === to) return null;
+
+  const direction = to > from ? 'up' : 'down';
+  const [low, high] = direction === 'up' ? [from, to] : [to, from];
+
+  for (const [threshold, value] of [['hot', rules.hot_lead_threshold], ['warm', rules.warm_lead_threshold]]) {
+    if (low < value && high >= value) return { threshold, value, direction };
+  }
+  return null;
+}
+
+function enrichmentTier(score, rules) {
+  const { deep, light } = rules.enrichment_thresholds;
+  if (score >= deep) return 'deep';
+  if (score >= light) return 'light';
+  return 'none';
+}
+
+/**
+ * Render a breakdown as "+3  Title "CEO" matches high value (CEO)" lines
+ */
+export function formatBreakdown(breakdown) {
+  return (breakdown || []).map(item => {
+    const sign = item.points < 0 ? '' : '+';
+    return `${sign}${item.points}  ${item.label}`;
+  });
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Load everything computeScore needs for a contact
+ */
+export async function loadScoringFacts(contactId) {
+  const { data: contact, error } = await supabase
+    .from('contacts')
+    .select('*, companies(id, name, industry, employee_count)')
+    .eq('id', contactId)
+    .single();
+
+  if (error || !contact) throw new Error(`Contact not found: ${contactId}`);
+
+  const { companies: company, ...contactFields } = contact;
+
+  const { data: interactions, error: interactionsError } = await supabase
+    .from('interactions')
+    .select('type, direction, sentiment, created_at')
+    .eq('contact_id', contactId)
+    .order('created_at', { ascending: false })
+    .limit(200);
+
+  if (interactionsError) throw new Error(interactionsError.message);
+
+  let signalsQuery = supabase
+    .from('signals')
+    .select('type, weight, source, created_at');
+  signalsQuery = contact.company_id
+    ? signalsQuery.or(`contact_id.eq.${contactId},company_id.eq.${contact.company_id}`)
+    : signalsQuery.eq('contact_id', contactId);
+
+  const { data: signals, error: signalsError } = await signalsQuery
+    .order('created_at', { ascending: false })
+    .limit(200);
+
+  if (signalsError) throw new Error(signalsError.message);
+
+  return {
+    contact: contactFields,
+    company: company || null,
+    interactions: interactions || [],
+    signals: signals || [],
+  };
+}
+
+/**
+ * Write a score to the contact and append it to score_history
+ *
+ * @param {string} entityType - contact or company
+ * @param {object} entity - Current row (its score becomes previous_score)
+ * @param {object} result - computeScore() output, or a manual { score, breakdown, band }
+ * @param {object} meta - { source, trigger, reason, rules }
+ * @returns {object} The score_history row
+ */
+export async function saveScore(entityType, entity, result, { source = 'scoring_engine', trigger = null, reason = null, rules = null } = {}) {
+  const table = entityType === 'contact' ? 'contacts' : 'companies';
+  const now = new Date().toISOString();
+
+  const updates = { score: result.score };
+  if (entityType === 'contact') {
+    updates.score_breakdown = { items: result.breakdown, band: result.band, scored_at: now };
+    updates.scored_at = now;
+    if (result.enrichment_tier) updates.enrichment_tier = result.enrichment_tier;
+  }
+
+  const { error: updateError } = await supabase
+    .from(table)
+    .update(updates)
+    .eq('id', entity.id);
+
+  if (updateError) throw new Error(updateError.message);
+
+  return recordScoreHistory(entityType, entity.id, {
+    score: result.score,
+    previous_score: entity.score ?? null,
+    band: result.band,
+    breakdown: result.breakdown,
+    source,
+    trigger,
+    reason,
+  }, rules);
+}
+
+/**
+ * Append a row to score_history, and queue a score.changed event when the
+ * change crosses the hot or warm lead threshold
+ *
+ * @param {object} entry - { score, previous_score, band, breakdown, source, trigger, reason }
+ * @param {object} rules - scoring_rules config (thresholds; defaults if null)
+ * @returns {object} The score_history row, plus `crossed` when an event was queued
+ */
+export async function recordScoreHistory(entityType, entityId, entry, rules = null) {
+  const RULES = withDefaults(DEFAULT_SCORING_RULES, rules);
+  const score = Number(entry.score);
+  const previous = entry.previous_score ?? null;
+
+  const { data, error } = await supabase
+    .from('score_history')
+    .insert({
+      team_id: DEFAULT_TEAM_ID,
+      entity_type: entityType,
+      entity_id: entityId,
+      score,
+      previous_score: previous,
+      band: entry.band || scoreBand(score, RULES),
+      breakdown: entry.breakdown || [],
+      source: entry.source || 'scoring_engine',
+      trigger: entry.trigger || null,
+      reason: entry.reason || null,
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  const crossed = thresholdCrossed(previous, score, RULES);
+  if (crossed) {
+    await emitScoreChanged(entityType, entityId, data, crossed, RULES);
+  }
+
+  return crossed ? { ...data, crossed } : data;
+}
+
+/**
+ * Queue score.changed for the event processor (like the DB trigger events)
+ */
+async function emitScoreChanged(entityType, entityId, history, crossed, rules) {
+  const { error } = await supabase
+    .from('events')
+    .insert({
+      team_id: DEFAULT_TEAM_ID,
+      event_type: 'score.changed',
+      entity_type: entityType,
+      entity_id: entityId,
+      payload: {
+        score: history.score,
+        previous_score: history.previous_score,
+        band: history.band,
+        previous_band: scoreBand(Number(history.previous_score) || 0, rules),
+        threshold: crossed.threshold,
+        threshold_value: crossed.value,
+        direction: crossed.direction,
+        score_source: history.source,
+        reason: history.reason,
+        trigger: history.trigger,
+        score_history_id: history.id,
+        source: 'scoring',
+      },
+      source: 'scoring',
+      processed: false,
+    });
+
+  if (error) {
+    // The score itself is saved; a lost notification shouldn't fail the update
+    console.error(`[Scoring] Failed to emit score.changed: ${error.message}`);
+    return;
+  }
+
+  console.log(`[Scoring] score.changed for ${entityType}:${entityId} (${crossed.direction} through ${crossed.threshold})`);
+}
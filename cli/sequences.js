@@ -0,0 +1,353 @@
+/**
+ * Email Sequences
+ *
+ * Multi-step outbound sequences: each step is a subject/body template sent
+ * `delay_days` (+ `delay_hours`) after the previous one. Contacts are enrolled
+ * into a sequence and sendDueSequenceEmails() - called from the event
+ * processor's slow poll - sends whatever step is due.
+ *
+ * An enrollment stops when:
+ * - an email_received interaction is logged for the contact (DB trigger in
+ *   migration 022; re-checked here before every send)
+ * - the contact is marked do_not_contact
+ * - the last step was sent (completed) or stop_sequence is called
+ *
+ * Follow-up steps reply in the thread of the previous one (In-Reply-To).
+ */
+
+import { supabase, DEFAULT_TEAM_ID } from './supabase.js';
+import { sendEmail } from './email.js';
+import { validateTemplate } from './templates.js';
+
+const SEND_BATCH_SIZE = 20;
+const MAX_SEND_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 15;
+const STALE_SENDING_MINUTES = 15;  // A claim older than this belongs to a processor that died mid-send
+
+const HOUR_MS = 3600000;
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+/**
+ * Check a sequence's steps
+ *
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateSequenceSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) return ['A sequence needs at least one step'];
+
+  const errors = [];
+  steps.forEach((step, index) => {
+    const label = `step ${index + 1}`;
+    if (!step?.body) errors.push(`${label}: missing body`);
+    if (!step?.subject && index === 0) errors.push(`${label}: missing subject`);
+    for (const field of ['delay_days', 'delay_hours']) {
+      if (step?.[field] !== undefined && !(Number(step[field]) >= 0)) {
+        errors.push(`${label}: ${field} must be a number >= 0`);
+      }
+    }
+    for (const field of ['subject', 'body']) {
+      for (const problem of validateTemplate(step?.[field] || '')) {
+        errors.push(`${label} ${field}: ${problem}`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Delay before a step (from the previous send, or from enrollment for step 1)
+ */
+export function stepDelayMs(step) {
+  return ((Number(step?.delay_days) || 0) * 24 + (Number(step?.delay_hours) || 0)) * HOUR_MS;
+}
+
+// ============================================================================
+// ENROLLMENT
+// ============================================================================
+
+/**
+ * Enroll contacts in a sequence. Contacts already active in it, or marked
+ * do_not_contact, are skipped.
+ *
+ * @returns {{enrolled: Array, skipped: Array}}
+ */
+export async function enrollContacts(sequence, contactIds, { data = {}, start_at = null } = {}) {
+  const { data: contacts, error } = await supabase
+    .from('contacts')
+    .select('id, first_name, last_name, status, email, work_email')
+    .in('id', contactIds);
+
+  if (error) throw new Error(error.message);
+
+  const { data: active, error: activeError } = await supabase
+    .from('sequence_enrollments')
+    .select('contact_id')
+    .eq('sequence_id', sequence.id)
+    .eq('status', 'active')
+    .in('contact_id', contactIds);
+
+  if (activeError) throw new Error(activeError.message);
+  const alreadyActive = new Set((active || []).map(e => e.contact_id));
+
+  const start = start_at ? new Date(start_at).getTime() : Date.now();
+  const enrolled = [];
+  const skipped = [];
+
+  for (const contactId of contactIds) {
+    const contact = (contacts || []).find(c => c.id === contactId);
+    const name = contact ? [contact.first_name, contact.last_name].filter(Boolean).join(' ') : contactId;
+
+    if (!contact) {
+      skipped.push({ contact_id: contactId, reason: 'not found' });
+    } else if (contact.status === 'do_not_contact') {
+      skipped.push({ contact_id: contactId, name, reason: 'do_not_contact' });
+    } else if (!contact.work_email && !contact.email) {
+      skipped.push({ contact_id: contactId, name, reason: 'no email address' });
+    } else if (alreadyActive.has(contactId)) {
+      skipped.push({ contact_id: contactId, name, reason: 'already active in this sequence' });
+    } else {
+      const { data: row, error: insertError } = await supabase
+        .from('sequence_enrollments')
+        .insert({
+          team_id: DEFAULT_TEAM_ID,
+          sequence_id: sequence.id,
+          contact_id: contactId,
+          status: 'active',
+          current_step: 0,
+          next_send_at: new Date(start + stepDelayMs(sequence.steps[0])).toISOString(),
+          data,
+        })
+        .select()
+        .single();
+
+      if (insertError) {
+        skipped.push({ contact_id: contactId, name, reason: insertError.message });
+      } else {
+        enrolled.push({ ...row, name });
+      }
+    }
+  }
+
+  return { enrolled, skipped };
+}
+
+/**
+ * Stop active enrollments (by id, or every one for a contact / sequence).
+ * Enrollments mid-send are stopped too; the sender doesn't schedule their next step.
+ */
+export async function stopEnrollments({ enrollment_id, contact_id, sequence_id }, reason = 'manual') {
+  if (!enrollment_id && !contact_id && !sequence_id) {
+    throw new Error('Specify an enrollment, contact or sequence to stop');
+  }
+
+  let query = supabase
+    .from('sequence_enrollments')
+    .update({ status: 'stopped', stop_reason: reason, stopped_at: new Date().toISOString(), next_send_at: null })
+    .in('status', ['active', 'sending']);
+
+  if (enrollment_id) query = query.eq('id', enrollment_id);
+  if (contact_id) query = query.eq('contact_id', contact_id);
+  if (sequence_id) query = query.eq('sequence_id', sequence_id);
+
+  const { data, error } = await query.select('id, contact_id, sequence_id');
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+// ============================================================================
+// SENDING
+// ============================================================================
+
+/**
+ * Settle a claimed enrollment. Only applies while it's still 'sending': a
+ * reply or stop_sequence that landed mid-send wins, and the stopped row is
+ * returned unchanged.
+ */
+async function finish(enrollment, updates) {
+  const { data, error } = await supabase
+    .from('sequence_enrollments')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', enrollment.id)
+    .eq('status', 'sending')
+    .select();
+
+  if (error) throw new Error(error.message);
+  if (data?.[0]) return data[0];
+
+  const current = await currentEnrollment(enrollment);
+  console.log(`[Sequence] Enrollment ${enrollment.id} was ${current.status} while sending - not rescheduled`);
+  return current;
+}
+
+async function currentEnrollment(enrollment) {
+  const { data, error } = await supabase
+    .from('sequence_enrollments')
+    .select()
+    .eq('id', enrollment.id)
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function hasReplied(enrollment) {
+  const { data } = await supabase
+    .from('interactions')
+    .select('id')
+    .eq('contact_id', enrollment.contact_id)
+    .eq('type', 'email_received')
+    .gte('created_at', enrollment.enrolled_at)
+    .limit(1);
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Send the due step of one claimed enrollment
+ */
+async function sendStep(enrollment) {
+  const sequence = enrollment.email_sequences;
+  const stopped = { next_send_at: null, stopped_at: new Date().toISOString() };
+
+  if (!sequence?.is_active) {
+    return finish(enrollment, { status: 'stopped', stop_reason: 'sequence_inactive', ...stopped });
+  }
+  if (enrollment.contacts?.status === 'do_not_contact') {
+    return finish(enrollment, { status: 'stopped', stop_reason: 'do_not_contact', ...stopped });
+  }
+  if (sequence.stop_on_reply !== false && await hasReplied(enrollment)) {
+    return finish(enrollment, { status: 'replied', stop_reason: 'email_received', ...stopped });
+  }
+
+  const index = enrollment.current_step;
+  const step = sequence.steps[index];
+  if (!step) {
+    return finish(enrollment, { status: 'completed', next_send_at: null, completed_at: new Date().toISOString() });
+  }
+
+  // A stop or reply may have landed since the claim
+  const current = await currentEnrollment(enrollment);
+  if (current.status !== 'sending') return current;
+
+  try {
+    const sent = await sendEmail({
+      contact_id: enrollment.contact_id,
+      // Follow-ups without their own subject stay in the thread
+      subject: step.subject || `Re: ${enrollment.last_subject || sequence.steps[0].subject}`,
+      body: step.body,
+      data: { ...(enrollment.data || {}), sequence: { name: sequence.name, step: index + 1, steps: sequence.steps.length } },
+      in_reply_to: enrollment.last_message_id || undefined,
+    });
+
+    const next = sequence.steps[index + 1];
+    const now = Date.now();
+    console.log(`[Sequence] ${sequence.name}: step ${index + 1}/${sequence.steps.length} sent to ${sent.to}`);
+
+    return await finish(enrollment, {
+      status: next ? 'active' : 'completed',
+      current_step: index + 1,
+      attempts: 0,
+      last_error: null,
+      last_sent_at: new Date(now).toISOString(),
+      last_message_id: sent.message_id,
+      last_subject: step.subject ? sent.subject : enrollment.last_subject || sent.subject,
+      next_send_at: next ? new Date(now + stepDelayMs(next)).toISOString() : null,
+      completed_at: next ? null : new Date(now).toISOString(),
+    });
+  } catch (error) {
+    const attempts = (enrollment.attempts || 0) + 1;
+    const exhausted = attempts >= MAX_SEND_ATTEMPTS || /do_not_contact|no email address/.test(error.message);
+    console.error(`[Sequence] ${sequence.name}: step ${index + 1} failed for contact:${enrollment.contact_id}: ${error.message}`);
+
+    return finish(enrollment, {
+      status: exhausted ? 'failed' : 'active',
+      attempts,
+      last_error: error.message,
+      next_send_at: exhausted ? null : new Date(Date.now() + attempts * RETRY_DELAY_MINUTES * 60000).toISOString(),
+    });
+  }
+}
+
+/**
+ * Requeue enrollments stuck in 'sending' - the processor that claimed them
+ * died mid-send. Each recovery counts as a failed attempt, so an enrollment
+ * that keeps crashing its sender ends up failed.
+ */
+async function recoverStaleClaims() {
+  const cutoff = new Date(Date.now() - STALE_SENDING_MINUTES * 60000).toISOString();
+  const { data: stale, error } = await supabase
+    .from('sequence_enrollments')
+    .select('id, attempts, updated_at')
+    .eq('status', 'sending')
+    .lt('updated_at', cutoff);
+
+  if (error) throw new Error(error.message);
+
+  for (const enrollment of stale || []) {
+    const attempts = (enrollment.attempts || 0) + 1;
+    const exhausted = attempts >= MAX_SEND_ATTEMPTS;
+    const message = `Send interrupted (claimed for over ${STALE_SENDING_MINUTES} minutes)`;
+
+    // Matching updated_at too: only the processor that sees it stale first recovers it
+    const { data } = await supabase
+      .from('sequence_enrollments')
+      .update({
+        status: exhausted ? 'failed' : 'active',
+        attempts,
+        last_error: message,
+        next_send_at: exhausted ? null : new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', enrollment.id)
+      .eq('status', 'sending')
+      .eq('updated_at', enrollment.updated_at)
+      .select('id');
+
+    if (data?.[0]) console.warn(`[Sequence] Enrollment ${enrollment.id}: ${message} - ${exhausted ? 'failed' : 'requeued'}`);
+  }
+}
+
+/**
+ * Send every sequence step that's due. Each enrollment is claimed first
+ * (active -> sending) so two processors never send the same step twice;
+ * claims left behind by a crashed processor are requeued first.
+ */
+export async function sendDueSequenceEmails(limit = SEND_BATCH_SIZE) {
+  await recoverStaleClaims();
+
+  const { data: due, error } = await supabase
+    .from('sequence_enrollments')
+    .select('id')
+    .eq('status', 'active')
+    .lte('next_send_at', new Date().toISOString())
+    .order('next_send_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw new Error(error.message);
+
+  const results = [];
+  for (const { id } of due || []) {
+    const { data: claimed } = await supabase
+      .from('sequence_enrollments')
+      .update({ status: 'sending', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'active')
+      .select('*, email_sequences(id, name, steps, stop_on_reply, is_active), contacts(status)');
+
+    if (!claimed?.[0]) continue;
+    results.push(await sendStep(claimed[0]));
+  }
+
+  return results;
+}
+
+export default {
+  validateSequenceSteps,
+  stepDelayMs,
+  enrollContacts,
+  stopEnrollments,
+  sendDueSequenceEmails,
+};
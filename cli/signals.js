@@ -0,0 +1,167 @@
+/**
+ * Signal Ingestion
+ *
+ * Single entry point for writing rows to the `signals` table (email_opened,
+ * link_clicked, went_dark, news_mention, recent_funding, ...), used by the
+ * record_signal / ingest_signals tools and by workflows.
+ *
+ * - Resolves the contact/company from ids, an email or a domain
+ * - Defaults `weight` from the ICP (positive signal +1, negative -1); the
+ *   scoring engine reads the weight
+ * - Dedupes on a key (explicit, or derived from type + entity + source + day)
+ *   so re-running a poller or workflow doesn't double count
+ *
+ * Each inserted row emits `signal.received` via the DB trigger (migration 019).
+ */
+
+import { createHash } from 'crypto';
+import { supabase, DEFAULT_TEAM_ID, escapeLike } from './supabase.js';
+import { DEFAULT_ICP } from './scoring.js';
+
+// Weights are score points on the 0-10 scale; keep one signal from dominating
+export const MAX_SIGNAL_WEIGHT = 5;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Default weight for a signal type from the ICP signal lists
+ */
+export function defaultSignalWeight(type, icp = null) {
+  const signals = icp?.signals || DEFAULT_ICP.signals;
+  const needle = String(type).toLowerCase();
+  if ((signals.positive || []).some(s => s.toLowerCase() === needle)) return 1;
+  if ((signals.negative || []).some(s => s.toLowerCase() === needle)) return -1;
+  return 0;
+}
+
+/**
+ * Dedupe key: the caller's own key, or type + entity + source + what it's about
+ * (external id / url / title), falling back to the day it happened
+ */
+export function signalDedupeKey(signal) {
+  const data = signal.data || {};
+  const subject = signal.external_id || data.external_id || data.url || data.title
+    || (signal.occurred_at || new Date().toISOString()).slice(0, 10);
+
+  const parts = signal.dedupe_key
+    ? [DEFAULT_TEAM_ID, signal.dedupe_key]
+    : [DEFAULT_TEAM_ID, signal.type, signal.contact_id, signal.company_id, signal.source, subject];
+
+  return createHash('sha1').update(parts.map(p => p ?? '').join('|')).digest('hex');
+}
+
+async function resolveContact({ contact_id, contact_email }) {
+  if (contact_id) {
+    const { data } = await supabase
+      .from('contacts')
+      .select('id, company_id')
+      .eq('id', contact_id)
+      .single();
+    if (!data) throw new Error(`Contact not found: ${contact_id}`);
+    return data;
+  }
+  if (contact_email) {
+    const email = escapeLike(contact_email.trim());
+    for (const column of ['email', 'work_email']) {
+      const { data } = await supabase
+        .from('contacts')
+        .select('id, company_id')
+        .ilike(column, email)
+        .limit(1);
+      if (data?.[0]) return data[0];
+    }
+    return null;
+  }
+  return null;
+}
+
+async function resolveCompanyId({ company_id, company_domain }) {
+  if (company_id) return company_id;
+  if (!company_domain) return null;
+
+  const domain = company_domain.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+  const { data } = await supabase
+    .from('companies')
+    .select('id')
+    .eq('domain', domain)
+    .limit(1)
+    .single();
+  return data?.id || null;
+}
+
+// ============================================================================
+// INGEST
+// ============================================================================
+
+/**
+ * Normalize one raw signal into a signals row (without inserting it)
+ */
+export async function normalizeSignal(input, { icp = null, source = null } = {}) {
+  const type = String(input.type || '').trim().toLowerCase().replace(/[\s.-]+/g, '_');
+  if (!type) throw new Error('Signal needs a type');
+
+  const contact = await resolveContact(input);
+  const companyId = (await resolveCompanyId(input)) || contact?.company_id || null;
+
+  if (!contact && !companyId) {
+    throw new Error(`No contact or company found for ${type} signal`);
+  }
+
+  const rawWeight = input.weight ?? defaultSignalWeight(type, icp);
+  const weight = Math.round(Number(rawWeight));
+  if (Number.isNaN(weight)) throw new Error(`Invalid weight for ${type} signal: ${rawWeight}`);
+
+  const row = {
+    team_id: DEFAULT_TEAM_ID,
+    contact_id: contact?.id || null,
+    company_id: companyId,
+    type,
+    source: input.source || source || 'manual',
+    weight: Math.max(-MAX_SIGNAL_WEIGHT, Math.min(MAX_SIGNAL_WEIGHT, weight)),
+    data: input.data || {},
+  };
+  if (input.occurred_at) row.created_at = new Date(input.occurred_at).toISOString();
+
+  row.dedupe_key = signalDedupeKey({ ...input, ...row, occurred_at: input.occurred_at });
+  return row;
+}
+
+/**
+ * Record signals, skipping duplicates
+ *
+ * @param {Array<object>} inputs - { type, contact_id | contact_email, company_id | company_domain,
+ *   weight?, source?, data?, occurred_at?, external_id?, dedupe_key? }
+ * @param {object} options - { icp, source (default for inputs without one) }
+ * @returns {{recorded: Array, duplicates: Array, errors: Array}}
+ */
+export async function ingestSignals(inputs, options = {}) {
+  const recorded = [];
+  const duplicates = [];
+  const errors = [];
+
+  for (const [index, input] of (inputs || []).entries()) {
+    try {
+      const row = await normalizeSignal(input, options);
+
+      const { data, error } = await supabase
+        .from('signals')
+        .upsert(row, { onConflict: 'dedupe_key', ignoreDuplicates: true })
+        .select();
+
+      if (error) throw new Error(error.message);
+
+      if (data?.[0]) {
+        recorded.push(data[0]);
+        console.log(`[Signal] ${row.type} (${row.weight >= 0 ? '+' : ''}${row.weight}) for ${row.contact_id ? `contact:${row.contact_id}` : `company:${row.company_id}`}`);
+      } else {
+        duplicates.push({ index, type: row.type, dedupe_key: row.dedupe_key });
+      }
+    } catch (error) {
+      errors.push({ index, type: input?.type || null, error: error.message });
+    }
+  }
+
+  return { recorded, duplicates, errors };
+}
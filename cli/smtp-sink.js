@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Local SMTP Sink
+ *
+ * Accepts mail on localhost and prints it instead of delivering it, for
+ * testing send_email, sequences and email notifications without a real relay.
+ *
+ * Usage:
+ *   node smtp-sink.js                     # Listen on 127.0.0.1:2525
+ *   node smtp-sink.js --port 1025
+ *   node smtp-sink.js --dir ./outbox      # Also save each message as .eml
+ *
+ * Point the smtp integration at it:
+ *   set_integration_key smtp { host: "127.0.0.1", port: 2525, from: "You <you@example.com>" }
+ *
+ * Accepts any AUTH; recipients starting with "reject" get a 550 (to test failures).
+ */
+
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+
+// ============================================================================
+// MESSAGE DISPLAY
+// ============================================================================
+
+function decodeBody(raw) {
+  const [head, ...rest] = raw.split(/\r?\n\r?\n/);
+  const body = rest.join('\n\n');
+  if (/content-transfer-encoding:\s*base64/i.test(head)) {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  return body;
+}
+
+function header(raw, name) {
+  const match = raw.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+  return match ? match[1] : '';
+}
+
+function printMessage(count, envelope, raw) {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`[Sink] #${count} ${new Date().toISOString()}`);
+  console.log(`  From:    ${envelope.from}`);
+  console.log(`  To:      ${envelope.to.join(', ')}`);
+  console.log(`  Subject: ${header(raw, 'Subject')}`);
+  const inReplyTo = header(raw, 'In-Reply-To');
+  if (inReplyTo) console.log(`  Reply to: ${inReplyTo}`);
+  console.log('-'.repeat(60));
+  console.log(decodeBody(raw));
+  console.log('='.repeat(60));
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+function startSink({ port, dir }) {
+  let count = 0;
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let lines = [];
+    let envelope = { from: '', to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 localhost CRM SMTP sink');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            const raw = lines.join('\r\n');
+            count++;
+            printMessage(count, envelope, raw);
+            if (dir) {
+              const file = path.join(dir, `${Date.now()}-${count}.eml`);
+              fs.writeFileSync(file, raw);
+              console.log(`[Sink] Saved ${file}`);
+            }
+            lines = [];
+            envelope = { from: '', to: [] };
+            reply('250 OK: queued');
+          } else {
+            lines.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO') {
+          reply('250-localhost');
+          reply('250-AUTH PLAIN LOGIN');
+          reply('250 8BITMIME');
+        } else if (command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'AUTH') {
+          reply('235 Authentication successful');
+        } else if (command === 'MAIL') {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || '';
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const recipient = (line.match(/<([^>]*)>/) || [])[1] || '';
+          if (recipient.toLowerCase().startsWith('reject')) {
+            reply('550 Mailbox unavailable');
+          } else {
+            envelope.to.push(recipient);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: '', to: [] };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else if (command === 'NOOP') {
+          reply('250 OK');
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`[Sink] SMTP sink listening on 127.0.0.1:${port}${dir ? ` (saving to ${dir})` : ''}`);
+    console.log('[Sink] Press Ctrl+C to stop');
+  });
+
+  return server;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : null;
+};
+
+const dir = option('--dir');
+if (dir) fs.mkdirSync(dir, { recursive: true });
+
+startSink({ port: Number(option('--port') || 2525), dir });
@@ -0,0 +1,304 @@
+/**
+ * SMTP Client
+ *
+ * Minimal SMTP sender over node's net/tls - enough to deliver plain-text mail
+ * through a relay (Gmail, SES, Postmark, a local sink) without another
+ * dependency:
+ *
+ *   EHLO -> STARTTLS (when offered) -> AUTH PLAIN/LOGIN -> MAIL/RCPT/DATA -> QUIT
+ *
+ * Credentials come from the `smtp` integration:
+ *   { host, port, secure, username, password, from }
+ * `secure: true` uses implicit TLS (port 465); otherwise STARTTLS is used when
+ * the server offers it.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// ============================================================================
+// CONNECTION
+// ============================================================================
+
+/**
+ * Line-oriented SMTP connection: send a command, await the (multi-line) reply
+ */
+function createConnection(socket, timeoutMs) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+
+  function settle() {
+    if (!waiting) return;
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+      return;
+    }
+
+    // A reply ends with "250 text"; continuation lines are "250-text"
+    const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (end === -1) return;
+
+    const reply = lines.slice(0, end + 1);
+    lines = lines.slice(end + 1);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({
+      code: Number(reply[end].slice(0, 3)),
+      lines: reply.map(line => line.slice(4)),
+      text: reply.map(line => line.slice(4)).join(' '),
+    });
+  }
+
+  function attach(sock) {
+    sock.setEncoding('utf8');
+    sock.setTimeout(timeoutMs, () => {
+      failure = new Error(`SMTP timeout after ${timeoutMs}ms`);
+      sock.destroy();
+      settle();
+    });
+    sock.on('data', (chunk) => {
+      buffer += chunk;
+      const parts = buffer.split('\r\n');
+      buffer = parts.pop();
+      lines.push(...parts);
+      settle();
+    });
+    sock.on('error', (error) => {
+      failure = failure || error;
+      settle();
+    });
+    sock.on('close', () => {
+      failure = failure || new Error('SMTP connection closed');
+      settle();
+    });
+  }
+
+  attach(socket);
+
+  return {
+    get socket() {
+      return socket;
+    },
+
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        settle();
+      });
+    },
+
+    async command(line, expected) {
+      socket.write(`${line}\r\n`);
+      const reply = await this.read();
+      if (expected && !expected.includes(reply.code)) {
+        const shown = line.startsWith('AUTH') ? 'AUTH' : line.split(' ')[0];
+        throw new Error(`SMTP ${shown} failed: ${reply.code} ${reply.text}`);
+      }
+      return reply;
+    },
+
+    // Swap the plain socket for a TLS one after STARTTLS
+    async upgrade(options) {
+      socket.removeAllListeners('data');
+      socket.removeAllListeners('close');
+      socket.removeAllListeners('error');
+      socket.setTimeout(0);
+
+      const secured = tls.connect({ socket, ...options });
+      await new Promise((resolve, reject) => {
+        secured.once('secureConnect', resolve);
+        secured.once('error', reject);
+      });
+
+      socket = secured;
+      buffer = '';
+      lines = [];
+      attach(socket);
+    },
+
+    close() {
+      socket.end();
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+      : net.connect({ host, port });
+
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`SMTP connect to ${host}:${port} timed out`));
+    }, timeoutMs);
+
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      socket.removeAllListeners('error');
+      resolve(socket);
+    });
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`SMTP connect to ${host}:${port} failed: ${error.message}`));
+    });
+  });
+}
+
+// ============================================================================
+// MESSAGE
+// ============================================================================
+
+// Addresses are 'addr', 'Name <addr>' or { name, address }
+function splitAddress(value) {
+  if (value && typeof value === 'object') return { name: value.name || '', address: String(value.address || '').trim() };
+  const match = String(value).match(/^(.*)<([^>]+)>\s*$/);
+  if (!match) return { name: '', address: String(value).trim() };
+  const name = match[1].trim();
+  const quoted = name.match(/^"(.*)"$/);
+  return { name: quoted ? quoted[1].replace(/\\(.)/g, '$1') : name, address: match[2].trim() };
+}
+
+function parseAddress(value) {
+  return splitAddress(value).address;
+}
+
+function encodeHeader(value) {
+  // RFC 2047 for anything outside printable ASCII
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Address for a header: the display name quoted (so a comma can't split it)
+ * or RFC 2047-encoded when it isn't ASCII
+ */
+function formatAddress(value) {
+  const { name, address } = splitAddress(value);
+  if (!name) return address;
+  const phrase = /^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : encodeHeader(name);
+  return `${phrase} <${address}>`;
+}
+
+function formatAddressList(value) {
+  return [].concat(value || []).map(formatAddress).join(', ');
+}
+
+/**
+ * Build an RFC 5322 message (plain text, UTF-8, base64 body)
+ */
+export function buildMessage({ from, to, cc, reply_to, subject, text, headers = {}, message_id }) {
+  const domain = parseAddress(from).split('@')[1] || os.hostname();
+  const lines = [
+    `From: ${formatAddress(from)}`,
+    `To: ${formatAddressList(to)}`,
+    ...(cc && [].concat(cc).length ? [`Cc: ${formatAddressList(cc)}`] : []),
+    ...(reply_to ? [`Reply-To: ${formatAddressList(reply_to)}`] : []),
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${message_id || `<${randomUUID()}@${domain}>`}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    ...Object.entries(headers).map(([key, value]) => `${key}: ${value}`),
+    '',
+    Buffer.from(text || '', 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd(),
+  ];
+  return lines.join('\r\n');
+}
+
+// ============================================================================
+// SEND
+// ============================================================================
+
+/**
+ * Send one message
+ *
+ * @param {object} options - { host, port, secure, username, password, from, to, cc, subject, text, headers, timeout_ms }
+ *   (from / to / cc: 'addr', 'Name <addr>' or { name, address }; to / cc may be arrays)
+ * @returns {{message_id, accepted: string[], response: string}}
+ */
+export async function sendMail(options) {
+  const {
+    host,
+    port = options.secure ? 465 : 587,
+    secure = false,
+    username,
+    password,
+    from,
+    to,
+    cc,
+    timeout_ms: timeoutMs = DEFAULT_TIMEOUT_MS,
+    reject_unauthorized: rejectUnauthorized = true,
+  } = options;
+
+  if (!host) throw new Error('SMTP host not configured');
+  if (!from) throw new Error('SMTP from address not configured');
+
+  const recipients = [...[].concat(to || []), ...[].concat(cc || [])].map(parseAddress).filter(Boolean);
+  if (recipients.length === 0) throw new Error('No email recipients');
+
+  const messageId = options.message_id || `<${randomUUID()}@${parseAddress(from).split('@')[1] || os.hostname()}>`;
+  const message = buildMessage({ ...options, message_id: messageId });
+
+  const conn = createConnection(await connect({ host, port: Number(port), secure, timeoutMs, rejectUnauthorized }), timeoutMs);
+
+  try {
+    const greeting = await conn.read();
+    if (greeting.code !== 220) throw new Error(`SMTP greeting failed: ${greeting.code} ${greeting.text}`);
+
+    let ehlo = await conn.command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!secure && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await conn.command('STARTTLS', [220]);
+      await conn.upgrade({ servername: host, rejectUnauthorized });
+      ehlo = await conn.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (username) {
+      const auth = ehlo.lines.find(line => /^AUTH\b/i.test(line)) || '';
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        const token = Buffer.from(`\0${username}\0${password || ''}`).toString('base64');
+        await conn.command(`AUTH PLAIN ${token}`, [235]);
+      } else {
+        await conn.command('AUTH LOGIN', [334]);
+        await conn.command(Buffer.from(username).toString('base64'), [334]);
+        await conn.command(Buffer.from(password || '').toString('base64'), [235]);
+      }
+    }
+
+    await conn.command(`MAIL FROM:<${parseAddress(from)}>`, [250]);
+
+    const accepted = [];
+    for (const recipient of recipients) {
+      const reply = await conn.command(`RCPT TO:<${recipient}>`);
+      if (reply.code === 250 || reply.code === 251) accepted.push(recipient);
+    }
+    if (accepted.length === 0) throw new Error('SMTP server rejected all recipients');
+
+    await conn.command('DATA', [354]);
+    // Dot-stuffing: lines starting with "." get an extra "."
+    const body = message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    const done = await conn.command(`${body}\r\n.`, [250]);
+
+    await conn.command('QUIT').catch(() => {});
+
+    return { message_id: messageId, accepted, response: done.text };
+  } finally {
+    conn.close();
+  }
+}
+
+export default {
+  buildMessage,
+  sendMail,
+};
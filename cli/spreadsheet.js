@@ -0,0 +1,280 @@
+/**
+ * Spreadsheet Reader
+ *
+ * Reads CSV and XLSX files into { headers, rows } for import_file
+ * (cli/importer.js) without another dependency:
+ * - CSV: RFC 4180 quoting, delimiter detection (, ; tab), BOM
+ * - XLSX: the zip is read with zlib, then the workbook, shared strings and
+ *   one worksheet's XML; date-formatted cells become ISO dates
+ *
+ * Rows are objects keyed by header; empty rows are dropped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+  return counts.sort((a, b) => b[1] - a[1])[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+/**
+ * Read every file in a zip archive (central directory; stored or deflated)
+ */
+function readZip(buffer) {
+  const files = {};
+
+  // End of central directory: last 22+ bytes, signature 0x06054b50
+  let eocd = buffer.length - 22;
+  while (eocd >= 0 && buffer.readUInt32LE(eocd) !== 0x06054b50) eocd--;
+  if (eocd < 0) throw new Error('Not an XLSX file (no zip directory found)');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt XLSX zip directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    files[name] = { method, data };
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return (name) => {
+    const file = files[name.replace(/^\//, '')];
+    if (!file) return null;
+    const content = file.method === 8 ? zlib.inflateRawSync(file.data) : file.data;
+    return content.toString('utf8');
+  };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Text of all <t> runs inside an element (rich text has several)
+function textContent(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+// Built-in number formats that are dates (ECMA-376 18.8.30)
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function dateStyles(stylesXml) {
+  if (!stylesXml) return new Set();
+
+  const customDates = new Set();
+  for (const match of stylesXml.matchAll(/<numFmt\s[^>]*>/g)) {
+    const code = (attribute(match[0], 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dmy]/i.test(code)) customDates.add(Number(attribute(match[0], 'numFmtId')));
+  }
+
+  const cellXfs = stylesXml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+  const styles = new Set();
+  [...cellXfs.matchAll(/<xf\s[^>]*?\/?>/g)].forEach((match, index) => {
+    const id = Number(attribute(match[0], 'numFmtId'));
+    if (DATE_FORMAT_IDS.has(id) || customDates.has(id)) styles.add(index);
+  });
+  return styles;
+}
+
+function serialToDate(serial) {
+  // Excel epoch 1899-12-30 (includes the 1900 leap-year bug)
+  const date = new Date(Math.round((serial - 25569) * 86400000));
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Read one worksheet of an XLSX file into an array of rows (arrays of strings)
+ *
+ * @param {Buffer} buffer
+ * @param {string} sheetName - Default: the first sheet
+ * @returns {{rows: string[][], sheet: string, sheets: string[]}}
+ */
+export function parseXlsx(buffer, sheetName = null) {
+  const read = readZip(buffer);
+
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) throw new Error('Not an XLSX file (no xl/workbook.xml)');
+
+  const sheets = [...workbook.matchAll(/<sheet\s[^>]*\/?>/g)].map(m => ({
+    name: attribute(m[0], 'name'),
+    rel: attribute(m[0], 'r:id'),
+  }));
+  const sheet = sheetName ? sheets.find(s => s.name.toLowerCase() === sheetName.toLowerCase()) : sheets[0];
+  if (!sheet) throw new Error(`Sheet '${sheetName}' not found (sheets: ${sheets.map(s => s.name).join(', ')})`);
+
+  const rels = read('xl/_rels/workbook.xml.rels') || '';
+  const relTag = [...rels.matchAll(/<Relationship\s[^>]*\/?>/g)].find(m => attribute(m[0], 'Id') === sheet.rel);
+  const target = relTag ? attribute(relTag[0], 'Target') : 'worksheets/sheet1.xml';
+  const sheetXml = read(target.startsWith('/') ? target : `xl/${target}`);
+  if (!sheetXml) throw new Error(`Worksheet ${target} missing from XLSX`);
+
+  const sharedXml = read('xl/sharedStrings.xml') || '';
+  const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textContent(m[1]));
+  const dates = dateStyles(read('xl/styles.xml'));
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const cell of rowMatch[2].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c ${cell[1]}>`;
+      const body = cell[2] || '';
+      const type = attribute(tag, 't');
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = textContent(body);
+      else if (type === 'b') value = raw === '1' ? 'true' : 'false';
+      else if (raw !== undefined) {
+        value = decodeXml(raw);
+        if (type !== 'str' && type !== 'e' && dates.has(Number(attribute(tag, 's'))) && value !== '') {
+          value = serialToDate(Number(value));
+        }
+      }
+
+      const ref = attribute(tag, 'r');
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    // Keep the sheet's row numbers (empty rows are left out of the XML)
+    const number = Number(attribute(`<row ${rowMatch[1]}>`, 'r')) || rows.length + 1;
+    while (rows.length < number - 1) rows.push([]);
+    rows.push(Array.from(row, v => v ?? ''));
+  }
+
+  return { rows, sheet: sheet.name, sheets: sheets.map(s => s.name) };
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * Read a CSV or XLSX file. The first non-empty row is the header.
+ *
+ * @returns {{headers: string[], rows: object[], row_numbers: number[], format: 'csv'|'xlsx', sheet?: string}}
+ *   row_numbers[i] is rows[i]'s position in the file (header = 1)
+ */
+export function readSpreadsheet(file, { sheet = null } = {}) {
+  const extension = path.extname(file).toLowerCase();
+  const buffer = fs.readFileSync(file);
+
+  let table;
+  let info = {};
+  if (extension === '.xlsx' || buffer.readUInt32LE(0) === 0x04034b50) {
+    const parsed = parseXlsx(buffer, sheet);
+    table = parsed.rows;
+    info = { format: 'xlsx', sheet: parsed.sheet, sheets: parsed.sheets };
+  } else if (extension === '.xls') {
+    throw new Error('Legacy .xls files are not supported - save as .xlsx or .csv');
+  } else {
+    table = parseCsv(buffer.toString('utf8').replace(/^﻿/, ''));
+    info = { format: 'csv' };
+  }
+
+  const numbers = table.map((_, index) => index + 1).filter(n => table[n - 1].some(cell => String(cell).trim() !== ''));
+  const nonEmpty = numbers.map(n => table[n - 1]);
+  if (nonEmpty.length === 0) throw new Error(`${path.basename(file)} is empty`);
+
+  // Blank or repeated headers get a position suffix so no column is lost
+  const seen = new Set();
+  const headers = nonEmpty[0].map((header, index) => {
+    let name = String(header).trim() || `column_${index + 1}`;
+    if (seen.has(name)) name = `${name}_${index + 1}`;
+    seen.add(name);
+    return name;
+  });
+
+  const rows = nonEmpty.slice(1).map(row =>
+    Object.fromEntries(headers.map((header, index) => [header, String(row[index] ?? '').trim()])));
+
+  return { headers, rows, row_numbers: numbers.slice(1), ...info };
+}
+
+export default {
+  parseCsv,
+  parseXlsx,
+  readSpreadsheet,
+};
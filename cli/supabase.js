@@ -14,3 +14,8 @@ export const supabase = createClient(supabaseUrl, supabaseKey);
 // In production, this would come from auth
 export const DEFAULT_TEAM_ID = process.env.DEFAULT_TEAM_ID || null;
 export const DEFAULT_USER_ID = process.env.DEFAULT_USER_ID || null;
+
+// Escape LIKE wildcards so .ilike() matches the value exactly (case-insensitive)
+export function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
@@ -0,0 +1,269 @@
+/**
+ * Template Engine
+ *
+ * Resolves {{ }} placeholders in workflow input_mapping values and prompt
+ * templates. Each placeholder is an expression (see expression.js) followed
+ * by optional filters:
+ *
+ *   {{contact.company_name || pdl_data.data.company}}
+ *   {{contact.email | domain}}
+ *   {{enrichment.results[0].title | default('n/a') | truncate(80)}}
+ *   {{deep_analysis.flags | join(', ')}}
+ *
+ * A value that is exactly one placeholder resolves to the raw typed value
+ * (object, number, boolean...). Placeholders inside other text are rendered
+ * as strings: missing values become '', objects are JSON-encoded.
+ */
+
+import { evaluateExpression, parseExpression, ExpressionError } from './expression.js';
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function extractDomain(value) {
+  if (isMissing(value)) return value;
+  const text = String(value).trim().toLowerCase();
+
+  if (text.includes('@')) {
+    return text.split('@').pop();
+  }
+
+  const host = text.replace(/^[a-z]+:\/\//, '').split(/[/?#]/)[0];
+  return host.replace(/^www\./, '');
+}
+
+const FILTERS = {
+  default: (value, fallback = '') => (isMissing(value) ? fallback : value),
+  lower: (value) => (isMissing(value) ? value : String(value).toLowerCase()),
+  upper: (value) => (isMissing(value) ? value : String(value).toUpperCase()),
+  trim: (value) => (isMissing(value) ? value : String(value).trim()),
+  domain: extractDomain,
+  json: (value, indent = 0) => JSON.stringify(value ?? null, null, indent || undefined),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.filter((v) => !isMissing(v)).join(separator) : value),
+  truncate: (value, length = 100, suffix = '...') => {
+    if (isMissing(value)) return value;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > length ? text.slice(0, length) + suffix : text;
+  },
+  first: (value) => (Array.isArray(value) ? value[0] : value),
+  last: (value) => (Array.isArray(value) ? value[value.length - 1] : value),
+  length: (value) => (isMissing(value) ? 0 : (value.length ?? Object.keys(value).length)),
+  number: (value) => (isMissing(value) ? value : Number(value)),
+  string: (value) => (value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value)),
+};
+
+export const SUPPORTED_FILTERS = Object.keys(FILTERS);
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Split text on a separator, ignoring separators inside quotes or brackets
+ * (and never splitting the `||` operator when separator is '|')
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+    else if (ch === separator && depth === 0) {
+      if (separator === '|' && (text[i + 1] === '|' || text[i - 1] === '|')) continue;
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts;
+}
+
+const placeholderCache = new Map();
+
+/**
+ * Parse the inside of a placeholder into an expression and a filter chain
+ */
+function parsePlaceholder(source) {
+  if (placeholderCache.has(source)) return placeholderCache.get(source);
+
+  const [expression, ...filterParts] = splitTopLevel(source, '|');
+
+  const filters = filterParts.map((part) => {
+    const position = source.indexOf(part) + (part.length - part.trimStart().length);
+    const match = /^\s*([a-z_]+)\s*(?:\(([\s\S]*)\))?\s*$/i.exec(part);
+    if (!match) {
+      throw new ExpressionError(`Invalid filter '${part.trim()}'`, source, position);
+    }
+    const [, name, args] = match;
+    if (!FILTERS[name]) {
+      throw new ExpressionError(`Unknown filter '${name}' (supported: ${SUPPORTED_FILTERS.join(', ')})`, source, position);
+    }
+    return {
+      name,
+      args: args && args.trim() ? splitTopLevel(args, ',').map((a) => a.trim()) : [],
+    };
+  });
+
+  const parsed = { expression: expression.trim(), filters };
+  placeholderCache.set(source, parsed);
+  return parsed;
+}
+
+/**
+ * Find {{ }} placeholders, skipping over quoted strings inside them
+ */
+function findPlaceholders(template) {
+  const found = [];
+  let index = template.indexOf('{{');
+
+  while (index !== -1) {
+    let quote = null;
+    let end = -1;
+
+    for (let i = index + 2; i < template.length - 1; i++) {
+      const ch = template[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '}' && template[i + 1] === '}') {
+        end = i;
+        break;
+      }
+    }
+
+    if (end === -1) break; // Unclosed - leave the rest as text
+
+    found.push({ start: index, end: end + 2, source: template.slice(index + 2, end) });
+    index = template.indexOf('{{', end + 2);
+  }
+
+  return found;
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Evaluate one placeholder (expression + filters) against context
+ */
+export function evaluatePlaceholder(source, context) {
+  const { expression, filters } = parsePlaceholder(source);
+  let value = evaluateExpression(expression, context);
+
+  for (const filter of filters) {
+    const args = filter.args.map((arg) => evaluateExpression(arg, context));
+    value = FILTERS[filter.name](value, ...args);
+  }
+
+  return value;
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Render a template string - every placeholder becomes text
+ */
+export function renderTemplate(template, context) {
+  if (typeof template !== 'string') return template;
+
+  const placeholders = findPlaceholders(template);
+  if (placeholders.length === 0) return template;
+
+  let output = '';
+  let cursor = 0;
+  for (const placeholder of placeholders) {
+    output += template.slice(cursor, placeholder.start);
+    output += stringify(evaluatePlaceholder(placeholder.source, context));
+    cursor = placeholder.end;
+  }
+
+  return output + template.slice(cursor);
+}
+
+/**
+ * Resolve a mapping value (string, array or object, recursively).
+ * A string that is exactly one placeholder returns the raw typed value.
+ */
+export function resolveMapping(value, context) {
+  if (typeof value === 'string') {
+    const placeholders = findPlaceholders(value);
+    if (placeholders.length === 1 && placeholders[0].start === 0 && placeholders[0].end === value.length) {
+      return evaluatePlaceholder(placeholders[0].source, context);
+    }
+    return renderTemplate(value, context);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveMapping(item, context));
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = resolveMapping(item, context);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Check every placeholder in a template/mapping for syntax errors
+ *
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateTemplate(value) {
+  const errors = [];
+
+  if (typeof value === 'string') {
+    for (const placeholder of findPlaceholders(value)) {
+      try {
+        const { expression, filters } = parsePlaceholder(placeholder.source);
+        parseExpression(expression);
+        for (const filter of filters) filter.args.forEach((arg) => parseExpression(arg));
+      } catch (e) {
+        errors.push(`{{${placeholder.source}}}: ${e.message}`);
+      }
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => errors.push(...validateTemplate(item)));
+  } else if (typeof value === 'object' && value !== null) {
+    Object.values(value).forEach((item) => errors.push(...validateTemplate(item)));
+  }
+
+  return errors;
+}
+
+export default {
+  SUPPORTED_FILTERS,
+  evaluatePlaceholder,
+  renderTemplate,
+  resolveMapping,
+  validateTemplate,
+};
@@ -7,6 +7,7 @@
  *   node test-workflow.js --emit-only        # Just emit contact.created event
  *   node test-workflow.js --process-pending  # Process pending events
  *   node test-workflow.js --trigger intake   # Trigger specific workflow
+ *   node test-workflow.js --trigger sdr_agent --dry-run  # Simulate: stubbed APIs, nothing saved
  *   node test-workflow.js --check-logs       # View recent workflow logs
  */
 
@@ -185,8 +186,8 @@ async function testProcessPending() {
   await log('Processing complete', result);
 }
 
-async function testTriggerWorkflow(slug) {
-  await log(`Triggering workflow: ${slug}`);
+async function testTriggerWorkflow(slug, { dryRun = false } = {}) {
+  await log(`${dryRun ? 'Dry-running' : 'Triggering'} workflow: ${slug}`);
 
   // Get a recent contact
   const { data: contact } = await supabase
@@ -208,11 +209,41 @@ async function testTriggerWorkflow(slug) {
       entity_type: 'contact',
       entity_id: contact.id,
     },
-  });
+  }, { dryRun });
+
+  if (dryRun) {
+    showTrace(result);
+    return;
+  }
 
   await log('Workflow result', result);
 }
 
+function showTrace(result) {
+  console.log(`\n--- Dry run: ${result.status} ---`);
+
+  for (const entry of result.trace || []) {
+    const statusIcon = entry.status === 'completed' ? '✓' : entry.status === 'skipped' ? '○' : '✗';
+    const source = entry.source ? ` (${entry.source})` : '';
+    console.log(`\n  ${statusIcon} ${entry.step_order}. ${entry.name} [${entry.status}]${source}`);
+
+    if (entry.reason) console.log(`     Reason: ${entry.reason}`);
+    if (entry.input) console.log(`     Input: ${JSON.stringify(entry.input).slice(0, 300)}`);
+    if (entry.decision) console.log(`     Decision: ${JSON.stringify(entry.decision)}`);
+    if (entry.output !== undefined) console.log(`     Output: ${JSON.stringify(entry.output)?.slice(0, 300)}`);
+    if (entry.emitted_event) console.log(`     Emits: ${entry.emitted_event.event_type}`);
+    if (entry.stop_reason) console.log(`     Stop: ${entry.stop_reason}`);
+    if (entry.error) console.log(`     Error: ${entry.error}`);
+  }
+
+  if (result.emitted_events?.length > 0) {
+    console.log('\nEvents that would be emitted:');
+    result.emitted_events.forEach(e => console.log(`  - ${e.event_type} (step ${e.step_order})`));
+  }
+
+  console.log('\n(Dry run - nothing was saved)');
+}
+
 async function showRecentLogs(contactId = null) {
   await log('Recent Workflow Logs');
 
@@ -297,8 +328,8 @@ async function main() {
     await testProcessPending();
   } else if (args.includes('--trigger')) {
     const idx = args.indexOf('--trigger');
-    const slug = args[idx + 1] || 'intake_agent';
-    await testTriggerWorkflow(slug);
+    const slug = args[idx + 1] && !args[idx + 1].startsWith('--') ? args[idx + 1] : 'intake_agent';
+    await testTriggerWorkflow(slug, { dryRun: args.includes('--dry-run') });
   } else if (args.includes('--check-logs')) {
     await showRecentLogs();
   } else if (args.includes('--rate-limits')) {
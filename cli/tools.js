@@ -1,4 +1,16 @@
-import { supabase, DEFAULT_TEAM_ID, DEFAULT_USER_ID } from './supabase.js';
+import { supabase, DEFAULT_TEAM_ID, DEFAULT_USER_ID, escapeLike } from './supabase.js';
+import { getDeadLetterEvents, requeueEvent } from './event-queue.js';
+import { computeScore, loadScoringFacts, saveScore, recordScoreHistory, formatBreakdown } from './scoring.js';
+import { ingestSignals } from './signals.js';
+import { findWentDark } from './went-dark.js';
+import { sendNotification, listChannels } from './notifications.js';
+import { validateConditions } from './conditions.js';
+import { sendEmail } from './email.js';
+import { validateSequenceSteps, enrollContacts, stopEnrollments } from './sequences.js';
+import { importEmailFiles, pollEmailSource } from './email-intake.js';
+import { validateSourceConfig } from './intake.js';
+import { pollApiSource } from './api-poll.js';
+import { previewImport, runImport } from './importer.js';
 
 // ============================================================================
 // TOOL DEFINITIONS (for Claude API)
@@ -141,6 +153,8 @@ export const toolDefinitions = [
         priority: { type: 'number', description: 'Priority 1-10 (1 = highest)' },
         reason: { type: 'string', description: 'Why this task exists' },
         due_date: { type: 'string', description: 'Due date (YYYY-MM-DD)' },
+        company_id: { type: 'string', description: 'UUID of the company (defaults to the contact\'s company)' },
+        deal_id: { type: 'string', description: 'UUID of the deal this task is for' },
       },
       required: ['type', 'reason'],
     },
@@ -156,6 +170,17 @@ export const toolDefinitions = [
       },
     },
   },
+  {
+    name: 'get_pipeline_forecast',
+    description: 'Forecast revenue from open deals: weighted pipeline by close month or quarter using stage probabilities, past-due close dates, and quota attainment per owner. Use for "what will we close this quarter?"',
+    input_schema: {
+      type: 'object',
+      properties: {
+        group_by: { type: 'string', description: 'Bucket deals by close date: month or quarter (default quarter)' },
+        owner_id: { type: 'string', description: 'Only forecast deals owned by this user' },
+      },
+    },
+  },
   {
     name: 'update_score',
     description: 'Manually update the score for a contact or company',
@@ -171,6 +196,280 @@ export const toolDefinitions = [
       required: ['entity_type', 'score'],
     },
   },
+  {
+    name: 'score_contact',
+    description: 'Recalculate a contact\'s lead score (0-10) from the ICP and scoring rules. Saves the score with a line-item breakdown to score history.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        contact_id: { type: 'string', description: 'UUID of the contact' },
+        contact_name: { type: 'string', description: 'Contact name (used if contact_id not provided)' },
+        interaction_id: { type: 'string', description: 'Score the contact of this interaction (used if no contact given)' },
+        trigger: { type: 'string', description: 'What caused the rescore, e.g. an event type (default manual)' },
+      },
+    },
+  },
+  {
+    name: 'rescore_contacts',
+    description: 'Recalculate scores for active contacts not scored recently. Used by the scheduled Scoring Agent run.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        stale_hours: { type: 'number', description: 'Rescore contacts last scored more than this many hours ago (default 24)' },
+        company_id: { type: 'string', description: 'Only contacts at this company (e.g. after a company-level signal)' },
+        limit: { type: 'number', description: 'Max contacts to rescore (default 200)' },
+        trigger: { type: 'string', description: 'What caused the rescore (default schedule)' },
+      },
+    },
+  },
+  {
+    name: 'get_score_history',
+    description: 'Get the score timeline for a contact or company: every score change with its source (scoring_engine, manual, workflow, agent), reason and breakdown, newest first.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        entity_type: { type: 'string', description: 'Entity type: contact or company (default contact)' },
+        entity_id: { type: 'string', description: 'UUID of the entity' },
+        entity_name: { type: 'string', description: 'Name (used if entity_id not provided)' },
+        limit: { type: 'number', description: 'Max entries (default 20)' },
+        since: { type: 'string', description: 'Only changes after this ISO date' },
+      },
+    },
+  },
+  {
+    name: 'explain_score',
+    description: 'Explain why a contact has their score: the line-item breakdown (title +3, ideal size +2, ...) and recent score history. Use for "why is Mike a 7?"',
+    input_schema: {
+      type: 'object',
+      properties: {
+        contact_id: { type: 'string', description: 'UUID of the contact' },
+        contact_name: { type: 'string', description: 'Contact name (used if contact_id not provided)' },
+        history_limit: { type: 'number', description: 'How many past score changes to include (default 5)' },
+      },
+    },
+  },
+  {
+    name: 'record_signal',
+    description: 'Record a buying/engagement signal (email_opened, link_clicked, news_mention, recent_funding, hiring, layoffs, ...) for a contact or company. Duplicates are skipped. The weight feeds the lead score and a signal.received event is emitted.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', description: 'Signal type, e.g. recent_funding, email_opened, news_mention' },
+        contact_id: { type: 'string', description: 'UUID of the contact' },
+        contact_email: { type: 'string', description: 'Contact email (used if contact_id not provided)' },
+        company_id: { type: 'string', description: 'UUID of the company (defaults to the contact\'s company)' },
+        company_domain: { type: 'string', description: 'Company domain (used if company_id not provided)' },
+        weight: { type: 'number', description: 'Score impact in points, -5 to 5 (default: +1 for ICP positive signals, -1 for negative, else 0)' },
+        source: { type: 'string', description: 'Where the signal came from, e.g. perplexity, email, manual (default manual)' },
+        data: { type: 'object', description: 'Details, e.g. {title, url, amount}' },
+        occurred_at: { type: 'string', description: 'When it happened (ISO date, default now)' },
+        dedupe_key: { type: 'string', description: 'Custom key; signals with the same key are recorded once' },
+      },
+      required: ['type'],
+    },
+  },
+  {
+    name: 'ingest_signals',
+    description: 'Record a batch of signals (same fields as record_signal). Returns which were recorded, skipped as duplicates, or failed.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        signals: { type: 'array', items: { type: 'object' }, description: 'Signals: [{type, contact_id | contact_email, company_id | company_domain, weight, data, ...}]' },
+        source: { type: 'string', description: 'Default source for signals without one' },
+      },
+      required: ['signals'],
+    },
+  },
+  {
+    name: 'list_signals',
+    description: 'List recent signals for a contact or company (or all), newest first',
+    input_schema: {
+      type: 'object',
+      properties: {
+        contact_id: { type: 'string', description: 'UUID of the contact' },
+        contact_name: { type: 'string', description: 'Contact name (used if contact_id not provided)' },
+        company_id: { type: 'string', description: 'UUID of the company' },
+        company_name: { type: 'string', description: 'Company name (used if company_id not provided)' },
+        type: { type: 'string', description: 'Only this signal type' },
+        since: { type: 'string', description: 'Only signals after this ISO date' },
+        limit: { type: 'number', description: 'Max results (default 25)' },
+      },
+    },
+  },
+  {
+    name: 'find_went_dark',
+    description: 'Find contacts and open deals that went dark: outbound touches with no reply within the reply window, or a follow_up_date that passed with no activity. Leaves out ones already flagged or with an open task.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        reply_window_days: { type: 'number', description: 'Days without a reply before a contact counts as dark (default from went_dark config, 7)' },
+        followup_grace_days: { type: 'number', description: 'Days past follow_up_date before it is overdue (default 1)' },
+        lookback_days: { type: 'number', description: 'Only consider interactions from the last N days (default 60)' },
+        max_findings: { type: 'number', description: 'Max results (default 50)' },
+      },
+    },
+  },
+  {
+    name: 'send_notification',
+    description: 'Send a notification via slack, email or the CLI inbox. template is a template key (hot_lead, warm_lead, returning_contact, score_changed, went_dark) rendered with data, or a literal message. Routed by notification rules unless to/user_id is given; delivery status is stored and failures are retried.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        channel: { type: 'string', description: 'slack, email or cli (default slack)' },
+        template: { type: 'string', description: 'Template key or the message text' },
+        data: { type: 'object', description: 'Values for the template, e.g. {contact_name, company, score}' },
+        to: { type: 'string', description: 'Send only to this email address / Slack webhook URL (skips routing rules)' },
+        user_id: { type: 'string', description: 'Send only to this user (skips routing rules)' },
+      },
+      required: ['template'],
+    },
+  },
+  {
+    name: 'list_notifications',
+    description: 'List sent notifications and their delivery status, or the CLI inbox (channel cli, unread_only). Use to check whether an alert went out.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        channel: { type: 'string', description: 'Only this channel: slack, email or cli' },
+        status: { type: 'string', description: 'Only this status: sent, retry, failed, sending' },
+        template: { type: 'string', description: 'Only this template key' },
+        unread_only: { type: 'boolean', description: 'Only unread inbox items (implies channel cli)' },
+        since: { type: 'string', description: 'Only notifications after this ISO date' },
+        limit: { type: 'number', description: 'Max results (default 20)' },
+      },
+    },
+  },
+  {
+    name: 'mark_notifications_read',
+    description: 'Mark CLI inbox notifications as read (specific ids, or all unread)',
+    input_schema: {
+      type: 'object',
+      properties: {
+        notification_ids: { type: 'array', items: { type: 'string' }, description: 'UUIDs to mark read (default: all unread)' },
+      },
+    },
+  },
+  {
+    name: 'set_notification_rule',
+    description: 'Create or update a notification routing rule: which user gets which template on which channel, optionally only when conditions pass (e.g. hot_lead to Sarah by email when score >= 9).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        rule_id: { type: 'string', description: 'UUID of the rule to update (omit to create)' },
+        name: { type: 'string', description: 'Label for the rule' },
+        user_id: { type: 'string', description: 'UUID of the user to notify' },
+        user_email: { type: 'string', description: 'Email of the user to notify (used if user_id not provided)' },
+        template: { type: 'string', description: 'Template key this rule applies to (omit for all)' },
+        channel: { type: 'string', description: 'slack, email or cli (omit to use the channel the sender asked for)' },
+        target: { type: 'string', description: 'Email address or Slack webhook URL (default: the user\'s email / channel default)' },
+        conditions: { type: 'array', items: { type: 'object' }, description: 'Conditions on the notification data, e.g. [{field: "score", operator: ">=", value: 9}]' },
+        is_enabled: { type: 'boolean', description: 'Enable or disable the rule (default true)' },
+      },
+    },
+  },
+  {
+    name: 'list_notification_rules',
+    description: 'List notification routing rules',
+    input_schema: {
+      type: 'object',
+      properties: {
+        include_disabled: { type: 'boolean', description: 'Include disabled rules (default false)' },
+      },
+    },
+  },
+  {
+    name: 'send_email',
+    description: 'Send an email to a contact through the SMTP integration. Logs an email_sent interaction. Refuses contacts marked do_not_contact. Subject/body may use {{contact.first_name}}, {{company.name}}, {{sender.name}}.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        contact_id: { type: 'string', description: 'UUID of the contact' },
+        contact_name: { type: 'string', description: 'Contact name (used if contact_id not provided)' },
+        to: { type: 'string', description: 'Email address of an existing contact (used if no id/name)' },
+        subject: { type: 'string', description: 'Subject line' },
+        body: { type: 'string', description: 'Plain-text body' },
+        cc: { type: 'string', description: 'Cc address(es), comma-separated' },
+        deal_id: { type: 'string', description: 'Deal to log the email against' },
+        data: { type: 'object', description: 'Extra template values' },
+      },
+      required: ['subject', 'body'],
+    },
+  },
+  {
+    name: 'create_sequence',
+    description: 'Create or replace an email sequence: ordered steps, each a subject/body template sent delay_days after the previous one. Stops automatically when the contact replies (email_received).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Sequence name (unique; an existing one is updated)' },
+        description: { type: 'string', description: 'What the sequence is for' },
+        steps: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'Steps: [{subject, body, delay_days, delay_hours}]. Step 1 delay counts from enrollment; a step without subject replies in the thread',
+        },
+        stop_on_reply: { type: 'boolean', description: 'Stop when the contact replies (default true)' },
+        is_active: { type: 'boolean', description: 'Pause (false) or resume (true) all sending for the sequence' },
+      },
+      required: ['name'],
+    },
+  },
+  {
+    name: 'list_sequences',
+    description: 'List email sequences with their steps and enrollment counts',
+    input_schema: {
+      type: 'object',
+      properties: {
+        include_inactive: { type: 'boolean', description: 'Include paused sequences (default false)' },
+      },
+    },
+  },
+  {
+    name: 'enroll_in_sequence',
+    description: 'Enroll one or more contacts in an email sequence. Skips do_not_contact contacts, contacts without email and ones already active in it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        sequence_id: { type: 'string', description: 'UUID of the sequence' },
+        sequence_name: { type: 'string', description: 'Sequence name (used if sequence_id not provided)' },
+        contact_id: { type: 'string', description: 'UUID of the contact' },
+        contact_name: { type: 'string', description: 'Contact name (used if contact_id not provided)' },
+        contact_ids: { type: 'array', items: { type: 'string' }, description: 'Several contact UUIDs' },
+        start_at: { type: 'string', description: 'When the sequence starts (ISO date, default now)' },
+        data: { type: 'object', description: 'Extra template values for every step' },
+      },
+    },
+  },
+  {
+    name: 'stop_sequence',
+    description: 'Stop active sequence enrollments: one enrollment, every sequence for a contact, or everyone in a sequence',
+    input_schema: {
+      type: 'object',
+      properties: {
+        enrollment_id: { type: 'string', description: 'UUID of the enrollment' },
+        contact_id: { type: 'string', description: 'UUID of the contact' },
+        contact_name: { type: 'string', description: 'Contact name (used if contact_id not provided)' },
+        sequence_id: { type: 'string', description: 'UUID of the sequence' },
+        sequence_name: { type: 'string', description: 'Sequence name (used if sequence_id not provided)' },
+        reason: { type: 'string', description: 'Why (default manual)' },
+      },
+    },
+  },
+  {
+    name: 'list_sequence_enrollments',
+    description: 'List sequence enrollments with progress (step, next send, status: active, completed, replied, stopped, failed)',
+    input_schema: {
+      type: 'object',
+      properties: {
+        sequence_id: { type: 'string', description: 'UUID of the sequence' },
+        sequence_name: { type: 'string', description: 'Sequence name (used if sequence_id not provided)' },
+        contact_id: { type: 'string', description: 'UUID of the contact' },
+        contact_name: { type: 'string', description: 'Contact name (used if contact_id not provided)' },
+        status: { type: 'string', description: 'Only this status' },
+        limit: { type: 'number', description: 'Max results (default 25)' },
+      },
+    },
+  },
   {
     name: 'complete_task',
     description: 'Mark a task as completed',
@@ -192,6 +491,68 @@ export const toolDefinitions = [
       },
     },
   },
+  // Deals
+  {
+    name: 'create_deal',
+    description: 'Create a new deal (opportunity), optionally linked to a company and primary contact',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Deal name (e.g., "Acme - Annual Plan")' },
+        company_id: { type: 'string', description: 'UUID of the company' },
+        company_name: { type: 'string', description: 'Company name (used if company_id not provided)' },
+        contact_id: { type: 'string', description: 'UUID of the primary contact' },
+        contact_name: { type: 'string', description: 'Primary contact name (used if contact_id not provided)' },
+        stage: { type: 'string', description: 'Stage: prospecting, discovery, proposal, negotiation, closed_won, closed_lost (default prospecting)' },
+        value: { type: 'number', description: 'Deal value' },
+        close_date: { type: 'string', description: 'Expected close date (YYYY-MM-DD)' },
+        notes: { type: 'string', description: 'Additional notes' },
+      },
+      required: ['name'],
+    },
+  },
+  {
+    name: 'update_deal_stage',
+    description: 'Move a deal to a new pipeline stage. Fires the deal.stage_changed event so stage workflows run.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        deal_id: { type: 'string', description: 'UUID of the deal' },
+        deal_name: { type: 'string', description: 'Deal name (used if deal_id not provided)' },
+        stage: { type: 'string', description: 'New stage: prospecting, discovery, proposal, negotiation, closed_won, closed_lost' },
+        reason: { type: 'string', description: 'Why the deal moved (e.g., "Sent proposal", "Lost to competitor")' },
+      },
+      required: ['stage'],
+    },
+  },
+  {
+    name: 'update_deal',
+    description: 'Update deal details: value, close date, primary contact, name or notes',
+    input_schema: {
+      type: 'object',
+      properties: {
+        deal_id: { type: 'string', description: 'UUID of the deal' },
+        deal_name: { type: 'string', description: 'Deal name (used if deal_id not provided)' },
+        name: { type: 'string', description: 'New deal name' },
+        value: { type: 'number', description: 'New deal value' },
+        close_date: { type: 'string', description: 'New expected close date (YYYY-MM-DD)' },
+        contact_id: { type: 'string', description: 'UUID of the new primary contact' },
+        contact_name: { type: 'string', description: 'Primary contact name (used if contact_id not provided)' },
+        notes: { type: 'string', description: 'New notes' },
+      },
+    },
+  },
+  {
+    name: 'list_pipeline',
+    description: 'Show the deal pipeline grouped by stage, with deal counts and total value per stage',
+    input_schema: {
+      type: 'object',
+      properties: {
+        owner_id: { type: 'string', description: 'Only show deals owned by this user' },
+        include_closed: { type: 'boolean', description: 'Include closed_won and closed_lost stages (default false)' },
+      },
+    },
+  },
   // Custom Fields
   {
     name: 'create_custom_field',
@@ -282,7 +643,7 @@ export const toolDefinitions = [
         trigger_type: { type: 'string', description: 'Trigger type: manual, event, schedule, or chained' },
         trigger_config: {
           type: 'object',
-          description: 'Trigger configuration. For event: {events: ["contact.created"]}. For schedule: {cron: "0 8 * * *"}. For chained: {after_agent: "uuid"}',
+          description: 'Trigger configuration. For event: {events: ["contact.created"]}. For schedule: {cron: "0 8 * * *", timezone: "America/New_York", mode: "workflow" or "event", catch_up: "all", "latest" or "none"}. For chained: {after_agent: "uuid", condition: "success", "failure" or "always"} - starts after the upstream agent\'s run with its output as context',
         },
         conditions: {
           type: 'array',
@@ -332,7 +693,17 @@ export const toolDefinitions = [
   },
   {
     name: 'get_pending_events',
-    description: 'Get events that are waiting to be processed by agents',
+    description: 'Get events that are waiting to be processed by agents (queued, in progress, or waiting to retry)',
+    input_schema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', description: 'Max events to return (default 50)' },
+      },
+    },
+  },
+  {
+    name: 'get_dead_letter_events',
+    description: 'Get events that failed processing too many times and were moved to the dead-letter queue, with their last error',
     input_schema: {
       type: 'object',
       properties: {
@@ -340,6 +711,17 @@ export const toolDefinitions = [
       },
     },
   },
+  {
+    name: 'retry_dead_letter_event',
+    description: 'Put a dead-lettered event back on the queue with a fresh set of attempts',
+    input_schema: {
+      type: 'object',
+      properties: {
+        event_id: { type: 'string', description: 'UUID of the dead-lettered event' },
+      },
+      required: ['event_id'],
+    },
+  },
   // =========================================================================
   // RUNTIME CONFIGURATION TOOLS
   // =========================================================================
@@ -409,6 +791,10 @@ export const toolDefinitions = [
           type: 'object',
           description: 'Points for email quality: {work_email_verified: 2, work_email_unverified: 1, personal_email: 0}',
         },
+        engagement_score: {
+          type: 'object',
+          description: 'Points per recent interaction, decaying with age: {meeting: 2, call: 1, email_received: 1, window_days: 90, half_life_days: 30, max: 3}',
+        },
       },
     },
   },
@@ -432,11 +818,26 @@ export const toolDefinitions = [
         source_type: { type: 'string', description: 'Type: webhook, api_poll, manual, email, form' },
         field_mapping: {
           type: 'object',
-          description: 'How to extract contact fields from payload. Use JSONPath syntax: {"email": "$.data.email", "first_name": "$.fields.name"}',
+          description: 'How to extract contact fields from payload. Use JSONPath syntax: {"email": "$.data.email", "first_name": "$.fields.name"}. Also: name (split into first/last), company_name, company_domain, tags; a list of paths uses the first non-empty; "{{data.plan}}" templates',
+        },
+        required_fields: { type: 'array', items: { type: 'string' }, description: 'Mapped fields that must be present (e.g. ["email", "company_name"])' },
+        validation_rules: {
+          type: 'array',
+          description: 'Conditions the mapped contact must pass, with an optional rejection message: [{"field": "email", "operator": "not_contains", "value": "@gmail.com", "message": "Work email required"}]',
         },
         auto_enrich: { type: 'boolean', description: 'Trigger enrichment pipeline automatically (default true)' },
         default_score: { type: 'number', description: 'Starting score for contacts from this source (default 5)' },
         default_tags: { type: 'array', items: { type: 'string' }, description: 'Tags to apply automatically' },
+        credentials: {
+          type: 'object',
+          description: 'Connection settings. For email sources, the IMAP mailbox: {"host", "port", "secure", "username", "password", "mailbox"}',
+        },
+        poll_interval_minutes: { type: 'number', description: 'How often to poll (api_poll default 15, email default 5)' },
+        api_endpoint: { type: 'string', description: 'api_poll: URL of the JSON endpoint to page through' },
+        poll_config: {
+          type: 'object',
+          description: 'api_poll paging: {"records_path": "$.data", "record_id_path": "$.id", "cursor_param": "cursor", "next_cursor_path": "$.meta.next_cursor"} or {"next_url_path"} or {"page_param", "page_size_param", "page_size"}; plus {"since_param", "since_field"} to fetch only changes. api_poll auth goes in credentials: {"bearer_token"} | {"api_key", "api_key_header"} | {"username", "password"}',
+        },
       },
       required: ['name', 'source_type'],
     },
@@ -451,27 +852,103 @@ export const toolDefinitions = [
         source_name: { type: 'string', description: 'Name of the source (used if source_id not provided)' },
         name: { type: 'string', description: 'New display name' },
         field_mapping: { type: 'object', description: 'Updated field mapping' },
+        required_fields: { type: 'array', items: { type: 'string' }, description: 'Mapped fields that must be present' },
+        validation_rules: { type: 'array', description: 'Conditions the mapped contact must pass (with optional message)' },
         auto_enrich: { type: 'boolean', description: 'Enable/disable auto enrichment' },
         default_score: { type: 'number', description: 'New default score' },
         default_tags: { type: 'array', items: { type: 'string' }, description: 'New default tags' },
         is_enabled: { type: 'boolean', description: 'Enable or disable the source' },
+        credentials: { type: 'object', description: 'Connection settings to merge in (e.g. IMAP host/username/password)' },
+        poll_interval_minutes: { type: 'number', description: 'New poll interval' },
+        api_endpoint: { type: 'string', description: 'New api_poll endpoint' },
+        poll_config: { type: 'object', description: 'api_poll paging settings to merge in' },
+        reset_poll_state: { type: 'boolean', description: 'Forget the saved cursor / since so the next poll starts over (already imported records are still skipped)' },
       },
     },
   },
   {
     name: 'get_intake_source_webhook',
-    description: 'Get the webhook URL and secret for an intake source. Use this when setting up integrations.',
+    description: 'Get the webhook URL, secret and signing instructions for an intake source. Use this when setting up integrations.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        source_id: { type: 'string', description: 'UUID of the intake source' },
+        source_name: { type: 'string', description: 'Name of the source (used if source_id not provided)' },
+      },
+    },
+  },
+  {
+    name: 'import_emails',
+    description: 'Import emails from a .eml file, an mbox file or a directory of them. Each message is logged as an email_received interaction (matched to the sender contact, threaded to our sent email, with sentiment); unknown senders become new contacts.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path to a .eml / .mbox file or a directory' },
+        source_id: { type: 'string', description: 'Email intake source to attribute new contacts to (optional)' },
+        source_name: { type: 'string', description: 'Name of the email intake source (used if source_id not provided)' },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'poll_email_source',
+    description: 'Fetch new mail now from an email intake source\'s IMAP mailbox (normally polled automatically by the event processor)',
+    input_schema: {
+      type: 'object',
+      properties: {
+        source_id: { type: 'string', description: 'UUID of the email intake source' },
+        source_name: { type: 'string', description: 'Name of the source (used if source_id not provided)' },
+      },
+    },
+  },
+  {
+    name: 'poll_api_source',
+    description: 'Fetch new records now from an api_poll intake source (normally polled automatically on its interval)',
+    input_schema: {
+      type: 'object',
+      properties: {
+        source_id: { type: 'string', description: 'UUID of the api_poll intake source' },
+        source_name: { type: 'string', description: 'Name of the source (used if source_id not provided)' },
+      },
+    },
+  },
+  {
+    name: 'list_intake_records',
+    description: 'List records an api_poll source has imported or rejected (with the rejection reason)',
     input_schema: {
       type: 'object',
       properties: {
         source_id: { type: 'string', description: 'UUID of the intake source' },
         source_name: { type: 'string', description: 'Name of the source (used if source_id not provided)' },
+        status: { type: 'string', enum: ['imported', 'rejected'], description: 'Filter by status' },
+        limit: { type: 'number', description: 'Max records (default 20)' },
+      },
+    },
+  },
+  {
+    name: 'import_file',
+    description: 'Import contacts, companies or interactions from a CSV or XLSX file. Detects the entity type and column mapping ' +
+      '(columns named custom_fields.<name> or matching a custom field fill custom fields), checks duplicates by email / domain, ' +
+      'and writes a per-row report CSV. Runs as a preview (nothing written) unless preview is false - show the preview to the user first.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path to the .csv or .xlsx file' },
+        entity_type: { type: 'string', enum: ['contacts', 'companies', 'interactions'], description: 'What the rows are (detected from the headers if omitted)' },
+        mapping: { type: 'object', description: 'Column overrides: { "Column header": "field" | "custom_fields.<name>" | null to ignore }' },
+        sheet: { type: 'string', description: 'XLSX sheet name (default: first sheet)' },
+        preview: { type: 'boolean', description: 'Only show mapping, sample rows and duplicates (default true)' },
+        run_intake: { type: 'boolean', description: 'Send each new contact/company through the intake pipeline (contact.created / company.created events) (default false)' },
+        on_duplicate: { type: 'string', enum: ['skip', 'update'], description: 'Existing email/domain: skip the row or update the record (default skip)' },
+        create_missing_fields: { type: 'boolean', description: 'Create unknown custom_fields.<name> columns as text custom fields (default false: values are skipped)' },
+        report_path: { type: 'string', description: 'Where to write the report CSV (default: next to the file)' },
       },
+      required: ['path'],
     },
   },
   {
     name: 'get_config',
-    description: 'Get any configuration value by key. Keys: icp, scoring_rules, enrichment_settings',
+    description: 'Get any configuration value by key. Keys: icp, scoring_rules, enrichment_settings, pipeline_stages, sales_quotas',
     input_schema: {
       type: 'object',
       properties: {
@@ -519,14 +996,15 @@ export const toolDefinitions = [
   },
   {
     name: 'set_integration_key',
-    description: 'Set or update the API key for an integration. Use this when the user wants to configure or change an API key.',
+    description: 'Set or update the API key for an integration. Use this when the user wants to configure or change an API key. For integrations with several fields (slack webhook_url, smtp host/port/username/password/from) pass credentials instead.',
     input_schema: {
       type: 'object',
       properties: {
-        name: { type: 'string', description: 'Integration name (e.g., anthropic, hunter, apify, peopledatalabs, perplexity)' },
+        name: { type: 'string', description: 'Integration name (e.g., anthropic, hunter, apify, peopledatalabs, perplexity, slack, smtp)' },
         api_key: { type: 'string', description: 'The API key to set' },
+        credentials: { type: 'object', description: 'Credential fields, e.g. {webhook_url} for slack or {host, port, secure, username, password, from, default_to} for smtp' },
       },
-      required: ['name', 'api_key'],
+      required: ['name'],
     },
   },
   {
@@ -851,7 +1329,7 @@ export async function log_interaction({
   return { interaction: data, message: `Logged ${type} with ${contactFullName}` };
 }
 
-export async function create_task({ contact_id, contact_name, type, priority = 5, reason, due_date }) {
+export async function create_task({ contact_id, contact_name, type, priority = 5, reason, due_date, company_id, deal_id }) {
   // Resolve contact
   let resolvedContactId = contact_id;
   let contact = null;
@@ -874,7 +1352,8 @@ export async function create_task({ contact_id, contact_name, type, priority = 5
       team_id: DEFAULT_TEAM_ID,
       assigned_to: DEFAULT_USER_ID,
       contact_id: resolvedContactId,
-      company_id: contact?.company_id,
+      company_id: company_id || contact?.company_id,
+      deal_id: deal_id || null,
       type,
       priority,
       reason,
@@ -928,7 +1407,160 @@ export async function get_call_list({ date, limit = 10 }) {
   return { date: targetDate, call_list: callList, count: callList.length };
 }
 
-export async function update_score({ entity_type, entity_id, entity_name, score, reason }) {
+// Used when no pipeline_stages config exists (matches the 011 seed)
+const DEFAULT_STAGE_PROBABILITIES = {
+  prospecting: 0.1,
+  discovery: 0.2,
+  proposal: 0.5,
+  negotiation: 0.75,
+  closed_won: 1,
+  closed_lost: 0,
+};
+
+/**
+ * Helper: Bucket key for a YYYY-MM-DD date, e.g. "2026-03" or "2026-Q1"
+ */
+function forecastPeriod(dateStr, groupBy) {
+  const [year, month] = dateStr.split('-').map(Number);
+  if (groupBy === 'month') return `${year}-${String(month).padStart(2, '0')}`;
+  return `${year}-Q${Math.ceil(month / 3)}`;
+}
+
+export async function get_pipeline_forecast({ group_by = 'quarter', owner_id }) {
+  if (!['month', 'quarter'].includes(group_by)) {
+    throw new Error('group_by must be month or quarter');
+  }
+
+  const stageConfig = await getTeamConfig('pipeline_stages');
+  const quotaConfig = await getTeamConfig('sales_quotas');
+
+  const probabilities = { ...DEFAULT_STAGE_PROBABILITIES };
+  for (const [stage, settings] of Object.entries(stageConfig?.stages || {})) {
+    if (settings?.probability !== undefined) probabilities[stage] = Number(settings.probability);
+  }
+
+  let query = supabase
+    .from('deals')
+    .select('id, name, stage, value, close_date, owner_id, companies(name)')
+    .neq('stage', 'closed_lost');
+
+  if (owner_id) {
+    query = query.eq('owner_id', owner_id);
+  }
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  const today = new Date().toISOString().split('T')[0];
+  const quotaPeriodType = quotaConfig?.period === 'month' ? 'month' : 'quarter';
+  const currentQuotaPeriod = forecastPeriod(today, quotaPeriodType);
+
+  const buckets = new Map();
+  const overdue = [];
+  const undated = [];
+  const owners = new Map();
+
+  for (const deal of data || []) {
+    const value = Number(deal.value || 0);
+    const probability = probabilities[deal.stage] ?? 0;
+    const isWon = deal.stage === 'closed_won';
+    const summary = {
+      id: deal.id,
+      name: deal.name,
+      company: deal.companies?.name,
+      stage: deal.stage,
+      value,
+      probability,
+      weighted_value: Math.round(value * probability * 100) / 100,
+      close_date: deal.close_date,
+      owner_id: deal.owner_id,
+    };
+
+    if (!deal.close_date) {
+      if (!isWon) undated.push(summary);
+      continue;
+    }
+
+    // Open deals whose close date has already passed need a new date or a closed stage
+    if (!isWon && deal.close_date < today) {
+      summary.past_due = true;
+      overdue.push(summary);
+    }
+
+    const period = forecastPeriod(deal.close_date, group_by);
+    if (!buckets.has(period)) {
+      buckets.set(period, {
+        period,
+        deal_count: 0,
+        pipeline_value: 0,
+        weighted_value: 0,
+        closed_won_value: 0,
+        past_due_count: 0,
+        deals: [],
+      });
+    }
+    const bucket = buckets.get(period);
+    bucket.deal_count++;
+    bucket.deals.push(summary);
+    if (isWon) {
+      bucket.closed_won_value += value;
+    } else {
+      bucket.pipeline_value += value;
+      bucket.weighted_value += summary.weighted_value;
+      if (summary.past_due) bucket.past_due_count++;
+    }
+
+    // Quota attainment only looks at the current quota period
+    if (forecastPeriod(deal.close_date, quotaPeriodType) === currentQuotaPeriod) {
+      const ownerKey = deal.owner_id || 'unassigned';
+      if (!owners.has(ownerKey)) owners.set(ownerKey, { closed_won: 0, weighted_pipeline: 0 });
+      const owner = owners.get(ownerKey);
+      if (isWon) owner.closed_won += value;
+      else owner.weighted_pipeline += summary.weighted_value;
+    }
+  }
+
+  const quotas = quotaConfig?.owners || {};
+  for (const ownerId of Object.keys(quotas)) {
+    if (!owners.has(ownerId)) owners.set(ownerId, { closed_won: 0, weighted_pipeline: 0 });
+  }
+
+  const quotaAttainment = Array.from(owners.entries()).map(([ownerId, totals]) => {
+    const quota = quotas[ownerId] ?? quotaConfig?.default_quota ?? null;
+    const projected = totals.closed_won + totals.weighted_pipeline;
+    return {
+      owner_id: ownerId,
+      quota,
+      closed_won: totals.closed_won,
+      weighted_pipeline: Math.round(totals.weighted_pipeline * 100) / 100,
+      projected: Math.round(projected * 100) / 100,
+      attainment_pct: quota ? Math.round((totals.closed_won / quota) * 1000) / 10 : null,
+      projected_pct: quota ? Math.round((projected / quota) * 1000) / 10 : null,
+      gap: quota ? Math.max(0, Math.round((quota - projected) * 100) / 100) : null,
+    };
+  });
+
+  const sortedBuckets = Array.from(buckets.values())
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(b => ({ ...b, weighted_value: Math.round(b.weighted_value * 100) / 100 }));
+
+  return {
+    group_by,
+    stage_probabilities: probabilities,
+    buckets: sortedBuckets,
+    past_due_deals: overdue,
+    deals_without_close_date: undated,
+    quota_period: currentQuotaPeriod,
+    quota_attainment: quotaAttainment,
+    totals: {
+      pipeline_value: sortedBuckets.reduce((sum, b) => sum + b.pipeline_value, 0),
+      weighted_value: Math.round(sortedBuckets.reduce((sum, b) => sum + b.weighted_value, 0) * 100) / 100,
+      closed_won_value: sortedBuckets.reduce((sum, b) => sum + b.closed_won_value, 0),
+    },
+  };
+}
+
+export async function update_score({ entity_type, entity_id, entity_name, score, reason, source = 'manual' }) {
   const table = entity_type === 'contact' ? 'contacts' : 'companies';
 
   let resolvedId = entity_id;
@@ -946,6 +1578,12 @@ export async function update_score({ entity_type, entity_id, entity_name, score,
     throw new Error(`${entity_type} not found`);
   }
 
+  const { data: current } = await supabase
+    .from(table)
+    .select('score')
+    .eq('id', resolvedId)
+    .single();
+
   const { data, error } = await supabase
     .from(table)
     .update({ score })
@@ -955,9 +1593,29 @@ export async function update_score({ entity_type, entity_id, entity_name, score,
 
   if (error) throw new Error(error.message);
 
+  const history = await recordScoreChange(entity_type, resolvedId, current?.score, score, { source, reason });
+
   await logAgentAction('cli', 'update_score', entity_type, resolvedId, { score, reason }, data);
 
-  return { updated: data, message: `Updated ${entity_type} score to ${score}` };
+  return {
+    updated: data,
+    threshold_crossed: history.crossed || null,
+    message: `Updated ${entity_type} score to ${score}`,
+  };
+}
+
+/**
+ * Helper: Record a score set outside the scoring engine in score_history
+ * (which also emits score.changed on a threshold crossing)
+ */
+async function recordScoreChange(entityType, entityId, previousScore, score, { source, reason, breakdown }) {
+  return recordScoreHistory(entityType, entityId, {
+    score,
+    previous_score: previousScore ?? null,
+    breakdown: breakdown || [{ factor: source, label: reason || `Score set (${source})`, points: score }],
+    source,
+    reason,
+  }, await getTeamConfig('scoring_rules'));
 }
 
 export async function complete_task({ task_id }) {
@@ -992,6 +1650,243 @@ export async function list_open_tasks({ limit = 20 }) {
   return { tasks: data, count: data.length };
 }
 
+// ============================================================================
+// DEALS
+// ============================================================================
+
+// Mirrors the CHECK constraint on deals.stage, in pipeline order
+export const DEAL_STAGES = ['prospecting', 'discovery', 'proposal', 'negotiation', 'closed_won', 'closed_lost'];
+const CLOSED_DEAL_STAGES = ['closed_won', 'closed_lost'];
+
+/**
+ * Helper: Find a deal by ID or (partial) name
+ */
+async function resolveDeal(dealId, dealName) {
+  if (dealId) {
+    const { data, error } = await supabase.from('deals').select('*').eq('id', dealId).single();
+    if (error) throw new Error(error.message);
+    return data;
+  }
+  if (dealName) {
+    const { data, error } = await supabase
+      .from('deals')
+      .select('*')
+      .ilike('name', `%${dealName}%`)
+      .limit(1)
+      .single();
+    if (error) throw new Error(`Deal not found: ${dealName}`);
+    return data;
+  }
+  throw new Error('Must provide deal_id or deal_name');
+}
+
+/**
+ * Helper: Find a contact by (partial) first or last name
+ */
+async function findContactByName(contactName) {
+  const { data } = await supabase
+    .from('contacts')
+    .select('id, company_id, first_name, last_name')
+    .or(`first_name.ilike.%${contactName}%,last_name.ilike.%${contactName}%`)
+    .limit(1)
+    .single();
+  if (!data) throw new Error(`Contact not found: ${contactName}`);
+  return data;
+}
+
+function validateDealStage(stage) {
+  if (!DEAL_STAGES.includes(stage)) {
+    throw new Error(`Invalid stage "${stage}". Valid stages: ${DEAL_STAGES.join(', ')}`);
+  }
+}
+
+export async function create_deal({
+  name,
+  company_id,
+  company_name,
+  contact_id,
+  contact_name,
+  stage = 'prospecting',
+  value,
+  close_date,
+  notes,
+}) {
+  validateDealStage(stage);
+
+  let resolvedContactId = contact_id;
+  let contactCompanyId = null;
+  if (!resolvedContactId && contact_name) {
+    const contact = await findContactByName(contact_name);
+    resolvedContactId = contact.id;
+    contactCompanyId = contact.company_id;
+  }
+
+  let resolvedCompanyId = company_id;
+  if (!resolvedCompanyId && company_name) {
+    const { data } = await supabase
+      .from('companies')
+      .select('id')
+      .ilike('name', `%${company_name}%`)
+      .limit(1)
+      .single();
+    if (!data) throw new Error(`Company not found: ${company_name}`);
+    resolvedCompanyId = data.id;
+  }
+
+  // Fall back to the primary contact's company
+  if (!resolvedCompanyId && resolvedContactId) {
+    if (!contactCompanyId) {
+      const { data } = await supabase.from('contacts').select('company_id').eq('id', resolvedContactId).single();
+      contactCompanyId = data?.company_id;
+    }
+    resolvedCompanyId = contactCompanyId;
+  }
+
+  const { data, error } = await supabase
+    .from('deals')
+    .insert({
+      team_id: DEFAULT_TEAM_ID,
+      owner_id: DEFAULT_USER_ID,
+      company_id: resolvedCompanyId,
+      contact_id: resolvedContactId,
+      name,
+      stage,
+      value,
+      close_date,
+      notes,
+    })
+    .select('*, companies(name), contacts(first_name, last_name)')
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  await logAgentAction('cli', 'create_deal', 'deal', data.id, { name, stage, value, close_date }, data);
+
+  const companyInfo = data.companies?.name ? ` with ${data.companies.name}` : '';
+  return { deal: data, message: `Created deal: ${name}${companyInfo} (${stage})` };
+}
+
+export async function update_deal_stage({ deal_id, deal_name, stage, reason }) {
+  validateDealStage(stage);
+
+  const deal = await resolveDeal(deal_id, deal_name);
+  if (deal.stage === stage) {
+    return { deal, message: `${deal.name} is already in ${stage}` };
+  }
+
+  // The deal_stage_changed_trigger emits deal.stage_changed (with the reason) on this update
+  const { data, error } = await supabase
+    .from('deals')
+    .update({
+      stage,
+      stage_reason: reason || null,
+      stage_changed_at: new Date().toISOString(),
+    })
+    .eq('id', deal.id)
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  await logAgentAction('cli', 'update_deal_stage', 'deal', deal.id,
+    { old_stage: deal.stage, new_stage: stage, reason }, data);
+
+  return {
+    deal: data,
+    old_stage: deal.stage,
+    new_stage: stage,
+    message: `Moved ${data.name} from ${deal.stage} to ${stage}`,
+  };
+}
+
+export async function update_deal({
+  deal_id,
+  deal_name,
+  name,
+  value,
+  close_date,
+  contact_id,
+  contact_name,
+  notes,
+}) {
+  const deal = await resolveDeal(deal_id, deal_name);
+
+  const updates = {};
+  if (name !== undefined) updates.name = name;
+  if (value !== undefined) updates.value = value;
+  if (close_date !== undefined) updates.close_date = close_date;
+  if (notes !== undefined) updates.notes = notes;
+  if (contact_id !== undefined) {
+    updates.contact_id = contact_id;
+  } else if (contact_name) {
+    const contact = await findContactByName(contact_name);
+    updates.contact_id = contact.id;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new Error('Nothing to update');
+  }
+
+  const { data, error } = await supabase
+    .from('deals')
+    .update(updates)
+    .eq('id', deal.id)
+    .select('*, companies(name), contacts(first_name, last_name)')
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  await logAgentAction('cli', 'update_deal', 'deal', deal.id, updates, data);
+
+  return { deal: data, message: `Updated deal: ${data.name}` };
+}
+
+export async function list_pipeline({ owner_id, include_closed = false }) {
+  let query = supabase
+    .from('deals')
+    .select(`
+      id, name, stage, value, close_date, owner_id,
+      companies(name),
+      contacts(first_name, last_name)
+    `)
+    .order('close_date', { ascending: true });
+
+  if (owner_id) {
+    query = query.eq('owner_id', owner_id);
+  }
+  if (!include_closed) {
+    query = query.not('stage', 'in', `(${CLOSED_DEAL_STAGES.join(',')})`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  const stages = DEAL_STAGES
+    .filter(stage => include_closed || !CLOSED_DEAL_STAGES.includes(stage))
+    .map(stage => {
+      const deals = (data || []).filter(d => d.stage === stage);
+      return {
+        stage,
+        count: deals.length,
+        total_value: deals.reduce((sum, d) => sum + Number(d.value || 0), 0),
+        deals: deals.map(d => ({
+          id: d.id,
+          name: d.name,
+          value: d.value,
+          close_date: d.close_date,
+          company: d.companies?.name,
+          contact: d.contacts ? [d.contacts.first_name, d.contacts.last_name].filter(Boolean).join(' ') : null,
+        })),
+      };
+    });
+
+  return {
+    stages,
+    total_deals: (data || []).length,
+    total_value: stages.reduce((sum, s) => sum + s.total_value, 0),
+  };
+}
+
 // ============================================================================
 // CUSTOM FIELDS
 // ============================================================================
@@ -1164,6 +2059,54 @@ export async function get_agent_details({ agent_id, agent_name }) {
   return { agent, recent_runs: runs || [] };
 }
 
+const CHAIN_CONDITIONS = ['success', 'failure', 'always'];
+
+/**
+ * Check a chained trigger: the upstream agent exists, the condition is known
+ * and following after_agent links never leads back to this agent
+ *
+ * @param {string|null} agentId - The agent being updated (null when creating)
+ */
+async function validateChainedTrigger(agentId, triggerConfig) {
+  const { after_agent, condition = 'success' } = triggerConfig || {};
+
+  if (!after_agent) {
+    throw new Error('Chained agents need trigger_config.after_agent (UUID of the upstream agent)');
+  }
+  if (!CHAIN_CONDITIONS.includes(condition)) {
+    throw new Error(`Invalid chain condition '${condition}' (use ${CHAIN_CONDITIONS.join(', ')})`);
+  }
+
+  const { data: agents, error } = await supabase
+    .from('agent_configs')
+    .select('id, name, trigger_type, trigger_config');
+
+  if (error) throw new Error(error.message);
+
+  const byId = new Map((agents || []).map((a) => [a.id, a]));
+  if (!byId.has(after_agent)) {
+    throw new Error(`Upstream agent not found: ${after_agent}`);
+  }
+
+  // Walk upstream from after_agent; reaching this agent again is a cycle
+  const path = [];
+  const seen = new Set();
+  let current = after_agent;
+
+  while (current) {
+    if (current === agentId || seen.has(current)) {
+      const names = [byId.get(agentId)?.name || 'this agent', ...path, byId.get(current)?.name || current];
+      throw new Error(`Chained trigger would create a cycle: ${names.join(' runs after ')}`);
+    }
+    seen.add(current);
+
+    const upstream = byId.get(current);
+    if (!upstream) break;
+    path.push(upstream.name);
+    current = upstream.trigger_type === 'chained' ? upstream.trigger_config?.after_agent : null;
+  }
+}
+
 export async function create_agent({
   name,
   description,
@@ -1173,6 +2116,10 @@ export async function create_agent({
   actions,
   allowed_tools,
 }) {
+  if (trigger_type === 'chained') {
+    await validateChainedTrigger(null, trigger_config);
+  }
+
   const { data, error } = await supabase
     .from('agent_configs')
     .insert({
@@ -1217,6 +2164,18 @@ export async function update_agent({
   }
   if (!resolvedId) throw new Error('Agent not found');
 
+  if (trigger_type === 'chained' || (trigger_type === undefined && trigger_config !== undefined)) {
+    const { data: current } = await supabase
+      .from('agent_configs')
+      .select('trigger_type, trigger_config')
+      .eq('id', resolvedId)
+      .single();
+
+    if ((trigger_type || current?.trigger_type) === 'chained') {
+      await validateChainedTrigger(resolvedId, trigger_config ?? current?.trigger_config);
+    }
+  }
+
   const updates = {};
   if (name !== undefined) updates.name = name;
   if (description !== undefined) updates.description = description;
@@ -1257,7 +2216,7 @@ export async function get_pending_events({ limit = 50 }) {
   const { data, error } = await supabase
     .from('events')
     .select('*')
-    .eq('processed', false)
+    .in('status', ['pending', 'processing', 'retry'])
     .order('created_at', { ascending: true })
     .limit(limit);
 
@@ -1266,6 +2225,20 @@ export async function get_pending_events({ limit = 50 }) {
   return { events: data, count: data.length };
 }
 
+export async function get_dead_letter_events({ limit = 50 }) {
+  const events = await getDeadLetterEvents(limit);
+  return { events, count: events.length };
+}
+
+export async function retry_dead_letter_event({ event_id }) {
+  const event = await requeueEvent(event_id);
+
+  await logAgentAction('cli', 'retry_dead_letter_event', 'event', event_id,
+    { event_type: event.event_type }, { status: event.status });
+
+  return { event, message: `Requeued ${event.event_type} event for processing` };
+}
+
 // ============================================================================
 // WORKFLOW HELPER TOOLS
 // ============================================================================
@@ -1282,6 +2255,16 @@ export async function get_contact({ contact_id }) {
 }
 
 export async function update_contact({ contact_id, ...updates }) {
+  let previousScore = null;
+  if (updates.score !== undefined) {
+    const { data: current } = await supabase
+      .from('contacts')
+      .select('score')
+      .eq('id', contact_id)
+      .single();
+    previousScore = current?.score ?? null;
+  }
+
   const { data, error } = await supabase
     .from('contacts')
     .update(updates)
@@ -1290,6 +2273,19 @@ export async function update_contact({ contact_id, ...updates }) {
     .single();
 
   if (error) throw new Error(error.message);
+
+  // Workflow-set scores (e.g. the SDR Agent's AI score) go in score_history too
+  if (updates.score !== undefined && updates.score !== null) {
+    const breakdown = updates.score_breakdown && typeof updates.score_breakdown === 'object'
+      ? Object.entries(updates.score_breakdown).map(([factor, points]) => ({ factor, label: factor, points }))
+      : undefined;
+    await recordScoreChange('contact', contact_id, previousScore, updates.score, {
+      source: 'workflow',
+      reason: 'Set by workflow (update_contact)',
+      breakdown,
+    });
+  }
+
   return data;
 }
 
@@ -1464,20 +2460,299 @@ export async function get_scoring_rules({ is_active }) {
   };
 }
 
-export async function send_notification({ channel, template, data }) {
-  // Log notification (actual sending would integrate with Slack/email APIs)
-  console.log(`[Notification] ${channel}: ${template}`, data);
+export async function send_notification({ channel = 'slack', template, data = {}, to, user_id }) {
+  const result = await sendNotification({ channel, template, data, to, user_id });
 
-  await supabase.from('agent_logs').insert({
-    team_id: DEFAULT_TEAM_ID,
-    agent: 'notification_agent',
-    action: `send_${channel}_${template}`,
-    entity_type: 'notification',
-    input: { channel, template, data },
-    output: { sent: true, timestamp: new Date().toISOString() },
-  });
+  await logAgentAction('notification_agent', `send_${channel}`, 'notification', result.notifications[0]?.id || null,
+    { channel, template, data }, { sent: result.sent, retrying: result.retrying, failed: result.failed });
 
-  return { success: true, channel, template, data };
+  return {
+    success: result.sent > 0 || result.retrying > 0,
+    channel,
+    template,
+    ...result,
+    notifications: result.notifications.map(n => ({
+      id: n.id,
+      channel: n.channel,
+      target: n.target,
+      status: n.status,
+      attempts: n.attempts,
+      last_error: n.last_error,
+    })),
+  };
+}
+
+export async function list_notifications({ channel, status, template, unread_only = false, since, limit = 20 }) {
+  let query = supabase
+    .from('notifications')
+    .select('id, channel, template, subject, body, target, recipient_user_id, status, attempts, last_error, next_attempt_at, sent_at, read_at, created_at')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (unread_only) {
+    query = query.eq('channel', 'cli').eq('status', 'sent').is('read_at', null);
+  } else if (channel) {
+    query = query.eq('channel', channel);
+  }
+  if (status) query = query.eq('status', status);
+  if (template) query = query.eq('template', template);
+  if (since) query = query.gte('created_at', since);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  return {
+    notifications: data,
+    count: data.length,
+    failed: data.filter(n => n.status === 'failed').length,
+    retrying: data.filter(n => n.status === 'retry').length,
+  };
+}
+
+export async function mark_notifications_read({ notification_ids } = {}) {
+  let query = supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('channel', 'cli')
+    .is('read_at', null);
+
+  if (notification_ids?.length) query = query.in('id', notification_ids);
+
+  const { data, error } = await query.select('id');
+  if (error) throw new Error(error.message);
+
+  return { success: true, marked_read: data.length };
+}
+
+export async function set_notification_rule({ rule_id, name, user_id, user_email, template, channel, target, conditions, is_enabled }) {
+  if (channel && !listChannels().includes(channel)) {
+    throw new Error(`Unknown channel: ${channel} (supported: ${listChannels().join(', ')})`);
+  }
+
+  if (conditions) {
+    const problems = validateConditions(conditions, 'conditions');
+    if (problems.length > 0) throw new Error(problems.join('; '));
+  }
+
+  let userId = user_id;
+  if (!userId && user_email) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id')
+      .ilike('email', escapeLike(user_email.trim()))
+      .single();
+
+    if (!user) throw new Error(`User not found: ${user_email}`);
+    userId = user.id;
+  }
+
+  const fields = { name, user_id: userId, template, channel, target, conditions, is_enabled };
+  const updates = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+  let result;
+  if (rule_id) {
+    result = await supabase
+      .from('notification_rules')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', rule_id)
+      .select()
+      .single();
+  } else {
+    if (!userId && !target) throw new Error('A rule needs a user (user_id / user_email) or a target');
+    result = await supabase
+      .from('notification_rules')
+      .insert({ team_id: DEFAULT_TEAM_ID, ...updates })
+      .select()
+      .single();
+  }
+
+  if (result.error) throw new Error(result.error.message);
+
+  await logAgentAction('cli', rule_id ? 'update_notification_rule' : 'create_notification_rule',
+    'notification_rule', result.data.id, fields, result.data);
+
+  return { success: true, rule: result.data };
+}
+
+export async function list_notification_rules({ include_disabled = false } = {}) {
+  let query = supabase
+    .from('notification_rules')
+    .select('id, name, template, channel, target, conditions, is_enabled, users(email, name)')
+    .order('created_at', { ascending: true });
+
+  if (!include_disabled) query = query.eq('is_enabled', true);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  return { rules: data, count: data.length };
+}
+
+// ============================================================================
+// EMAIL & SEQUENCES
+// ============================================================================
+
+async function resolveContactId({ contact_id, contact_name, to }) {
+  if (contact_id) return contact_id;
+  if (contact_name) return (await findContactByName(contact_name)).id;
+  if (to) {
+    const email = escapeLike(to.trim());
+    for (const column of ['email', 'work_email']) {
+      const { data } = await supabase
+        .from('contacts')
+        .select('id')
+        .ilike(column, email)
+        .limit(1);
+      if (data?.[0]) return data[0].id;
+    }
+    throw new Error(`No contact with email ${to}. Please create the contact first.`);
+  }
+  throw new Error('Specify a contact (contact_id, contact_name or to)');
+}
+
+async function findSequence({ sequence_id, sequence_name }) {
+  let query = supabase.from('email_sequences').select('*');
+  query = sequence_id ? query.eq('id', sequence_id) : query.ilike('name', escapeLike(sequence_name || ''));
+
+  const { data } = await query.limit(1).single();
+  if (!data) throw new Error(`Sequence not found: ${sequence_id || sequence_name}`);
+  return data;
+}
+
+export async function send_email({ contact_id, contact_name, to, subject, body, cc, deal_id, data }) {
+  const contactId = await resolveContactId({ contact_id, contact_name, to });
+  const result = await sendEmail({ contact_id: contactId, subject, body, cc, deal_id, data });
+
+  await logAgentAction('cli', 'send_email', 'contact', contactId,
+    { subject, to: result.to }, { message_id: result.message_id, interaction_id: result.interaction_id });
+
+  return { success: true, contact_id: contactId, ...result };
+}
+
+export async function create_sequence({ name, description, steps, stop_on_reply, is_active }) {
+  if (!name) throw new Error('A sequence needs a name');
+
+  const { data: existing } = await supabase
+    .from('email_sequences')
+    .select('id')
+    .ilike('name', escapeLike(name))
+    .limit(1)
+    .single();
+
+  if (steps !== undefined || !existing) {
+    const problems = validateSequenceSteps(steps);
+    if (problems.length > 0) throw new Error(`Invalid sequence: ${problems.join('; ')}`);
+  }
+
+  const fields = { name, description, steps, stop_on_reply, is_active };
+  const values = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+  const { data, error } = existing
+    ? await supabase
+      .from('email_sequences')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single()
+    : await supabase
+      .from('email_sequences')
+      .insert({ team_id: DEFAULT_TEAM_ID, ...values })
+      .select()
+      .single();
+
+  if (error) throw new Error(error.message);
+
+  await logAgentAction('cli', existing ? 'update_sequence' : 'create_sequence', 'email_sequence', data.id, fields, { steps: data.steps.length });
+
+  return {
+    success: true,
+    sequence: data,
+    message: `${existing ? 'Updated' : 'Created'} sequence '${data.name}' with ${data.steps.length} step(s)`,
+  };
+}
+
+export async function list_sequences({ include_inactive = false } = {}) {
+  let query = supabase
+    .from('email_sequences')
+    .select('id, name, description, steps, stop_on_reply, is_active, sequence_enrollments(status)')
+    .order('created_at', { ascending: true });
+
+  if (!include_inactive) query = query.eq('is_active', true);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  return {
+    sequences: data.map(({ sequence_enrollments: enrollments, ...sequence }) => {
+      const counts = {};
+      for (const e of enrollments || []) counts[e.status] = (counts[e.status] || 0) + 1;
+      return { ...sequence, step_count: sequence.steps.length, enrollments: counts };
+    }),
+    count: data.length,
+  };
+}
+
+export async function enroll_in_sequence({ sequence_id, sequence_name, contact_id, contact_name, contact_ids, start_at, data }) {
+  const sequence = await findSequence({ sequence_id, sequence_name });
+  if (!sequence.is_active) throw new Error(`Sequence '${sequence.name}' is paused`);
+
+  const ids = contact_ids?.length ? contact_ids : [await resolveContactId({ contact_id, contact_name })];
+  const result = await enrollContacts(sequence, ids, { data, start_at });
+
+  await logAgentAction('cli', 'enroll_in_sequence', 'email_sequence', sequence.id,
+    { contact_ids: ids, start_at }, { enrolled: result.enrolled.length, skipped: result.skipped });
+
+  return {
+    success: result.enrolled.length > 0,
+    sequence: sequence.name,
+    enrolled: result.enrolled.map(e => ({ enrollment_id: e.id, contact_id: e.contact_id, name: e.name, first_send_at: e.next_send_at })),
+    skipped: result.skipped,
+  };
+}
+
+export async function stop_sequence({ enrollment_id, contact_id, contact_name, sequence_id, sequence_name, reason = 'manual' }) {
+  const contactId = contact_id || (contact_name ? (await findContactByName(contact_name)).id : undefined);
+  const sequenceId = sequence_id || (sequence_name ? (await findSequence({ sequence_name })).id : undefined);
+
+  const stopped = await stopEnrollments({ enrollment_id, contact_id: contactId, sequence_id: sequenceId }, reason);
+
+  await logAgentAction('cli', 'stop_sequence', 'email_sequence', sequenceId || null,
+    { enrollment_id, contact_id: contactId, reason }, { stopped: stopped.length });
+
+  return { success: true, stopped: stopped.length, enrollments: stopped };
+}
+
+export async function list_sequence_enrollments({ sequence_id, sequence_name, contact_id, contact_name, status, limit = 25 }) {
+  let query = supabase
+    .from('sequence_enrollments')
+    .select('id, status, current_step, next_send_at, last_sent_at, stop_reason, last_error, enrolled_at, email_sequences(name, steps), contacts(first_name, last_name)')
+    .order('enrolled_at', { ascending: false })
+    .limit(limit);
+
+  const sequenceId = sequence_id || (sequence_name ? (await findSequence({ sequence_name })).id : null);
+  const contactId = contact_id || (contact_name ? (await findContactByName(contact_name)).id : null);
+  if (sequenceId) query = query.eq('sequence_id', sequenceId);
+  if (contactId) query = query.eq('contact_id', contactId);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  return {
+    enrollments: data.map(e => ({
+      id: e.id,
+      sequence: e.email_sequences?.name,
+      contact: [e.contacts?.first_name, e.contacts?.last_name].filter(Boolean).join(' '),
+      status: e.status,
+      progress: `${e.current_step}/${e.email_sequences?.steps?.length ?? '?'}`,
+      next_send_at: e.next_send_at,
+      last_sent_at: e.last_sent_at,
+      stop_reason: e.stop_reason,
+      last_error: e.last_error,
+      enrolled_at: e.enrolled_at,
+    })),
+    count: data.length,
+  };
 }
 
 export async function delete_contact({ contact_id, reason }) {
@@ -1639,6 +2914,7 @@ export async function update_scoring_rules({
   enrichment_thresholds,
   title_score,
   email_score,
+  engagement_score,
 }) {
   const current = await getTeamConfig('scoring_rules') || {};
 
@@ -1650,6 +2926,7 @@ export async function update_scoring_rules({
     ...(enrichment_thresholds && { enrichment_thresholds }),
     ...(title_score && { title_score }),
     ...(email_score && { email_score }),
+    ...(engagement_score && { engagement_score: { ...current.engagement_score, ...engagement_score } }),
   };
 
   await setTeamConfig('scoring_rules', updated, 'Updated via CLI');
@@ -1660,11 +2937,293 @@ export async function update_scoring_rules({
   };
 }
 
+// ============================================================================
+// SCORING ENGINE TOOLS
+// ============================================================================
+
+async function loadScoringConfig() {
+  const [icp, rules] = await Promise.all([getTeamConfig('icp'), getTeamConfig('scoring_rules')]);
+  return { icp, rules };
+}
+
+/**
+ * Helper: Score one contact and record it in score_history
+ */
+async function scoreAndSave(contactId, config, trigger) {
+  const facts = await loadScoringFacts(contactId);
+  const email = facts.contact.email;
+  facts.email_is_personal = email ? (await classify_email({ email })).is_personal : true;
+
+  const result = computeScore(facts, config);
+  const history = await saveScore('contact', facts.contact, result, { trigger, rules: config.rules });
+
+  return { contact: facts.contact, result, history };
+}
+
+export async function score_contact({ contact_id, contact_name, interaction_id, trigger = 'manual' }) {
+  let resolvedId = contact_id;
+  if (!resolvedId && contact_name) {
+    resolvedId = (await findContactByName(contact_name)).id;
+  }
+  if (!resolvedId && interaction_id) {
+    const { data } = await supabase
+      .from('interactions')
+      .select('contact_id')
+      .eq('id', interaction_id)
+      .single();
+    resolvedId = data?.contact_id;
+  }
+  if (!resolvedId) {
+    return { skipped: true, message: 'No contact to score' };
+  }
+
+  const { contact, result, history } = await scoreAndSave(resolvedId, await loadScoringConfig(), trigger);
+  const previous = contact.score ?? null;
+
+  return {
+    contact_id: contact.id,
+    contact_name: [contact.first_name, contact.last_name].filter(Boolean).join(' '),
+    score: result.score,
+    previous_score: previous,
+    changed: previous !== result.score,
+    band: result.band,
+    enrichment_tier: result.enrichment_tier,
+    threshold_crossed: history.crossed || null,
+    breakdown: result.breakdown,
+  };
+}
+
+export async function rescore_contacts({ stale_hours = 24, company_id, limit = 200, trigger = 'schedule' }) {
+  const cutoff = new Date(Date.now() - stale_hours * 3600000).toISOString();
+
+  let query = supabase
+    .from('contacts')
+    .select('id')
+    .eq('status', 'active')
+    .or(`scored_at.is.null,scored_at.lt.${cutoff}`);
+
+  if (company_id) query = query.eq('company_id', company_id);
+
+  const { data: contacts, error } = await query
+    .order('scored_at', { ascending: true, nullsFirst: true })
+    .limit(limit);
+
+  if (error) throw new Error(error.message);
+
+  const config = await loadScoringConfig();
+  const changed = [];
+  const errors = [];
+
+  for (const { id } of contacts || []) {
+    try {
+      const { contact, result, history } = await scoreAndSave(id, config, trigger);
+      if ((contact.score ?? null) !== result.score) {
+        changed.push({ contact_id: id, from: contact.score ?? null, to: result.score, crossed: history.crossed || null });
+      }
+    } catch (e) {
+      errors.push({ contact_id: id, error: e.message });
+    }
+  }
+
+  return {
+    rescored: (contacts || []).length - errors.length,
+    changed,
+    errors,
+  };
+}
+
+export async function explain_score({ contact_id, contact_name, history_limit = 5 }) {
+  const contact = contact_id
+    ? (await get_contact({ contact_id }))
+    : contact_name ? (await findContactByName(contact_name)) : null;
+  if (!contact) throw new Error('Must provide contact_id or contact_name');
+
+  const { data: history, error } = await supabase
+    .from('score_history')
+    .select('score, previous_score, band, breakdown, source, trigger, reason, created_at')
+    .eq('entity_type', 'contact')
+    .eq('entity_id', contact.id)
+    .order('created_at', { ascending: false })
+    .limit(history_limit);
+
+  if (error) throw new Error(error.message);
+
+  const name = [contact.first_name, contact.last_name].filter(Boolean).join(' ');
+  const latest = history?.[0];
+
+  if (!latest) {
+    return {
+      contact_id: contact.id,
+      contact_name: name,
+      score: contact.score ?? null,
+      message: `${name} has no recorded score breakdown yet. Run score_contact to calculate one.`,
+    };
+  }
+
+  return {
+    contact_id: contact.id,
+    contact_name: name,
+    score: latest.score,
+    band: latest.band,
+    scored_at: latest.created_at,
+    source: latest.source,
+    trigger: latest.trigger,
+    explanation: formatBreakdown(latest.breakdown),
+    breakdown: latest.breakdown,
+    history: history.map(h => ({
+      score: h.score,
+      previous_score: h.previous_score,
+      source: h.source,
+      trigger: h.trigger,
+      reason: h.reason,
+      at: h.created_at,
+    })),
+  };
+}
+
+export async function get_score_history({ entity_type = 'contact', entity_id, entity_name, limit = 20, since }) {
+  let entity;
+  if (entity_id) {
+    entity = { id: entity_id };
+  } else if (entity_name && entity_type === 'contact') {
+    entity = await findContactByName(entity_name);
+  } else if (entity_name) {
+    const { data } = await supabase
+      .from('companies')
+      .select('id, name')
+      .ilike('name', `%${entity_name}%`)
+      .limit(1)
+      .single();
+    entity = data;
+  }
+  if (!entity) throw new Error(`${entity_type} not found`);
+
+  let query = supabase
+    .from('score_history')
+    .select('id, score, previous_score, band, breakdown, source, trigger, reason, created_at')
+    .eq('entity_type', entity_type)
+    .eq('entity_id', entity.id)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (since) query = query.gte('created_at', since);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  const timeline = (data || []).map(h => ({
+    at: h.created_at,
+    score: h.score,
+    previous_score: h.previous_score,
+    change: h.previous_score === null ? null : h.score - h.previous_score,
+    band: h.band,
+    source: h.source,
+    trigger: h.trigger,
+    reason: h.reason,
+    breakdown: formatBreakdown(h.breakdown),
+  }));
+
+  return {
+    entity_type,
+    entity_id: entity.id,
+    current_score: timeline[0]?.score ?? null,
+    count: timeline.length,
+    timeline,
+  };
+}
+
+// ============================================================================
+// SIGNAL TOOLS
+// ============================================================================
+
+export async function record_signal(signal) {
+  const result = await ingestSignals([signal], { icp: await getTeamConfig('icp') });
+
+  if (result.errors.length > 0) throw new Error(result.errors[0].error);
+  if (result.duplicates.length > 0) {
+    return { duplicate: true, message: `Skipped duplicate ${result.duplicates[0].type} signal` };
+  }
+
+  const recorded = result.recorded[0];
+  return {
+    signal: recorded,
+    message: `Recorded ${recorded.type} signal (weight ${recorded.weight})`,
+  };
+}
+
+export async function ingest_signals({ signals, source }) {
+  const result = await ingestSignals(signals, { icp: await getTeamConfig('icp'), source });
+
+  return {
+    recorded: result.recorded.length,
+    duplicates: result.duplicates.length,
+    failed: result.errors.length,
+    signals: result.recorded.map(s => ({ id: s.id, type: s.type, weight: s.weight, contact_id: s.contact_id, company_id: s.company_id })),
+    errors: result.errors,
+  };
+}
+
+export async function list_signals({ contact_id, contact_name, company_id, company_name, type, since, limit = 25 }) {
+  let contactId = contact_id;
+  if (!contactId && contact_name) {
+    contactId = (await findContactByName(contact_name)).id;
+  }
+
+  let companyId = company_id;
+  if (!companyId && company_name) {
+    const { data } = await supabase
+      .from('companies')
+      .select('id')
+      .ilike('name', `%${company_name}%`)
+      .limit(1)
+      .single();
+    if (!data) throw new Error(`Company not found: ${company_name}`);
+    companyId = data.id;
+  }
+
+  let query = supabase
+    .from('signals')
+    .select('id, type, weight, source, data, created_at, contact_id, company_id, contacts(first_name, last_name), companies(name)')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (contactId) query = query.eq('contact_id', contactId);
+  if (companyId) query = query.eq('company_id', companyId);
+  if (type) query = query.eq('type', type);
+  if (since) query = query.gte('created_at', since);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  return {
+    count: (data || []).length,
+    signals: (data || []).map(({ contacts, companies, ...signal }) => ({
+      ...signal,
+      contact_name: contacts ? [contacts.first_name, contacts.last_name].filter(Boolean).join(' ') : null,
+      company_name: companies?.name || null,
+    })),
+  };
+}
+
+export async function find_went_dark(overrides = {}) {
+  const config = await getTeamConfig('went_dark') || {};
+  const settings = { ...config };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value !== undefined && value !== null) settings[key] = value;
+  }
+
+  return findWentDark(settings);
+}
+
 // Intake Source Tools
+function intakeWebhookUrl(slug) {
+  return `${(process.env.INTAKE_BASE_URL || '').replace(/\/$/, '')}/api/intake/${slug}`;
+}
+
 export async function list_intake_sources({ include_disabled = false }) {
   let query = supabase
     .from('intake_sources')
-    .select('id, name, slug, source_type, is_enabled, auto_enrich, default_score, total_contacts, last_received_at')
+    .select('id, name, slug, source_type, is_enabled, auto_enrich, default_score, total_contacts, last_received_at, last_error')
     .order('created_at', { ascending: false });
 
   if (DEFAULT_TEAM_ID) {
@@ -1688,7 +3247,16 @@ export async function create_intake_source({
   auto_enrich = true,
   default_score = 5,
   default_tags = [],
+  credentials = null,
+  poll_interval_minutes = null,
+  required_fields = null,
+  validation_rules = null,
+  api_endpoint = null,
+  poll_config = {},
 }) {
+  const problems = validateSourceConfig({ field_mapping, required_fields, validation_rules, poll_config });
+  if (problems.length > 0) throw new Error(`Invalid intake source: ${problems.join('; ')}`);
+
   // Generate slug from name
   const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_');
 
@@ -1709,6 +3277,12 @@ export async function create_intake_source({
       auto_enrich,
       default_score,
       default_tags,
+      api_credentials: credentials,
+      poll_interval_minutes,
+      required_fields,
+      validation_rules,
+      api_endpoint,
+      poll_config,
       is_enabled: true,
     })
     .select()
@@ -1717,7 +3291,7 @@ export async function create_intake_source({
   if (error) throw new Error(error.message);
 
   await logAgentAction('cli', 'create_intake_source', 'intake_source', data.id,
-    { name, source_type }, data);
+    { name, source_type }, { ...data, api_credentials: data.api_credentials ? '[set]' : null });
 
   const result = {
     message: `Created intake source: ${name}`,
@@ -1725,8 +3299,8 @@ export async function create_intake_source({
   };
 
   // Include webhook URL for webhook types
-  if (source_type === 'webhook') {
-    result.webhook_url = `/api/intake/${slug}`;
+  if (source_type === 'webhook' || source_type === 'form') {
+    result.webhook_url = intakeWebhookUrl(slug);
     result.webhook_secret = webhook_secret;
   }
 
@@ -1742,16 +3316,37 @@ export async function update_intake_source({
   default_score,
   default_tags,
   is_enabled,
+  credentials,
+  poll_interval_minutes,
+  required_fields,
+  validation_rules,
+  api_endpoint,
+  poll_config,
+  reset_poll_state = false,
 }) {
+  const problems = validateSourceConfig({ field_mapping, required_fields, validation_rules, poll_config });
+  if (problems.length > 0) throw new Error(`Invalid intake source: ${problems.join('; ')}`);
+
   // Find source
   let resolvedId = source_id;
+  let existing = null;
   if (!resolvedId && source_name) {
     const { data } = await supabase
       .from('intake_sources')
-      .select('id')
+      .select('id, api_credentials, poll_config, poll_state')
       .ilike('name', `%${source_name}%`)
       .single();
-    if (data) resolvedId = data.id;
+    if (data) {
+      resolvedId = data.id;
+      existing = data;
+    }
+  } else if (resolvedId && (credentials !== undefined || poll_config !== undefined || reset_poll_state)) {
+    const { data } = await supabase
+      .from('intake_sources')
+      .select('api_credentials, poll_config, poll_state')
+      .eq('id', resolvedId)
+      .single();
+    existing = data;
   }
   if (!resolvedId) throw new Error('Intake source not found');
 
@@ -1762,6 +3357,13 @@ export async function update_intake_source({
   if (default_score !== undefined) updates.default_score = default_score;
   if (default_tags !== undefined) updates.default_tags = default_tags;
   if (is_enabled !== undefined) updates.is_enabled = is_enabled;
+  if (credentials !== undefined) updates.api_credentials = { ...(existing?.api_credentials || {}), ...(credentials || {}) };
+  if (api_endpoint !== undefined) updates.api_endpoint = api_endpoint;
+  if (poll_config !== undefined) updates.poll_config = { ...(existing?.poll_config || {}), ...(poll_config || {}) };
+  if (reset_poll_state) updates.poll_state = { ...(existing?.poll_state || {}), api: {} };
+  if (poll_interval_minutes !== undefined) updates.poll_interval_minutes = poll_interval_minutes;
+  if (required_fields !== undefined) updates.required_fields = required_fields;
+  if (validation_rules !== undefined) updates.validation_rules = validation_rules;
 
   const { data, error } = await supabase
     .from('intake_sources')
@@ -1773,7 +3375,7 @@ export async function update_intake_source({
   if (error) throw new Error(error.message);
 
   await logAgentAction('cli', 'update_intake_source', 'intake_source', resolvedId,
-    updates, data);
+    { ...updates, api_credentials: updates.api_credentials ? '[updated]' : undefined }, { id: data.id, name: data.name });
 
   return { message: `Updated intake source: ${data.name}`, intake_source: data };
 }
@@ -1803,10 +3405,111 @@ export async function get_intake_source_webhook({ source_id, source_name }) {
   return {
     name: source.name,
     source_type: source.source_type,
-    webhook_url: `/api/intake/${source.slug}`,
+    webhook_url: intakeWebhookUrl(source.slug),
     webhook_secret: source.webhook_secret,
+    authentication: source.webhook_secret
+      ? 'Send X-Webhook-Secret: <secret> (or Authorization: Bearer <secret>), or sign the raw body: X-Signature-256: sha256=<hex HMAC-SHA256 with the secret>'
+      : 'None (no webhook_secret on this source)',
     field_mapping: source.field_mapping,
+    required_fields: source.required_fields || [],
+    validation_rules: source.validation_rules || [],
     is_enabled: source.is_enabled,
+    server: 'npm run intake-server (cli/intake-server.js)',
+  };
+}
+
+// Email Intake Tools
+async function findIntakeSource({ source_id, source_name }) {
+  let query = supabase.from('intake_sources').select('*');
+  if (source_id) query = query.eq('id', source_id);
+  else if (source_name) query = query.ilike('name', `%${source_name}%`);
+  else return null;
+
+  const { data, error } = await query.limit(1).single();
+  if (error || !data) throw new Error(`Intake source not found: ${source_id || source_name}`);
+  return data;
+}
+
+export async function import_emails({ path: target, source_id, source_name }) {
+  const source = await findIntakeSource({ source_id, source_name });
+  const result = await importEmailFiles(target, { source });
+
+  await logAgentAction('cli', 'import_emails', 'intake_source', source?.id || null,
+    { path: target }, { logged: result.logged.length, created_contacts: result.created_contacts.length });
+
+  return {
+    message: `Imported ${result.logged.length} of ${result.messages} email(s) from ${result.files} file(s)` +
+      (result.created_contacts.length ? `, ${result.created_contacts.length} new contact(s)` : ''),
+    ...result,
+  };
+}
+
+export async function poll_email_source({ source_id, source_name }) {
+  const source = await findIntakeSource({ source_id, source_name });
+  if (!source) throw new Error('Must provide source_id or source_name');
+  if (source.source_type !== 'email') throw new Error(`${source.name} is not an email source (${source.source_type})`);
+
+  const result = await pollEmailSource(source);
+  return {
+    message: `${source.name}: ${result.fetched} new message(s), ${result.logged.length} logged`,
+    ...result,
+  };
+}
+
+export async function poll_api_source({ source_id, source_name }) {
+  const source = await findIntakeSource({ source_id, source_name });
+  if (!source) throw new Error('Must provide source_id or source_name');
+  if (source.source_type !== 'api_poll') throw new Error(`${source.name} is not an api_poll source (${source.source_type})`);
+
+  const result = await pollApiSource(source);
+  return {
+    message: `${source.name}: ${result.fetched} record(s) on ${result.pages} page(s), ${result.imported.length} imported, ` +
+      `${result.rejected.length} rejected, ${result.duplicates} already imported`,
+    ...result,
+  };
+}
+
+export async function list_intake_records({ source_id, source_name, status, limit = 20 }) {
+  const source = await findIntakeSource({ source_id, source_name });
+
+  let query = supabase
+    .from('intake_records')
+    .select('external_id, status, error, contact_id, created_at, intake_sources(name), contacts(first_name, last_name, email)')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (source) query = query.eq('source_id', source.id);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  return { records: data || [], count: data?.length || 0 };
+}
+
+export async function import_file({ path: file, entity_type, mapping, sheet, preview = true, run_intake = false,
+  on_duplicate = 'skip', create_missing_fields = false, report_path }) {
+  if (preview) {
+    const result = await previewImport(file, { entity_type, mapping, sheet, on_duplicate });
+    return {
+      message: `Preview of ${result.file}: ${result.total_rows} ${result.entity_type} row(s), ${result.would_import} would be imported ` +
+        `(${result.invalid_rows} invalid, ${result.duplicates_in_file} repeated in file, ${result.duplicates_existing} already exist). ` +
+        'Run again with preview: false to import.',
+      ...result,
+    };
+  }
+
+  const result = await runImport(file, { entity_type, mapping, sheet, run_intake, on_duplicate, create_missing_fields, report_path });
+
+  await logAgentAction('cli', 'import_file', 'import', result.import_id,
+    { path: file, entity_type: result.entity_type, run_intake, on_duplicate },
+    { inserted: result.inserted, updated: result.updated, duplicates: result.duplicates, failed: result.failed });
+
+  return {
+    message: `Imported ${result.inserted} of ${result.total_rows} ${result.entity_type}` +
+      (result.updated ? `, ${result.updated} updated` : '') +
+      `, ${result.duplicates} duplicate(s) skipped, ${result.failed} failed. Report: ${result.report_path}`,
+    ...result,
   };
 }
 
@@ -1880,11 +3583,19 @@ export async function get_integration({ name }) {
   };
 }
 
-export async function set_integration_key({ name, api_key }) {
+export async function set_integration_key({ name, api_key, credentials }) {
+  if (!api_key && !credentials) throw new Error('Provide api_key or credentials');
+
+  // api_key alone replaces the credentials; a credentials object is merged in
+  const fields = { ...(credentials || {}), ...(api_key ? { api_key } : {}) };
+  const preview = api_key
+    ? `${api_key.substring(0, 8)}...${api_key.slice(-4)}`
+    : `fields: ${Object.keys(fields).join(', ')}`;
+
   // Check if integration exists
   const { data: existing, error: findError } = await supabase
     .from('integrations')
-    .select('id, name')
+    .select('id, name, credentials')
     .eq('name', name.toLowerCase())
     .single();
 
@@ -1893,8 +3604,9 @@ export async function set_integration_key({ name, api_key }) {
     const { data, error } = await supabase
       .from('integrations')
       .insert({
+        team_id: DEFAULT_TEAM_ID,
         name: name.toLowerCase(),
-        credentials: { api_key },
+        credentials: fields,
         is_enabled: true,
       })
       .select()
@@ -1906,9 +3618,10 @@ export async function set_integration_key({ name, api_key }) {
       { name: name.toLowerCase() }, { created: true });
 
     return {
-      message: `Created integration '${name}' with API key`,
+      message: `Created integration '${name}' with ${api_key ? 'API key' : 'credentials'}`,
       name: data.name,
       is_enabled: data.is_enabled,
+      key_preview: preview,
     };
   }
 
@@ -1916,7 +3629,8 @@ export async function set_integration_key({ name, api_key }) {
   const { data, error } = await supabase
     .from('integrations')
     .update({
-      credentials: { api_key },
+      credentials: credentials ? { ...(existing.credentials || {}), ...fields } : fields,
+      last_error: null,
       updated_at: new Date().toISOString(),
     })
     .eq('name', name.toLowerCase())
@@ -1929,10 +3643,10 @@ export async function set_integration_key({ name, api_key }) {
     { name: name.toLowerCase() }, { updated: true });
 
   return {
-    message: `Updated API key for '${name}'`,
+    message: `Updated ${api_key ? 'API key' : 'credentials'} for '${name}'`,
     name: data.name,
     is_enabled: data.is_enabled,
-    key_preview: `${api_key.substring(0, 8)}...${api_key.slice(-4)}`,
+    key_preview: preview,
   };
 }
 
@@ -1973,9 +3687,15 @@ const toolFunctions = {
   log_interaction,
   create_task,
   get_call_list,
+  get_pipeline_forecast,
   update_score,
   complete_task,
   list_open_tasks,
+  // Deals
+  create_deal,
+  update_deal_stage,
+  update_deal,
+  list_pipeline,
   // Custom fields
   create_custom_field,
   set_custom_field_value,
@@ -1988,6 +3708,8 @@ const toolFunctions = {
   update_agent,
   get_recent_agent_activity,
   get_pending_events,
+  get_dead_letter_events,
+  retry_dead_letter_event,
   // Workflow helpers
   get_contact,
   update_contact,
@@ -1999,6 +3721,17 @@ const toolFunctions = {
   add_contact_note,
   get_scoring_rules,
   send_notification,
+  list_notifications,
+  mark_notifications_read,
+  set_notification_rule,
+  list_notification_rules,
+  // Email & sequences
+  send_email,
+  create_sequence,
+  list_sequences,
+  enroll_in_sequence,
+  stop_sequence,
+  list_sequence_enrollments,
   delete_contact,
   merge_contact_data,
   // Runtime configuration
@@ -2006,10 +3739,25 @@ const toolFunctions = {
   update_icp,
   get_scoring_rules_config,
   update_scoring_rules,
+  // Scoring engine
+  score_contact,
+  rescore_contacts,
+  explain_score,
+  get_score_history,
+  // Signals
+  record_signal,
+  ingest_signals,
+  list_signals,
+  find_went_dark,
   list_intake_sources,
   create_intake_source,
   update_intake_source,
   get_intake_source_webhook,
+  import_emails,
+  poll_email_source,
+  poll_api_source,
+  list_intake_records,
+  import_file,
   get_config,
   set_config,
   // Integration management
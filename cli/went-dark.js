@@ -0,0 +1,329 @@
+/**
+ * Went-Dark Detector
+ *
+ * Finds conversations that stalled so a rep can follow up:
+ *
+ * - no_reply: an active contact (or open deal) got outbound touches but no
+ *   reply within `reply_window_days` of the first unanswered one
+ * - follow_up_overdue: an interaction's follow_up_date passed with no activity
+ *   on the contact since
+ *
+ * Run daily by the Went Dark Agent (cli/agents/went-dark-agent.js), which
+ * records a went_dark signal and a follow-up task per finding. Findings carry a
+ * dedupe key per silence episode; ones already recorded as signals, or with an
+ * open task created since the silence began, are left out so later runs don't
+ * create duplicates.
+ */
+
+import { supabase } from './supabase.js';
+import { signalDedupeKey } from './signals.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Overridden by team_config 'went_dark' (get_config / set_config)
+export const DEFAULT_WENT_DARK_CONFIG = {
+  reply_window_days: 7,       // Silence after an outbound touch before it counts as dark
+  followup_grace_days: 1,     // Days past follow_up_date before it's overdue
+  lookback_days: 60,          // Ignore conversations older than this
+  max_findings: 50,
+  task_due_in_days: 1,
+  task_priority: 3,
+  deal_task_priority: 2,      // Open deals are chased first (1 = highest)
+};
+
+const CLOSED_DEAL_STAGES = ['closed_won', 'closed_lost'];
+const PAGE_SIZE = 1000;
+const MAX_INTERACTIONS = 20000;
+
+const INBOUND_TYPES = new Set(['email_received', 'meeting']);
+const OUTBOUND_TYPES = new Set(['email_sent', 'call', 'linkedin']);
+
+// An outbound call/message that got through counts as a reply
+const REPLY_OUTCOMES = new Set(['connected', 'replied', 'scheduled', 'meeting_booked']);
+
+const DAY_MS = 86400000;
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * 'reply' (the contact engaged), 'outbound' (we reached out) or null (notes etc.)
+ */
+export function classifyInteraction(interaction) {
+  if (REPLY_OUTCOMES.has(interaction.outcome)) return 'reply';
+  if (interaction.direction === 'inbound') return 'reply';
+  if (interaction.direction === 'outbound') return 'outbound';
+  if (INBOUND_TYPES.has(interaction.type)) return 'reply';
+  if (OUTBOUND_TYPES.has(interaction.type)) return 'outbound';
+  return null;
+}
+
+/**
+ * Find the silence episode in a conversation: the first outbound touch after
+ * the last reply, if it's older than the window
+ *
+ * @param {Array} interactions - Sorted oldest first
+ */
+export function findSilence(interactions, { reply_window_days }, now = Date.now()) {
+  let firstUnanswered = null;
+  let lastOutbound = null;
+  let lastReply = null;
+  let touches = 0;
+
+  for (const interaction of interactions) {
+    const kind = classifyInteraction(interaction);
+    if (kind === 'reply') {
+      lastReply = interaction;
+      firstUnanswered = null;
+      touches = 0;
+    } else if (kind === 'outbound') {
+      if (!firstUnanswered) firstUnanswered = interaction;
+      lastOutbound = interaction;
+      touches++;
+    }
+  }
+
+  if (!firstUnanswered) return null;
+
+  const silentDays = (now - new Date(firstUnanswered.created_at).getTime()) / DAY_MS;
+  if (silentDays < reply_window_days) return null;
+
+  return {
+    since: firstUnanswered.created_at,
+    days_silent: Math.floor(silentDays),
+    unanswered_touches: touches,
+    last_outbound_at: lastOutbound.created_at,
+    last_outbound_type: lastOutbound.type,
+    last_outbound_subject: lastOutbound.subject || null,
+    last_reply_at: lastReply?.created_at || null,
+  };
+}
+
+/**
+ * The latest follow_up_date that passed (plus grace) with nothing logged since
+ */
+export function findOverdueFollowUp(interactions, { followup_grace_days }, now = Date.now()) {
+  const scheduled = interactions.filter(i => i.follow_up_date);
+  if (scheduled.length === 0) return null;
+
+  const latest = scheduled.reduce((a, b) => (a.follow_up_date >= b.follow_up_date ? a : b));
+  const dueAt = new Date(`${latest.follow_up_date}T00:00:00Z`).getTime();
+  if (now < dueAt + followup_grace_days * DAY_MS) return null;
+
+  const activitySince = interactions.some(i => i !== latest && new Date(i.created_at).getTime() >= dueAt);
+  if (activitySince) return null;
+
+  return {
+    since: new Date(dueAt).toISOString(),
+    follow_up_date: latest.follow_up_date,
+    days_overdue: Math.floor((now - dueAt) / DAY_MS),
+    follow_up_subject: latest.subject || null,
+  };
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const value = row[key];
+    if (!value) continue;
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  }
+  return groups;
+}
+
+function contactName(contact) {
+  return contact ? [contact.first_name, contact.last_name].filter(Boolean).join(' ') : null;
+}
+
+/**
+ * Every interaction in the lookback window, newest first in pages, returned
+ * oldest first. If the cap is hit it's the oldest rows that are dropped, so
+ * recent activity is never missed.
+ */
+async function loadInteractions(since) {
+  const rows = [];
+  while (rows.length < MAX_INTERACTIONS) {
+    const { data, error } = await supabase
+      .from('interactions')
+      .select('id, contact_id, company_id, deal_id, type, direction, outcome, subject, follow_up_date, created_at')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(rows.length, rows.length + PAGE_SIZE - 1);
+
+    if (error) throw new Error(error.message);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  if (rows.length >= MAX_INTERACTIONS) {
+    console.warn(`[WentDark] More than ${MAX_INTERACTIONS} interactions in the lookback window - only the newest are checked`);
+  }
+  return rows.reverse();
+}
+
+/**
+ * Find contacts and open deals that went dark
+ *
+ * @param {object} config - DEFAULT_WENT_DARK_CONFIG overrides
+ * @returns {{findings: Array, checked: {contacts, deals}, skipped: {already_recorded, open_task}}}
+ */
+export async function findWentDark(config = {}, now = Date.now()) {
+  const settings = { ...DEFAULT_WENT_DARK_CONFIG, ...config };
+  const since = new Date(now - settings.lookback_days * DAY_MS).toISOString();
+
+  const interactions = await loadInteractions(since);
+
+  const byContact = groupBy(interactions, 'contact_id');
+  const byDeal = groupBy(interactions, 'deal_id');
+
+  const { data: deals, error: dealsError } = await supabase
+    .from('deals')
+    .select('id, name, stage, value, contact_id, company_id')
+    .not('stage', 'in', `(${CLOSED_DEAL_STAGES.join(',')})`);
+
+  if (dealsError) throw new Error(dealsError.message);
+
+  const contactIds = [...new Set([...byContact.keys(), ...(deals || []).map(d => d.contact_id).filter(Boolean)])];
+  const contacts = new Map();
+  if (contactIds.length > 0) {
+    const { data, error: contactsError } = await supabase
+      .from('contacts')
+      .select('id, first_name, last_name, title, status, score, company_id, companies(name)')
+      .in('id', contactIds);
+
+    if (contactsError) throw new Error(contactsError.message);
+    for (const contact of data || []) contacts.set(contact.id, contact);
+  }
+
+  const candidates = [];
+  const dealContacts = new Set();
+
+  // Open deals: the deal's own interactions plus its primary contact's
+  for (const deal of deals || []) {
+    const contact = contacts.get(deal.contact_id);
+    if (contact && contact.status !== 'active') continue;
+
+    const seen = new Set();
+    const thread = [...(byDeal.get(deal.id) || []), ...(byContact.get(deal.contact_id) || [])]
+      .filter(i => !seen.has(i.id) && seen.add(i.id))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    const silence = findSilence(thread, settings, now);
+    if (!silence) continue;
+
+    if (deal.contact_id) dealContacts.add(deal.contact_id);
+    candidates.push({
+      kind: 'no_reply',
+      contact: contact || null,
+      company_id: deal.company_id || contact?.company_id || null,
+      deal,
+      ...silence,
+      episode: `went_dark:no_reply:deal:${deal.id}:${silence.since}`,
+    });
+  }
+
+  // Active contacts without a dark open deal
+  for (const [contactId, thread] of byContact) {
+    const contact = contacts.get(contactId);
+    if (!contact || contact.status !== 'active' || dealContacts.has(contactId)) continue;
+
+    const silence = findSilence(thread, settings, now);
+    if (silence) {
+      candidates.push({
+        kind: 'no_reply',
+        contact,
+        company_id: contact.company_id,
+        deal: null,
+        ...silence,
+        episode: `went_dark:no_reply:contact:${contactId}:${silence.since}`,
+      });
+      continue;
+    }
+
+    const overdue = findOverdueFollowUp(thread, settings, now);
+    if (overdue) {
+      candidates.push({
+        kind: 'follow_up_overdue',
+        contact,
+        company_id: contact.company_id,
+        deal: null,
+        ...overdue,
+        episode: `went_dark:follow_up:contact:${contactId}:${overdue.follow_up_date}`,
+      });
+    }
+  }
+
+  // Leave out episodes already recorded, and ones a rep already has a task for
+  const keys = candidates.map(c => signalDedupeKey({ dedupe_key: c.episode }));
+  const recorded = new Set();
+  if (keys.length > 0) {
+    const { data, error: signalsError } = await supabase
+      .from('signals')
+      .select('dedupe_key')
+      .in('dedupe_key', keys);
+
+    if (signalsError) throw new Error(signalsError.message);
+    for (const row of data || []) recorded.add(row.dedupe_key);
+  }
+
+  const taskContactIds = candidates.map(c => c.contact?.id).filter(Boolean);
+  const openTasks = [];
+  if (taskContactIds.length > 0) {
+    const { data, error: tasksError } = await supabase
+      .from('tasks')
+      .select('contact_id, deal_id, created_at')
+      .is('completed_at', null)
+      .in('contact_id', taskContactIds);
+
+    if (tasksError) throw new Error(tasksError.message);
+    openTasks.push(...(data || []));
+  }
+
+  const skipped = { already_recorded: 0, open_task: 0 };
+  const findings = [];
+  const dueDate = new Date(now + settings.task_due_in_days * DAY_MS).toISOString().slice(0, 10);
+
+  candidates.forEach((candidate, index) => {
+    if (recorded.has(keys[index])) {
+      skipped.already_recorded++;
+      return;
+    }
+    if (candidate.contact && openTasks.some(t => t.contact_id === candidate.contact.id && t.created_at >= candidate.since)) {
+      skipped.open_task++;
+      return;
+    }
+
+    const { contact, deal, episode, ...details } = candidate;
+    findings.push({
+      ...details,
+      contact_id: contact?.id || null,
+      contact_name: contactName(contact),
+      contact_title: contact?.title || null,
+      company_name: contact?.companies?.name || null,
+      deal_id: deal?.id || null,
+      deal_name: deal?.name || null,
+      deal_stage: deal?.stage || null,
+      deal_value: deal?.value ?? null,
+      dedupe_key: episode,
+      priority: deal ? settings.deal_task_priority : settings.task_priority,
+      due_date: dueDate,
+    });
+  });
+
+  return {
+    findings: findings.slice(0, settings.max_findings),
+    total: findings.length,
+    checked: { contacts: byContact.size, deals: (deals || []).length },
+    skipped,
+    settings,
+  };
+}
@@ -11,6 +11,12 @@
 import { supabase, DEFAULT_TEAM_ID, DEFAULT_USER_ID } from './supabase.js';
 import { executeTool } from './tools.js';
 import { enrichmentApis } from './enrichment-apis.js';
+import { claimEvents, runClaimedEvent, drainQueue } from './event-queue.js';
+import { createDryRun } from './dry-run.js';
+import { evaluateCondition, evaluateExpression } from './expression.js';
+import { evaluateConditions } from './conditions.js';
+import { renderTemplate, resolveMapping } from './templates.js';
+import { runAgent, runAgentsForEvent, runAgentManually } from './agent-runtime.js';
 import Anthropic from '@anthropic-ai/sdk';
 
 // ============================================================================
@@ -57,10 +63,15 @@ export async function emitEvent({ event_type, entity_type, entity_id, payload =
 
   console.log(`[Event] Emitted: ${event_type} for ${entity_type}:${entity_id}`);
 
-  // Process immediately if requested
+  // Process immediately if requested - claim it first so no other worker picks it up too
   if (process_immediately) {
-    const result = await processEvent(event);
-    return { event, processing_result: result };
+    const [claimed] = await claimEvents({ eventId: event.id, limit: 1 });
+    if (!claimed) {
+      // Delayed (available_at in the future) or already leased by another processor
+      return { event, processing_result: { queued: true } };
+    }
+    const result = await runClaimedEvent(claimed, processEvent);
+    return { event: claimed, processing_result: result };
   }
 
   return { event, processing_result: null };
@@ -72,19 +83,21 @@ export async function emitEvent({ event_type, entity_type, entity_id, payload =
 
 /**
  * Process a single event - find matching workflows and execute them
+ *
+ * Expects an event already claimed from the queue (see event-queue.js); the
+ * queue marks it completed, or schedules a retry when this returns success: false.
+ * Delays (payload.delay_until) are handled by the queue's available_at.
  */
 export async function processEvent(event) {
   const { id: eventId, event_type, entity_type, entity_id, payload } = event;
 
-  // Check if event has a delay_until timestamp (e.g., from DB triggers)
-  if (payload?.delay_until) {
-    const delayUntil = new Date(payload.delay_until);
-    const now = new Date();
-    if (delayUntil > now) {
-      const waitMs = delayUntil - now;
-      console.log(`[Event] Waiting ${Math.ceil(waitMs / 1000)}s for event delay...`);
-      await new Promise(resolve => setTimeout(resolve, waitMs));
-    }
+  // Wake runs paused on a wait_for_event step for this event
+  const resumed = await resumeRunsWaitingFor(event);
+
+  // Action-based agents (agent_configs without a workflow) listening for this event
+  const agentRuns = await runAgentsForEvent(event);
+  for (const agentRun of agentRuns) {
+    await chainAfterAgentRun(agentRun, event);
   }
 
   // Find workflows triggered by this event type
@@ -105,22 +118,28 @@ export async function processEvent(event) {
 
   if (!workflows || workflows.length === 0) {
     console.log(`[Event] No workflows found for event: ${event_type}`);
-
-    // Mark event as processed
-    await supabase
-      .from('events')
-      .update({ processed: true, processed_at: new Date().toISOString() })
-      .eq('id', eventId);
-
-    return { success: true, workflows_run: 0, message: 'No matching workflows' };
+    return { success: true, workflows_run: 0, runs_resumed: resumed.length, agent_runs: agentRuns, message: 'No matching workflows' };
   }
 
   console.log(`[Event] Found ${workflows.length} workflow(s) for: ${event_type}`);
 
+  // On a retry, workflows that already ran for this event aren't run again
+  const { data: previousRuns } = await supabase
+    .from('workflow_runs')
+    .select('workflow_template_id')
+    .eq('context->event->>id', eventId)
+    .in('status', ['completed', 'running', 'waiting']);
+  const alreadyRun = new Set((previousRuns || []).map(r => r.workflow_template_id));
+
   const results = [];
 
   // Execute each matching workflow
   for (const workflow of workflows) {
+    if (alreadyRun.has(workflow.id)) {
+      results.push({ success: true, skipped: true, workflow: workflow.name, message: 'Already ran for this event' });
+      continue;
+    }
+
     const result = await executeWorkflow(workflow, {
       event: {
         id: eventId,
@@ -133,15 +152,18 @@ export async function processEvent(event) {
     results.push(result);
   }
 
-  // Mark event as processed
-  await supabase
-    .from('events')
-    .update({ processed: true, processed_at: new Date().toISOString() })
-    .eq('id', eventId);
-
+  // A failed run fails the event, so the queue retries it and dead-letters it
+  // once max_attempts is used up. Workflows and agents that already ran for
+  // the event are skipped on a retry, so only the failed workflows run again
+  const failed = results.filter(r => !r.success);
   return {
-    success: true,
+    success: failed.length === 0,
+    error: failed.length > 0
+      ? failed.map(r => `${r.run_id ? `run ${r.run_id}` : 'workflow'}: ${r.error}`).join('; ')
+      : undefined,
     workflows_run: workflows.length,
+    runs_resumed: resumed.length,
+    agent_runs: agentRuns,
     results,
   };
 }
@@ -155,10 +177,17 @@ export async function processEvent(event) {
  *
  * @param {Object} workflow - Workflow template with steps
  * @param {Object} context - Initial context (event data, entity data)
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Simulate: stub writes/enrichment, persist nothing, return a trace
+ *   (other options are passed to createDryRun: fixtures, aiOutputs, useRecorded, liveAi)
+ * @param {Object} options.parent - { run_id, step_id, depth } when started by a call_workflow step
  */
-export async function executeWorkflow(workflow, initialContext = {}) {
-  const workflowId = workflow.id;
-  const steps = workflow.workflow_steps?.sort((a, b) => a.step_order - b.step_order) || [];
+export async function executeWorkflow(workflow, initialContext = {}, options = {}) {
+  const steps = workflow.workflow_steps || [];
+
+  if (options.dryRun) {
+    return await dryRunWorkflow(workflow, initialContext, options);
+  }
 
   console.log(`[Workflow] Starting: ${workflow.name} (${steps.length} steps)`);
 
@@ -167,13 +196,16 @@ export async function executeWorkflow(workflow, initialContext = {}) {
     .from('workflow_runs')
     .insert({
       team_id: DEFAULT_TEAM_ID,
-      workflow_template_id: workflowId,
-      triggered_by: initialContext.event?.type || 'manual',
+      workflow_template_id: workflow.id,
+      triggered_by: options.parent ? 'call_workflow' : (initialContext.event?.type || 'manual'),
       entity_type: initialContext.event?.entity_type,
       entity_id: initialContext.event?.entity_id,
       status: 'running',
       started_at: new Date().toISOString(),
       context: initialContext,
+      parent_run_id: options.parent?.run_id || null,
+      parent_step_id: options.parent?.step_id || null,
+      call_depth: options.parent?.depth || 0,
     })
     .select()
     .single();
@@ -183,40 +215,117 @@ export async function executeWorkflow(workflow, initialContext = {}) {
     return { success: false, error: runError.message };
   }
 
-  const runId = run.id;
-  let context = { ...initialContext };
+  return await runWorkflowSteps(workflow, run.id, { ...initialContext });
+}
+
+/**
+ * Simulate a workflow - nothing is written, no events are emitted
+ */
+async function dryRunWorkflow(workflow, initialContext, options) {
+  const sandbox = await createDryRun(workflow, options);
+
+  console.log(`[Workflow] Dry run: ${workflow.name} (${workflow.workflow_steps?.length || 0} steps)`);
+
+  const result = await runWorkflowSteps(workflow, null, { ...initialContext }, { sandbox });
+
+  return {
+    ...result,
+    dry_run: true,
+    trace: sandbox.trace,
+    emitted_events: sandbox.emittedEvents,
+  };
+}
+
+/**
+ * Run a workflow's steps against an existing run record
+ *
+ * @param {Object} workflow - Workflow template with steps
+ * @param {string} runId - workflow_runs.id (null for dry runs)
+ * @param {Object} context - Context to start from
+ * @param {Object} options
+ * @param {number} options.fromStep - Skip steps before this step_order (resume)
+ * @param {number} options.attempt - Attempt number recorded on step logs (1 = original run)
+ * @param {Object} options.inputOverrides - Merged into the resolved input of the first step run
+ * @param {Object} options.sandbox - Dry-run sandbox; steps are traced instead of persisted
+ * @param {Object} options.resumedStep - { step_order, result } for a wait step that just finished
+ *   (its result is applied instead of executing the step again)
+ */
+async function runWorkflowSteps(workflow, runId, context, { fromStep = null, attempt = 1, inputOverrides = null, sandbox = null, resumedStep = null } = {}) {
+  const steps = [...(workflow.workflow_steps || [])].sort((a, b) => a.step_order - b.step_order);
   let currentStepOrder = 0;
+  let failedStep = null;
   let shouldStop = false;
   let error = null;
+  let overrides = inputOverrides;
 
   try {
     for (const step of steps) {
       if (shouldStop) break;
+      if (fromStep !== null && step.step_order < fromStep) continue;
 
       currentStepOrder = step.step_order;
+      const resuming = resumedStep && resumedStep.step_order === step.step_order;
 
       // Check run conditions
-      if (step.run_conditions && step.run_conditions.length > 0) {
-        const conditionsMet = evaluateConditions(step.run_conditions, context);
+      if (!resuming && step.run_conditions && step.run_conditions.length > 0) {
+        let conditionsMet;
+        try {
+          conditionsMet = evaluateConditions(step.run_conditions, context);
+        } catch (e) {
+          // A broken condition fails the step rather than silently skipping it
+          const conditionError = { success: false, error: `Run conditions invalid: ${e.message}` };
+          if (sandbox) {
+            sandbox.record(traceStep(step, conditionError));
+          } else {
+            await logStepExecution(runId, step, conditionError, attempt);
+          }
+          error = conditionError.error;
+          failedStep = step;
+          console.error(`[Workflow] Step ${step.step_order} failed: ${error}`);
+          break;
+        }
+
         if (!conditionsMet) {
           console.log(`[Workflow] Step ${step.step_order}: ${step.name} - Skipped (conditions not met)`);
 
-          await logStepExecution(runId, step, {
-            status: 'skipped',
-            message: 'Run conditions not met',
-          });
+          if (sandbox) {
+            sandbox.record({ step_order: step.step_order, name: step.name, action_type: step.action_type, status: 'skipped', reason: 'Run conditions not met' });
+          } else {
+            await logStepExecution(runId, step, {
+              status: 'skipped',
+              message: 'Run conditions not met',
+            }, attempt);
+          }
 
           continue;
         }
       }
 
-      console.log(`[Workflow] Step ${step.step_order}: ${step.name}`);
+      console.log(`[Workflow] Step ${step.step_order}: ${step.name}${resuming ? ' (resumed)' : ''}`);
 
-      // Execute the step
-      const stepResult = await executeStep(step, context);
+      // Execute the step (edited inputs only apply to the step being retried)
+      const stepResult = resuming
+        ? resumedStep.result
+        : await executeStep(step, context, { inputOverrides: overrides, sandbox, runId, attempt });
+      overrides = null;
+
+      // Wait steps pause the run; the event processor picks it up again later
+      if (stepResult.pause) {
+        await logStepExecution(runId, step, stepResult, attempt);
+        return await pauseRun(workflow, runId, step, context, stepResult.pause, attempt);
+      }
 
       // Log step execution
-      await logStepExecution(runId, step, stepResult);
+      if (sandbox) {
+        sandbox.record(traceStep(step, stepResult));
+      } else {
+        await logStepExecution(runId, step, stepResult, attempt);
+      }
+
+      // Outputs of parallel group members (kept even if the group failed, for resume)
+      if (stepResult.context_updates) {
+        Object.assign(context, stepResult.context_updates);
+      }
 
       // Handle step result
       if (stepResult.success) {
@@ -231,15 +340,22 @@ export async function executeWorkflow(workflow, initialContext = {}) {
           console.log(`[Workflow] Stopping: ${stepResult.stop_reason || 'Step requested stop'}`);
         }
 
-        // Handle emitted events
-        if (stepResult.emit_event) {
-          await emitEvent({
-            event_type: stepResult.emit_event.event_type,
-            entity_type: stepResult.emit_event.entity_type || context.event?.entity_type,
-            entity_id: stepResult.emit_event.entity_id || context.event?.entity_id,
-            payload: stepResult.emit_event.payload || {},
+        // Handle emitted events (a parallel group can emit several)
+        const emitted = [stepResult.emit_event, ...(stepResult.emit_events || [])].filter(Boolean);
+        for (const emit of emitted) {
+          const event = {
+            event_type: emit.event_type,
+            entity_type: emit.entity_type || context.event?.entity_type,
+            entity_id: emit.entity_id || context.event?.entity_id,
+            payload: emit.payload || {},
             process_immediately: false, // Queue for later to avoid infinite loops
-          });
+          };
+
+          if (sandbox) {
+            sandbox.recordEvent({ ...event, step_order: step.step_order });
+          } else {
+            await emitEvent(event);
+          }
         }
       } else {
         // Handle error based on on_error setting
@@ -252,6 +368,7 @@ export async function executeWorkflow(workflow, initialContext = {}) {
         } else {
           // Default: stop on error
           error = stepResult.error;
+          failedStep = step;
           shouldStop = true;
           console.error(`[Workflow] Step ${step.step_order} failed: ${stepResult.error}`);
         }
@@ -261,36 +378,50 @@ export async function executeWorkflow(workflow, initialContext = {}) {
     // Update workflow run status
     const finalStatus = error ? 'failed' : (shouldStop ? 'stopped' : 'completed');
 
-    await supabase
-      .from('workflow_runs')
-      .update({
-        status: finalStatus,
-        completed_at: new Date().toISOString(),
-        error_message: error,
-        final_context: context,
-      })
-      .eq('id', runId);
+    if (!sandbox) {
+      await supabase
+        .from('workflow_runs')
+        .update({
+          status: finalStatus,
+          completed_at: new Date().toISOString(),
+          current_step: currentStepOrder,
+          error_message: error,
+          error_step_id: failedStep?.id || null,
+          final_context: context,
+        })
+        .eq('id', runId);
+    }
 
     console.log(`[Workflow] ${workflow.name}: ${finalStatus}`);
 
+    if (!sandbox) {
+      await chainAfterWorkflowRun(workflow, runId, finalStatus, context, error);
+    }
+
     return {
       success: !error,
       run_id: runId,
       status: finalStatus,
+      attempt,
       steps_executed: currentStepOrder,
+      failed_step: failedStep ? { step_order: failedStep.step_order, name: failedStep.name } : undefined,
       error,
       context,
     };
   } catch (e) {
-    // Unexpected error
-    await supabase
-      .from('workflow_runs')
-      .update({
-        status: 'failed',
-        completed_at: new Date().toISOString(),
-        error_message: e.message,
-      })
-      .eq('id', runId);
+    // Unexpected error - keep what we have so the run can be resumed
+    if (!sandbox) {
+      await supabase
+        .from('workflow_runs')
+        .update({
+          status: 'failed',
+          completed_at: new Date().toISOString(),
+          current_step: currentStepOrder,
+          error_message: e.message,
+          final_context: context,
+        })
+        .eq('id', runId);
+    }
 
     console.error(`[Workflow] Unexpected error: ${e.message}`);
 
@@ -298,25 +429,207 @@ export async function executeWorkflow(workflow, initialContext = {}) {
       success: false,
       run_id: runId,
       status: 'failed',
+      attempt,
       error: e.message,
     };
   }
 }
 
+// ============================================================================
+// RESUMING FAILED RUNS
+// ============================================================================
+
+/**
+ * Resume a failed workflow run from the step that failed
+ *
+ * Context is rebuilt from the run's final_context plus the outputs logged in
+ * workflow_run_logs, so steps that already succeeded (and the paid API calls
+ * behind them) are not repeated. The retry is recorded as a new attempt on the
+ * same run.
+ *
+ * @param {string} runId - workflow_runs.id of a failed run
+ * @param {Object} options
+ * @param {number} options.fromStep - Restart at this step_order instead of the failed step
+ * @param {Object} options.inputOverrides - Edited inputs for the restarted step
+ * @param {Object} options.contextOverrides - Values merged into the rebuilt context
+ */
+export async function resumeWorkflowRun(runId, { fromStep = null, inputOverrides = null, contextOverrides = null } = {}) {
+  const { data: run, error: runError } = await supabase
+    .from('workflow_runs')
+    .select('*, workflow_run_logs(*)')
+    .eq('id', runId)
+    .single();
+
+  if (runError || !run) {
+    throw new Error(`Workflow run not found: ${runId}`);
+  }
+
+  if (run.status !== 'failed') {
+    throw new Error(`Only failed runs can be resumed (run ${runId} is ${run.status})`);
+  }
+
+  const { data: workflow, error: workflowError } = await supabase
+    .from('workflow_templates')
+    .select(`*, workflow_steps(*)`)
+    .eq('id', run.workflow_template_id)
+    .single();
+
+  if (workflowError || !workflow) {
+    throw new Error(`Workflow template for run ${runId} no longer exists`);
+  }
+
+  const logs = run.workflow_run_logs || [];
+  const restartAt = fromStep ?? findFailedStepOrder(run, workflow, logs);
+
+  if (restartAt === null || restartAt === undefined) {
+    throw new Error(`Could not determine which step failed in run ${runId}; pass from_step`);
+  }
+
+  if (!workflow.workflow_steps?.some((s) => s.step_order === restartAt)) {
+    throw new Error(`Workflow ${workflow.name} has no step ${restartAt}`);
+  }
+
+  const context = {
+    ...rebuildRunContext(run, workflow, logs, restartAt),
+    ...(contextOverrides || {}),
+  };
+
+  const attempt = (run.attempt || 1) + 1;
+
+  // Claim the run - the status guard stops two resumes racing each other
+  const { data: claimed } = await supabase
+    .from('workflow_runs')
+    .update({
+      status: 'running',
+      attempt,
+      completed_at: null,
+      error_message: null,
+      error_step_id: null,
+    })
+    .eq('id', runId)
+    .eq('status', 'failed')
+    .select();
+
+  if (!claimed || claimed.length === 0) {
+    throw new Error(`Run ${runId} is already being resumed`);
+  }
+
+  const { data: attemptRecord } = await supabase
+    .from('workflow_run_attempts')
+    .insert({
+      workflow_run_id: runId,
+      attempt_number: attempt,
+      resumed_from_step: restartAt,
+      input_overrides: inputOverrides,
+      context_overrides: contextOverrides,
+      status: 'running',
+      started_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  console.log(`[Workflow] Resuming ${workflow.name} run ${runId.slice(0, 8)} at step ${restartAt} (attempt ${attempt})`);
+
+  const result = await runWorkflowSteps(workflow, runId, context, {
+    fromStep: restartAt,
+    attempt,
+    inputOverrides,
+  });
+
+  if (attemptRecord) {
+    await supabase
+      .from('workflow_run_attempts')
+      .update({
+        status: result.status,
+        error_message: result.error || null,
+        completed_at: new Date().toISOString(),
+      })
+      .eq('id', attemptRecord.id);
+  }
+
+  return { ...result, resumed_from_step: restartAt };
+}
+
+/**
+ * Find the step_order a failed run stopped at
+ */
+function findFailedStepOrder(run, workflow, logs) {
+  if (run.error_step_id) {
+    const step = workflow.workflow_steps?.find((s) => s.id === run.error_step_id);
+    if (step) return step.step_order;
+  }
+
+  const failedLogs = logs
+    .filter((log) => log.status === 'failed')
+    .sort((a, b) => new Date(b.executed_at) - new Date(a.executed_at));
+
+  if (failedLogs.length > 0) return failedLogs[0].step_order;
+
+  // Crashed mid-step without a log: resume after the last step that finished
+  if (run.current_step) return run.current_step;
+  return null;
+}
+
+/**
+ * Rebuild the context a run had before `restartAt`
+ */
+function rebuildRunContext(run, workflow, logs, restartAt) {
+  const context = { ...(run.context || {}), ...(run.final_context || {}) };
+  const stepsById = new Map((workflow.workflow_steps || []).map((s) => [s.id, s]));
+
+  // Latest log per step wins (a step may have run in several attempts).
+  // Parallel group members share the group's step and are told apart by name.
+  const latest = new Map();
+  for (const log of logs) {
+    const key = `${log.step_order}:${log.step_name}`;
+    const previous = latest.get(key);
+    if (!previous || new Date(log.executed_at) >= new Date(previous.executed_at)) {
+      latest.set(key, log);
+    }
+  }
+
+  for (const log of latest.values()) {
+    const step = stepsById.get(log.workflow_step_id);
+    if (!step) continue;
+
+    const member = step.action_type === 'parallel' && log.step_name !== step.name
+      ? (step.action_config?.steps || []).find((m) => m.name === log.step_name)
+      : null;
+    const outputVariable = member ? member.output_variable : step.output_variable;
+    if (!outputVariable) continue;
+
+    if (log.step_order >= restartAt) {
+      // Will be recomputed
+      delete context[outputVariable];
+    } else if (log.status === 'completed' && log.output !== null && log.output !== undefined) {
+      context[outputVariable] = log.output;
+    }
+  }
+
+  return context;
+}
+
 // ============================================================================
 // STEP EXECUTION
 // ============================================================================
 
-async function executeStep(step, context) {
+/**
+ * @param {Object} options
+ * @param {Object} options.inputOverrides - Edited tool inputs (resumed runs)
+ * @param {Object} options.sandbox - Dry-run sandbox
+ * @param {string} options.runId - Run the step belongs to (parallel members log against it)
+ * @param {number} options.attempt - Attempt number for member logs
+ */
+async function executeStep(step, context, { inputOverrides = null, sandbox = null, runId = null, attempt = 1 } = {}) {
   const { action_type, action_config } = step;
   const config = typeof action_config === 'string' ? JSON.parse(action_config) : action_config;
 
   switch (action_type) {
     case 'tool_call':
-      return await executeToolCall(config, context);
+      return await executeToolCall(config, context, { inputOverrides, sandbox, step });
 
     case 'ai_prompt':
-      return await executeAiPrompt(config, context);
+      return await executeAiPrompt(config, context, { sandbox, step });
 
     case 'condition_check':
       return await executeConditionCheck(config, context);
@@ -324,6 +637,21 @@ async function executeStep(step, context) {
     case 'branch':
       return await executeBranch(config, context);
 
+    case 'parallel':
+      return await executeParallel(step, config, context, { sandbox, runId, attempt });
+
+    case 'for_each':
+      return await executeForEach(step, config, context, { sandbox, runId, attempt });
+
+    case 'wait':
+      return await executeWait(config, context, { sandbox });
+
+    case 'wait_for_event':
+      return await executeWaitForEvent(step, config, context, { sandbox });
+
+    case 'call_workflow':
+      return await executeCallWorkflow(step, config, context, { sandbox, runId });
+
     default:
       return { success: false, error: `Unknown action type: ${action_type}` };
   }
@@ -332,16 +660,27 @@ async function executeStep(step, context) {
 /**
  * Execute a tool call
  */
-async function executeToolCall(config, context) {
+async function executeToolCall(config, context, { inputOverrides = null, sandbox = null, step = null } = {}) {
   const toolName = config.tool_name;
   const inputMapping = config.input_mapping || {};
 
-  // Resolve input values from context
-  const resolvedInput = resolveTemplateObject(inputMapping, context);
+  let resolvedInput;
+  try {
+    // Resolve input values from context (edited inputs from a resumed run win)
+    resolvedInput = { ...resolveMapping(inputMapping, context), ...(inputOverrides || {}) };
+  } catch (error) {
+    return { success: false, error: `Input mapping failed: ${error.message}` };
+  }
 
   try {
     let result;
 
+    // Dry run: only read-only tools touch the database (and only without a fixture)
+    if (sandbox && toolName !== 'emit_event' && !sandbox.isLiveTool(step, toolName)) {
+      const stubbed = await sandbox.stubTool(step, toolName, resolvedInput);
+      return { success: true, input: resolvedInput, output: stubbed.output, source: stubbed.source };
+    }
+
     // Check if it's an enrichment API
     if (enrichmentApis[toolName]) {
       result = await enrichmentApis[toolName](resolvedInput);
@@ -349,8 +688,10 @@ async function executeToolCall(config, context) {
       // Special handling for emit_event
       return {
         success: true,
+        input: resolvedInput,
         emit_event: resolvedInput,
-        output: { emitted: true, event_type: resolvedInput.event_type },
+        output: { emitted: !sandbox, event_type: resolvedInput.event_type },
+        source: sandbox ? 'simulated' : undefined,
       };
     } else {
       // Use standard tool
@@ -359,11 +700,14 @@ async function executeToolCall(config, context) {
 
     return {
       success: true,
+      input: resolvedInput,
       output: result,
+      source: sandbox ? 'live' : undefined,
     };
   } catch (error) {
     return {
       success: false,
+      input: resolvedInput,
       error: error.message,
     };
   }
@@ -372,17 +716,28 @@ async function executeToolCall(config, context) {
 /**
  * Execute an AI prompt
  */
-async function executeAiPrompt(config, context) {
-  if (!anthropic) {
-    return { success: false, error: 'Anthropic API key not configured' };
-  }
-
+async function executeAiPrompt(config, context, { sandbox = null, step = null } = {}) {
   const promptTemplate = config.prompt_template;
   const outputType = config.output_type || 'text';
   const maxTokens = config.max_tokens || 1000;
 
   // Resolve template
-  const resolvedPrompt = resolveTemplate(promptTemplate, context);
+  let resolvedPrompt;
+  try {
+    resolvedPrompt = renderTemplate(promptTemplate, context);
+  } catch (error) {
+    return { success: false, error: `Prompt template failed: ${error.message}` };
+  }
+
+  // Dry run: canned output unless the caller asked for the live model
+  if (sandbox && !sandbox.liveAi) {
+    const stubbed = await sandbox.stubAiPrompt(step, config, resolvedPrompt);
+    return { success: true, input: { prompt: resolvedPrompt }, output: stubbed.output, source: stubbed.source };
+  }
+
+  if (!anthropic) {
+    return { success: false, error: 'Anthropic API key not configured' };
+  }
 
   try {
     const response = await anthropic.messages.create({
@@ -410,8 +765,10 @@ async function executeAiPrompt(config, context) {
 
     return {
       success: true,
+      input: sandbox ? { prompt: resolvedPrompt } : undefined,
       output,
       tokens_used: response.usage?.output_tokens,
+      source: sandbox ? 'live' : undefined,
     };
   } catch (error) {
     return {
@@ -425,22 +782,24 @@ async function executeAiPrompt(config, context) {
  * Execute a condition check
  */
 async function executeConditionCheck(config, context) {
-  const condition = resolveTemplate(config.condition, context);
+  const condition = config.condition;
 
-  // Evaluate the condition (simple expression evaluator)
+  // Variables are read from context by the expression evaluator, not interpolated
   let result;
   try {
-    result = evaluateExpression(condition);
+    result = evaluateCondition(condition, context);
   } catch (e) {
     return { success: false, error: `Condition evaluation failed: ${e.message}` };
   }
 
+  const decision = { condition, result: !!result };
+
   if (result) {
     // Execute on_true actions
-    return handleBranchAction(config.on_true, context);
+    return { ...(await handleBranchAction(config.on_true, context)), decision };
   } else {
     // Execute on_false actions
-    return handleBranchAction(config.on_false, context);
+    return { ...(await handleBranchAction(config.on_false, context)), decision };
   }
 }
 
@@ -450,247 +809,1035 @@ async function executeConditionCheck(config, context) {
 async function executeBranch(config, context) {
   const branches = config.branches || [];
 
-  for (const branch of branches) {
-    const condition = resolveTemplate(branch.condition, context);
+  for (const [index, branch] of branches.entries()) {
+    const condition = branch.condition;
 
+    let matched;
     try {
-      if (evaluateExpression(condition)) {
-        return handleBranchAction(branch, context);
-      }
+      matched = evaluateCondition(condition, context);
     } catch (e) {
-      // Continue to next branch on evaluation error
-      continue;
+      return { success: false, error: `Branch ${branch.name || index} condition failed: ${e.message}` };
+    }
+
+    if (matched) {
+      const decision = { matched_branch: branch.name || index, condition };
+      return { ...(await handleBranchAction(branch, context)), decision };
     }
   }
 
   // No branch matched
-  return { success: true, output: { no_match: true } };
+  return { success: true, output: { no_match: true }, decision: { matched_branch: null } };
 }
 
 /**
- * Handle a branch action result
+ * Execute a parallel group
+ *
+ * action_config: {
+ *   steps: [ { name, action_type, action_config, output_variable, on_error, run_conditions } ],
+ *   wait_for: 'all' (default) | N - continue once N members have succeeded (1 to steps.length)
+ * }
+ *
+ * Members run concurrently against the same context snapshot, each logged as
+ * its own row. A member that would pause the run (wait, wait_for_event) fails. With wait_for N, members still running when the group moves on
+ * keep running and are logged, but their outputs are not used.
  */
-async function handleBranchAction(branchConfig, context) {
-  if (!branchConfig) {
-    return { success: true, output: null };
-  }
-
-  const result = { success: true, output: {} };
-
-  // Handle action
-  if (branchConfig.action === 'continue') {
-    return result;
+async function executeParallel(parentStep, config, context, { sandbox, runId, attempt }) {
+  const members = config.steps || [];
+  const waitAll = config.wait_for === undefined || config.wait_for === 'all';
+  const required = waitAll ? members.length : Number(config.wait_for);
+  const snapshot = { ...context };
+
+  if (!waitAll && !(Number.isInteger(required) && required >= 1 && required <= members.length)) {
+    return { success: false, error: `parallel step "wait_for" must be 'all' or a whole number from 1 to ${members.length}, got ${JSON.stringify(config.wait_for)}` };
   }
 
-  if (branchConfig.action === 'stop') {
-    result.stop = true;
-    result.stop_reason = branchConfig.reason;
-    return result;
+  if (members.length === 0) {
+    return { success: true, output: { completed: [], failed: [], skipped: [], pending: [] } };
   }
 
-  if (branchConfig.action === 'emit_event') {
-    result.emit_event = {
-      event_type: branchConfig.event_type,
-      payload: branchConfig.payload || {},
-    };
-  }
+  const runMember = async (member) => {
+    // Members log under the group's step id/order, with their own name
+    const memberStep = { ...member, id: parentStep.id, step_order: parentStep.step_order };
+    let result;
 
-  if (branchConfig.then === 'stop') {
-    result.stop = true;
-  }
+    try {
+      if (member.run_conditions && member.run_conditions.length > 0
+        && !evaluateConditions(member.run_conditions, snapshot)) {
+        result = { success: true, skipped: true, status: 'skipped', message: 'Run conditions not met' };
+      } else {
+        result = await executeStep(memberStep, snapshot, { sandbox, runId, attempt });
+      }
 
-  if (branchConfig.then === 'emit_event') {
-    result.emit_event = {
-      event_type: branchConfig.event_type,
-      payload: branchConfig.payload || {},
-    };
-  }
+      if (result.pause || result.status === 'waiting') {
+        // The run can only park on a top-level step - a paused member would silently count as done
+        result = {
+          success: false,
+          input: result.input,
+          output: result.output,
+          error: `${member.action_type} paused inside parallel (wait steps aren't supported in parallel groups)`,
+        };
+      }
+    } catch (e) {
+      result = { success: false, error: e.message };
+    }
 
-  return result;
-}
+    if (sandbox) {
+      sandbox.record({ ...traceStep(memberStep, result), group: parentStep.name });
+    } else {
+      await logStepExecution(runId, memberStep, result.skipped ? { status: 'skipped', message: result.message } : result, attempt);
+    }
 
-// ============================================================================
-// HELPERS
-// ============================================================================
+    return result;
+  };
 
-/**
- * Log step execution to workflow_run_logs
- */
-async function logStepExecution(runId, step, result) {
-  await supabase.from('workflow_run_logs').insert({
-    workflow_run_id: runId,
-    workflow_step_id: step.id,
-    step_order: step.step_order,
-    step_name: step.name,
-    status: result.success ? 'completed' : (result.status || 'failed'),
-    input: result.input,
-    output: result.output,
-    error_message: result.error,
-    tokens_used: result.tokens_used,
-    executed_at: new Date().toISOString(),
+  // Resolve once enough members succeeded (or every member has settled)
+  const results = new Array(members.length);
+  await new Promise((resolve) => {
+    let settled = 0;
+    let succeeded = 0;
+
+    members.forEach((member, index) => {
+      runMember(member).catch((e) => {
+        // Logging the member's result failed - count it as a failed member
+        return { success: false, error: e.message };
+      }).then((result) => {
+        results[index] = result;
+        settled++;
+        if (result.success && !result.skipped) succeeded++;
+
+        if (settled === members.length || (!waitAll && succeeded >= required)) {
+          resolve();
+        }
+      });
+    });
   });
-}
 
-/**
- * Resolve template variables like {{event.entity_id}} in a string
- */
-function resolveTemplate(template, context) {
-  if (typeof template !== 'string') return template;
-
-  return template.replace(/\{\{([^}]+)\}\}/g, (match, path) => {
-    const value = getNestedValue(context, path.trim());
-    if (value === undefined) return match; // Keep original if not found
-    if (typeof value === 'object') return JSON.stringify(value);
-    return String(value);
-  });
-}
+  const summary = { completed: [], failed: [], skipped: [], pending: [] };
+  const contextUpdates = {};
+  const emitEvents = [];
+  let stopError = null;
 
-/**
- * Resolve template variables in an object recursively
- */
-function resolveTemplateObject(obj, context) {
-  if (typeof obj === 'string') {
-    return resolveTemplate(obj, context);
-  }
+  members.forEach((member, index) => {
+    const result = results[index];
 
-  if (Array.isArray(obj)) {
-    return obj.map(item => resolveTemplateObject(item, context));
-  }
+    if (!result) {
+      summary.pending.push(member.name);
+      return;
+    }
 
-  if (typeof obj === 'object' && obj !== null) {
-    const result = {};
-    for (const [key, value] of Object.entries(obj)) {
-      result[key] = resolveTemplateObject(value, context);
+    if (result.skipped) {
+      summary.skipped.push(member.name);
+    } else if (result.success) {
+      summary.completed.push(member.name);
+      if (member.output_variable && result.output !== undefined) {
+        contextUpdates[member.output_variable] = result.output;
+      }
+      if (result.emit_event) emitEvents.push(result.emit_event);
+      if (result.emit_events) emitEvents.push(...result.emit_events);
+    } else {
+      summary.failed.push(member.name);
+      if (member.on_error === 'continue') {
+        contextUpdates[member.output_variable || `step_${parentStep.step_order}_${index + 1}_error`] = {
+          error: true,
+          message: result.error,
+        };
+      } else if (!stopError) {
+        stopError = `${member.name}: ${result.error}`;
+      }
     }
-    return result;
+  });
+
+  if (summary.pending.length > 0) {
+    console.log(`[Workflow] ${parentStep.name}: continuing after ${summary.completed.length}/${members.length}, still running: ${summary.pending.join(', ')}`);
   }
 
-  return obj;
-}
+  const enoughSucceeded = waitAll || summary.completed.length >= required;
+  const error = stopError || (enoughSucceeded ? null : `Only ${summary.completed.length} of ${required} required parallel steps succeeded`);
 
-/**
- * Get nested value from object using dot notation
- */
-function getNestedValue(obj, path) {
-  return path.split('.').reduce((current, key) => {
-    return current?.[key];
-  }, obj);
+  return {
+    success: !error,
+    output: summary,
+    context_updates: contextUpdates,
+    emit_events: emitEvents,
+    error: error || undefined,
+  };
 }
 
 /**
- * Evaluate conditions array
+ * Execute a for_each loop
+ *
+ * action_config: {
+ *   items: '{{company_brief.contacts}}',  - path/template resolving to an array
+ *   item_variable: 'item',               - each item is bound to this name (default 'item')
+ *   index_variable: 'item_index',        - optional, 0-based position
+ *   steps: [ ...nested steps ],          - run in order for every item
+ *   concurrency: 1,                      - items processed at the same time
+ *   max_iterations: 50,                  - extra items are ignored
+ *   collect: 'verification',             - nested output_variable to collect per item
+ *                                          (default: object of all nested outputs)
+ *   on_item_error: 'stop' | 'continue'   - whether one failed item fails the step
+ * }
+ *
+ * Output is the array of per-item results, in input order. Nested steps see
+ * the workflow context plus the item; their outputs are scoped to the item.
+ * A nested step that would pause the run (wait, wait_for_event) fails its item.
  */
-function evaluateConditions(conditions, context) {
-  for (const condition of conditions) {
-    const fieldValue = resolveTemplate(condition.field, context);
-    const targetValue = condition.value;
-    const operator = condition.operator;
+async function executeForEach(parentStep, config, context, { sandbox, runId, attempt }) {
+  let items;
+  try {
+    items = typeof config.items === 'string' && !config.items.includes('{{')
+      ? evaluateExpression(config.items, context)
+      : resolveMapping(config.items, context);
+  } catch (e) {
+    return { success: false, error: `Could not resolve items: ${e.message}` };
+  }
 
-    let result;
-    switch (operator) {
-      case 'equals':
-        result = fieldValue === targetValue;
-        break;
-      case 'not_equals':
-        result = fieldValue !== targetValue;
-        break;
-      case 'is_empty':
-        result = !fieldValue || fieldValue === '';
-        break;
-      case 'is_not_empty':
-        result = fieldValue && fieldValue !== '';
-        break;
-      case 'contains':
-        result = String(fieldValue).includes(String(targetValue));
-        break;
-      case 'greater_than':
-        result = Number(fieldValue) > Number(targetValue);
-        break;
-      case 'less_than':
-        result = Number(fieldValue) < Number(targetValue);
-        break;
-      default:
-        result = false;
-    }
+  if (items === undefined || items === null) items = [];
+  if (!Array.isArray(items)) {
+    return { success: false, error: `for_each items must be an array (got ${typeof items})` };
+  }
+
+  const itemVariable = config.item_variable || 'item';
+  const maxIterations = config.max_iterations || 50;
+  const concurrency = Math.max(1, config.concurrency || 1);
+  const nestedSteps = [...(config.steps || [])].sort((a, b) => (a.step_order || 0) - (b.step_order || 0));
 
-    if (!result) return false;
+  const selected = items.slice(0, maxIterations);
+  if (items.length > selected.length) {
+    console.log(`[Workflow] ${parentStep.name}: ${items.length} items, processing first ${maxIterations} (max_iterations)`);
   }
 
-  return true;
-}
+  const results = new Array(selected.length);
+  let nextIndex = 0;
+
+  const runItem = async (index) => {
+    const scope = { ...context, [itemVariable]: selected[index] };
+    if (config.index_variable) scope[config.index_variable] = index;
+
+    const outputs = {};
+    const emitEvents = [];
+
+    for (const nested of nestedSteps) {
+      // Nested steps log under the loop's step id/order, tagged with the item index
+      const nestedStep = { ...nested, id: parentStep.id, step_order: parentStep.step_order, name: `${nested.name} [${index}]` };
+      let result;
+
+      try {
+        if (nested.run_conditions && nested.run_conditions.length > 0
+          && !evaluateConditions(nested.run_conditions, scope)) {
+          result = { success: true, skipped: true, status: 'skipped', message: 'Run conditions not met' };
+        } else {
+          result = await executeStep(nestedStep, scope, { sandbox, runId, attempt });
+        }
+
+        if (result.pause || result.status === 'waiting') {
+          // The run can only park on a top-level step - a paused item would silently carry on
+          result = {
+            success: false,
+            input: result.input,
+            output: result.output,
+            error: `${nested.action_type} paused inside for_each (wait steps aren't supported in loops)`,
+          };
+        }
+      } catch (e) {
+        result = { success: false, error: e.message };
+      }
+
+      if (sandbox) {
+        sandbox.record({ ...traceStep(nestedStep, result), group: parentStep.name });
+      } else {
+        await logStepExecution(runId, nestedStep, result.skipped ? { status: 'skipped', message: result.message } : result, attempt);
+      }
+
+      if (result.skipped) continue;
+
+      if (result.context_updates) {
+        Object.assign(scope, result.context_updates);
+        Object.assign(outputs, result.context_updates);
+      }
+
+      if (result.success) {
+        if (nested.output_variable && result.output !== undefined) {
+          scope[nested.output_variable] = result.output;
+          outputs[nested.output_variable] = result.output;
+        }
+        if (result.emit_event) emitEvents.push(result.emit_event);
+        if (result.emit_events) emitEvents.push(...result.emit_events);
+        if (result.stop) break; // Stops this item only
+      } else if (nested.on_error === 'continue') {
+        const errorValue = { error: true, message: result.error };
+        scope[nested.output_variable || `step_${parentStep.step_order}_error`] = errorValue;
+        outputs[nested.output_variable || `step_${parentStep.step_order}_error`] = errorValue;
+      } else {
+        return { success: false, error: `${nested.name}: ${result.error}`, emitEvents };
+      }
+    }
+
+    const value = config.collect ? outputs[config.collect] : outputs;
+    return { success: true, value, emitEvents };
+  };
+
+  // Worker pool: `concurrency` items in flight at once
+  const worker = async () => {
+    while (nextIndex < selected.length) {
+      const index = nextIndex++;
+      results[index] = await runItem(index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, selected.length) }, worker));
+
+  const failed = results.filter((result) => !result.success);
+  const output = results.map((result) => (result.success ? result.value : { error: true, message: result.error }));
+  const emitEvents = results.flatMap((result) => result.emitEvents || []);
+  const loop = { total: items.length, processed: selected.length, failed: failed.length, truncated: items.length > selected.length };
+
+  if (failed.length > 0 && config.on_item_error !== 'continue') {
+    return {
+      success: false,
+      output,
+      loop,
+      emit_events: emitEvents,
+      error: `${failed.length} of ${selected.length} item(s) failed - first: ${failed[0].error}`,
+    };
+  }
+
+  return { success: true, output, loop, emit_events: emitEvents };
+}
 
 /**
- * Simple expression evaluator for conditions like "x > 0 && y == 'test'"
+ * Handle a branch action result
  */
-function evaluateExpression(expr) {
-  // Handle simple comparisons
-  // Replace null checks
-  expr = expr.replace(/!= null/g, '!== null');
-  expr = expr.replace(/== null/g, '=== null');
-  expr = expr.replace(/== true/g, '=== true');
-  expr = expr.replace(/== false/g, '=== false');
+async function handleBranchAction(branchConfig, context) {
+  if (!branchConfig) {
+    return { success: true, output: null };
+  }
+
+  const result = { success: true, output: {} };
+
+  // Handle action
+  if (branchConfig.action === 'continue') {
+    return result;
+  }
+
+  if (branchConfig.action === 'stop') {
+    result.stop = true;
+    result.stop_reason = branchConfig.reason;
+    return result;
+  }
+
+  if (branchConfig.action === 'emit_event') {
+    result.emit_event = {
+      event_type: branchConfig.event_type,
+      payload: resolveMapping(branchConfig.payload || {}, context),
+    };
+  }
+
+  if (branchConfig.then === 'stop') {
+    result.stop = true;
+  }
+
+  if (branchConfig.then === 'emit_event') {
+    result.emit_event = {
+      event_type: branchConfig.event_type,
+      payload: resolveMapping(branchConfig.payload || {}, context),
+    };
+  }
+
+  return result;
+}
+
+// ============================================================================
+// CHAINED AGENTS
+// ============================================================================
+// agent_configs with trigger_type 'chained' and
+// trigger_config { after_agent: uuid, condition: 'success' | 'failure' | 'always' }
+// start when the upstream agent's run finishes - an agent_runs row for
+// action-based agents, or a workflow run of its workflow_template_id. The
+// upstream result is passed in as context.upstream. Cycles are rejected by
+// create_agent / update_agent; MAX_CHAIN_DEPTH is a backstop.
+
+const MAX_CHAIN_DEPTH = 10;
+
+const CHAIN_CONDITIONS = {
+  success: (status) => status === 'completed' || status === 'stopped',
+  failure: (status) => status === 'failed',
+  always: (status) => ['completed', 'stopped', 'failed'].includes(status),
+};
+
+/**
+ * Start agents chained after any of the upstream agents
+ *
+ * @param {Object} upstream - { agent_ids, agent_name, run_type, run_id, status, output, error,
+ *   entity_type, entity_id, chain_depth }
+ */
+export async function runChainedAgents(upstream) {
+  if (!upstream.agent_ids || upstream.agent_ids.length === 0) return [];
+
+  const { data: chained, error } = await supabase
+    .from('agent_configs')
+    .select('*')
+    .eq('trigger_type', 'chained')
+    .eq('is_enabled', true)
+    .in('trigger_config->>after_agent', upstream.agent_ids);
+
+  if (error) {
+    console.error(`[Chain] Failed to load chained agents: ${error.message}`);
+    return [];
+  }
+
+  const results = [];
+  const depth = (upstream.chain_depth || 0) + 1;
+
+  for (const agent of chained || []) {
+    const condition = agent.trigger_config?.condition || 'success';
+    const matches = CHAIN_CONDITIONS[condition];
+
+    if (!matches) {
+      console.error(`[Chain] ${agent.name}: unknown condition '${condition}' (use success, failure or always)`);
+      continue;
+    }
+    if (!matches(upstream.status)) continue;
+
+    if (depth > MAX_CHAIN_DEPTH) {
+      console.error(`[Chain] ${agent.name}: chain depth ${MAX_CHAIN_DEPTH} exceeded - not starting`);
+      continue;
+    }
 
-  // For safety, only allow certain characters
-  const sanitized = expr.replace(/[^0-9a-zA-Z_\s\.\>\<\=\!\&\|\(\)\"\'\-\+]/g, '');
+    console.log(`[Chain] ${upstream.agent_name || 'upstream'} ${upstream.status} → starting ${agent.name}`);
 
+    const { agent_ids, ...upstreamInfo } = upstream;
+    const event = {
+      event_type: 'agent.chained',
+      entity_type: upstream.entity_type,
+      entity_id: upstream.entity_id,
+      payload: { upstream: upstreamInfo, chain_depth: depth, source: 'chain' },
+    };
+
+    try {
+      if (agent.workflow_template_id) {
+        const { data: workflow } = await supabase
+          .from('workflow_templates')
+          .select(`*, workflow_steps(*)`)
+          .eq('id', agent.workflow_template_id)
+          .single();
+
+        if (!workflow) throw new Error('Workflow template not found');
+
+        // The workflow's own completion chains onwards (chainAfterWorkflowRun)
+        results.push(await executeWorkflow(workflow, {
+          event: { type: event.event_type, entity_type: event.entity_type, entity_id: event.entity_id, payload: event.payload },
+          upstream: upstreamInfo,
+          chain: { depth },
+        }));
+      } else {
+        const result = await runAgent(agent, event);
+        results.push(result);
+        await chainAfterAgentRun(result, event, depth);
+      }
+    } catch (e) {
+      console.error(`[Chain] ${agent.name} failed to start: ${e.message}`);
+      results.push({ agent: agent.name, status: 'failed', error: e.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Chain after an action-based agent run (agent-runtime.js result)
+ */
+async function chainAfterAgentRun(result, event, depth = 0) {
+  if (!result?.agent_id || !['completed', 'failed'].includes(result.status)) return [];
+
+  try {
+    return await runChainedAgents({
+      agent_ids: [result.agent_id],
+      agent_name: result.agent,
+      run_type: 'agent',
+      run_id: result.run_id,
+      status: result.status,
+      output: { actions_taken: result.actions_taken },
+      error: result.error || null,
+      entity_type: event.entity_type,
+      entity_id: event.entity_id,
+      chain_depth: depth,
+    });
+  } catch (e) {
+    console.error(`[Chain] ${e.message}`);
+    return [];
+  }
+}
+
+/**
+ * Chain after a workflow run - the upstream agents are those linked to the template
+ */
+async function chainAfterWorkflowRun(workflow, runId, status, context, error) {
   try {
-    // Using Function instead of eval for slightly better isolation
-    return new Function(`return (${sanitized})`)();
+    const { data: agents } = await supabase
+      .from('agent_configs')
+      .select('id, name')
+      .eq('workflow_template_id', workflow.id);
+
+    if (!agents || agents.length === 0) return [];
+
+    // Don't nest the upstream's own upstream into the output
+    const { upstream, chain, ...output } = context;
+
+    return await runChainedAgents({
+      agent_ids: agents.map((a) => a.id),
+      agent_name: agents[0].name,
+      run_type: 'workflow',
+      run_id: runId,
+      status,
+      output,
+      error: error || null,
+      entity_type: context.event?.entity_type,
+      entity_id: context.event?.entity_id,
+      chain_depth: context.chain?.depth || 0,
+    });
   } catch (e) {
-    throw new Error(`Invalid expression: ${expr}`);
+    console.error(`[Chain] ${e.message}`);
+    return [];
   }
 }
 
 // ============================================================================
-// TRIGGER FUNCTIONS (Entry Points)
+// SUB-WORKFLOWS
 // ============================================================================
 
+// Deepest chain of call_workflow steps (parent -> child -> grandchild ...)
+const MAX_CALL_DEPTH = 5;
+
 /**
- * Trigger a workflow directly by slug
+ * call_workflow step - run another workflow template and use its result
+ *
+ * action_config: {
+ *   workflow: 'domain-lookup',                    - workflow_templates.slug
+ *   input_mapping: { contact: '{{contact}}' },    - the child's initial context
+ *                                                   (default: { event } of the parent)
+ *   output: 'email_result.data',                  - optional path/expression on the child's
+ *                                                   final context (default: whole context)
+ *   max_depth: 3,                                 - optional, lower than MAX_CALL_DEPTH
+ * }
+ * The child run records parent_run_id / parent_step_id / call_depth.
  */
-export async function triggerWorkflow(slug, context = {}) {
-  const { data: workflow, error } = await supabase
+async function executeCallWorkflow(step, config, context, { sandbox, runId }) {
+  const slug = config.workflow;
+  if (!slug) {
+    return { success: false, error: 'call_workflow step needs "workflow" (a workflow slug)' };
+  }
+
+  const maxDepth = Math.min(config.max_depth || MAX_CALL_DEPTH, MAX_CALL_DEPTH);
+  const depth = (sandbox ? sandbox.callDepth || 0 : await getCallDepth(runId)) + 1;
+  if (depth > maxDepth) {
+    return { success: false, error: `call_workflow: max call depth ${maxDepth} exceeded calling ${slug}` };
+  }
+
+  let input;
+  try {
+    input = config.input_mapping
+      ? resolveMapping(config.input_mapping, context)
+      : { event: context.event };
+  } catch (e) {
+    return { success: false, error: `Input mapping failed: ${e.message}` };
+  }
+
+  const { data: child, error } = await supabase
     .from('workflow_templates')
     .select(`*, workflow_steps(*)`)
     .eq('slug', slug)
     .single();
 
+  if (error || !child) {
+    return { success: false, input, error: `call_workflow: workflow not found: ${slug}` };
+  }
+
+  console.log(`[Workflow] Calling ${child.name} (depth ${depth})`);
+
+  let result;
+  if (sandbox) {
+    // Child steps share the parent's trace, tagged with the child's slug
+    const childSandbox = {
+      ...sandbox,
+      callDepth: depth,
+      record: (entry) => sandbox.record({ ...entry, workflow: slug }),
+    };
+    result = await runWorkflowSteps(child, null, { ...input }, { sandbox: childSandbox });
+  } else {
+    result = await executeWorkflow(child, input, {
+      parent: { run_id: runId, step_id: step.id, depth },
+    });
+  }
+
+  const meta = { child_run_id: result.run_id, child_status: result.status };
+
+  if (result.status === 'waiting') {
+    // The parent can't block on a paused child - the child carries on by itself
+    return {
+      success: false,
+      input,
+      output: meta,
+      error: `call_workflow: ${slug} paused at a wait step (wait steps aren't supported in called workflows)`,
+    };
+  }
+
+  if (!result.success) {
+    return { success: false, input, output: meta, error: `${slug} failed: ${result.error}` };
+  }
+
+  let output = result.context;
+  if (config.output) {
+    try {
+      output = evaluateExpression(config.output, result.context);
+    } catch (e) {
+      return { success: false, input, output: meta, error: `call_workflow output: ${e.message}` };
+    }
+  }
+
+  return { success: true, input, output, ...meta, source: sandbox ? 'simulated' : undefined };
+}
+
+/**
+ * call_depth of a run (0 for runs not started by call_workflow)
+ */
+async function getCallDepth(runId) {
+  if (!runId) return 0;
+
+  const { data } = await supabase
+    .from('workflow_runs')
+    .select('call_depth')
+    .eq('id', runId)
+    .single();
+
+  return data?.call_depth || 0;
+}
+
+// ============================================================================
+// WAITING RUNS
+// ============================================================================
+// wait / wait_for_event steps park the run in workflow_runs (status 'waiting',
+// resume_at, waiting_for) so it survives restarts. resumeWaitingRuns() (swept
+// by the event processor) and processEvent() wake them up. Every wake-up
+// claims the run with a status-guarded update, so a run resumes only once.
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Parse "90s", "15m", "2h", "3d", "1w" (or a number of seconds) into ms
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return value * 1000;
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([smhdw])\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" (use e.g. 30m, 2h, 3d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * wait step - pause for a duration or until a date
+ *
+ * action_config: { duration: '2d' } or { until: '{{contact.next_follow_up_at}}' }
+ */
+async function executeWait(config, context, { sandbox }) {
+  let resumeAt;
+  try {
+    if (config.until) {
+      const until = resolveMapping(config.until, context);
+      resumeAt = until ? new Date(until) : null;
+      if (!resumeAt || Number.isNaN(resumeAt.getTime())) {
+        return { success: false, error: `wait: "until" did not resolve to a date (${JSON.stringify(until)})` };
+      }
+    } else if (config.duration !== undefined) {
+      resumeAt = new Date(Date.now() + parseDuration(resolveMapping(config.duration, context)));
+    } else {
+      return { success: false, error: 'wait step needs "duration" or "until"' };
+    }
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+
+  // Already due, or simulating - nothing to wait for
+  if (resumeAt <= new Date() || sandbox) {
+    return { success: true, output: { waited: false, resume_at: resumeAt.toISOString() }, source: sandbox ? 'simulated' : undefined };
+  }
+
+  return {
+    success: true,
+    output: { resume_at: resumeAt.toISOString() },
+    pause: { resume_at: resumeAt.toISOString(), waiting_for: { type: 'wait' } },
+  };
+}
+
+/**
+ * wait_for_event step - pause until an event arrives for the entity, or time out
+ *
+ * action_config: {
+ *   event_type: 'interaction.logged',
+ *   entity_type / entity_id: default to the triggering event's entity,
+ *   match: [ ...conditions on {{event.payload...}} ],  - optional
+ *   timeout: '3d',                                     - default 7d
+ *   on_event: { action: 'continue' | 'stop' | 'emit_event', ... },
+ *   on_timeout: { action: 'continue' | 'stop' | 'emit_event', ... },
+ * }
+ * Output: { received: true, event } or { received: false, timed_out: true }
+ */
+async function executeWaitForEvent(step, config, context, { sandbox }) {
+  if (!config.event_type) {
+    return { success: false, error: 'wait_for_event step needs "event_type"' };
+  }
+
+  let waitingFor;
+  try {
+    waitingFor = {
+      type: 'event',
+      event_type: config.event_type,
+      entity_type: resolveMapping(config.entity_type || '{{event.entity_type}}', context) || null,
+      entity_id: resolveMapping(config.entity_id || '{{event.entity_id}}', context) || null,
+      match: config.match || null,
+      since: new Date().toISOString(),
+    };
+    waitingFor.timeout_at = new Date(Date.now() + parseDuration(config.timeout || '7d')).toISOString();
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+
+  // Dry run: a fixture keyed by output_variable simulates the event, otherwise it times out
+  if (sandbox) {
+    const simulated = await sandbox.stubTool(step, 'wait_for_event', waitingFor);
+    const event = simulated.source === 'fixture' ? simulated.output : null;
+    return { ...(await waitOutcome(step, config, context, event)), input: waitingFor, source: 'simulated' };
+  }
+
+  return {
+    success: true,
+    input: waitingFor,
+    output: { waiting_for: config.event_type, timeout_at: waitingFor.timeout_at },
+    pause: { resume_at: waitingFor.timeout_at, waiting_for: waitingFor },
+  };
+}
+
+/**
+ * Result of a finished wait_for_event step - received or timed out.
+ * on_event / on_timeout payloads can reference the outcome via output_variable.
+ */
+async function waitOutcome(step, config, context, event) {
+  const output = event
+    ? { received: true, timed_out: false, event }
+    : { received: false, timed_out: true };
+
+  const branchContext = step.output_variable ? { ...context, [step.output_variable]: output } : context;
+  const branch = await handleBranchAction(event ? config.on_event : config.on_timeout, branchContext);
+  return { ...branch, success: true, output };
+}
+
+/**
+ * Park a run on a wait step
+ */
+async function pauseRun(workflow, runId, step, context, pause, attempt) {
+  const waitingFor = { ...pause.waiting_for, step_order: step.step_order };
+
+  await supabase
+    .from('workflow_runs')
+    .update({
+      status: 'waiting',
+      resume_at: pause.resume_at,
+      waiting_for: waitingFor,
+      current_step: step.step_order,
+      final_context: context,
+    })
+    .eq('id', runId);
+
+  const reason = waitingFor.type === 'event' ? `${waitingFor.event_type} (timeout ${pause.resume_at})` : pause.resume_at;
+  console.log(`[Workflow] ${workflow.name}: waiting at step ${step.step_order} for ${reason}`);
+
+  return {
+    success: true,
+    run_id: runId,
+    status: 'waiting',
+    attempt,
+    steps_executed: step.step_order,
+    resume_at: pause.resume_at,
+    waiting_for: waitingFor,
+    context,
+  };
+}
+
+/**
+ * Claim a waiting run and continue it from its wait step
+ *
+ * @param {Object} run - workflow_runs row (status 'waiting')
+ * @param {Object} event - The awaited event, or null when resuming on time
+ */
+async function continueWaitingRun(run, event = null) {
+  const waitingFor = run.waiting_for || {};
+  const context = { ...(run.context || {}), ...(run.final_context || {}) };
+
+  const { data: claimed } = await supabase
+    .from('workflow_runs')
+    .update({ status: 'running', resume_at: null, waiting_for: null })
+    .eq('id', run.id)
+    .eq('status', 'waiting')
+    .select();
+
+  if (!claimed || claimed.length === 0) return null; // Another worker got it
+
+  const { data: workflow, error } = await supabase
+    .from('workflow_templates')
+    .select(`*, workflow_steps(*)`)
+    .eq('id', run.workflow_template_id)
+    .single();
+
   if (error || !workflow) {
-    throw new Error(`Workflow not found: ${slug}`);
+    await supabase
+      .from('workflow_runs')
+      .update({ status: 'failed', completed_at: new Date().toISOString(), error_message: 'Workflow template no longer exists' })
+      .eq('id', run.id);
+    return null;
+  }
+
+  const step = workflow.workflow_steps.find((s) => s.step_order === waitingFor.step_order);
+
+  if (!step) {
+    await supabase
+      .from('workflow_runs')
+      .update({ status: 'failed', completed_at: new Date().toISOString(), error_message: `Wait step ${waitingFor.step_order} no longer exists` })
+      .eq('id', run.id);
+    return null;
   }
 
-  return await executeWorkflow(workflow, context);
+  const config = typeof step.action_config === 'string' ? JSON.parse(step.action_config) : (step.action_config || {});
+  const result = waitingFor.type === 'event'
+    ? await waitOutcome(step, config, context, event ? {
+      id: event.id,
+      type: event.event_type,
+      entity_type: event.entity_type,
+      entity_id: event.entity_id,
+      payload: event.payload,
+      created_at: event.created_at,
+    } : null)
+    : { success: true, output: { waited: true, resumed_at: new Date().toISOString() } };
+
+  console.log(`[Workflow] Resuming ${workflow.name} run ${run.id.slice(0, 8)} after step ${step.step_order}${event ? ` (${event.event_type})` : ''}`);
+
+  return await runWorkflowSteps(workflow, run.id, context, {
+    fromStep: step.step_order,
+    attempt: run.attempt || 1,
+    resumedStep: { step_order: step.step_order, result },
+  });
 }
 
 /**
- * Process all pending events
+ * Does an event satisfy a run's wait_for_event filter?
  */
-export async function processPendingEvents(limit = 10) {
-  const { data: events, error } = await supabase
-    .from('events')
+function eventMatchesWait(waitingFor, event) {
+  if (waitingFor.event_type !== event.event_type) return false;
+  if (waitingFor.entity_id && waitingFor.entity_id !== event.entity_id) return false;
+  if (waitingFor.entity_type && event.entity_type && waitingFor.entity_type !== event.entity_type) return false;
+  if (waitingFor.since && event.created_at && new Date(event.created_at) < new Date(waitingFor.since)) return false;
+
+  if (waitingFor.match && waitingFor.match.length > 0) {
+    try {
+      return evaluateConditions(waitingFor.match, { event: { ...event, type: event.event_type } });
+    } catch (e) {
+      console.error(`[Workflow] Invalid wait_for_event match: ${e.message}`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Resume runs waiting for this event (called for every processed event)
+ */
+export async function resumeRunsWaitingFor(event) {
+  const { data: runs, error } = await supabase
+    .from('workflow_runs')
     .select('*')
-    .eq('processed', false)
-    .order('created_at', { ascending: true })
-    .limit(limit);
+    .eq('status', 'waiting')
+    .eq('waiting_for->>type', 'event')
+    .eq('waiting_for->>event_type', event.event_type)
+    .limit(50);
 
   if (error) {
-    throw new Error(`Failed to fetch pending events: ${error.message}`);
+    console.error(`[Workflow] Failed to look up waiting runs: ${error.message}`);
+    return [];
   }
 
-  if (!events || events.length === 0) {
-    console.log('[Events] No pending events');
-    return { processed: 0, results: [] };
+  const results = [];
+  for (const run of runs || []) {
+    if (!eventMatchesWait(run.waiting_for, event)) continue;
+    const result = await continueWaitingRun(run, event);
+    if (result) results.push(result);
   }
 
-  console.log(`[Events] Processing ${events.length} pending event(s)`);
+  return results;
+}
+
+/**
+ * Every run waiting for an event, a page at a time. Pages are keyed on id,
+ * so runs resumed while paging don't shift the ones after them.
+ */
+async function* eventWaitingRuns(pageSize) {
+  let lastId = null;
+  while (true) {
+    let query = supabase
+      .from('workflow_runs')
+      .select('*')
+      .eq('status', 'waiting')
+      .eq('waiting_for->>type', 'event')
+      .order('id', { ascending: true })
+      .limit(pageSize);
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data: runs, error } = await query;
+    if (error) {
+      console.error(`[Workflow] Failed to look up waiting runs: ${error.message}`);
+      return;
+    }
+
+    yield* runs || [];
+    if (!runs || runs.length < pageSize) return;
+    lastId = runs[runs.length - 1].id;
+  }
+}
 
+/**
+ * Resume runs whose wait is over: timers that are due, awaited events that
+ * arrived while no processor was watching, and wait_for_event timeouts
+ *
+ * @param {number} limit - Page size for event waits, max due timers per call
+ */
+export async function resumeWaitingRuns(limit = 25) {
   const results = [];
-  for (const event of events) {
-    const result = await processEvent(event);
-    results.push({ event_id: event.id, event_type: event.event_type, ...result });
+
+  // Waiting for an event - look for one that arrived since the run paused
+  for await (const run of eventWaitingRuns(limit)) {
+    const waitingFor = run.waiting_for;
+    let query = supabase
+      .from('events')
+      .select('*')
+      .eq('event_type', waitingFor.event_type)
+      .gte('created_at', waitingFor.since)
+      .order('created_at', { ascending: true })
+      .limit(20);
+
+    if (waitingFor.entity_id) query = query.eq('entity_id', waitingFor.entity_id);
+
+    const { data: events } = await query;
+    const event = (events || []).find((e) => eventMatchesWait(waitingFor, e));
+
+    if (event || new Date(run.resume_at) <= new Date()) {
+      const result = await continueWaitingRun(run, event || null);
+      if (result) results.push(result);
+    }
   }
 
-  return { processed: events.length, results };
+  // Timers that are due
+  const { data: dueRuns } = await supabase
+    .from('workflow_runs')
+    .select('*')
+    .eq('status', 'waiting')
+    .eq('waiting_for->>type', 'wait')
+    .lte('resume_at', new Date().toISOString())
+    .order('resume_at', { ascending: true })
+    .limit(limit);
+
+  for (const run of dueRuns || []) {
+    const result = await continueWaitingRun(run);
+    if (result) results.push(result);
+  }
+
+  if (results.length > 0) {
+    console.log(`[Workflow] Resumed ${results.length} waiting run(s)`);
+  }
+
+  return results;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Log step execution to workflow_run_logs
+ */
+async function logStepExecution(runId, step, result, attempt = 1) {
+  await supabase.from('workflow_run_logs').insert({
+    workflow_run_id: runId,
+    workflow_step_id: step.id,
+    step_order: step.step_order,
+    step_name: step.name,
+    attempt,
+    status: result.pause ? 'waiting' : (result.success ? 'completed' : (result.status || 'failed')),
+    input: result.input,
+    output: result.output,
+    error_message: result.error,
+    tokens_used: result.tokens_used,
+    executed_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Dry-run trace entry for an executed step
+ */
+function traceStep(step, result) {
+  return {
+    step_order: step.step_order,
+    name: step.name,
+    action_type: step.action_type,
+    status: result.skipped ? 'skipped' : (result.success ? 'completed' : 'failed'),
+    reason: result.skipped ? result.message : undefined,
+    source: result.source,
+    input: result.input,
+    output: result.output,
+    decision: result.decision,
+    loop: result.loop,
+    emitted_event: result.emit_event,
+    stop_reason: result.stop ? (result.stop_reason || 'Step requested stop') : undefined,
+    error: result.error,
+  };
+}
+
+// ============================================================================
+// TRIGGER FUNCTIONS (Entry Points)
+// ============================================================================
+
+/**
+ * Trigger a workflow directly by slug
+ *
+ * @param {Object} options - Passed to executeWorkflow (e.g. { dryRun: true })
+ */
+export async function triggerWorkflow(slug, context = {}, options = {}) {
+  const { data: workflow, error } = await supabase
+    .from('workflow_templates')
+    .select(`*, workflow_steps(*)`)
+    .eq('slug', slug)
+    .single();
+
+  if (error || !workflow) {
+    throw new Error(`Workflow not found: ${slug}`);
+  }
+
+  return await executeWorkflow(workflow, context, options);
+}
+
+/**
+ * Drain ready events from the queue (pending, due retries, expired leases)
+ */
+export async function processPendingEvents(limit = 10, handler = processEvent) {
+  const result = await drainQueue(handler, { limit });
+
+  if (result.processed === 0 && !result.skipped) {
+    console.log('[Events] No pending events');
+  } else if (result.processed > 0) {
+    console.log(`[Events] Processed ${result.processed} event(s)`);
+  }
+
+  return result;
 }
 
 // ============================================================================
@@ -746,13 +1893,17 @@ export const workflowToolDefinitions = [
           type: 'object',
           description: 'Additional context data for the workflow',
         },
+        dry_run: {
+          type: 'boolean',
+          description: 'Simulate the workflow: enrichment and write tools return recorded/fixture responses, AI steps use canned output, nothing is saved. Returns a step-by-step trace.',
+        },
       },
       required: ['workflow_slug'],
     },
   },
   {
     name: 'process_pending_events',
-    description: 'Process any pending events in the queue',
+    description: 'Process any ready events in the queue (pending, due for retry, or abandoned by a crashed worker)',
     input_schema: {
       type: 'object',
       properties: {
@@ -763,6 +1914,46 @@ export const workflowToolDefinitions = [
       },
     },
   },
+  {
+    name: 'run_agent',
+    description: 'Run an action-based agent (conditions + actions in agent_configs) now against a contact, company or other entity. Conditions, allowed_tools and rate limits still apply; the run is recorded in agent_runs.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        agent_id: { type: 'string', description: 'UUID of the agent' },
+        agent_name: { type: 'string', description: 'Name of the agent (used if agent_id not provided)' },
+        entity_type: { type: 'string', description: 'Entity the agent acts on: contact, company, deal, interaction' },
+        entity_id: { type: 'string', description: 'UUID of the entity' },
+        payload: { type: 'object', description: 'Extra data available to templates as {{event.payload.*}}' },
+      },
+    },
+  },
+  {
+    name: 'resume_workflow_run',
+    description: 'Resume a failed workflow run from the step that failed, reusing the outputs of steps that already succeeded (no repeat enrichment calls). Optionally edit the failed step\'s inputs or the run context first.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        run_id: {
+          type: 'string',
+          description: 'UUID of the failed workflow run',
+        },
+        from_step: {
+          type: 'number',
+          description: 'Step order to restart at (default: the step that failed)',
+        },
+        input_overrides: {
+          type: 'object',
+          description: 'Edited tool inputs for the restarted step, merged over its resolved inputs (e.g., {"domain": "acme.com"})',
+        },
+        context_overrides: {
+          type: 'object',
+          description: 'Values merged into the rebuilt workflow context before resuming',
+        },
+      },
+      required: ['run_id'],
+    },
+  },
   {
     name: 'get_workflow_status',
     description: 'Get the status of a workflow run',
@@ -792,20 +1983,42 @@ export async function executeWorkflowTool(name, input) {
           entity_id: input.entity_id,
         },
         ...input.additional_context,
-      });
+      }, { dryRun: !!input.dry_run });
 
     case 'process_pending_events':
       return await processPendingEvents(input.limit);
 
-    case 'get_workflow_status':
+    case 'run_agent': {
+      const result = await runAgentManually(input);
+      await chainAfterAgentRun(result, { entity_type: input.entity_type, entity_id: input.entity_id });
+      return result;
+    }
+
+    case 'resume_workflow_run':
+      return await resumeWorkflowRun(input.run_id, {
+        fromStep: input.from_step ?? null,
+        inputOverrides: input.input_overrides || null,
+        contextOverrides: input.context_overrides || null,
+      });
+
+    case 'get_workflow_status': {
       const { data, error } = await supabase
         .from('workflow_runs')
-        .select('*, workflow_run_logs(*)')
+        .select('*, workflow_run_logs(*), workflow_run_attempts(*)')
         .eq('id', input.run_id)
         .single();
 
       if (error) throw new Error(error.message);
-      return data;
+
+      // Runs started by this run's call_workflow steps
+      const { data: children } = await supabase
+        .from('workflow_runs')
+        .select('id, workflow_template_id, parent_step_id, status, error_message, started_at, completed_at')
+        .eq('parent_run_id', input.run_id)
+        .order('started_at', { ascending: true });
+
+      return { ...data, child_runs: children || [] };
+    }
 
     default:
       throw new Error(`Unknown workflow tool: ${name}`);
@@ -820,8 +2033,11 @@ export default {
   emitEvent,
   processEvent,
   executeWorkflow,
+  resumeWorkflowRun,
   triggerWorkflow,
   processPendingEvents,
+  resumeWaitingRuns,
+  resumeRunsWaitingFor,
   workflowToolDefinitions,
   executeWorkflowTool,
 };
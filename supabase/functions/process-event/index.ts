@@ -6,6 +6,12 @@ const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
+// Queue settings - keep in sync with cli/event-queue.js
+const WORKER_ID = `edge:${crypto.randomUUID()}`;
+const LEASE_SECONDS = 600;
+const RETRY_BASE_DELAY_MS = 30000;
+const RETRY_MAX_DELAY_MS = 3600000;
+
 // Model mapping - allows workflow steps to specify model tier
 const MODELS = {
   haiku: "claude-3-5-haiku-20241022",
@@ -37,13 +43,17 @@ Deno.serve(async (req: Request) => {
     if (payload.type === "INSERT" && payload.record) { event = payload.record; }
     else if (payload.id && payload.event_type) { event = payload; }
     else { return new Response(JSON.stringify({ error: "Invalid payload format" }), { status: 400, headers: { "Content-Type": "application/json" } }); }
-    if (event.processed) { return new Response(JSON.stringify({ message: "Event already processed", event_id: event.id }), { headers: { "Content-Type": "application/json" } }); }
-    if (event.payload?.delay_until) {
-      const delayUntil = new Date(event.payload.delay_until);
-      const now = new Date();
-      if (delayUntil > now) { const waitMs = delayUntil.getTime() - now.getTime(); console.log(`[process-event] Waiting ${Math.ceil(waitMs / 1000)}s for delay...`); await new Promise((resolve) => setTimeout(resolve, waitMs)); }
-    }
-    const result = await processEvent(event);
+    // Lease the event through the queue (migration 012). Delayed events, retries and events
+    // already leased by a CLI worker aren't claimable here; the queue drain picks them up later.
+    const { data: claimed, error: claimError } = await supabase.rpc("claim_events", { p_worker: WORKER_ID, p_limit: 1, p_lease_seconds: LEASE_SECONDS, p_event_id: event.id });
+    if (claimError) { throw new Error(`Failed to claim event: ${claimError.message}`); }
+    if (!claimed || claimed.length === 0) { return new Response(JSON.stringify({ message: "Event not ready or already claimed", event_id: event.id }), { headers: { "Content-Type": "application/json" } }); }
+    event = claimed[0];
+    let result;
+    try { result = await processEvent(event); }
+    catch (error) { result = { success: false, error: error.message }; }
+    if (result.success === false) { await failEvent(event, result.error || "Event processing failed"); }
+    else { await completeEvent(event); }
     return new Response(JSON.stringify(result), { headers: { "Content-Type": "application/json" } });
   } catch (error) { console.error("[process-event] Error:", error); return new Response(JSON.stringify({ error: error.message }), { status: 500, headers: { "Content-Type": "application/json" } }); }
 });
@@ -53,15 +63,39 @@ async function processEvent(event: any) {
   console.log(`[process-event] Processing: ${event_type} for ${entity_type}:${entity_id?.slice(0, 8)}...`);
   const { data: workflows, error } = await supabase.from("workflow_templates").select(`*, workflow_steps(*)`).eq("trigger_event", event_type).eq("is_active", true);
   if (error) { console.error(`[process-event] Error finding workflows: ${error.message}`); return { success: false, error: error.message }; }
-  if (!workflows || workflows.length === 0) { console.log(`[process-event] No workflows found for event: ${event_type}`); await markEventProcessed(eventId); return { success: true, workflows_run: 0, message: "No matching workflows" }; }
+  if (!workflows || workflows.length === 0) { console.log(`[process-event] No workflows found for event: ${event_type}`); return { success: true, workflows_run: 0, message: "No matching workflows" }; }
   console.log(`[process-event] Found ${workflows.length} workflow(s) for: ${event_type}`);
+  // On a retry, workflows that already ran for this event aren't run again
+  const { data: previousRuns } = await supabase.from("workflow_runs").select("workflow_template_id").eq("context->event->>id", eventId).in("status", ["completed", "running", "waiting"]);
+  const alreadyRun = new Set((previousRuns || []).map((r: any) => r.workflow_template_id));
   const results = [];
-  for (const workflow of workflows) { const result = await executeWorkflow(workflow, { event: { id: eventId, type: event_type, entity_type, entity_id, payload }, team_id }); results.push(result); }
-  await markEventProcessed(eventId);
-  return { success: true, workflows_run: workflows.length, results };
+  for (const workflow of workflows) {
+    if (alreadyRun.has(workflow.id)) { results.push({ success: true, skipped: true, workflow: workflow.name }); continue; }
+    const result = await executeWorkflow(workflow, { event: { id: eventId, type: event_type, entity_type, entity_id, payload }, team_id }); results.push(result);
+  }
+  // A failed run fails the event so the queue retries it (only the failed workflows) and dead-letters it eventually
+  const failed = results.filter((r: any) => !r.success);
+  return { success: failed.length === 0, error: failed.length > 0 ? failed.map((r: any) => `run ${r.run_id}: ${r.error}`).join("; ") : undefined, workflows_run: workflows.length, results };
 }
 
-async function markEventProcessed(eventId: string) { await supabase.from("events").update({ processed: true, processed_at: new Date().toISOString() }).eq("id", eventId); }
+// Settles only while this claim holds the lease (lease_token, migration 027)
+async function settleEvent(event: any, updates: Record<string, unknown>) {
+  const { data } = await supabase.from("events").update({ ...updates, locked_by: null, locked_until: null, lease_token: null }).eq("id", event.id).eq("status", "processing").eq("locked_by", WORKER_ID).eq("lease_token", event.lease_token).select("id");
+  if (!data || data.length === 0) console.warn(`[process-event] Lease on event ${event.id} was lost - another worker owns it now`);
+}
+
+async function completeEvent(event: any) { await settleEvent(event, { status: "completed", processed: true, processed_at: new Date().toISOString(), last_error: null }); }
+
+// Mirrors failEvent in cli/event-queue.js: exponential backoff, dead-letter after max_attempts
+async function failEvent(event: any, errorMessage: string) {
+  const attempts = event.attempts || 1;
+  const maxAttempts = event.max_attempts || 5;
+  const updates = attempts >= maxAttempts
+    ? { status: "dead_letter", dead_lettered_at: new Date().toISOString() }
+    : { status: "retry", available_at: new Date(Date.now() + Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_MS)).toISOString() };
+  console.error(`[process-event] ${event.event_type} attempt ${attempts}/${maxAttempts} failed (${updates.status}): ${errorMessage}`);
+  await settleEvent(event, { ...updates, last_error: errorMessage });
+}
 
 async function executeWorkflow(workflow: any, initialContext: any) {
   const workflowId = workflow.id;
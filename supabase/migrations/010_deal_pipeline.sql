@@ -0,0 +1,48 @@
+-- Migration 010: Deal Pipeline
+-- Stage change reasons + richer deal.stage_changed events for CLI deal management
+
+-- ============================================================================
+-- STAGE CHANGE TRACKING ON DEALS
+-- ============================================================================
+
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS stage_reason TEXT;
+-- Why the deal last moved stage (e.g., "Sent proposal", "Lost to competitor")
+
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS stage_changed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS deals_owner_idx ON deals(owner_id);
+CREATE INDEX IF NOT EXISTS deals_close_date_idx ON deals(close_date);
+
+-- ============================================================================
+-- DEAL STAGE CHANGED TRIGGER (replaces version from 005)
+-- ============================================================================
+-- Adds reason, contact and close date to the payload so workflows can use them
+
+CREATE OR REPLACE FUNCTION deal_stage_changed_trigger() RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.stage IS DISTINCT FROM NEW.stage THEN
+        PERFORM emit_event(
+            NEW.team_id,
+            'deal.stage_changed',
+            'deal',
+            NEW.id,
+            jsonb_build_object(
+                'old_stage', OLD.stage,
+                'new_stage', NEW.stage,
+                'reason', NEW.stage_reason,
+                'company_id', NEW.company_id,
+                'contact_id', NEW.contact_id,
+                'owner_id', NEW.owner_id,
+                'value', NEW.value,
+                'close_date', NEW.close_date
+            )
+        );
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_deal_stage_changed ON deals;
+CREATE TRIGGER on_deal_stage_changed
+    AFTER UPDATE ON deals
+    FOR EACH ROW EXECUTE FUNCTION deal_stage_changed_trigger();
@@ -0,0 +1,29 @@
+-- Migration 011: Pipeline Forecast Configuration
+-- Stage probabilities and quotas read by the get_pipeline_forecast tool
+
+-- ============================================================================
+-- INSERT DEFAULT CONFIGURATIONS
+-- ============================================================================
+
+-- Default stage probabilities (weighted pipeline = value * probability)
+INSERT INTO team_config (team_id, config_key, config_value, description) VALUES
+(NULL, 'pipeline_stages', '{
+  "stages": {
+    "prospecting": {"probability": 0.1},
+    "discovery": {"probability": 0.2},
+    "proposal": {"probability": 0.5},
+    "negotiation": {"probability": 0.75},
+    "closed_won": {"probability": 1.0},
+    "closed_lost": {"probability": 0}
+  }
+}', 'Pipeline stages - win probability per deal stage used for weighted forecasts')
+ON CONFLICT (team_id, config_key) DO NOTHING;
+
+-- Default quotas (owners maps user UUID -> quota amount for the period)
+INSERT INTO team_config (team_id, config_key, config_value, description) VALUES
+(NULL, 'sales_quotas', '{
+  "period": "quarter",
+  "default_quota": null,
+  "owners": {}
+}', 'Sales quotas - per-owner revenue targets compared against the forecast')
+ON CONFLICT (team_id, config_key) DO NOTHING;
@@ -0,0 +1,103 @@
+-- Migration 012: Durable Event Queue
+-- Turns the events table into a work queue: lease-based claiming, retries with
+-- backoff, and a dead-letter state. All processors (CLI realtime listener,
+-- event-monitor.js, processPendingEvents, Edge Function) claim through claim_events().
+
+-- ============================================================================
+-- QUEUE COLUMNS ON EVENTS
+-- ============================================================================
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'retry', 'completed', 'dead_letter'));
+-- pending: waiting for first attempt
+-- processing: claimed by a worker (locked_until = lease expiry)
+-- retry: last attempt failed, waiting for available_at
+-- completed: done (processed = true)
+-- dead_letter: failed max_attempts times, see last_error
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS max_attempts INTEGER DEFAULT 5;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS available_at TIMESTAMPTZ DEFAULT NOW();  -- Not claimable before this
+ALTER TABLE events ADD COLUMN IF NOT EXISTS locked_by TEXT;                          -- Worker holding the lease
+ALTER TABLE events ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;                -- Lease expiry (crashed workers release here)
+ALTER TABLE events ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMPTZ;
+
+-- Backfill existing rows
+UPDATE events SET status = 'completed' WHERE processed = TRUE AND status = 'pending';
+UPDATE events SET available_at = (payload->>'delay_until')::timestamptz
+WHERE processed = FALSE AND payload ? 'delay_until';
+
+CREATE INDEX IF NOT EXISTS events_queue_idx ON events(available_at) WHERE status IN ('pending', 'retry');
+CREATE INDEX IF NOT EXISTS events_lease_idx ON events(locked_until) WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS events_dead_letter_idx ON events(dead_lettered_at DESC) WHERE status = 'dead_letter';
+
+-- ============================================================================
+-- DELAYED EVENTS
+-- ============================================================================
+-- payload.delay_until (set by DB triggers) becomes available_at, so delayed
+-- events simply aren't claimable yet instead of a worker sleeping on them
+
+CREATE OR REPLACE FUNCTION event_set_available_at() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.payload ? 'delay_until' THEN
+        NEW.available_at = (NEW.payload->>'delay_until')::timestamptz;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS events_set_available_at ON events;
+CREATE TRIGGER events_set_available_at
+    BEFORE INSERT ON events
+    FOR EACH ROW EXECUTE FUNCTION event_set_available_at();
+
+-- ============================================================================
+-- CLAIM FUNCTION
+-- ============================================================================
+-- Atomically leases up to p_limit ready events to p_worker.
+-- FOR UPDATE SKIP LOCKED means concurrent callers never get the same row.
+-- Events whose lease expired (worker crashed mid-run) become claimable again.
+-- Pass p_event_id to claim one specific event (used for process_immediately).
+
+CREATE OR REPLACE FUNCTION claim_events(
+    p_worker TEXT,
+    p_limit INTEGER DEFAULT 10,
+    p_lease_seconds INTEGER DEFAULT 600,
+    p_event_id UUID DEFAULT NULL
+) RETURNS SETOF events AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE events e
+    SET status = 'processing',
+        locked_by = p_worker,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        attempts = e.attempts + 1
+    WHERE e.id IN (
+        SELECT id FROM events
+        WHERE (p_event_id IS NULL OR id = p_event_id)
+          AND (
+              (status IN ('pending', 'retry') AND available_at <= NOW())
+              OR (status = 'processing' AND locked_until < NOW())
+          )
+        ORDER BY available_at, created_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING e.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- HELPER VIEW: Queue status
+-- ============================================================================
+
+CREATE OR REPLACE VIEW event_queue_status AS
+SELECT
+    status,
+    COUNT(*) as event_count,
+    MIN(available_at) FILTER (WHERE status IN ('pending', 'retry')) as next_available_at,
+    MAX(attempts) as max_attempts_seen
+FROM events
+WHERE status != 'completed'
+GROUP BY status;
@@ -0,0 +1,68 @@
+-- Migration 013: Resumable Workflow Runs
+-- Failed runs can be resumed from the failed step (resume_workflow_run tool).
+-- Each retry is an attempt linked to the original run; step logs record which
+-- attempt produced them.
+
+-- ============================================================================
+-- WORKFLOW RUN COLUMNS USED BY THE EXECUTOR
+-- ============================================================================
+-- The CLI executor and Edge Function already write these; make sure they exist
+
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE CASCADE;
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS triggered_by VARCHAR(100);
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS context JSONB DEFAULT '{}';        -- Context the run started with
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS final_context JSONB;               -- Context when the run finished/failed
+
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS attempt INTEGER DEFAULT 1;
+-- 1 = original run, incremented by each resume
+
+-- ============================================================================
+-- WORKFLOW RUN LOGS
+-- ============================================================================
+-- Step log table written by the executors (005 created workflow_step_logs)
+
+CREATE TABLE IF NOT EXISTS workflow_run_logs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    workflow_run_id UUID NOT NULL REFERENCES workflow_runs(id) ON DELETE CASCADE,
+    workflow_step_id UUID REFERENCES workflow_steps(id) ON DELETE SET NULL,
+
+    step_order INTEGER,
+    step_name VARCHAR(200),
+
+    status VARCHAR(20), -- completed, skipped, failed
+    input JSONB,
+    output JSONB,
+    error_message TEXT,
+    tokens_used INTEGER,
+
+    executed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE workflow_run_logs ADD COLUMN IF NOT EXISTS attempt INTEGER DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS wrl_run_idx ON workflow_run_logs(workflow_run_id, step_order);
+
+-- ============================================================================
+-- WORKFLOW RUN ATTEMPTS
+-- ============================================================================
+-- One row per resume of a failed run
+
+CREATE TABLE IF NOT EXISTS workflow_run_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    workflow_run_id UUID NOT NULL REFERENCES workflow_runs(id) ON DELETE CASCADE,
+
+    attempt_number INTEGER NOT NULL,      -- 2 for the first resume
+    resumed_from_step INTEGER NOT NULL,   -- step_order the attempt restarted at
+    input_overrides JSONB,                -- Edited inputs for the restarted step
+    context_overrides JSONB,              -- Values merged into the rebuilt context
+
+    status VARCHAR(20) DEFAULT 'running', -- running, completed, stopped, failed
+    error_message TEXT,
+
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+
+    UNIQUE(workflow_run_id, attempt_number)
+);
+
+CREATE INDEX IF NOT EXISTS wra_run_idx ON workflow_run_attempts(workflow_run_id);
@@ -0,0 +1,24 @@
+-- Migration 014: Workflow Waits
+-- wait / wait_for_event steps park a run with status 'waiting'. The state lives
+-- on the run row so paused runs survive restarts; the event processor resumes
+-- them when resume_at passes or the awaited event arrives.
+
+-- ============================================================================
+-- WAITING RUN STATE
+-- ============================================================================
+-- workflow_runs.status: running, waiting, completed, stopped, failed
+
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS resume_at TIMESTAMPTZ;
+-- wait: when to continue; wait_for_event: when the wait times out
+
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS waiting_for JSONB;
+-- { type: 'wait', step_order }
+-- { type: 'event', event_type, entity_type, entity_id, match, since, timeout_at, step_order }
+
+-- Due timers / timeouts
+CREATE INDEX IF NOT EXISTS wr_waiting_resume_idx ON workflow_runs(resume_at)
+    WHERE status = 'waiting';
+
+-- Runs waiting for an event type + entity
+CREATE INDEX IF NOT EXISTS wr_waiting_event_idx ON workflow_runs((waiting_for->>'event_type'), (waiting_for->>'entity_id'))
+    WHERE status = 'waiting';
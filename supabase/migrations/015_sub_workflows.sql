@@ -0,0 +1,15 @@
+-- Migration 015: Sub-Workflows
+-- call_workflow steps run another workflow template as a child run. The child
+-- run points back at the parent run and step; call_depth guards recursion.
+
+-- ============================================================================
+-- PARENT / CHILD RUNS
+-- ============================================================================
+
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS parent_run_id UUID REFERENCES workflow_runs(id) ON DELETE SET NULL;
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS parent_step_id UUID REFERENCES workflow_steps(id) ON DELETE SET NULL;
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS call_depth INTEGER DEFAULT 0;
+-- 0 = top-level run, 1 = called by a top-level run, ...
+
+CREATE INDEX IF NOT EXISTS wr_parent_run_idx ON workflow_runs(parent_run_id)
+    WHERE parent_run_id IS NOT NULL;
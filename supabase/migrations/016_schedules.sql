@@ -0,0 +1,44 @@
+-- Migration 016: Scheduled Agents and Workflows
+-- The scheduler (cli/scheduler.js) fires agent_configs with trigger_type
+-- 'schedule' and workflow_templates with a schedule. Every fired time gets a
+-- schedule_runs row; the unique key stops two processors firing it twice and
+-- tells the scheduler which times were missed while it was down.
+
+-- ============================================================================
+-- WORKFLOW TEMPLATE SCHEDULES
+-- ============================================================================
+
+ALTER TABLE workflow_templates ADD COLUMN IF NOT EXISTS schedule JSONB;
+-- {"cron": "0 8 * * 1-5", "timezone": "America/New_York", "catch_up": "all"}
+-- catch_up: all (default) | latest | none
+
+-- agent_configs.trigger_config for 'schedule' (see 002) also accepts:
+--   "mode": "workflow" | "event"  - run the linked workflow, or emit an event
+--   "event_type": "schedule.tick" - event emitted in 'event' mode
+--   "catch_up": "all" | "latest" | "none"
+
+-- ============================================================================
+-- SCHEDULE RUNS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS schedule_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    source_type VARCHAR(30) NOT NULL,     -- agent_config, workflow_template
+    source_id UUID NOT NULL,
+    scheduled_for TIMESTAMPTZ NOT NULL,   -- The cron time being fired
+    catch_up BOOLEAN DEFAULT FALSE,       -- Fired late (missed while down)
+
+    status VARCHAR(20) DEFAULT 'running', -- running, completed, failed
+    worker_id TEXT,
+    workflow_run_id UUID REFERENCES workflow_runs(id) ON DELETE SET NULL,
+    event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+    error_message TEXT,
+
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+
+    UNIQUE(source_type, source_id, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS sr_source_idx ON schedule_runs(source_type, source_id, scheduled_for DESC);
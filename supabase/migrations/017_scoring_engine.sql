@@ -0,0 +1,49 @@
+-- Migration 017: Scoring Engine and Score History
+-- The Scoring Agent (cli/scoring.js) calculates contact scores from the icp and
+-- scoring_rules configs. Each score is stored with its line-item breakdown so
+-- explain_score can answer "why is this contact a 7?". Manual update_score
+-- calls are recorded here too.
+
+-- ============================================================================
+-- CONTACT SCORING COLUMNS
+-- ============================================================================
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS scored_at TIMESTAMPTZ;
+
+-- Scheduled rescoring picks the least recently scored contacts first
+CREATE INDEX IF NOT EXISTS idx_contacts_scored_at ON contacts(scored_at NULLS FIRST)
+    WHERE status = 'active';
+
+-- ============================================================================
+-- SCORE HISTORY
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS score_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+
+    entity_type VARCHAR(20) NOT NULL,     -- contact, company
+    entity_id UUID NOT NULL,
+
+    score INTEGER NOT NULL,
+    previous_score INTEGER,
+    band VARCHAR(10),                     -- hot, warm, cold
+
+    -- [{"factor": "title", "label": "Title \"CEO\" matches high value (CEO)", "points": 3}, ...]
+    breakdown JSONB NOT NULL DEFAULT '[]',
+
+    source VARCHAR(30) NOT NULL DEFAULT 'scoring_engine',  -- scoring_engine, manual
+    trigger TEXT,                         -- sdr.complete, interaction.logged, schedule, manual
+    reason TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_score_history_entity ON score_history(entity_type, entity_id, created_at DESC);
+
+-- ============================================================================
+-- SCORING AGENT REGISTRATION
+-- ============================================================================
+-- Workflow definitions live in cli/agents/scoring-agent.js; sync them with
+-- syncAgents(['scoring_agent', 'scoring_agent_interaction']).
@@ -0,0 +1,35 @@
+-- Migration 018: Score Decay and Threshold Events
+-- Every score change (scoring engine, update_score, workflow update_contact,
+-- agent update_field) is recorded in score_history (017). Engagement points
+-- now decay with a half-life from scoring_rules, and crossing the hot or warm
+-- lead threshold queues a score.changed event.
+
+-- ============================================================================
+-- SCORING RULES: ENGAGEMENT DECAY
+-- ============================================================================
+-- Added to existing scoring_rules configs that don't define engagement_score yet
+
+UPDATE team_config
+SET config_value = config_value || '{
+  "engagement_score": {
+    "meeting": 2,
+    "call": 1,
+    "email_received": 1,
+    "window_days": 90,
+    "half_life_days": 30,
+    "max": 3
+  }
+}'::jsonb,
+    updated_at = NOW()
+WHERE config_key = 'scoring_rules'
+  AND NOT (config_value ? 'engagement_score');
+
+-- ============================================================================
+-- SCORE.CHANGED EVENTS
+-- ============================================================================
+-- Inserted by cli/scoring.js (not a DB trigger) so the payload can carry the
+-- source and reason of the change:
+-- {"score": 8, "previous_score": 6, "band": "hot", "previous_band": "warm",
+--  "threshold": "hot", "threshold_value": 8, "direction": "up",
+--  "score_source": "scoring_engine", "reason": null, "trigger": "interaction.logged",
+--  "score_history_id": "uuid", "source": "scoring"}
@@ -0,0 +1,49 @@
+-- Migration 019: Signal Ingestion
+-- Signals are written through cli/signals.js (record_signal / ingest_signals
+-- tools). Each row carries a dedupe key so re-ingesting the same signal is a
+-- no-op, and every new row emits signal.received for workflows to react to.
+-- The weight (score points, -5..5) is read by the scoring engine.
+
+-- ============================================================================
+-- DEDUPLICATION
+-- ============================================================================
+
+ALTER TABLE signals ADD COLUMN IF NOT EXISTS dedupe_key TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'signals_dedupe_key_key') THEN
+        ALTER TABLE signals ADD CONSTRAINT signals_dedupe_key_key UNIQUE (dedupe_key);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_signals_created ON signals(created_at DESC);
+
+-- ============================================================================
+-- SIGNAL.RECEIVED EVENTS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION signal_received_trigger() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM emit_event(
+        NEW.team_id,
+        'signal.received',
+        'signal',
+        NEW.id,
+        jsonb_build_object(
+            'type', NEW.type,
+            'contact_id', NEW.contact_id,
+            'company_id', NEW.company_id,
+            'source', NEW.source,
+            'weight', NEW.weight,
+            'data', NEW.data
+        )
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_signal_received ON signals;
+CREATE TRIGGER on_signal_received
+    AFTER INSERT ON signals
+    FOR EACH ROW EXECUTE FUNCTION signal_received_trigger();
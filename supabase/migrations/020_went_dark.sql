@@ -0,0 +1,29 @@
+-- Migration 020: Went Dark Detection
+-- The Went Dark Agent (cli/agents/went-dark-agent.js) runs daily over
+-- interactions, deals and tasks (cli/went-dark.js). For each contact or open
+-- deal with no reply inside the window, or a passed follow_up_date with no
+-- activity, it records a went_dark signal (deduped per silence episode) and
+-- creates a follow-up task with an AI-written reason.
+
+-- ============================================================================
+-- DEFAULT CONFIGURATION
+-- ============================================================================
+
+INSERT INTO team_config (team_id, config_key, config_value, description) VALUES
+(NULL, 'went_dark', '{
+  "reply_window_days": 7,
+  "followup_grace_days": 1,
+  "lookback_days": 60,
+  "max_findings": 50,
+  "task_due_in_days": 1,
+  "task_priority": 3,
+  "deal_task_priority": 2
+}', 'Went dark detection - reply window, follow-up grace period and task priorities')
+ON CONFLICT (team_id, config_key) DO NOTHING;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_interactions_deal ON interactions(deal_id) WHERE deal_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_open_contact ON tasks(contact_id) WHERE completed_at IS NULL;
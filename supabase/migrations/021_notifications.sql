@@ -0,0 +1,98 @@
+-- Migration 021: Notification Channels
+-- send_notification delivers through pluggable channels (cli/notifications.js):
+-- Slack incoming webhooks, SMTP email and the in-CLI inbox. Every delivery is
+-- stored with its status so alerts can be checked afterwards; failed ones are
+-- retried with backoff by the event processor. notification_rules route
+-- templates to users and channels.
+
+-- ============================================================================
+-- NOTIFICATIONS
+-- ============================================================================
+-- One row per delivery (a notification routed to two users is two rows).
+-- The cli channel's rows are the inbox (read_at marks them read).
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+
+    -- What
+    channel VARCHAR(50) NOT NULL,        -- slack, email, cli
+    template VARCHAR(200) NOT NULL,      -- template key (hot_lead) or literal message
+    subject TEXT,
+    body TEXT NOT NULL,
+    data JSONB DEFAULT '{}',
+
+    -- Who
+    recipient_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    target TEXT,                         -- email address / webhook URL (NULL = channel default)
+    rule_id UUID,                        -- notification_rules row that routed it
+
+    -- Delivery
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending, sending, sent, retry, failed
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    next_attempt_at TIMESTAMPTZ,
+    last_error TEXT,
+    delivery JSONB DEFAULT '{}',         -- channel response (message_id, status_code, ...)
+    sent_at TIMESTAMPTZ,
+    read_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT valid_notification_status CHECK (status IN ('pending', 'sending', 'sent', 'retry', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_retry ON notifications(next_attempt_at) WHERE status = 'retry';
+CREATE INDEX IF NOT EXISTS idx_notifications_inbox ON notifications(created_at DESC) WHERE channel = 'cli' AND read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status, created_at DESC);
+
+-- ============================================================================
+-- ROUTING RULES
+-- ============================================================================
+-- Who gets which notification on which channel. A notification goes to every
+-- enabled rule whose template matches (NULL = all) and whose conditions pass
+-- against the notification data; with no match it goes to the requested
+-- channel's default target.
+
+CREATE TABLE IF NOT EXISTS notification_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    name VARCHAR(200),
+
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    template VARCHAR(200),               -- NULL = every template
+    channel VARCHAR(50),                 -- NULL = the channel the sender asked for
+    target TEXT,                         -- NULL = user's email / channel default
+    conditions JSONB DEFAULT '[]',       -- run_conditions format, e.g. [{"field":"score","operator":">=","value":9}]
+
+    is_enabled BOOLEAN DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_rules_enabled ON notification_rules(template) WHERE is_enabled = true;
+
+-- ============================================================================
+-- INTEGRATIONS
+-- ============================================================================
+
+INSERT INTO integration_templates (name, display_name, description, category, required_credentials, setup_instructions) VALUES
+('smtp', 'SMTP Email', 'Send notification emails through any SMTP server', 'communication',
+ '[{"key":"host","label":"Host","type":"text"},{"key":"port","label":"Port","type":"text"},{"key":"secure","label":"Implicit TLS (port 465)","type":"boolean"},{"key":"username","label":"Username","type":"text"},{"key":"password","label":"Password","type":"password"},{"key":"from","label":"From address","type":"text"},{"key":"default_to","label":"Default recipient","type":"text"}]',
+ 'Use your provider''s SMTP relay settings (e.g. smtp.gmail.com:587 with an app password)')
+ON CONFLICT (name) DO NOTHING;
+
+-- ============================================================================
+-- DEFAULT CONFIGURATION
+-- ============================================================================
+
+INSERT INTO team_config (team_id, config_key, config_value, description) VALUES
+(NULL, 'notifications', '{
+  "templates": {},
+  "retry": {
+    "slack": { "max_attempts": 3, "backoff_seconds": 30 },
+    "email": { "max_attempts": 3, "backoff_seconds": 120 },
+    "cli": { "max_attempts": 1, "backoff_seconds": 0 }
+  }
+}', 'Notifications - template overrides ({key: {subject, body}}) and per-channel retry policy')
+ON CONFLICT (team_id, config_key) DO NOTHING;
@@ -0,0 +1,106 @@
+-- Migration 022: Outbound Email & Sequences
+-- send_email delivers through the smtp integration (cli/email.js) and logs an
+-- email_sent interaction per send. Sequences are ordered subject/body templates
+-- with a delay between steps; the event processor sends due steps
+-- (cli/sequences.js). Logging an email_received interaction stops the
+-- contact's active enrollments.
+
+-- ============================================================================
+-- INTERACTIONS: MESSAGE IDS
+-- ============================================================================
+-- Message-ID of sent/received mail, so replies can be matched to threads
+
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS message_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_interactions_message_id ON interactions(message_id) WHERE message_id IS NOT NULL;
+
+-- ============================================================================
+-- SEQUENCES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS email_sequences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+
+    -- [{ "subject": "...", "body": "...", "delay_days": 0, "delay_hours": 0 }, ...]
+    -- delay is from the previous send (step 1: from enrollment); a step without
+    -- a subject replies in the thread ("Re: <previous subject>")
+    steps JSONB NOT NULL DEFAULT '[]',
+
+    stop_on_reply BOOLEAN DEFAULT true,
+    is_active BOOLEAN DEFAULT true,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(team_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS sequence_enrollments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    sequence_id UUID NOT NULL REFERENCES email_sequences(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+
+    -- active -> sending (claimed by a processor) -> active | completed
+    -- replied / stopped / failed end it early
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    current_step INTEGER DEFAULT 0,       -- steps sent so far
+    next_send_at TIMESTAMPTZ,
+    data JSONB DEFAULT '{}',              -- extra template values
+
+    -- Thread of the last send
+    last_sent_at TIMESTAMPTZ,
+    last_message_id TEXT,
+    last_subject TEXT,
+
+    -- Failures / stopping
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    stop_reason TEXT,                     -- email_received, do_not_contact, manual, ...
+    stopped_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+
+    enrolled_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT valid_enrollment_status CHECK (status IN ('active', 'sending', 'completed', 'replied', 'stopped', 'failed'))
+);
+
+-- One active enrollment per contact per sequence
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sequence_enrollments_active
+    ON sequence_enrollments(sequence_id, contact_id) WHERE status IN ('active', 'sending');
+CREATE INDEX IF NOT EXISTS idx_sequence_enrollments_due
+    ON sequence_enrollments(next_send_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_sequence_enrollments_contact ON sequence_enrollments(contact_id);
+
+-- ============================================================================
+-- STOP ON REPLY
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION stop_sequences_on_reply() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.type = 'email_received' AND NEW.contact_id IS NOT NULL THEN
+        UPDATE sequence_enrollments se
+        SET status = 'replied',
+            stop_reason = 'email_received',
+            stopped_at = NOW(),
+            next_send_at = NULL,
+            updated_at = NOW()
+        FROM email_sequences s
+        WHERE se.sequence_id = s.id
+          AND se.contact_id = NEW.contact_id
+          AND se.status = 'active'
+          AND s.stop_on_reply = true;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_interaction_stop_sequences ON interactions;
+CREATE TRIGGER on_interaction_stop_sequences
+    AFTER INSERT ON interactions
+    FOR EACH ROW EXECUTE FUNCTION stop_sequences_on_reply();
@@ -0,0 +1,25 @@
+-- Migration 023: Email Intake
+-- Intake sources with source_type 'email' read an IMAP mailbox (settings in
+-- api_credentials) on the event processor's slow poll; .eml / mbox files are
+-- imported with import_emails. Each message becomes an email_received
+-- interaction (cli/email-intake.js); unknown senders are inserted as contacts,
+-- so the contact.created trigger runs the normal intake pipeline.
+
+-- ============================================================================
+-- INTAKE SOURCES: POLLING STATE
+-- ============================================================================
+
+-- { "imap": { "last_uid": 42, "uid_validity": "1700000000" } }
+ALTER TABLE intake_sources ADD COLUMN IF NOT EXISTS poll_state JSONB DEFAULT '{}';
+ALTER TABLE intake_sources ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMPTZ;
+ALTER TABLE intake_sources ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+-- ============================================================================
+-- INTERACTIONS: REPLY THREADING
+-- ============================================================================
+-- An inbound reply points at the email_sent interaction it answers
+-- (matched by In-Reply-To / References against interactions.message_id)
+
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS reply_to_interaction_id UUID REFERENCES interactions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_interactions_reply_to ON interactions(reply_to_interaction_id) WHERE reply_to_interaction_id IS NOT NULL;
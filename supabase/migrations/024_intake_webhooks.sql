@@ -0,0 +1,32 @@
+-- Migration 024: Intake Webhooks
+-- cli/intake-server.js serves POST /api/intake/{slug} for webhook and form
+-- intake sources: the payload is authenticated with the source's
+-- webhook_secret, mapped through field_mapping, checked against
+-- required_fields / validation_rules and inserted as a contact
+-- (cli/intake.js). The contact.created trigger runs the Intake Agent.
+
+-- ============================================================================
+-- CONTACTS: SOURCE & TAGS
+-- ============================================================================
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS intake_source_id UUID REFERENCES intake_sources(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_tags ON contacts USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_contacts_intake_source ON contacts(intake_source_id) WHERE intake_source_id IS NOT NULL;
+
+-- ============================================================================
+-- SOURCE COUNTERS
+-- ============================================================================
+-- Atomic, so concurrent webhook posts don't lose counts
+
+CREATE OR REPLACE FUNCTION record_intake_contact(p_source_id UUID) RETURNS VOID AS $$
+BEGIN
+    UPDATE intake_sources SET
+        total_contacts = COALESCE(total_contacts, 0) + 1,
+        last_received_at = NOW(),
+        last_error = NULL,
+        updated_at = NOW()
+    WHERE id = p_source_id;
+END;
+$$ LANGUAGE plpgsql;
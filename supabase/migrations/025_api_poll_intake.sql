@@ -0,0 +1,50 @@
+-- Migration 025: Polling Intake Sources
+-- Intake sources with source_type 'api_poll' are fetched every
+-- poll_interval_minutes by the event processor's slow poll (cli/api-poll.js):
+-- pages of JSON records from api_endpoint are mapped through field_mapping
+-- and inserted like webhook leads (cli/intake.js). The cursor / since value
+-- reached is kept in poll_state, and every record id seen in intake_records,
+-- so a record is never imported twice (rejected ones are retried if re-read).
+
+-- ============================================================================
+-- INTAKE SOURCES: POLL CONFIG
+-- ============================================================================
+-- {
+--   "records_path": "$.data",            -- where the record array is (default: body or $.data/$.results/$.items)
+--   "record_id_path": "$.id",            -- unique id per record (default $.id)
+--   "cursor_param": "cursor",            -- cursor paging: query param + where the next cursor is
+--   "next_cursor_path": "$.meta.next_cursor",
+--   "next_url_path": "$.links.next",     -- or: a full next-page URL
+--   "page_param": "page",                -- or: numbered pages
+--   "page_size_param": "limit", "page_size": 100,
+--   "since_param": "updated_since",      -- only ask for records changed since the last poll
+--   "since_field": "$.updated_at",       -- record timestamp that advances it
+--   "max_pages": 10,                     -- per poll
+--   "query": { "status": "new" }         -- extra query params
+-- }
+-- api_credentials: { "bearer_token" } | { "api_key", "api_key_header" | "api_key_param" }
+--                  | { "username", "password" } | { "headers": { ... } }
+
+ALTER TABLE intake_sources ADD COLUMN IF NOT EXISTS poll_config JSONB DEFAULT '{}';
+
+-- ============================================================================
+-- IMPORTED RECORDS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS intake_records (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    source_id UUID NOT NULL REFERENCES intake_sources(id) ON DELETE CASCADE,
+    external_id TEXT NOT NULL,            -- record id in the remote system
+
+    status VARCHAR(20) NOT NULL,          -- imported / rejected
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    error TEXT,                           -- why it was rejected
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(source_id, external_id),
+    CONSTRAINT valid_intake_record_status CHECK (status IN ('imported', 'rejected'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_records_source ON intake_records(source_id, created_at DESC);
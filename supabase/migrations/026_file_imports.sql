@@ -0,0 +1,97 @@
+-- Migration 026: File Imports
+-- import_file (cli/importer.js) loads companies, contacts or interactions from
+-- a CSV / XLSX file in batches. Each run is an `imports` row, and every record
+-- it creates carries import_id. Contacts and companies from an import only
+-- emit contact.created / company.created (the intake pipeline) when the
+-- import was run with run_intake.
+
+-- ============================================================================
+-- IMPORTS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+
+    file_name TEXT NOT NULL,
+    entity_type VARCHAR(20) NOT NULL,     -- contacts / companies / interactions
+    mapping JSONB NOT NULL DEFAULT '{}',  -- { "Column header": "field" | "custom_fields.name" }
+    run_intake BOOLEAN DEFAULT false,
+    on_duplicate VARCHAR(10) DEFAULT 'skip',
+
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    total_rows INTEGER DEFAULT 0,
+    inserted INTEGER DEFAULT 0,
+    updated INTEGER DEFAULT 0,
+    duplicates INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    report_path TEXT,                     -- per-row CSV report
+    error TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+
+    CONSTRAINT valid_import_entity CHECK (entity_type IN ('contacts', 'companies', 'interactions')),
+    CONSTRAINT valid_import_status CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_imports_team ON imports(team_id, created_at DESC);
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES imports(id) ON DELETE SET NULL;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES imports(id) ON DELETE SET NULL;
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES imports(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_import ON contacts(import_id) WHERE import_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_companies_import ON companies(import_id) WHERE import_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_interactions_import ON interactions(import_id) WHERE import_id IS NOT NULL;
+
+-- ============================================================================
+-- CREATED EVENTS: OPTIONAL FOR IMPORTS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION import_runs_intake(p_import_id UUID) RETURNS BOOLEAN AS $$
+    SELECT p_import_id IS NULL OR COALESCE((SELECT run_intake FROM imports WHERE id = p_import_id), true);
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION contact_created_trigger() RETURNS TRIGGER AS $$
+BEGIN
+    IF NOT import_runs_intake(NEW.import_id) THEN
+        RETURN NEW;
+    END IF;
+
+    PERFORM emit_event(
+        NEW.team_id,
+        'contact.created',
+        'contact',
+        NEW.id,
+        jsonb_build_object(
+            'first_name', NEW.first_name,
+            'last_name', NEW.last_name,
+            'email', NEW.email,
+            'company_id', NEW.company_id
+        )
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION company_created_trigger() RETURNS TRIGGER AS $$
+BEGIN
+    IF NOT import_runs_intake(NEW.import_id) THEN
+        RETURN NEW;
+    END IF;
+
+    PERFORM emit_event(
+        NEW.team_id,
+        'company.created',
+        'company',
+        NEW.id,
+        jsonb_build_object(
+            'name', NEW.name,
+            'domain', NEW.domain,
+            'industry', NEW.industry
+        )
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
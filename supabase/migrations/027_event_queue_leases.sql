@@ -0,0 +1,81 @@
+-- Migration 027: Event Queue Lease Fixes
+-- - Each claim gets a lease_token; completing, failing and renewing an event
+--   must present it, so a worker whose lease expired (and was reclaimed by
+--   another worker) can no longer settle the event a second time
+-- - renew_event_lease() lets a worker extend its lease while a handler runs
+-- - An expired lease on the last attempt dead-letters the event instead of
+--   retrying it forever (an event that crashes its worker every time)
+
+-- ============================================================================
+-- LEASE TOKEN
+-- ============================================================================
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS lease_token UUID;  -- Set per claim, cleared when settled
+
+-- ============================================================================
+-- CLAIM FUNCTION
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION claim_events(
+    p_worker TEXT,
+    p_limit INTEGER DEFAULT 10,
+    p_lease_seconds INTEGER DEFAULT 600,
+    p_event_id UUID DEFAULT NULL
+) RETURNS SETOF events AS $$
+BEGIN
+    -- Expired leases with no attempts left: the worker died on the last attempt
+    UPDATE events
+    SET status = 'dead_letter',
+        dead_lettered_at = NOW(),
+        last_error = 'Lease expired on the last attempt (worker crashed or timed out)'
+            || COALESCE(' - previous error: ' || last_error, ''),
+        locked_by = NULL,
+        locked_until = NULL,
+        lease_token = NULL
+    WHERE status = 'processing'
+      AND locked_until < NOW()
+      AND attempts >= max_attempts
+      AND (p_event_id IS NULL OR id = p_event_id);
+
+    RETURN QUERY
+    UPDATE events e
+    SET status = 'processing',
+        locked_by = p_worker,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        lease_token = gen_random_uuid(),
+        attempts = e.attempts + 1
+    WHERE e.id IN (
+        SELECT id FROM events
+        WHERE (p_event_id IS NULL OR id = p_event_id)
+          AND (
+              (status IN ('pending', 'retry') AND available_at <= NOW())
+              OR (status = 'processing' AND locked_until < NOW() AND attempts < max_attempts)
+          )
+        ORDER BY available_at, created_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING e.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- LEASE RENEWAL
+-- ============================================================================
+-- Returns false when the lease is no longer held (expired and reclaimed)
+
+CREATE OR REPLACE FUNCTION renew_event_lease(
+    p_event_id UUID,
+    p_lease_token UUID,
+    p_lease_seconds INTEGER DEFAULT 600
+) RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE events
+    SET locked_until = NOW() + make_interval(secs => p_lease_seconds)
+    WHERE id = p_event_id
+      AND status = 'processing'
+      AND lease_token = p_lease_token;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,36 @@
+-- Migration 028: Sequence Sending Recovery
+-- - A reply stops enrollments that are mid-send ('sending') as well as
+--   'active' ones; the processor sees the stop when it settles the step and
+--   doesn't schedule the next one
+-- - Index for finding enrollments stuck in 'sending' (processor crashed
+--   mid-send); cli/sequences.js requeues them after a timeout
+
+-- ============================================================================
+-- STOP ON REPLY
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION stop_sequences_on_reply() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.type = 'email_received' AND NEW.contact_id IS NOT NULL THEN
+        UPDATE sequence_enrollments se
+        SET status = 'replied',
+            stop_reason = 'email_received',
+            stopped_at = NOW(),
+            next_send_at = NULL,
+            updated_at = NOW()
+        FROM email_sequences s
+        WHERE se.sequence_id = s.id
+          AND se.contact_id = NEW.contact_id
+          AND se.status IN ('active', 'sending')
+          AND s.stop_on_reply = true;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- STALE CLAIMS
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_sequence_enrollments_sending
+    ON sequence_enrollments(updated_at) WHERE status = 'sending';
@@ -0,0 +1,9 @@
+-- Migration 029: Notification Delivery Leases
+-- A delivery in progress ('sending') holds a lease until locked_until. If the
+-- processor crashes mid-send the lease expires and retryNotifications()
+-- (cli/notifications.js) picks the row up again, counting the lost attempt.
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_sending
+    ON notifications(locked_until) WHERE status = 'sending';
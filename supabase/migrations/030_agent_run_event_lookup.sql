@@ -0,0 +1,6 @@
+-- Migration 030: Agent Run Lookup by Event
+-- When the queue retries an event, runAgentsForEvent() (cli/agent-runtime.js)
+-- skips agents that already have a run for that event id.
+
+CREATE INDEX IF NOT EXISTS ar_trigger_event_id_idx
+    ON agent_runs((trigger_event->>'id'));